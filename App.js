@@ -15,7 +15,19 @@ import roomRoutes from './routes/roomRoutes.js';
 import imageRoutes from './routes/imageRoutes.js';
 import dashboardRoutes from './routes/dashboardRoutes.js';
 import analyticsRoutes from './routes/analyticsRoutes.js';
-import nodemailer from 'nodemailer';
+import permissionRoutes from './routes/permissionRoutes.js';
+import providerRoutes from './routes/providerRoutes.js';
+import eventServiceRoutes from './routes/event_serviceRoutes.js';
+import impersonationRoutes from './routes/impersonationRoutes.js';
+import eventSeriesRoutes from './routes/eventSeriesRoutes.js';
+import eventTemplateRoutes from './routes/eventTemplateRoutes.js';
+import cancellationPolicyRoutes from './routes/cancellationPolicyRoutes.js';
+import calendarFeedRoutes from './routes/calendarFeedRoutes.js';
+import quoteRoutes from './routes/quoteRoutes.js';
+import waitlistRoutes from './routes/waitlistRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import staffRoutes from './routes/staffRoutes.js';
+import { startScheduler } from './service/scheduler.service.js';
 import cookieParser from 'cookie-parser';
 dotenv.config();
 
@@ -55,6 +67,18 @@ app.use('/api/rooms', roomRoutes);
 app.use('/api/images', imageRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/provider', providerRoutes);
+app.use('/api/event-services', eventServiceRoutes);
+app.use('/api/impersonation', impersonationRoutes);
+app.use('/api/event-series', eventSeriesRoutes);
+app.use('/api/event-templates', eventTemplateRoutes);
+app.use('/api/cancellation-policies', cancellationPolicyRoutes);
+app.use('/api/calendar-feeds', calendarFeedRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/admin/jobs', jobRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -67,4 +91,7 @@ app.use((req, res) => {
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Background jobs (status progression, hold expiry, waitlist offers); turn off where another instance runs them
+  if (process.env.JOBS_ENABLED !== 'false') startScheduler();
 });
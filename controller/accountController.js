@@ -11,11 +11,60 @@ import {
   unbanAccountUser,
   getAccountByEmail,
   returnAccountInformation,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
 } from "../service/account.service.js";
+import {
+  rotateRefreshToken,
+  getSessionsByAccount,
+  getSessionById,
+  revokeSession,
+  revokeAllSessions,
+  REFRESH_TOKEN_TTL_DAYS,
+} from "../service/session.service.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  completeTwoFactorLogin,
+} from "../service/twoFactor.service.js";
+import {
+  REFRESH_TOKEN_COOKIE,
+  setRefreshTokenCookie,
+  clearRefreshTokenCookie,
+} from "../utils/tokenAndCookies.js";
 import { sendResponse } from "../utils/response.js";
 import { validateEmail, validatePassword, parseAndValidateId } from "../utils/validation.js";
 
 import { uploadImage } from "../utils/cloudinary.js"; 
+import { getLockouts, clearLockout } from "../service/loginProtection.service.js";
+import {
+  exportAccountData,
+  writeExportZip,
+  requestErasure,
+  getErasureRequests,
+  approveErasureRequest,
+  rejectErasureRequest,
+} from "../service/dataPrivacy.service.js";
+import { AUTH_ERROR_CODES } from "../utils/errorCodes.js";
+import { PERMISSIONS, hasPermission } from "../utils/permissions.js";
+import { isResourceOwnerOr } from "../utils/authenticateRequest.js";
+
+const LOGIN_BLOCK_CODES = [
+  AUTH_ERROR_CODES.ACCOUNT_LOCKED,
+  AUTH_ERROR_CODES.IP_BLOCKED,
+  AUTH_ERROR_CODES.LOGIN_THROTTLED,
+];
+
+const getDeviceInfo = (req) => ({
+  device_name: req.body?.device_name,
+  user_agent: req.headers["user-agent"],
+  ip_address: req.ip,
+});
 
 // Create Account
 export const createAccountController = async (req, res) => {
@@ -39,28 +88,63 @@ export const createAccountController = async (req, res) => {
       return sendResponse(res, 400, result.errors);
     }
 
-    return sendResponse(res, 201, "Account created successfully", result.data);
+    return sendResponse(
+      res,
+      201,
+      "Account created successfully. Please check your email to verify your address.",
+      result.data
+    );
   } catch (error) {
     return sendResponse(res, 500, "Internal server error");
   }
 };
 
+// Map login failure codes to HTTP status; lockouts carry a Retry-After header
+const sendLoginFailure = (res, result) => {
+  if (LOGIN_BLOCK_CODES.includes(result.code)) {
+    res.set("Retry-After", String(result.retryAfterSeconds));
+    return sendResponse(
+      res,
+      429,
+      "Login failed",
+      { code: result.code, retry_after: result.retryAfterSeconds },
+      result.errors
+    );
+  }
+  if (
+    result.code === AUTH_ERROR_CODES.EMAIL_NOT_VERIFIED ||
+    result.code === AUTH_ERROR_CODES.ACCOUNT_INACTIVE
+  ) {
+    return sendResponse(res, 403, "Login failed", { code: result.code }, result.errors);
+  }
+  return sendResponse(res, 401, "Login failed", result.code ? { code: result.code } : null, result.errors);
+};
+
 // Login Account
 export const loginAccountController = async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    const result = await loginAccount(email, password);
+    const result = await loginAccount(email, password, getDeviceInfo(req));
     if (!result.isValid) {
-      return sendResponse(res, 401, "Login failed", null, result.errors);
+      return sendLoginFailure(res, result);
     }
 
-    const { data, token } = result;
+    if (result.requiresTwoFactor) {
+      return sendResponse(res, 200, "Two-factor authentication required", {
+        ...result.data,
+        requiresTwoFactor: true,
+        challengeToken: result.challengeToken,
+      });
+    }
+
+    const { data, token, refreshToken } = result;
+    setRefreshTokenCookie(res, refreshToken, REFRESH_TOKEN_TTL_DAYS);
 
-   
     return sendResponse(res, 200, "Login successful", {
       ...data,   // account info (account_id, email, role...)
       token,     // token nằm ở cùng cấp
+      refreshToken,
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -79,8 +163,8 @@ export const getAccountByIdController = async (req, res) => {
       return sendResponse(res, 401, "Authentication required");
     }
 
-    // Only allow self or admin (fixed case sensitivity)
-    if (req.user.account_id !== accountId && (req.user.role.toLowerCase() !== "admin")) {
+    // Only allow self or holders of accounts:read:any
+    if (!isResourceOwnerOr(req, accountId, PERMISSIONS.ACCOUNTS_READ_ANY)) {
       return sendResponse(res, 403, "Forbidden");
     }
 
@@ -108,8 +192,8 @@ export const getAccountByEmailController = async (req, res) => {
       return sendResponse(res, 401, "Authentication required");
     }
 
-    // Only allow admin and customer
-    if (req.user.role !== "CUSTOMER" && (req.user.role.toLowerCase() !== "admin")) {
+    // Only allow holders of accounts:read:any
+    if (!hasPermission(req.user, PERMISSIONS.ACCOUNTS_READ_ANY)) {
       return sendResponse(res, 403, "Forbidden");
     }
 
@@ -141,14 +225,15 @@ export const updateAccountController = async (req, res) => {
       return sendResponse(res, 401, "Authentication required");
     }
 
-    // Only allow self or admin
-    if (req.user.account_id !== accountId && (req.user.role.toLowerCase() !== "admin")) {
+    // Only allow self or holders of accounts:write:any
+    if (!isResourceOwnerOr(req, accountId, PERMISSIONS.ACCOUNTS_WRITE_ANY)) {
       return sendResponse(res, 403, "Forbidden");
     }
 
-    const updatedAccount = await updateAccount(accountId, accountData);
+    const updatedAccount = await updateAccount(accountId, accountData, req.user);
     if (!updatedAccount.isValid) {
-      return sendResponse(res, 400, updatedAccount.errors);
+      const status = updatedAccount.errors[0].startsWith("You are not allowed") ? 403 : 400;
+      return sendResponse(res, status, updatedAccount.errors);
     }
 
     return sendResponse(res, 200, "Account updated successfully", updatedAccount.data);
@@ -171,8 +256,8 @@ export const updatePasswordController = async (req, res) => {
       return sendResponse(res, 401, "Authentication required");
     }
 
-    // Only allow self or admin
-    if (req.user.account_id !== accountId && (req.user.role.toLowerCase() !== "admin")) {
+    // Only allow self or holders of accounts:write:any
+    if (!isResourceOwnerOr(req, accountId, PERMISSIONS.ACCOUNTS_WRITE_ANY)) {
       return sendResponse(res, 403, "Forbidden");
     }
 
@@ -182,7 +267,7 @@ export const updatePasswordController = async (req, res) => {
       return sendResponse(res, 400, passwordValidation.errors);
     }
 
-    const result = await updatePassword(accountId, currentPassword, newPassword);
+    const result = await updatePassword(accountId, currentPassword, newPassword, req.user.session_id);
     if (!result.isValid) {
       return sendResponse(res, 400, result.errors);
     }
@@ -206,8 +291,8 @@ export const uploadAvatarController = async (req, res) => {
       return sendResponse(res, 401, "Authentication required");
     }
 
-    // Only allow self or admin
-    if (req.user.account_id !== accountId && (req.user.role.toLowerCase() !== "admin")) {
+    // Only allow self or holders of accounts:write:any
+    if (!isResourceOwnerOr(req, accountId, PERMISSIONS.ACCOUNTS_WRITE_ANY)) {
       return sendResponse(res, 403, "Forbidden");
     }
 
@@ -245,8 +330,8 @@ export const getAllAccountsController = async (req, res) => {
       return sendResponse(res, 401, "Authentication required");
     }
 
-    // Only allow admin
-    if (req.user.role.toLowerCase() !== "admin") {
+    // Only allow holders of accounts:read:any
+    if (!hasPermission(req.user, PERMISSIONS.ACCOUNTS_READ_ANY)) {
       return sendResponse(res, 403, "Forbidden");
     }
 
@@ -271,8 +356,8 @@ export const deleteAccountController = async (req, res) => {
       return sendResponse(res, 401, "Authentication required");
     }
 
-    // Only allow admin
-    if ((req.user.role.toLowerCase() !== "admin")) {
+    // Only allow holders of accounts:delete
+    if (!hasPermission(req.user, PERMISSIONS.ACCOUNTS_DELETE)) {
       return sendResponse(res, 403, "Forbidden");
     }
 
@@ -281,7 +366,10 @@ export const deleteAccountController = async (req, res) => {
       return sendResponse(res, 400, result.errors);
     }
 
-    return sendResponse(res, 200, "Account deleted successfully");
+    const message = result.data.anonymised
+      ? "Account anonymised; financial records were retained"
+      : "Account deleted successfully";
+    return sendResponse(res, 200, message, result.data);
   } catch (error) {
     if (error.message.includes("Account ID")) {
       return sendResponse(res, 400, error.message);
@@ -300,8 +388,8 @@ export const banAccountUserController = async (req, res) => {
       return sendResponse(res, 401, "Authentication required");
     }
 
-    // Only allow admin
-    if (req.user.role.toLowerCase() !== "admin") {
+    // Only allow holders of accounts:ban
+    if (!hasPermission(req.user, PERMISSIONS.ACCOUNTS_BAN)) {
       return sendResponse(res, 403, "Forbidden");
     }
 
@@ -329,8 +417,8 @@ export const unbanAccountUserController = async (req, res) => {
       return sendResponse(res, 401, "Authentication required");
     }
 
-    // Only allow admin
-    if (req.user.role.toLowerCase() !== "admin") {
+    // Only allow holders of accounts:ban
+    if (!hasPermission(req.user, PERMISSIONS.ACCOUNTS_BAN)) {
       return sendResponse(res, 403, "Forbidden");
     }
 
@@ -368,3 +456,480 @@ export const getMyProfile = async (req, res) => {
   }
 };
 
+
+// Forgot Password (public)
+export const forgotPasswordController = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const emailValidation = validateEmail(email);
+    if (!emailValidation.isValid) {
+      return sendResponse(res, 400, emailValidation.errors);
+    }
+
+    const result = await requestPasswordReset(email);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "If the email is registered, a password reset link has been sent");
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Reset Password (public)
+export const resetPasswordController = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token) {
+      return sendResponse(res, 400, "Reset token is required");
+    }
+
+    const passwordValidation = validatePassword(newPassword);
+    if (!passwordValidation.isValid) {
+      return sendResponse(res, 400, passwordValidation.errors);
+    }
+
+    const result = await resetPassword(token, newPassword);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Password reset successfully");
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Refresh Access Token (public, uses refresh token)
+export const refreshTokenController = async (req, res) => {
+  try {
+    const refreshToken = req.body?.refreshToken || req.cookies?.[REFRESH_TOKEN_COOKIE];
+
+    const result = await rotateRefreshToken(refreshToken, getDeviceInfo(req));
+    if (!result.isValid) {
+      clearRefreshTokenCookie(res);
+      return sendResponse(res, 401, "Token refresh failed", null, result.errors);
+    }
+
+    setRefreshTokenCookie(res, result.refreshToken, REFRESH_TOKEN_TTL_DAYS);
+
+    return sendResponse(res, 200, "Token refreshed successfully", {
+      session_id: result.data.session_id,
+      token: result.token,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Logout current session (requires authentication)
+export const logoutController = async (req, res) => {
+  try {
+    const result = await revokeSession(req.user.session_id, "LOGOUT");
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    clearRefreshTokenCookie(res);
+    return sendResponse(res, 200, "Logged out successfully");
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// List sessions (own sessions, or any account's for admin)
+export const getSessionsController = async (req, res) => {
+  try {
+    let accountId = req.user.account_id;
+    if (req.query.account_id) {
+      accountId = parseAndValidateId(req.query.account_id, "Account ID");
+      if (!accountId) {
+        return sendResponse(res, 400, "Invalid Account ID");
+      }
+      // Only allow self or holders of accounts:sessions:any
+      if (!isResourceOwnerOr(req, accountId, PERMISSIONS.ACCOUNTS_SESSIONS_ANY)) {
+        return sendResponse(res, 403, "Forbidden");
+      }
+    }
+
+    const result = await getSessionsByAccount(accountId, req.query.includeRevoked === "true");
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    const sessions = result.data.map((session) => ({
+      ...session,
+      is_current: session.session_id === req.user.session_id,
+    }));
+
+    return sendResponse(res, 200, "Sessions retrieved successfully", sessions);
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Revoke a single session (owner or admin)
+export const revokeSessionController = async (req, res) => {
+  try {
+    const sessionId = parseAndValidateId(req.params.sessionId, "Session ID");
+    if (!sessionId) {
+      return sendResponse(res, 400, "Invalid Session ID");
+    }
+
+    const existing = await getSessionById(sessionId);
+    if (!existing.isValid) {
+      return sendResponse(res, 404, existing.errors);
+    }
+
+    const isOwner = existing.data.account_id === req.user.account_id;
+    if (!isOwner && !hasPermission(req.user, PERMISSIONS.ACCOUNTS_SESSIONS_ANY)) {
+      return sendResponse(res, 403, "Forbidden");
+    }
+
+    const result = await revokeSession(sessionId, isOwner ? "REVOKED_BY_USER" : "REVOKED_BY_ADMIN");
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    if (sessionId === req.user.session_id) {
+      clearRefreshTokenCookie(res);
+    }
+
+    return sendResponse(res, 200, "Session revoked successfully", result.data);
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Revoke all sessions (own sessions except the current one, or any account's for admin)
+export const revokeAllSessionsController = async (req, res) => {
+  try {
+    let accountId = req.user.account_id;
+    if (req.query.account_id) {
+      accountId = parseAndValidateId(req.query.account_id, "Account ID");
+      if (!accountId) {
+        return sendResponse(res, 400, "Invalid Account ID");
+      }
+      // Only allow self or holders of accounts:sessions:any
+      if (!isResourceOwnerOr(req, accountId, PERMISSIONS.ACCOUNTS_SESSIONS_ANY)) {
+        return sendResponse(res, 403, "Forbidden");
+      }
+    }
+
+    const isSelf = accountId === req.user.account_id;
+    const keepCurrent = isSelf && req.query.includeCurrent !== "true";
+
+    const result = await revokeAllSessions(
+      accountId,
+      isSelf ? "REVOKED_BY_USER" : "REVOKED_BY_ADMIN",
+      keepCurrent ? req.user.session_id : null
+    );
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    if (isSelf && !keepCurrent) {
+      clearRefreshTokenCookie(res);
+    }
+
+    return sendResponse(res, 200, "Sessions revoked successfully", result.data);
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Verify Email (public)
+export const verifyEmailController = async (req, res) => {
+  try {
+    const token = req.body?.token || req.query.token;
+
+    const result = await verifyEmail(token);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Email verified successfully", result.data);
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Resend Verification Email (public)
+export const resendVerificationController = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const emailValidation = validateEmail(email);
+    if (!emailValidation.isValid) {
+      return sendResponse(res, 400, emailValidation.errors);
+    }
+
+    const result = await resendVerificationEmail(email);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "If the account exists and is unverified, a verification link has been sent");
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Login step 2: verify OTP or recovery code (public, uses challenge token)
+export const loginTwoFactorController = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const result = await completeTwoFactorLogin(challengeToken, { code, recoveryCode }, getDeviceInfo(req));
+    if (!result.isValid) {
+      return sendLoginFailure(res, result);
+    }
+
+    const { data, token, refreshToken } = result;
+    setRefreshTokenCookie(res, refreshToken, REFRESH_TOKEN_TTL_DAYS);
+
+    return sendResponse(res, 200, "Login successful", {
+      ...data,
+      token,
+      refreshToken,
+    });
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Get 2FA status (authenticated user)
+export const getTwoFactorStatusController = async (req, res) => {
+  try {
+    const result = await getTwoFactorStatus(req.user.account_id);
+    if (!result.isValid) {
+      return sendResponse(res, 404, result.errors);
+    }
+
+    return sendResponse(res, 200, "Two-factor status retrieved successfully", result.data);
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Start 2FA enrolment (authenticated user)
+export const setupTwoFactorController = async (req, res) => {
+  try {
+    const result = await setupTwoFactor(req.user.account_id);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Scan the QR code with your authenticator app, then confirm with a code", result.data);
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Confirm 2FA enrolment (authenticated user)
+export const enableTwoFactorController = async (req, res) => {
+  try {
+    const result = await enableTwoFactor(req.user.account_id, req.body.code, req.user.session_id);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors, result.code ? { code: result.code } : null);
+    }
+
+    return sendResponse(res, 200, "Two-factor authentication enabled", result.data);
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Disable 2FA (authenticated user, not allowed for roles where it is mandatory)
+export const disableTwoFactorController = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const result = await disableTwoFactor(req.user.account_id, password, code);
+    if (!result.isValid) {
+      const status = result.code === AUTH_ERROR_CODES.TWO_FACTOR_REQUIRED ? 403 : 400;
+      return sendResponse(res, status, result.errors, result.code ? { code: result.code } : null);
+    }
+
+    return sendResponse(res, 200, "Two-factor authentication disabled", result.data);
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Regenerate recovery codes (authenticated user)
+export const regenerateRecoveryCodesController = async (req, res) => {
+  try {
+    const result = await regenerateRecoveryCodes(req.user.account_id, req.body.code);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors, result.code ? { code: result.code } : null);
+    }
+
+    return sendResponse(res, 200, "Recovery codes regenerated", result.data);
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// List login lockouts (admin only)
+export const getLockoutsController = async (req, res) => {
+  try {
+    const { activeOnly, scope } = req.query;
+    if (scope && !["ACCOUNT", "IP"].includes(scope)) {
+      return sendResponse(res, 400, "Scope must be ACCOUNT or IP");
+    }
+
+    const result = await getLockouts({ activeOnly: activeOnly !== "false", scope });
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Lockouts retrieved successfully", result.data);
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Clear a login lockout (admin only)
+export const clearLockoutController = async (req, res) => {
+  try {
+    const lockoutId = parseAndValidateId(req.params.lockoutId, "Lockout ID");
+    if (!lockoutId) {
+      return sendResponse(res, 400, "Invalid Lockout ID");
+    }
+
+    const result = await clearLockout(lockoutId);
+    if (!result.isValid) {
+      return sendResponse(res, 404, result.errors);
+    }
+
+    return sendResponse(res, 200, "Lockout cleared successfully", result.data);
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Export all personal data held for an account (self or admin)
+export const exportAccountDataController = async (req, res) => {
+  try {
+    const accountId = parseAndValidateId(req.params.accountId, "Account ID");
+    if (!accountId) {
+      return sendResponse(res, 400, "Invalid Account ID");
+    }
+
+    // Only allow self or holders of accounts:read:any
+    if (!isResourceOwnerOr(req, accountId, PERMISSIONS.ACCOUNTS_READ_ANY)) {
+      return sendResponse(res, 403, "Forbidden");
+    }
+
+    const format = (req.query.format || "json").toLowerCase();
+    if (!["json", "zip"].includes(format)) {
+      return sendResponse(res, 400, "Format must be json or zip");
+    }
+
+    const result = await exportAccountData(accountId);
+    if (!result.isValid) {
+      return sendResponse(res, 404, result.errors);
+    }
+
+    const filename = `account-${accountId}-export`;
+    if (format === "zip") {
+      res.set({
+        "Content-Type": "application/zip",
+        "Content-Disposition": `attachment; filename="${filename}.zip"`,
+      });
+      return await writeExportZip(result.data, res);
+    }
+
+    res.set("Content-Disposition", `attachment; filename="${filename}.json"`);
+    return sendResponse(res, 200, "Account data exported successfully", result.data);
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Ask for the account's personal data to be erased (self only)
+export const requestErasureController = async (req, res) => {
+  try {
+    const accountId = parseAndValidateId(req.params.accountId, "Account ID");
+    if (!accountId) {
+      return sendResponse(res, 400, "Invalid Account ID");
+    }
+
+    if (req.user.account_id !== accountId) {
+      return sendResponse(res, 403, "Forbidden");
+    }
+
+    const result = await requestErasure(accountId, req.body?.reason);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 201, "Erasure request submitted", result.data);
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// List erasure requests (admin only)
+export const getErasureRequestsController = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !["PENDING", "COMPLETED", "REJECTED"].includes(status)) {
+      return sendResponse(res, 400, "Status must be PENDING, COMPLETED or REJECTED");
+    }
+
+    const result = await getErasureRequests({ status });
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Erasure requests retrieved successfully", result.data);
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Approve an erasure request and anonymise the account (admin only)
+export const approveErasureRequestController = async (req, res) => {
+  try {
+    const requestId = parseAndValidateId(req.params.requestId, "Request ID");
+    if (!requestId) {
+      return sendResponse(res, 400, "Invalid Request ID");
+    }
+
+    const result = await approveErasureRequest(requestId, req.user.account_id);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Account data erased successfully", result.data);
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Reject an erasure request (admin only)
+export const rejectErasureRequestController = async (req, res) => {
+  try {
+    const requestId = parseAndValidateId(req.params.requestId, "Request ID");
+    if (!requestId) {
+      return sendResponse(res, 400, "Invalid Request ID");
+    }
+
+    const result = await rejectErasureRequest(requestId, req.user.account_id, req.body?.reason);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Erasure request rejected", result.data);
+  } catch (error) {
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
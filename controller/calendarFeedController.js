@@ -0,0 +1,79 @@
+import { createFeed, getFeeds, revokeFeed, renderFeed } from "../service/calendarFeed.service.js";
+import { sendResponse } from "../utils/response.js";
+
+const statusFor = (message) => {
+  if (message.endsWith("not found")) return 404;
+  if (message.startsWith("You are not allowed")) return 403;
+  return 400;
+};
+
+// Calendar apps cannot send a session, so the feed URL's token is the only credential
+const serveFeed = (feedType, idParam) => async (req, res) => {
+  try {
+    const result = await renderFeed(feedType, idParam ? req.params[idParam] : null, req.query.token);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="calendar.ics"',
+      "Cache-Control": "private, max-age=300",
+    });
+    return res.status(200).send(result.data);
+  } catch (error) {
+    console.error("Error in calendar feed controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const accountCalendarController = serveFeed("ACCOUNT", "id");
+export const roomCalendarController = serveFeed("ROOM", "id");
+export const staffCalendarController = serveFeed("STAFF", null);
+
+// Create a feed; the returned url holds the token and is only shown once
+export const createFeedController = async (req, res) => {
+  try {
+    const result = await createFeed(req.body || {}, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    const origin = process.env.API_URL || `${req.protocol}://${req.get("host")}`;
+    return sendResponse(res, 201, "Calendar feed created successfully", {
+      ...result.data,
+      url: `${origin}${result.data.path}`,
+    });
+  } catch (error) {
+    console.error("Error in createFeed controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const getFeedsController = async (req, res) => {
+  try {
+    const result = await getFeeds(req.user);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Calendar feeds retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getFeeds controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const revokeFeedController = async (req, res) => {
+  try {
+    const result = await revokeFeed(req.params.id, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Calendar feed revoked successfully", result.data);
+  } catch (error) {
+    console.error("Error in revokeFeed controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
@@ -0,0 +1,82 @@
+import {
+  getPolicies,
+  getPolicyById,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+} from "../service/cancellationPolicy.service.js";
+import { sendResponse } from "../utils/response.js";
+
+const statusFor = (message) => (message === "Cancellation policy not found" ? 404 : 400);
+
+// Active policies; ?include_inactive=true lists the retired ones too
+export const getPoliciesController = async (req, res) => {
+  try {
+    const result = await getPolicies({ includeInactive: req.query.include_inactive === "true" });
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Cancellation policies retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getPolicies controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const getPolicyByIdController = async (req, res) => {
+  try {
+    const result = await getPolicyById(req.params.id);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Cancellation policy retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getPolicyById controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Tiers plus optional room_ids / event_type_ids to assign the policy to
+export const createPolicyController = async (req, res) => {
+  try {
+    const result = await createPolicy(req.body || {});
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 201, "Cancellation policy created successfully", result.data);
+  } catch (error) {
+    console.error("Error in createPolicy controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const updatePolicyController = async (req, res) => {
+  try {
+    const result = await updatePolicy(req.params.id, req.body || {});
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Cancellation policy updated successfully", result.data);
+  } catch (error) {
+    console.error("Error in updatePolicy controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const deletePolicyController = async (req, res) => {
+  try {
+    const result = await deletePolicy(req.params.id);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Cancellation policy deleted successfully", result.data);
+  } catch (error) {
+    console.error("Error in deletePolicy controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
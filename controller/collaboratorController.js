@@ -0,0 +1,127 @@
+import {
+  canAccessEventById,
+  getEventCollaborators,
+  getSharedEvents,
+  inviteCollaborator,
+  respondToInvitation,
+  updateCollaboratorRole,
+  removeCollaborator,
+} from "../service/collaborator.service.js";
+import { sendResponse } from "../utils/response.js";
+
+// List the collaborators and pending invitations of an event
+export const getEventCollaboratorsController = async (req, res) => {
+  try {
+    if (!(await canAccessEventById(req.params.id, req.user, "view"))) {
+      return sendResponse(res, 403, "Unauthorized: Cannot access this event");
+    }
+
+    const result = await getEventCollaborators(req.params.id);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Collaborators retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getEventCollaborators controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Invite someone by email to view, edit or pay for an event (owner only)
+export const inviteCollaboratorController = async (req, res) => {
+  try {
+    if (!(await canAccessEventById(req.params.id, req.user, "manage"))) {
+      return sendResponse(res, 403, "Only the event owner can invite collaborators");
+    }
+
+    const { email, role } = req.body;
+    const result = await inviteCollaborator(req.params.id, { email, role }, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 201, "Invitation sent successfully", result.data);
+  } catch (error) {
+    console.error("Error in inviteCollaborator controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Change the role of a collaborator (owner only)
+export const updateCollaboratorController = async (req, res) => {
+  try {
+    if (!(await canAccessEventById(req.params.id, req.user, "manage"))) {
+      return sendResponse(res, 403, "Only the event owner can change collaborator roles");
+    }
+
+    const result = await updateCollaboratorRole(req.params.id, req.params.collaboratorId, req.body?.role);
+    if (!result.isValid) {
+      const status = result.errors[0] === "Collaborator not found" ? 404 : 400;
+      return sendResponse(res, status, result.errors);
+    }
+
+    return sendResponse(res, 200, "Collaborator updated successfully", result.data);
+  } catch (error) {
+    console.error("Error in updateCollaborator controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Revoke an invitation, remove a collaborator, or leave an event
+export const removeCollaboratorController = async (req, res) => {
+  try {
+    const result = await removeCollaborator(req.params.id, req.params.collaboratorId, req.user);
+    if (!result.isValid) {
+      const [message] = result.errors;
+      if (message === "Collaborator not found") return sendResponse(res, 404, message);
+      if (message.startsWith("Only the event owner")) return sendResponse(res, 403, message);
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Collaborator removed successfully", result.data);
+  } catch (error) {
+    console.error("Error in removeCollaborator controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Accept or decline an invitation from the emailed link
+const respond = (accept) => async (req, res) => {
+  try {
+    const result = await respondToInvitation(req.body?.token, req.user, accept);
+    if (!result.isValid) {
+      const [message] = result.errors;
+      if (message.startsWith("This invitation was sent")) return sendResponse(res, 403, message);
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(
+      res,
+      200,
+      accept ? "Invitation accepted successfully" : "Invitation declined successfully",
+      result.data
+    );
+  } catch (error) {
+    console.error(`Error in ${accept ? "accept" : "decline"}Invitation controller:`, error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const acceptInvitationController = respond(true);
+export const declineInvitationController = respond(false);
+
+// Events shared with the authenticated user
+export const getSharedEventsController = async (req, res) => {
+  try {
+    const result = await getSharedEvents(req.user.account_id);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Shared events retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getSharedEvents controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
@@ -12,6 +12,21 @@ import { createValidationResult } from '../utils/validation.js';
 import { validateToken } from '../middleware/authMiddleware.js';
 import { prisma } from '../prisma/prisma.js';
 import { checkVariationAvailability } from '../service/event_service.service.js';
+import { initialBookingStatus } from '../service/provider.service.js';
+import {
+  canAccessEvent,
+  canAccessEventById,
+  notifyEventCollaborators,
+} from '../service/collaborator.service.js';
+import {
+  transitionEventStatus,
+  getEventStatusHistory,
+} from '../service/eventLifecycle.service.js';
+import { cloneEvent } from '../service/eventTemplate.service.js';
+import { rescheduleEvent, getRescheduleHistory } from '../service/eventReschedule.service.js';
+import { cancelEvent, getCancellationQuote, retryCancellationRefund } from '../service/eventCancellation.service.js';
+import { getGuestSummary } from '../service/guest.service.js';
+import { describeHold, extendHold } from '../service/eventHold.service.js';
 
 // Create a new event
 export const createEventController = async (req, res) => {
@@ -23,7 +38,7 @@ export const createEventController = async (req, res) => {
   }
 
   try {
-    const result = await createEvent(eventData);
+    const result = await createEvent(eventData, null, req.user);
 
     if (!result.isValid) {
       return sendResponse(res, 400, result.errors);
@@ -39,7 +54,7 @@ export const createEventController = async (req, res) => {
           // Validate service
           const dbService = await tx.service.findUnique({
             where: { service_id: Number(service_id) },
-            select: { service_id: true, is_active: true },
+            select: { service_id: true, is_active: true, provider_id: true },
           });
           if (!dbService || !dbService.is_active) continue;
 
@@ -80,7 +95,7 @@ export const createEventController = async (req, res) => {
               variation_id: Number(variant_id),
               quantity: 1,
               custom_price: null,
-              status: 'CONFIRMED',
+              status: initialBookingStatus(dbService),
               scheduled_time: newEvent.scheduled_time,
               duration_hours: newEvent.duration_hours,
             },
@@ -152,6 +167,15 @@ export const updateEventController = async (req, res) => {
       return sendResponse(res, 400, result.errors);
     }
 
+    await notifyEventCollaborators(
+      result.data.event_id,
+      {
+        title: 'Event Updated',
+        message: `Event "${result.data.event_name}" was updated by ${user?.account_name || 'a team member'}.`,
+      },
+      user?.account_id
+    );
+
     return sendResponse(res, 200, 'Event updated successfully', result.data);
   } catch (error) {
     console.error('Error in updateEvent controller:', error);
@@ -167,6 +191,7 @@ export const getAllEventsController = async (req, res) => {
       room_id: req.query.room_id,
       event_type_id: req.query.event_type_id,
       status: req.query.status,
+      overdue: req.query.overdue === 'true',
       dateMin: req.query.dateMin,
       dateMax: req.query.dateMax,
       search: req.query.search,
@@ -244,14 +269,15 @@ export const deleteEventController = async (req, res) => {
   }
 };
 
-// Toggle event status (PENDING <-> CONFIRMED)
+// Toggle event status (confirms a PENDING event)
 export const toggleEventStatusController = async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await toggleEventStatus(id);
+    const result = await toggleEventStatus(id, req.user);
 
     if (!result.isValid) {
-      return sendResponse(res, 404, result.errors);
+      const status = result.errors[0] === 'Event not found' ? 404 : 400;
+      return sendResponse(res, status, result.errors);
     }
 
     return sendResponse(res, 200, 'Event status toggled', result.data);
@@ -261,6 +287,196 @@ export const toggleEventStatusController = async (req, res) => {
   }
 };
 
+// Move an event along its lifecycle (owners may cancel; other moves need events:status:manage)
+export const changeEventStatusController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body || {};
+    if (!status) {
+      return sendResponse(res, 400, 'Status is required');
+    }
+
+    // Cancelling goes through the refund policy like POST /:id/cancel
+    const result =
+      status === 'CANCELLED'
+        ? await cancelEvent(id, { reason }, req.user)
+        : await transitionEventStatus(id, status, {
+            actor: req.user,
+            reason,
+          });
+
+    if (!result.isValid) {
+      const [message] = result.errors;
+      if (message === 'Event not found') return sendResponse(res, 404, message);
+      if (message.startsWith('You are not allowed')) return sendResponse(res, 403, message);
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, 'Event status updated successfully', result.data);
+  } catch (error) {
+    console.error('Error in changeEventStatus controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Copy an event and its service bookings to a new date (anyone who can view the event)
+export const cloneEventController = async (req, res) => {
+  try {
+    const result = await cloneEvent(req.params.id, req.body || {}, req.user);
+
+    if (!result.isValid) {
+      const [message] = result.errors;
+      if (message === 'Event not found') return sendResponse(res, 404, message);
+      if (message.startsWith('You do not have access')) return sendResponse(res, 403, message);
+      // Room or per-service conflicts on the new date
+      if (result.data) return sendResponse(res, 409, result.errors, result.data);
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 201, 'Event cloned successfully', result.data);
+  } catch (error) {
+    console.error('Error in cloneEvent controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Move an event to a new slot (owner, editors, or events:write:any)
+export const rescheduleEventController = async (req, res) => {
+  try {
+    const result = await rescheduleEvent(req.params.id, req.body || {}, req.user);
+
+    if (!result.isValid) {
+      const [message] = result.errors;
+      if (message === 'Event not found') return sendResponse(res, 404, message);
+      if (message.startsWith('You are not allowed')) return sendResponse(res, 403, message);
+      // Room or booked services are not free at the new time
+      if (result.data) return sendResponse(res, 409, result.errors, result.data);
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, 'Event rescheduled successfully', result.data);
+  } catch (error) {
+    console.error('Error in rescheduleEvent controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Previous slots of an event (owner, collaborators, or events:read:any)
+export const getRescheduleHistoryController = async (req, res) => {
+  try {
+    if (!(await canAccessEventById(req.params.id, req.user, 'view'))) {
+      return sendResponse(res, 403, 'Unauthorized: Cannot access this event');
+    }
+
+    const result = await getRescheduleHistory(req.params.id);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, 'Reschedule history retrieved successfully', result.data);
+  } catch (error) {
+    console.error('Error in getRescheduleHistory controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Cancel an event and refund it under its cancellation policy (owner, editors, or events:status:manage)
+export const cancelEventController = async (req, res) => {
+  try {
+    const result = await cancelEvent(req.params.id, req.body || {}, req.user);
+
+    if (!result.isValid) {
+      const [message] = result.errors;
+      if (message === 'Event not found') return sendResponse(res, 404, message);
+      if (message.startsWith('You are not allowed')) return sendResponse(res, 403, message);
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, 'Event cancelled successfully', result.data);
+  } catch (error) {
+    console.error('Error in cancelEvent controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Retry the outstanding part of a failed or partial cancellation refund (invoices:refund)
+export const retryCancellationRefundController = async (req, res) => {
+  try {
+    const result = await retryCancellationRefund(req.params.id, req.user);
+
+    if (!result.isValid) {
+      const [message] = result.errors;
+      if (message.endsWith('not found')) return sendResponse(res, 404, message);
+      if (message.startsWith('You are not allowed')) return sendResponse(res, 403, message);
+      if (message.startsWith('A refund is already in progress')) return sendResponse(res, 409, message);
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, 'Refund retried', result.data);
+  } catch (error) {
+    console.error('Error in retryCancellationRefund controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Extend a pending event's hold once (owner or editors)
+export const extendHoldController = async (req, res) => {
+  try {
+    const result = await extendHold(req.params.id, req.user);
+
+    if (!result.isValid) {
+      const [message] = result.errors;
+      if (message === 'Event not found') return sendResponse(res, 404, message);
+      if (message.startsWith('You are not allowed')) return sendResponse(res, 403, message);
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, 'Hold extended successfully', result.data);
+  } catch (error) {
+    console.error('Error in extendHold controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// What cancelling now would refund (owner, collaborators, or events:read:any)
+export const getCancellationQuoteController = async (req, res) => {
+  try {
+    const result = await getCancellationQuote(req.params.id, req.user);
+
+    if (!result.isValid) {
+      const [message] = result.errors;
+      if (message === 'Event not found') return sendResponse(res, 404, message);
+      if (message.startsWith('You do not have access')) return sendResponse(res, 403, message);
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, 'Cancellation quote retrieved successfully', result.data);
+  } catch (error) {
+    console.error('Error in getCancellationQuote controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Status history of an event (owner, collaborators, or events:read:any)
+export const getEventStatusHistoryController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await canAccessEventById(id, req.user, 'view'))) {
+      return sendResponse(res, 403, 'Unauthorized: Cannot access this event');
+    }
+
+    const result = await getEventStatusHistory(id);
+    if (!result.isValid) {
+      return sendResponse(res, 404, result.errors);
+    }
+
+    return sendResponse(res, 200, 'Event status history retrieved successfully', result.data);
+  } catch (error) {
+    console.error('Error in getEventStatusHistory controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
 // Get events by event type ID
 export const getEventsByEventTypeIdController = async (req, res) => {
   try {
@@ -291,7 +507,7 @@ export const getEventsByEventTypeIdController = async (req, res) => {
   }
 };
 
-// Get event details (only owner or admin/staff)
+// Get event details (owner, collaborators, or events:read:any)
 export const getEventDetails = [
   validateToken,
   async (req, res) => {
@@ -302,8 +518,7 @@ export const getEventDetails = [
       if (
         result.isValid &&
         result.data &&
-        result.data.account_id !== req.user.account_id &&
-        !['ADMIN', 'STAFF'].includes(req.user.role)
+        !(await canAccessEvent(result.data, req.user, 'view'))
       ) {
         return res
           .status(403)
@@ -314,6 +529,13 @@ export const getEventDetails = [
           );
       }
 
+      // RSVP headcount, so catering quantities can follow the guest list
+      if (result.isValid && result.data) {
+        result.data.guest_summary = await getGuestSummary(result.data.event_id);
+        // How long an unpaid PENDING event keeps its room
+        result.data.hold = describeHold(result.data);
+      }
+
       return res.status(result.isValid ? 200 : 404).json(result);
     } catch (error) {
       console.error('Error in getEventDetails:', error);
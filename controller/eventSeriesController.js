@@ -0,0 +1,89 @@
+import {
+  previewSeries,
+  createSeries,
+  getSeries,
+  updateSeriesOccurrences,
+  cancelSeriesOccurrences,
+} from "../service/eventSeries.service.js";
+import { sendResponse } from "../utils/response.js";
+
+const statusFor = (message) => {
+  if (message === "Series not found" || message === "Occurrence not found in this series") return 404;
+  if (message === "You do not have access to this series") return 403;
+  return 400;
+};
+
+// Expand a recurrence rule and report availability for every occurrence, without booking
+export const previewSeriesController = async (req, res) => {
+  try {
+    const result = await previewSeries(req.body || {});
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Series preview generated successfully", result.data);
+  } catch (error) {
+    console.error("Error in previewSeries controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const createSeriesController = async (req, res) => {
+  try {
+    const result = await createSeries(req.body || {}, req.user);
+    if (!result.isValid) {
+      // Conflicts come back so the client can offer skip_conflicts
+      return sendResponse(res, result.data?.conflicts ? 409 : 400, result.errors, result.data);
+    }
+
+    return sendResponse(res, 201, "Event series created successfully", result.data);
+  } catch (error) {
+    console.error("Error in createSeries controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const getSeriesController = async (req, res) => {
+  try {
+    const result = await getSeries(req.params.id, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Event series retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getSeries controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Edit this occurrence, this and following, or all occurrences
+export const updateSeriesOccurrencesController = async (req, res) => {
+  try {
+    const { scope = "this", ...updateData } = req.body || {};
+    const result = await updateSeriesOccurrences(req.params.id, req.params.eventId, scope, updateData, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Series occurrences updated", result.data);
+  } catch (error) {
+    console.error("Error in updateSeriesOccurrences controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const cancelSeriesOccurrencesController = async (req, res) => {
+  try {
+    const { scope = "this", reason } = req.body || {};
+    const result = await cancelSeriesOccurrences(req.params.id, req.params.eventId, scope, req.user, reason);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Series occurrences cancelled", result.data);
+  } catch (error) {
+    console.error("Error in cancelSeriesOccurrences controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
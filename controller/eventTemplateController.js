@@ -0,0 +1,104 @@
+import {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  instantiateTemplate,
+} from "../service/eventTemplate.service.js";
+import { sendResponse } from "../utils/response.js";
+
+const statusFor = (message) => {
+  if (message === "Template not found" || message === "Source event not found") return 404;
+  if (message.startsWith("You are not allowed")) return 403;
+  return 400;
+};
+
+// Own templates plus the global ones
+export const getTemplatesController = async (req, res) => {
+  try {
+    const result = await getTemplates(req.user, { search: req.query.search });
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Event templates retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getTemplates controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const getTemplateByIdController = async (req, res) => {
+  try {
+    const result = await getTemplateById(req.params.id, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Event template retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getTemplateById controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Save a template from fields or from an existing event (from_event_id)
+export const createTemplateController = async (req, res) => {
+  try {
+    const result = await createTemplate(req.body || {}, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 201, "Event template created successfully", result.data);
+  } catch (error) {
+    console.error("Error in createTemplate controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const updateTemplateController = async (req, res) => {
+  try {
+    const result = await updateTemplate(req.params.id, req.body || {}, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Event template updated successfully", result.data);
+  } catch (error) {
+    console.error("Error in updateTemplate controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const deleteTemplateController = async (req, res) => {
+  try {
+    const result = await deleteTemplate(req.params.id, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Event template deleted successfully", result.data);
+  } catch (error) {
+    console.error("Error in deleteTemplate controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Book a new event from a template in one call
+export const instantiateTemplateController = async (req, res) => {
+  try {
+    const result = await instantiateTemplate(req.params.id, req.body || {}, req.user);
+    if (!result.isValid) {
+      // Room or service conflicts come back so the client can retry with skip_conflicts
+      const status = result.data ? 409 : statusFor(result.errors[0]);
+      return sendResponse(res, status, result.errors, result.data);
+    }
+
+    return sendResponse(res, 201, "Event created from template successfully", result.data);
+  } catch (error) {
+    console.error("Error in instantiateTemplate controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
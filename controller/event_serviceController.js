@@ -8,13 +8,54 @@ import {
   checkVariationAvailability
 } from "../service/event_service.service.js";
 import { getEventById, getAllEvents } from "../service/event.service.js";
+import {
+  canAccessEvent,
+  canAccessEventById,
+  notifyEventCollaborators,
+} from "../service/collaborator.service.js";
+
+// Resolve the event behind an event service and check the caller's access to it
+const checkEventServiceAccess = async (eventServiceId, user, ability) => {
+  const existing = await getEventServiceById(eventServiceId);
+  if (!existing.isValid) {
+    return { status: 404, message: "Event service not found", errors: existing.errors };
+  }
+  if (!(await canAccessEvent(existing.data.event, user, ability))) {
+    return { status: 403, message: "Unauthorized: Cannot access this event", errors: [] };
+  }
+  return { eventService: existing.data };
+};
+
+const denyAccess = (res, access) =>
+  res.status(access.status).json({
+    success: false,
+    message: access.message,
+    errors: access.errors,
+  });
 
 // ===== Create Event Service =====
 export const createEventServiceController = async (req, res) => {
   try {
+    if (!(await canAccessEventById(req.body?.event_id, req.user, "edit"))) {
+      return res.status(403).json({
+        success: false,
+        message: "Unauthorized: Cannot edit this event",
+        errors: [],
+      });
+    }
+
     const result = await createEventService(req.body, req.user);
     
     if (result.isValid) {
+      await notifyEventCollaborators(
+        result.data.event_id,
+        {
+          title: "Event Services Changed",
+          message: `"${result.data.service.service_name}" was added to event "${result.data.event.event_name}".`,
+        },
+        req.user.account_id
+      );
+
       res.status(201).json({
         success: true,
         message: "Event service created successfully",
@@ -42,9 +83,34 @@ export const createEventServiceController = async (req, res) => {
 export const updateEventServiceController = async (req, res) => {
   try {
     const { id } = req.params;
+    const access = await checkEventServiceAccess(id, req.user, "edit");
+    if (!access.eventService) return denyAccess(res, access);
+
+    // Moving a service to another event needs edit access there too
+    if (
+      req.body?.event_id !== undefined &&
+      Number(req.body.event_id) !== access.eventService.event_id &&
+      !(await canAccessEventById(req.body.event_id, req.user, "edit"))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Unauthorized: Cannot edit the target event",
+        errors: [],
+      });
+    }
+
     const result = await updateEventService(id, req.body);
     
     if (result.isValid) {
+      await notifyEventCollaborators(
+        access.eventService.event_id,
+        {
+          title: "Event Services Changed",
+          message: `"${access.eventService.service.service_name}" was updated on event "${access.eventService.event.event_name}".`,
+        },
+        req.user.account_id
+      );
+
       res.status(200).json({
         success: true,
         message: "Event service updated successfully",
@@ -101,6 +167,9 @@ export const getAllEventServicesController = async (req, res) => {
 export const getEventServiceByIdController = async (req, res) => {
   try {
     const { id } = req.params;
+    const access = await checkEventServiceAccess(id, req.user, "view");
+    if (!access.eventService) return denyAccess(res, access);
+
     const result = await getEventServiceById(id);
     
     if (result.isValid) {
@@ -130,9 +199,21 @@ export const getEventServiceByIdController = async (req, res) => {
 export const deleteEventServiceController = async (req, res) => {
   try {
     const { id } = req.params;
+    const access = await checkEventServiceAccess(id, req.user, "edit");
+    if (!access.eventService) return denyAccess(res, access);
+
     const result = await deleteEventService(id);
     
     if (result.isValid) {
+      await notifyEventCollaborators(
+        access.eventService.event_id,
+        {
+          title: "Event Services Changed",
+          message: `"${access.eventService.service.service_name}" was removed from event "${access.eventService.event.event_name}".`,
+        },
+        req.user.account_id
+      );
+
       res.status(200).json({
         success: true,
         message: "Event service deleted successfully",
@@ -221,6 +302,14 @@ export const getEventServicesByEventIdController = async (req, res) => {
       });
     }
 
+    if (!(await canAccessEvent(eventResult.data, req.user, "view"))) {
+      return res.status(403).json({
+        success: false,
+        message: "Unauthorized: Cannot access this event",
+        errors: [],
+      });
+    }
+
     // Get event services for this event
     const result = await getAllEventServices({ event_id: eventId });
     
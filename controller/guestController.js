@@ -0,0 +1,141 @@
+import {
+  getGuests,
+  addGuest,
+  importGuests,
+  updateGuest,
+  removeGuest,
+  sendRsvpInvitations,
+  getRsvp,
+  respondToRsvp,
+} from "../service/guest.service.js";
+import { sendResponse } from "../utils/response.js";
+
+const statusFor = (message) => {
+  if (message === "Event not found" || message === "Guest not found") return 404;
+  if (message.startsWith("You do not have access")) return 403;
+  return 400;
+};
+
+// Guest list with its headcount summary (anyone who can view the event)
+export const getGuestsController = async (req, res) => {
+  try {
+    const result = await getGuests(req.params.id, req.user, {
+      status: req.query.status,
+      search: req.query.search,
+    });
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Guests retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getGuests controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Add one guest (owner, editors, or events:write:any)
+export const addGuestController = async (req, res) => {
+  try {
+    const result = await addGuest(req.params.id, req.body || {}, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 201, "Guest added successfully", result.data);
+  } catch (error) {
+    console.error("Error in addGuest controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Import guests from an uploaded CSV file, or CSV text in the "csv" body field
+export const importGuestsController = async (req, res) => {
+  try {
+    const csvText = req.file ? req.file.buffer.toString("utf8") : req.body?.csv;
+    const result = await importGuests(req.params.id, csvText, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 201, `${result.data.imported} guest(s) imported`, result.data);
+  } catch (error) {
+    console.error("Error in importGuests controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const updateGuestController = async (req, res) => {
+  try {
+    const result = await updateGuest(req.params.id, req.params.guestId, req.body || {}, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Guest updated successfully", result.data);
+  } catch (error) {
+    console.error("Error in updateGuest controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const removeGuestController = async (req, res) => {
+  try {
+    const result = await removeGuest(req.params.id, req.params.guestId, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Guest removed successfully", result.data);
+  } catch (error) {
+    console.error("Error in removeGuest controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Email RSVP links to guest_ids, or to every guest who has not answered yet
+export const sendRsvpInvitationsController = async (req, res) => {
+  try {
+    const result = await sendRsvpInvitations(req.params.id, req.body?.guest_ids, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, `${result.data.sent.length} RSVP invitation(s) sent`, result.data);
+  } catch (error) {
+    console.error("Error in sendRsvpInvitations controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Public: what an RSVP link is for, and the current answer
+export const getRsvpController = async (req, res) => {
+  try {
+    const result = await getRsvp(req.query.token);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "RSVP retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getRsvp controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Public: answer an RSVP with { token, rsvp_status, plus_ones, dietary_notes }
+export const respondToRsvpController = async (req, res) => {
+  try {
+    const { token, ...answer } = req.body || {};
+    const result = await respondToRsvp(token, answer);
+    if (!result.isValid) {
+      const status = result.errors[0] === "Sorry, the event is full" ? 409 : 400;
+      return sendResponse(res, status, result.errors);
+    }
+
+    return sendResponse(res, 200, "RSVP recorded successfully", result.data);
+  } catch (error) {
+    console.error("Error in respondToRsvp controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
@@ -0,0 +1,117 @@
+import {
+  startImpersonation,
+  endImpersonation,
+  getImpersonationSessions,
+  getImpersonationAuditLog,
+} from "../service/impersonation.service.js";
+import { sendResponse } from "../utils/response.js";
+import { parseAndValidateId } from "../utils/validation.js";
+
+// Issue a time-boxed, read-only token for viewing the app as another account (admin only)
+export const startImpersonationController = async (req, res) => {
+  try {
+    if (req.user.impersonator) {
+      return sendResponse(res, 403, "Cannot start an impersonation while impersonating");
+    }
+
+    const targetId = parseAndValidateId(req.body?.account_id, "Account ID");
+    if (!targetId) {
+      return sendResponse(res, 400, "Invalid Account ID");
+    }
+
+    const result = await startImpersonation(req.user, targetId, req.body?.reason, req.ip);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 201, "Impersonation started", result.data);
+  } catch (error) {
+    console.error("Error in startImpersonation controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// End the impersonation the current token belongs to
+export const endCurrentImpersonationController = async (req, res) => {
+  try {
+    if (!req.user.impersonator) {
+      return sendResponse(res, 400, "This token is not an impersonation token");
+    }
+
+    const result = await endImpersonation(req.user.impersonator.impersonation_id);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Impersonation ended", result.data);
+  } catch (error) {
+    console.error("Error in endCurrentImpersonation controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// End one of the admin's own impersonation sessions from their normal login
+export const endImpersonationController = async (req, res) => {
+  try {
+    const impersonationId = parseAndValidateId(req.params.impersonationId, "Impersonation ID");
+    if (!impersonationId) {
+      return sendResponse(res, 400, "Invalid Impersonation ID");
+    }
+
+    const result = await endImpersonation(impersonationId, { adminId: req.user.account_id });
+    if (!result.isValid) {
+      return sendResponse(res, 404, result.errors);
+    }
+
+    return sendResponse(res, 200, "Impersonation ended", result.data);
+  } catch (error) {
+    console.error("Error in endImpersonation controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// List impersonation sessions, optionally by admin, target, or only the live ones
+export const getImpersonationSessionsController = async (req, res) => {
+  try {
+    const { admin_id, target_id, activeOnly } = req.query;
+    const adminId = admin_id ? parseAndValidateId(admin_id, "Admin ID") : undefined;
+    const targetId = target_id ? parseAndValidateId(target_id, "Target ID") : undefined;
+    if (adminId === null || targetId === null) {
+      return sendResponse(res, 400, "Invalid account ID filter");
+    }
+
+    const result = await getImpersonationSessions({
+      adminId,
+      targetId,
+      activeOnly: activeOnly === "true",
+    });
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Impersonation sessions retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getImpersonationSessions controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Every request made during one impersonation session
+export const getImpersonationAuditLogController = async (req, res) => {
+  try {
+    const impersonationId = parseAndValidateId(req.params.impersonationId, "Impersonation ID");
+    if (!impersonationId) {
+      return sendResponse(res, 400, "Invalid Impersonation ID");
+    }
+
+    const result = await getImpersonationAuditLog(impersonationId);
+    if (!result.isValid) {
+      return sendResponse(res, 404, result.errors);
+    }
+
+    return sendResponse(res, 200, "Impersonation audit log retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getImpersonationAuditLog controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
@@ -0,0 +1,31 @@
+import { getJobs, runJob } from '../service/scheduler.service.js';
+import { sendResponse } from '../utils/response.js';
+
+// Background jobs with their latest run (jobs:run)
+export const getJobsController = async (req, res) => {
+  try {
+    return sendResponse(res, 200, 'Jobs retrieved successfully', getJobs());
+  } catch (error) {
+    console.error('Error in getJobs controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
+
+// Run a job now instead of waiting for the scheduler (jobs:run)
+export const runJobController = async (req, res) => {
+  try {
+    const result = await runJob(req.params.name);
+
+    if (!result.isValid) {
+      const [message] = result.errors;
+      if (message.startsWith('Unknown job')) return sendResponse(res, 404, message);
+      if (message.endsWith('is already running')) return sendResponse(res, 409, message);
+      return sendResponse(res, 500, result.errors);
+    }
+
+    return sendResponse(res, 200, 'Job completed successfully', result.data);
+  } catch (error) {
+    console.error('Error in runJob controller:', error);
+    return sendResponse(res, 500, 'Internal server error');
+  }
+};
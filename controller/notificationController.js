@@ -3,12 +3,15 @@ import {
     markNotificationAsRead,
 } from "../service/notification.service.js";
 import { sendResponse } from "../utils/response.js";
+import { PERMISSIONS, hasPermission } from "../utils/permissions.js";
 
 // Get all notifications for a user
 export const getAllNotificationsController = async (req, res) => {
   try {
+    // Other accounts' notifications are only visible with notifications:read:any
+    const canReadAny = hasPermission(req.user, PERMISSIONS.NOTIFICATIONS_READ_ANY);
     const filters = {
-      account_id: req.query.account_id || req.user?.account_id,
+      account_id: (canReadAny && req.query.account_id) || req.user.account_id,
       is_read: req.query.is_read === "true" ? true : req.query.is_read === "false" ? false : undefined,
       type: req.query.type,
       page: parseInt(req.query.page) || 1,
@@ -40,7 +43,8 @@ export const getAllNotificationsController = async (req, res) => {
 export const markNotificationAsReadController = async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await markNotificationAsRead(id);
+    const ownerId = hasPermission(req.user, PERMISSIONS.NOTIFICATIONS_READ_ANY) ? null : req.user.account_id;
+    const result = await markNotificationAsRead(id, ownerId);
 
     if (!result.isValid) {
       return sendResponse(res, 400, result.errors);
@@ -7,6 +7,7 @@ import {
 } from '../service/payment.service.js';
 import { sendResponse } from '../utils/response.js';
 import { validateToken } from '../middleware/authMiddleware.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
 
 // Create Payment
 export const createPaymentController = [validateToken, async (req, res) => {
@@ -53,7 +54,7 @@ export const getPaymentByIdController = [validateToken, async (req, res) => {
     if (!result.isValid) {
       return sendResponse(res, 404, result.errors);
     }
-    if (result.data.account_id !== req.user.account_id) {
+    if (result.data.account_id !== req.user.account_id && !hasPermission(req.user, PERMISSIONS.PAYMENTS_READ_ANY)) {
       return sendResponse(res, 403, "Unauthorized: Cannot access this payment");
     }
     return sendResponse(res, 200, "Payment retrieved successfully", result.data);
@@ -66,7 +67,10 @@ export const getPaymentByIdController = [validateToken, async (req, res) => {
 // Get All Payments
 export const getAllPaymentsController = [validateToken, async (req, res) => {
   try {
-    const filters = { ...req.query, account_id: req.user.account_id };
+    // Listing every account's payments requires payments:read:any
+    const filters = hasPermission(req.user, PERMISSIONS.PAYMENTS_READ_ANY)
+      ? { ...req.query }
+      : { ...req.query, account_id: req.user.account_id };
     const result = await getAllPayments(filters);
 
     if (!result.isValid) {
@@ -0,0 +1,65 @@
+import {
+  getPermissionCatalogue,
+  getRolePermissions,
+  setRolePermissions,
+} from "../service/permission.service.js";
+import { sendResponse } from "../utils/response.js";
+
+// List every permission in the catalogue
+export const getPermissionCatalogueController = async (req, res) => {
+  try {
+    const result = await getPermissionCatalogue();
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Permissions retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getPermissionCatalogue controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// List the permissions granted to each role
+export const getRolePermissionsController = async (req, res) => {
+  try {
+    const result = await getRolePermissions();
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Role permissions retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getRolePermissions controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Replace the permissions granted to a role
+export const setRolePermissionsController = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    const result = await setRolePermissions(role, permissions);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Role permissions updated successfully", result.data);
+  } catch (error) {
+    console.error("Error in setRolePermissions controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Permissions of the authenticated user (lets clients show or hide actions)
+export const getMyPermissionsController = async (req, res) => {
+  return sendResponse(res, 200, "Permissions retrieved successfully", {
+    role: req.user.role,
+    permissions: req.user.permissions,
+    // Granted to the role but held back until this session passes two-factor sign-in
+    withheld_permissions: req.user.withheld_permissions || [],
+    impersonator: req.user.impersonator || null,
+  });
+};
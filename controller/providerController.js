@@ -0,0 +1,73 @@
+import {
+  getProviderServices,
+  getProviderBookings,
+  respondToBooking,
+} from "../service/provider.service.js";
+import { sendResponse } from "../utils/response.js";
+
+const BOOKING_STATUSES = ["CONFIRMED", "PENDING", "CANCELLED", "DECLINED"];
+
+// Services provided by the authenticated account
+export const getMyServicesController = async (req, res) => {
+  try {
+    const result = await getProviderServices(req.user.account_id);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Services retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getMyServices controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Bookings of the authenticated provider's services, optionally by status and date range
+export const getMyBookingsController = async (req, res) => {
+  try {
+    const { status, from, to } = req.query;
+
+    if (status && !BOOKING_STATUSES.includes(status)) {
+      return sendResponse(res, 400, `Status must be one of: ${BOOKING_STATUSES.join(", ")}`);
+    }
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return sendResponse(res, 400, "from and to must be valid dates");
+    }
+
+    const result = await getProviderBookings(req.user.account_id, { status, from, to });
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Bookings retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getMyBookings controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+const respond = (decision) => async (req, res) => {
+  try {
+    const result = await respondToBooking(req.params.id, req.user, decision, req.body?.note);
+    if (!result.isValid) {
+      const [message] = result.errors;
+      if (message === "Booking not found") return sendResponse(res, 404, message);
+      if (message.startsWith("You can only")) return sendResponse(res, 403, message);
+      if (message.startsWith("Booking is already")) return sendResponse(res, 409, message);
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(
+      res,
+      200,
+      decision === "accept" ? "Booking accepted successfully" : "Booking declined successfully",
+      result.data
+    );
+  } catch (error) {
+    console.error(`Error in ${decision}Booking controller:`, error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const acceptBookingController = respond("accept");
+export const declineBookingController = respond("decline");
@@ -0,0 +1,135 @@
+import {
+  createQuote,
+  reviseQuote,
+  sendQuote,
+  getQuotes,
+  getQuoteById,
+  getQuoteByToken,
+  acceptQuote,
+  declineQuote,
+} from "../service/quote.service.js";
+import { sendResponse } from "../utils/response.js";
+
+const statusFor = (message) => {
+  if (message === "Quote not found") return 404;
+  if (message.startsWith("You are not allowed") || message.startsWith("This quote was sent to")) return 403;
+  return 400;
+};
+
+export const getQuotesController = async (req, res) => {
+  try {
+    const result = await getQuotes(req.user, req.query);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Quotes retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getQuotes controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const getQuoteByIdController = async (req, res) => {
+  try {
+    const result = await getQuoteById(req.params.id, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Quote retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getQuoteById controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Draft a quote (quotes:write)
+export const createQuoteController = async (req, res) => {
+  try {
+    const result = await createQuote(req.body || {}, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 201, "Quote created successfully", result.data);
+  } catch (error) {
+    console.error("Error in createQuote controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Edit a draft, or add a new version of a sent quote (quotes:write)
+export const reviseQuoteController = async (req, res) => {
+  try {
+    const result = await reviseQuote(req.params.id, req.body || {}, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Quote revised successfully", result.data);
+  } catch (error) {
+    console.error("Error in reviseQuote controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Email the acceptance link (quotes:write)
+export const sendQuoteController = async (req, res) => {
+  try {
+    const result = await sendQuote(req.params.id, req.body || {}, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Quote sent successfully", result.data);
+  } catch (error) {
+    console.error("Error in sendQuote controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Public view of a sent quote (token from the emailed link)
+export const getQuoteByTokenController = async (req, res) => {
+  try {
+    const result = await getQuoteByToken(req.query.token);
+    if (!result.isValid) {
+      return sendResponse(res, 404, result.errors);
+    }
+
+    return sendResponse(res, 200, "Quote retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getQuoteByToken controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const acceptQuoteController = async (req, res) => {
+  try {
+    const result = await acceptQuote(req.body?.token, req.user);
+    if (!result.isValid) {
+      // Room or service conflicts come back so staff can revise the quote
+      const status = result.data ? 409 : statusFor(result.errors[0]);
+      return sendResponse(res, status, result.errors, result.data);
+    }
+
+    return sendResponse(res, 201, "Quote accepted and event booked successfully", result.data);
+  } catch (error) {
+    console.error("Error in acceptQuote controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const declineQuoteController = async (req, res) => {
+  try {
+    const result = await declineQuote(req.body?.token, req.user, req.body?.reason);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Quote declined", result.data);
+  } catch (error) {
+    console.error("Error in declineQuote controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
@@ -190,12 +190,21 @@ export const checkRoomAvailabilityController = async (req, res) => {
     const start_time = req.query.start_time;
     const end_time = req.query.end_time;
     const duration_hours = req.query.duration_hours;
+    // Optional: ignore the event being rescheduled, and whether PENDING events count as holds
+    const exclude_event_id = req.query.exclude_event_id || null;
+    const include_pending = req.query.include_pending;
 
     const result = await checkRoomAvailability(
       id,
       start_time,
       end_time,
-      duration_hours
+      duration_hours,
+      exclude_event_id,
+      undefined,
+      {
+        includePendingHolds:
+          include_pending === undefined ? undefined : include_pending === 'true',
+      }
     );
 
     if (!result.isValid) {
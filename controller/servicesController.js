@@ -16,6 +16,14 @@ import {
 import { sendResponse } from '../utils/response.js';
 import { isValidId } from '../utils/validation.js';
 import { validateToken } from '../middleware/authMiddleware.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+// Providers always own what they create; catalogue admins may assign a provider
+const resolveProviderId = (req) => {
+  if (!hasPermission(req.user, PERMISSIONS.SERVICES_WRITE_ANY)) return req.user.account_id;
+  if (req.body.provider_id === undefined) return undefined;
+  return req.body.provider_id ? Number(req.body.provider_id) : null;
+};
+
 export const createService = async (req, res) => {
   try {
     const validation = validateServiceData(req.body, req.files); // pass files array
@@ -25,7 +33,8 @@ export const createService = async (req, res) => {
 
     const result = await createServiceQuery(
       validation.sanitizedData,
-      req.files
+      req.files,
+      resolveProviderId(req) ?? null
     );
     if (!result.isValid) return sendResponse(res, 500, result.errors);
     return sendResponse(res, 201, 'Service created successfully', result.data);
@@ -81,10 +90,15 @@ export const updateService = async (req, res) => {
 
     if (!validation.isValid) return sendResponse(res, 422, validation.errors);
 
+    // Ownership is checked by the route; only admins may hand a service to another provider
+    const providerId = hasPermission(req.user, PERMISSIONS.SERVICES_WRITE_ANY)
+      ? resolveProviderId(req)
+      : undefined;
     const result = await updateServiceQuery(
       parseInt(id),
       validation.sanitizedData,
-      req.files
+      req.files,
+      providerId
     );
     if (!result.isValid) return sendResponse(res, 500, result.errors);
     return sendResponse(res, 200, 'Service updated successfully', result.data);
@@ -135,8 +149,8 @@ export const bulkUpdateServices = [
   validateToken,
   async (req, res) => {
     try {
-      if (req.user.role.toLowerCase() !== 'admin') {
-        return sendResponse(res, 403, 'Forbidden: Admin access required');
+      if (!hasPermission(req.user, PERMISSIONS.SERVICES_WRITE_ANY)) {
+        return sendResponse(res, 403, 'Forbidden: services:write:any permission required');
       }
 
       const { serviceIds, updateData } = req.body;
@@ -0,0 +1,166 @@
+import {
+  getMySchedule,
+  getMyAvailability,
+  setMyAvailability,
+  addTimeOff,
+  removeTimeOff,
+  getRoster,
+  getEventStaff,
+  assignStaff,
+  updateAssignment,
+  removeAssignment,
+} from "../service/staff.service.js";
+import { sendResponse } from "../utils/response.js";
+
+const statusFor = (message) => {
+  if (message.endsWith("not found") || message.startsWith("Event service not found")) return 404;
+  if (message.startsWith("You do not have access")) return 403;
+  return 400;
+};
+
+// ===== Own schedule (STAFF) =====
+export const getMyScheduleController = async (req, res) => {
+  try {
+    const result = await getMySchedule(req.user, req.query);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Schedule retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getMySchedule controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const getMyAvailabilityController = async (req, res) => {
+  try {
+    const result = await getMyAvailability(req.user);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Availability retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getMyAvailability controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Replace weekly hours: { windows: [{ weekday, start, end }] }
+export const setMyAvailabilityController = async (req, res) => {
+  try {
+    const result = await setMyAvailability(req.user, req.body?.windows);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Availability updated successfully", result.data);
+  } catch (error) {
+    console.error("Error in setMyAvailability controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const addTimeOffController = async (req, res) => {
+  try {
+    const result = await addTimeOff(req.user, req.body || {});
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 201, "Time off recorded", result.data);
+  } catch (error) {
+    console.error("Error in addTimeOff controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const removeTimeOffController = async (req, res) => {
+  try {
+    const result = await removeTimeOff(req.user, req.params.id);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Time off removed", result.data);
+  } catch (error) {
+    console.error("Error in removeTimeOff controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// ===== Roster (staff:manage) =====
+export const getRosterController = async (req, res) => {
+  try {
+    const result = await getRoster(req.query);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Roster retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getRoster controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// ===== Event assignments =====
+export const getEventStaffController = async (req, res) => {
+  try {
+    const result = await getEventStaff(req.params.id, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Event staff retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getEventStaff controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const assignStaffController = async (req, res) => {
+  try {
+    const result = await assignStaff(req.params.id, req.body || {}, req.user);
+    if (!result.isValid) {
+      // Clashes with other assignments, time off or declared hours; resend with force to assign anyway
+      const status = result.data ? 409 : statusFor(result.errors[0]);
+      return sendResponse(res, status, result.errors, result.data);
+    }
+
+    return sendResponse(res, 201, "Staff assigned successfully", result.data);
+  } catch (error) {
+    console.error("Error in assignStaff controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const updateAssignmentController = async (req, res) => {
+  try {
+    const result = await updateAssignment(req.params.id, req.params.assignmentId, req.body || {}, req.user);
+    if (!result.isValid) {
+      const status = result.data ? 409 : statusFor(result.errors[0]);
+      return sendResponse(res, status, result.errors, result.data);
+    }
+
+    return sendResponse(res, 200, "Assignment updated successfully", result.data);
+  } catch (error) {
+    console.error("Error in updateAssignment controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const removeAssignmentController = async (req, res) => {
+  try {
+    const result = await removeAssignment(req.params.id, req.params.assignmentId, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Assignment removed successfully", result.data);
+  } catch (error) {
+    console.error("Error in removeAssignment controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
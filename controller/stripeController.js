@@ -4,15 +4,31 @@ import {
   createStripeCheckoutSession,
   stripeCallbackHandler,
 } from '../service/payment.service.js';
-import { updateInvoice } from '../service/invoice.service.js';
+import { updateInvoice, invoiceWhereForEvent } from '../service/invoice.service.js';
 import { createValidationResult } from '../utils/validation.js';
 import { sendResponse } from '../utils/response.js';
 import { validateToken } from '../middleware/authMiddleware.js';
 import { createNotification } from '../utils/notification.js';
+import { AUTH_ERROR_CODES } from '../utils/errorCodes.js';
+import { convertCurrency } from '../utils/currency.js';
+import { canAccessEvent } from '../service/collaborator.service.js';
+import { transitionEventStatus } from '../service/eventLifecycle.service.js';
 
 const prisma = new PrismaClient();
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || undefined);
 
+// Everything billed so far has now been paid
+const markInvoiceSettled = async (tx, invoiceId) => {
+  const invoice = await tx.invoice.findUnique({
+    where: { invoice_id: invoiceId },
+    select: { total_amount: true },
+  });
+  await tx.invoice.update({
+    where: { invoice_id: invoiceId },
+    data: { amount_paid: invoice.total_amount },
+  });
+};
+
 // Create Stripe Checkout Session
 export const createCheckoutSession = [
   validateToken,
@@ -36,6 +52,15 @@ export const createCheckoutSession = [
         );
       }
 
+      if (!req.user.email_verified) {
+        return sendResponse(
+          res,
+          403,
+          'Please verify your email address before making a booking payment',
+          { code: AUTH_ERROR_CODES.EMAIL_NOT_VERIFIED }
+        );
+      }
+
       const event = await prisma.event.findUnique({
         where: { event_id: Number(event_id) },
         select: {
@@ -43,6 +68,7 @@ export const createCheckoutSession = [
           account_id: true,
           status: true,
           estimated_cost: true,
+          series_id: true,
           room: {
             select: { room_id: true, room_name: true, base_price: true },
           },
@@ -69,31 +95,46 @@ export const createCheckoutSession = [
       if (!event || event.status === 'CANCELLED') {
         return sendResponse(res, 404, 'Event not found or cancelled');
       }
-      if (event.account_id !== Number(userId)) {
+      // The owner or a collaborator with the payer role may settle the invoice
+      if (!(await canAccessEvent(event, req.user, 'pay'))) {
         return sendResponse(res, 403, 'Event does not belong to user');
       }
 
-      const totalAmount = convertCurrency(Number(event.estimated_cost));
-
-      const invoice = await prisma.invoice.findUnique({
-        where: { event_id: Number(event_id) },
+      const invoice = await prisma.invoice.findFirst({
+        where: invoiceWhereForEvent(event),
         select: {
           invoice_id: true,
           total_amount: true,
           status: true,
           account_id: true,
+          invoice_number: true,
+          amount_paid: true,
+          series_id: true,
+          details: { select: { item_name: true, quantity: true, unit_price: true, item_type: true } },
         },
       });
       if (!invoice) {
         return sendResponse(res, 404, 'Invoice not found');
       }
-      if (invoice.status === 'PAID') {
+      // A paid invoice can owe a balance again, e.g. after a reschedule fee
+      const balance = Number(invoice.total_amount) - Number(invoice.amount_paid || 0);
+      if (invoice.status === 'PAID' || balance <= 0) {
         return sendResponse(res, 400, 'Invoice already paid');
       }
-      if (invoice.account_id !== Number(userId)) {
-        return sendResponse(res, 403, 'Invoice does not belong to user');
+      if (invoice.account_id !== event.account_id) {
+        return sendResponse(res, 403, 'Invoice does not belong to event owner');
       }
 
+      const partlyPaid = Number(invoice.amount_paid || 0) > 0;
+      const feeTotal = invoice.details
+        .filter((detail) => detail.item_type === 'OTHER')
+        .reduce((sum, detail) => sum + Number(detail.unit_price) * detail.quantity, 0);
+
+      // A consolidated series invoice covers every occurrence, not just this event
+      const totalAmount = convertCurrency(
+        partlyPaid || invoice.series_id ? balance : Number(event.estimated_cost) + feeTotal
+      );
+
       if (totalAmount > Number(invoice.total_amount)) {
         return sendResponse(res, 400, 'Cart total exceeds invoice total');
       }
@@ -128,7 +169,24 @@ export const createCheckoutSession = [
         quantity: 1,
       };
 
-      const lineItems = [roomItem, ...serviceItems];
+      const detailItem = (detail) => ({
+        price_data: {
+          currency,
+          product_data: { name: detail.item_name },
+          unit_amount: Math.round(convertCurrency(Number(detail.unit_price)) * 100),
+        },
+        quantity: detail.quantity,
+      });
+
+      let lineItems;
+      if (partlyPaid) {
+        lineItems = [detailItem({ item_name: `Balance for ${invoice.invoice_number}`, unit_price: balance, quantity: 1 })];
+      } else if (invoice.series_id) {
+        lineItems = invoice.details.map(detailItem);
+      } else {
+        const feeItems = invoice.details.filter((detail) => detail.item_type === 'OTHER').map(detailItem);
+        lineItems = [roomItem, ...serviceItems, ...feeItems];
+      }
 
       // Use your payment service to create the Stripe session
       const stripeResponse = await createStripeCheckoutSession(
@@ -236,14 +294,44 @@ export const stripeCallback = async (req, res) => {
             ...invoiceUpdate.errors,
           ]);
         }
+        await markInvoiceSettled(tx, payment.invoice_id);
       }
 
       if (payment.event_id) {
-        const eventUpdate = await tx.event.update({
+        const eventUpdate = await tx.event.findUnique({
           where: { event_id: payment.event_id },
-          data: { status: 'CONFIRMED' },
+          select: { event_name: true, status: true },
         });
 
+        // A paid invoice confirms the event; if a guard still refuses (e.g. the room was
+        // taken meanwhile) the payment stands and staff resolve the event by hand.
+        // A consolidated series invoice confirms every open occurrence of the series.
+        const invoice = payment.invoice_id
+          ? await tx.invoice.findUnique({
+              where: { invoice_id: payment.invoice_id },
+              select: { series_id: true },
+            })
+          : null;
+        const toConfirm = invoice?.series_id
+          ? await tx.event.findMany({
+              where: { series_id: invoice.series_id, status: { in: ['PENDING', 'RESCHEDULED'] } },
+              select: { event_id: true },
+            })
+          : ['PENDING', 'RESCHEDULED'].includes(eventUpdate.status)
+            ? [{ event_id: payment.event_id }]
+            : [];
+
+        for (const { event_id } of toConfirm) {
+          const transition = await transitionEventStatus(event_id, 'CONFIRMED', {
+            source: 'PAYMENT',
+            reason: 'Invoice paid',
+            tx,
+          });
+          if (!transition.isValid) {
+            console.warn(`Paid event ${event_id} could not be confirmed:`, transition.errors);
+          }
+        }
+
         const notification = await createNotification(
           {
             account_id: payment.account_id,
@@ -334,6 +422,7 @@ export const checkSession = async (req, res) => {
               ...invoiceUpdate.errors,
             ]);
           }
+          await markInvoiceSettled(tx, payment.invoice_id);
         }
 
         return createValidationResult(true, [], {
@@ -369,6 +458,3 @@ export const checkSession = async (req, res) => {
   }
 };
 
-const convertCurrency = (amount) => {
-  return Math.round(amount / 23000);
-};
@@ -0,0 +1,66 @@
+import { getTickets, writeTicketsPdf, getAttendance, checkInGuest } from "../service/ticket.service.js";
+import { sendResponse } from "../utils/response.js";
+
+const statusFor = (message) => {
+  if (message === "Event not found" || message === "Guest not found") return 404;
+  if (message.startsWith("You do not have access")) return 403;
+  return 400;
+};
+
+const sendTickets = async (req, res, guestId) => {
+  try {
+    const result = await getTickets(req.params.id, req.user, guestId);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    const filename = guestId ? `ticket-${req.params.id}-${guestId}` : `tickets-${req.params.id}`;
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${filename}.pdf"`,
+    });
+    return await writeTicketsPdf(result.data, res);
+  } catch (error) {
+    console.error("Error in tickets controller:", error);
+    if (res.headersSent) return res.end();
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// PDF with a QR-code ticket for every attending guest (owner, editors, or events:write:any)
+export const getEventTicketsController = (req, res) => sendTickets(req, res, null);
+
+// PDF with one guest's ticket
+export const getGuestTicketController = (req, res) => sendTickets(req, res, req.params.guestId);
+
+// Scan a ticket at the door (events:check-in)
+export const checkInController = async (req, res) => {
+  try {
+    const result = await checkInGuest(req.params.id, req.body?.token, req.user);
+    if (!result.isValid) {
+      // A repeat scan says when the guest first arrived
+      if (result.data) return sendResponse(res, 409, result.errors, result.data);
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Guest checked in successfully", result.data);
+  } catch (error) {
+    console.error("Error in checkIn controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Live attendance count (events:check-in)
+export const getAttendanceController = async (req, res) => {
+  try {
+    const result = await getAttendance(req.params.id);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Attendance retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getAttendance controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
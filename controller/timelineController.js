@@ -0,0 +1,58 @@
+import { getTimeline, setDependency, writeRunSheetPdf } from "../service/timeline.service.js";
+import { sendResponse } from "../utils/response.js";
+
+const statusFor = (message) => {
+  if (message === "Event not found" || message === "Event service not found") return 404;
+  if (message.startsWith("You do not have access")) return 403;
+  return 400;
+};
+
+// Services of an event in running order, with window, overlap and dependency flags
+export const getTimelineController = async (req, res) => {
+  try {
+    const result = await getTimeline(req.params.id, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Event timeline retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getTimeline controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Printable run sheet (PDF)
+export const getRunSheetController = async (req, res) => {
+  try {
+    const result = await getTimeline(req.params.id, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="run-sheet-${result.data.event_id}.pdf"`,
+    });
+    return writeRunSheetPdf(result.data, res);
+  } catch (error) {
+    console.error("Error in getRunSheet controller:", error);
+    if (res.headersSent) return res.end();
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Make a service wait for another ({ depends_on_id }, null to clear)
+export const setDependencyController = async (req, res) => {
+  try {
+    const result = await setDependency(req.params.id, req.params.eventServiceId, req.body?.depends_on_id ?? null, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Dependency updated successfully", result.data);
+  } catch (error) {
+    console.error("Error in setDependency controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
@@ -0,0 +1,150 @@
+import {
+  joinWaitlist,
+  getMyWaitlist,
+  getWaitlistEntry,
+  leaveWaitlist,
+  claimWaitlistOffer,
+  getWaitlist,
+  updateWaitlistEntry,
+  offerWaitlistEntry,
+  runWaitlistQueue,
+} from "../service/waitlist.service.js";
+import { sendResponse } from "../utils/response.js";
+
+const statusFor = (message) => {
+  if (message.endsWith("not found")) return 404;
+  return 400;
+};
+
+// Queue for a busy room or service variation
+export const joinWaitlistController = async (req, res) => {
+  try {
+    const result = await joinWaitlist(req.body || {}, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 201, "Added to the waitlist", result.data);
+  } catch (error) {
+    console.error("Error in joinWaitlist controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const getMyWaitlistController = async (req, res) => {
+  try {
+    const result = await getMyWaitlist(req.user);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Waitlist entries retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getMyWaitlist controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const getWaitlistEntryController = async (req, res) => {
+  try {
+    const result = await getWaitlistEntry(req.params.id, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Waitlist entry retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getWaitlistEntry controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const leaveWaitlistController = async (req, res) => {
+  try {
+    const result = await leaveWaitlist(req.params.id, req.user);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Removed from the waitlist", result.data);
+  } catch (error) {
+    console.error("Error in leaveWaitlist controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+export const claimWaitlistOfferController = async (req, res) => {
+  try {
+    const result = await claimWaitlistOffer(req.params.id, req.user);
+    if (!result.isValid) {
+      // The slot was taken after all; the entry is back in line
+      const status = result.data ? 409 : statusFor(result.errors[0]);
+      return sendResponse(res, status, result.errors, result.data);
+    }
+
+    return sendResponse(res, 201, "Offer claimed and booked successfully", result.data);
+  } catch (error) {
+    console.error("Error in claimWaitlistOffer controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Queues across rooms and variations (waitlist:manage)
+export const getWaitlistController = async (req, res) => {
+  try {
+    const result = await getWaitlist(req.query);
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Waitlist retrieved successfully", result.data);
+  } catch (error) {
+    console.error("Error in getWaitlist controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Change an entry's priority or notes (waitlist:manage)
+export const updateWaitlistEntryController = async (req, res) => {
+  try {
+    const result = await updateWaitlistEntry(req.params.id, req.body || {});
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Waitlist entry updated successfully", result.data);
+  } catch (error) {
+    console.error("Error in updateWaitlistEntry controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Offer a free slot to this entry out of turn (waitlist:manage)
+export const offerWaitlistEntryController = async (req, res) => {
+  try {
+    const result = await offerWaitlistEntry(req.params.id);
+    if (!result.isValid) {
+      return sendResponse(res, statusFor(result.errors[0]), result.errors);
+    }
+
+    return sendResponse(res, 200, "Offer sent", result.data);
+  } catch (error) {
+    console.error("Error in offerWaitlistEntry controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
+
+// Run a room's or variation's queue now (waitlist:manage)
+export const runWaitlistQueueController = async (req, res) => {
+  try {
+    const result = await runWaitlistQueue(req.body || {});
+    if (!result.isValid) {
+      return sendResponse(res, 400, result.errors);
+    }
+
+    return sendResponse(res, 200, "Waitlist processed", result.data);
+  } catch (error) {
+    console.error("Error in runWaitlistQueue controller:", error);
+    return sendResponse(res, 500, "Internal server error");
+  }
+};
@@ -3,7 +3,18 @@ import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
 import { PrismaClient } from "@prisma/client";
 import { sendResponse } from "../utils/response.js";
-import { isAdmin, isStaffOrAdmin } from "../utils/authenticateRequest.js";
+import { getActiveSession } from "../service/session.service.js";
+import { isTwoFactorRequired } from "../service/twoFactor.service.js";
+import { checkIpAllowed, recordTokenFailure } from "../service/loginProtection.service.js";
+import { getPermissionsForRole } from "../service/permission.service.js";
+import { checkServiceOwnership } from "../service/provider.service.js";
+import {
+  getActiveImpersonation,
+  isBlockedWhileImpersonating,
+  recordImpersonationRequest,
+} from "../service/impersonation.service.js";
+import { hasPermission } from "../utils/permissions.js";
+import { AUTH_ERROR_CODES } from "../utils/errorCodes.js";
 
 dotenv.config();
 const prisma = new PrismaClient();
@@ -20,6 +31,67 @@ const TOKEN_ERRORS = {
   USER_NOT_FOUND: "Access denied. User not found.",
   USER_BANNED: "Access denied. Account has been banned.",
   NOT_AUTHENTICATED: "Access denied. User not authenticated.",
+  SESSION_REVOKED: "Access denied. Session has expired or been revoked.",
+  TOO_MANY_ATTEMPTS: "Too many failed authentication attempts. Please try again later.",
+  IMPERSONATION_ENDED: "Access denied. Impersonation session has ended or expired.",
+  IMPERSONATION_READ_ONLY: "Action blocked. Changes cannot be made while impersonating a user.",
+};
+
+// ✅ Impersonation tokens: the admin sees exactly what the target sees, read-only, and
+// every request is written to the audit log
+const authenticateImpersonation = async (req, res, next, decoded) => {
+  const impersonation = await getActiveImpersonation(decoded);
+  if (!impersonation) return sendResponse(res, 401, TOKEN_ERRORS.IMPERSONATION_ENDED);
+
+  const { target, admin } = impersonation;
+  req.user = {
+    account_id: target.account_id,
+    email: target.email,
+    role: target.role,
+    account_name: target.account_name,
+    email_verified: target.email_verified,
+    session_id: null,
+    two_factor_verified: false,
+    permissions: await getPermissionsForRole(target.role),
+    impersonator: {
+      account_id: admin.account_id,
+      account_name: admin.account_name,
+      impersonation_id: impersonation.impersonation_id,
+    },
+  };
+
+  // Routes may run validateToken more than once; audit each request a single time
+  if (res.locals.impersonationAudited) return next();
+  res.locals.impersonationAudited = true;
+
+  const path = req.originalUrl.split("?")[0];
+  const audit = {
+    impersonationId: impersonation.impersonation_id,
+    method: req.method,
+    path,
+    ipAddress: req.ip || req.socket?.remoteAddress,
+  };
+
+  if (isBlockedWhileImpersonating(req.method, path)) {
+    await recordImpersonationRequest({ ...audit, statusCode: 403, blocked: true });
+    return sendResponse(res, 403, TOKEN_ERRORS.IMPERSONATION_READ_ONLY, {
+      code: AUTH_ERROR_CODES.IMPERSONATION_READ_ONLY,
+    });
+  }
+
+  res.on("finish", () => {
+    recordImpersonationRequest({ ...audit, statusCode: res.statusCode, blocked: false });
+  });
+  next();
+};
+
+// ✅ Privileged roles get their permissions only once this session has passed the second factor.
+// Until then they are withheld, so inline hasPermission checks in services fail as well, and
+// requirePermission can still tell the client to finish two-factor sign-in.
+const sessionPermissions = async (role, twoFactorVerified) => {
+  const permissions = await getPermissionsForRole(role);
+  if (!isTwoFactorRequired(role) || twoFactorVerified) return { permissions };
+  return { permissions: [], withheld_permissions: permissions };
 };
 
 // ✅ Main token validator (no refresh, no cookies)
@@ -31,14 +103,29 @@ export const validateToken = async (req, res, next) => {
     }
 
     const token = authHeader.split(" ")[1];
-    let decoded;
+    const clientIp = req.ip || req.socket?.remoteAddress;
 
+    let decoded;
     try {
       decoded = jwt.verify(token, JWT_SECRET);
     } catch (err) {
+      // Bad tokens count against the IP in the store shared with login protection. Only failed
+      // verifications consult it, so a throttled IP never locks out the valid sessions behind it.
+      const gate = await checkIpAllowed(clientIp);
+      if (!gate.allowed) {
+        res.set("Retry-After", String(gate.retryAfterSeconds));
+        return sendResponse(res, 429, TOKEN_ERRORS.TOO_MANY_ATTEMPTS, {
+          code: gate.code,
+          retry_after: gate.retryAfterSeconds,
+        });
+      }
+      // Expired tokens are routine (the client refreshes); forged or mangled ones are not
+      if (err.name !== "TokenExpiredError") await recordTokenFailure(clientIp);
       return sendResponse(res, 401, TOKEN_ERRORS.INVALID_TOKEN);
     }
 
+    if (decoded.imp) return await authenticateImpersonation(req, res, next, decoded);
+
     const user = await prisma.account.findFirst({
       where: {
         account_id: decoded.account_id,
@@ -50,17 +137,25 @@ export const validateToken = async (req, res, next) => {
         role: true,
         account_name: true,
         is_active: true,
+        email_verified: true,
       },
     });
 
     if (!user) return sendResponse(res, 401, TOKEN_ERRORS.USER_NOT_FOUND);
     if (!user.is_active) return sendResponse(res, 403, TOKEN_ERRORS.USER_BANNED);
 
+    const session = await getActiveSession(decoded.sid, user.account_id);
+    if (!session) return sendResponse(res, 401, TOKEN_ERRORS.SESSION_REVOKED);
+
     req.user = {
       account_id: user.account_id,
       email: user.email,
       role: user.role,
       account_name: user.account_name,
+      email_verified: user.email_verified,
+      session_id: session.session_id,
+      two_factor_verified: session.two_factor_verified,
+      ...(await sessionPermissions(user.role, session.two_factor_verified)),
     };
 
     next();
@@ -80,6 +175,8 @@ export const validateTokenLite = (req, res, next) => {
   const token = authHeader.split(" ")[1];
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
+    // Impersonation needs the session lookup and audit trail of validateToken
+    if (decoded.imp) return sendResponse(res, 401, TOKEN_ERRORS.INVALID_TOKEN);
     req.user = decoded;
     next();
   } catch (err) {
@@ -98,6 +195,8 @@ export const validateTokenOptional = async (req, res, next) => {
   const token = authHeader.split(" ")[1];
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.imp) return await authenticateImpersonation(req, res, next, decoded);
+
     const user = await prisma.account.findFirst({
       where: { account_id: decoded.account_id, is_active: true },
       select: {
@@ -107,7 +206,16 @@ export const validateTokenOptional = async (req, res, next) => {
         account_name: true,
       },
     });
-    req.user = user || decoded;
+    const session = user ? await getActiveSession(decoded.sid, user.account_id) : null;
+    req.user =
+      user && session
+        ? {
+            ...user,
+            session_id: session.session_id,
+            two_factor_verified: session.two_factor_verified,
+            ...(await sessionPermissions(user.role, session.two_factor_verified)),
+          }
+        : null;
   } catch (err) {
     req.user = null;
   }
@@ -115,74 +223,54 @@ export const validateTokenOptional = async (req, res, next) => {
   next();
 };
 
-// ✅ Rate-limited version
-export const validateTokenWithRateLimit = (maxAttempts = 5, windowMs = 60000) => {
-  const attempts = new Map();
-
-  return async (req, res, next) => {
-    const clientIp = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
-
-    // Clean up expired attempts
-    for (const [ip, data] of attempts.entries()) {
-      if (now - data.firstAttempt > windowMs) {
-        attempts.delete(ip);
-      }
-    }
-
-    const clientAttempts = attempts.get(clientIp) || { count: 0, firstAttempt: now };
-
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      clientAttempts.count++;
-      attempts.set(clientIp, clientAttempts);
-      return sendResponse(res, 401, TOKEN_ERRORS.NO_TOKEN);
-    }
-
-    const token = authHeader.split(" ")[1];
-    try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      req.user = decoded;
-      attempts.delete(clientIp);
-      next();
-    } catch (err) {
-      clientAttempts.count++;
-      attempts.set(clientIp, clientAttempts);
-      return sendResponse(res, 401, TOKEN_ERRORS.INVALID_TOKEN);
-    }
-  };
+// ✅ The permission is the role's, but withheld until this session passes the second factor
+const rejectWithoutSecondFactor = (req, res, permissions) => {
+  if (!req.user.withheld_permissions?.some((key) => permissions.includes(key))) return false;
+  sendResponse(
+    res,
+    403,
+    "Access denied. Two-factor authentication is required for this role.",
+    { code: AUTH_ERROR_CODES.TWO_FACTOR_ENROLLMENT_REQUIRED }
+  );
+  return true;
 };
 
-// ✅ Role validations
-export const validateAdmin = (req, res, next) => {
+// ✅ Permission validation: passes when the role holds any of the given permissions
+export const requirePermission = (...permissions) => (req, res, next) => {
   if (!req.user) return sendResponse(res, 401, TOKEN_ERRORS.NOT_AUTHENTICATED);
-  if (!isAdmin(req)) {
-    return sendResponse(res, 403, "Access denied. Admin privileges required.");
+  if (!hasPermission(req.user, ...permissions)) {
+    if (rejectWithoutSecondFactor(req, res, permissions)) return;
+    return sendResponse(res, 403, `Access denied. Required permission: ${permissions.join(" or ")}`);
   }
   next();
 };
 
-export const validateStaffOrAdmin = (req, res, next) => {
+// ✅ Ownership validation for provider-managed catalogue data. The resolver maps the
+// request to the service id(s) it touches (e.g. via a variation or pricing tier).
+export const requireServiceOwnership = (resolveServiceIds) => async (req, res, next) => {
   if (!req.user) return sendResponse(res, 401, TOKEN_ERRORS.NOT_AUTHENTICATED);
-  if (!isStaffOrAdmin(req)) {
-    return sendResponse(res, 403, "Access denied. Staff or Admin privileges required.");
+  try {
+    const resolved = await resolveServiceIds(req);
+    const serviceIds = Array.isArray(resolved) ? resolved : [resolved];
+
+    const result = await checkServiceOwnership(req.user, serviceIds);
+    if (!result.isValid) {
+      const status = result.errors.includes("Service not found") ? 404 : 403;
+      return sendResponse(res, status, result.errors);
+    }
+    next();
+  } catch (err) {
+    console.error("Service ownership check error:", err);
+    return sendResponse(res, 500, "Internal server error during authorization");
   }
-  next();
 };
 
 export const validateRoles = (allowedRoles) => (req, res, next) => {
   if (!req.user) return sendResponse(res, 401, TOKEN_ERRORS.NOT_AUTHENTICATED);
   if (!Array.isArray(allowedRoles)) allowedRoles = [allowedRoles];
-  if (!allowedRoles.includes(req.user.role.toLowerCase())) {
-    return sendResponse(res, 403, `Access denied. Required role(s): ${allowedRoles.join(", ")}`);
-  }
-  next();
-};
-
-export const validateUser = (req, res, next) => {
-  if (!req.user) return sendResponse(res, 401, TOKEN_ERRORS.NOT_AUTHENTICATED);
-  if (req.user.role.toLowerCase() !== "customer") {
-    return sendResponse(res, 403, "Access denied. Customer privileges required.");
+  const normalized = allowedRoles.map((role) => String(role).toUpperCase());
+  if (!normalized.includes(String(req.user.role).toUpperCase())) {
+    return sendResponse(res, 403, `Access denied. Required role(s): ${normalized.join(", ")}`);
   }
   next();
 };
@@ -191,9 +279,7 @@ export default {
   validateToken,
   validateTokenLite,
   validateTokenOptional,
-  validateTokenWithRateLimit,
-  validateAdmin,
-  validateStaffOrAdmin,
+  requirePermission,
+  requireServiceOwnership,
   validateRoles,
-  validateUser,
 };
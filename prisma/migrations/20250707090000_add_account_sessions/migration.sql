@@ -0,0 +1,45 @@
+-- CreateTable
+CREATE TABLE "account_sessions" (
+    "session_id" SERIAL NOT NULL,
+    "device_name" VARCHAR(255),
+    "user_agent" VARCHAR(512),
+    "ip_address" VARCHAR(64),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_used_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expires_at" TIMESTAMP(6) NOT NULL,
+    "revoked_at" TIMESTAMP(6),
+    "revoked_reason" VARCHAR(100),
+    "account_id" INTEGER NOT NULL,
+
+    CONSTRAINT "account_sessions_pkey" PRIMARY KEY ("session_id")
+);
+
+-- CreateTable
+CREATE TABLE "refresh_tokens" (
+    "refresh_token_id" SERIAL NOT NULL,
+    "token_hash" VARCHAR(255) NOT NULL,
+    "expires_at" TIMESTAMP(6) NOT NULL,
+    "used_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "session_id" INTEGER NOT NULL,
+
+    CONSTRAINT "refresh_tokens_pkey" PRIMARY KEY ("refresh_token_id")
+);
+
+-- CreateIndex
+CREATE INDEX "account_sessions_account_id_idx" ON "account_sessions"("account_id");
+
+-- CreateIndex
+CREATE INDEX "account_sessions_revoked_at_idx" ON "account_sessions"("revoked_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "refresh_tokens_token_hash_key" ON "refresh_tokens"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_session_id_idx" ON "refresh_tokens"("session_id");
+
+-- AddForeignKey
+ALTER TABLE "account_sessions" ADD CONSTRAINT "account_sessions_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refresh_tokens" ADD CONSTRAINT "refresh_tokens_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "account_sessions"("session_id") ON DELETE CASCADE ON UPDATE CASCADE;
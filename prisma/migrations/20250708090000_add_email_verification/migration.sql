@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "accounts" ADD COLUMN     "email_verified" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "email_verified_at" TIMESTAMP(6);
+
+-- Existing accounts predate verification and are treated as verified
+UPDATE "accounts" SET "email_verified" = true, "email_verified_at" = CURRENT_TIMESTAMP;
+
+-- CreateTable
+CREATE TABLE "email_verification_tokens" (
+    "token_id" SERIAL NOT NULL,
+    "token_hash" VARCHAR(255) NOT NULL,
+    "expires_at" TIMESTAMP(6) NOT NULL,
+    "used_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "account_id" INTEGER NOT NULL,
+
+    CONSTRAINT "email_verification_tokens_pkey" PRIMARY KEY ("token_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "email_verification_tokens_token_hash_key" ON "email_verification_tokens"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "email_verification_tokens_account_id_idx" ON "email_verification_tokens"("account_id");
+
+-- AddForeignKey
+ALTER TABLE "email_verification_tokens" ADD CONSTRAINT "email_verification_tokens_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
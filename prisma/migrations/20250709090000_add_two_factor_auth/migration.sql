@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "accounts" ADD COLUMN     "two_factor_enabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "two_factor_enabled_at" TIMESTAMP(6),
+ADD COLUMN     "two_factor_last_step" INTEGER,
+ADD COLUMN     "two_factor_secret" VARCHAR(512);
+
+-- AlterTable
+ALTER TABLE "account_sessions" ADD COLUMN     "two_factor_verified" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "recovery_codes" (
+    "recovery_code_id" SERIAL NOT NULL,
+    "code_hash" VARCHAR(255) NOT NULL,
+    "used_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "account_id" INTEGER NOT NULL,
+
+    CONSTRAINT "recovery_codes_pkey" PRIMARY KEY ("recovery_code_id")
+);
+
+-- CreateIndex
+CREATE INDEX "recovery_codes_account_id_idx" ON "recovery_codes"("account_id");
+
+-- AddForeignKey
+ALTER TABLE "recovery_codes" ADD CONSTRAINT "recovery_codes_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,48 @@
+-- CreateEnum
+CREATE TYPE "LockoutScope" AS ENUM ('ACCOUNT', 'IP');
+
+-- CreateTable
+CREATE TABLE "login_attempts" (
+    "attempt_id" SERIAL NOT NULL,
+    "email" VARCHAR(255),
+    "ip_address" VARCHAR(64),
+    "success" BOOLEAN NOT NULL DEFAULT false,
+    "failure_reason" VARCHAR(50),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "account_id" INTEGER,
+
+    CONSTRAINT "login_attempts_pkey" PRIMARY KEY ("attempt_id")
+);
+
+-- CreateTable
+CREATE TABLE "login_lockouts" (
+    "lockout_id" SERIAL NOT NULL,
+    "scope" "LockoutScope" NOT NULL,
+    "lock_key" VARCHAR(255) NOT NULL,
+    "failed_count" INTEGER NOT NULL DEFAULT 0,
+    "lockout_count" INTEGER NOT NULL DEFAULT 0,
+    "last_failed_at" TIMESTAMP(6),
+    "locked_until" TIMESTAMP(6),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "login_lockouts_pkey" PRIMARY KEY ("lockout_id")
+);
+
+-- CreateIndex
+CREATE INDEX "login_attempts_account_id_idx" ON "login_attempts"("account_id");
+
+-- CreateIndex
+CREATE INDEX "login_attempts_ip_address_idx" ON "login_attempts"("ip_address");
+
+-- CreateIndex
+CREATE INDEX "login_attempts_created_at_idx" ON "login_attempts"("created_at");
+
+-- CreateIndex
+CREATE INDEX "login_lockouts_locked_until_idx" ON "login_lockouts"("locked_until");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "login_lockouts_scope_lock_key_key" ON "login_lockouts"("scope", "lock_key");
+
+-- AddForeignKey
+ALTER TABLE "login_attempts" ADD CONSTRAINT "login_attempts_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
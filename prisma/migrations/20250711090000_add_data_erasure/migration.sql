@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "ErasureStatus" AS ENUM ('PENDING', 'COMPLETED', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE "accounts" ADD COLUMN     "erased_at" TIMESTAMP(6);
+
+-- CreateTable
+CREATE TABLE "data_erasure_requests" (
+    "request_id" SERIAL NOT NULL,
+    "status" "ErasureStatus" NOT NULL DEFAULT 'PENDING',
+    "reason" TEXT,
+    "rejection_reason" TEXT,
+    "requested_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processed_at" TIMESTAMP(6),
+    "processed_by" INTEGER,
+    "account_id" INTEGER NOT NULL,
+
+    CONSTRAINT "data_erasure_requests_pkey" PRIMARY KEY ("request_id")
+);
+
+-- CreateIndex
+CREATE INDEX "data_erasure_requests_account_id_idx" ON "data_erasure_requests"("account_id");
+
+-- CreateIndex
+CREATE INDEX "data_erasure_requests_status_idx" ON "data_erasure_requests"("status");
+
+-- AddForeignKey
+ALTER TABLE "data_erasure_requests" ADD CONSTRAINT "data_erasure_requests_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,69 @@
+-- CreateTable
+CREATE TABLE "permissions" (
+    "permission_id" SERIAL NOT NULL,
+    "key" VARCHAR(100) NOT NULL,
+    "description" VARCHAR(255),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "permissions_pkey" PRIMARY KEY ("permission_id")
+);
+
+-- CreateTable
+CREATE TABLE "role_permissions" (
+    "role" "Role" NOT NULL,
+    "permission_id" INTEGER NOT NULL,
+    "granted_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "role_permissions_pkey" PRIMARY KEY ("role","permission_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "permissions_key_key" ON "permissions"("key");
+
+-- CreateIndex
+CREATE INDEX "role_permissions_permission_id_idx" ON "role_permissions"("permission_id");
+
+-- AddForeignKey
+ALTER TABLE "role_permissions" ADD CONSTRAINT "role_permissions_permission_id_fkey" FOREIGN KEY ("permission_id") REFERENCES "permissions"("permission_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed permission catalogue
+INSERT INTO "permissions" ("key", "description") VALUES
+    ('accounts:read:any', 'View any account'),
+    ('accounts:write:any', 'Edit any account profile'),
+    ('accounts:delete', 'Delete or anonymise accounts'),
+    ('accounts:ban', 'Ban and unban accounts'),
+    ('accounts:sessions:any', 'View and revoke other accounts'' sessions'),
+    ('accounts:lockouts:manage', 'View and clear login lockouts'),
+    ('accounts:erasure:manage', 'Review personal data erasure requests'),
+    ('permissions:manage', 'Edit which permissions each role has'),
+    ('events:read:any', 'View any customer''s event'),
+    ('events:write:any', 'Edit any customer''s event'),
+    ('events:delete', 'Delete events'),
+    ('events:status:manage', 'Change event status'),
+    ('event-types:write', 'Create, edit and delete event types'),
+    ('event-services:stats', 'View event service statistics'),
+    ('rooms:write', 'Create, edit and delete rooms'),
+    ('service-types:write', 'Create, edit and delete service types'),
+    ('services:write:any', 'Manage any service, its variations and pricing tiers'),
+    ('services:write:own', 'Manage own services, variations and pricing tiers'),
+    ('invoices:read:any', 'View any invoice'),
+    ('invoices:refund', 'Issue refunds against invoices'),
+    ('payments:read:any', 'View any payment'),
+    ('reviews:read:any', 'View any review in full'),
+    ('notifications:read:own', 'Read own notifications'),
+    ('notifications:read:any', 'Read any account''s notifications'),
+    ('dashboard:admin', 'View the admin dashboard'),
+    ('analytics:read', 'View analytics');
+
+-- Seed default role grants
+INSERT INTO "role_permissions" ("role", "permission_id")
+SELECT 'ADMIN', "permission_id" FROM "permissions";
+
+INSERT INTO "role_permissions" ("role", "permission_id")
+SELECT 'STAFF', "permission_id" FROM "permissions" WHERE "key" IN ('accounts:read:any', 'events:read:any', 'events:write:any', 'events:status:manage', 'event-services:stats', 'invoices:read:any', 'payments:read:any', 'reviews:read:any', 'notifications:read:own');
+
+INSERT INTO "role_permissions" ("role", "permission_id")
+SELECT 'PROVIDER', "permission_id" FROM "permissions" WHERE "key" IN ('services:write:own', 'notifications:read:own');
+
+INSERT INTO "role_permissions" ("role", "permission_id")
+SELECT 'CUSTOMER', "permission_id" FROM "permissions" WHERE "key" IN ('notifications:read:own');
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "services" ADD COLUMN     "provider_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "event_services" ADD COLUMN     "provider_note" TEXT,
+ADD COLUMN     "provider_responded_at" TIMESTAMP(6);
+
+-- CreateIndex
+CREATE INDEX "services_provider_id_idx" ON "services"("provider_id");
+
+-- AddForeignKey
+ALTER TABLE "services" ADD CONSTRAINT "services_provider_id_fkey" FOREIGN KEY ("provider_id") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Seed booking permission
+INSERT INTO "permissions" ("key", "description") VALUES
+    ('bookings:respond:own', 'View and accept or decline bookings of own services');
+
+INSERT INTO "role_permissions" ("role", "permission_id")
+SELECT r."role"::"Role", p."permission_id"
+FROM (VALUES ('ADMIN'), ('PROVIDER')) AS r("role"), "permissions" p
+WHERE p."key" = 'bookings:respond:own';
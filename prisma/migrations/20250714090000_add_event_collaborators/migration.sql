@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "CollaboratorRole" AS ENUM ('VIEWER', 'EDITOR', 'PAYER');
+
+-- CreateEnum
+CREATE TYPE "CollaboratorStatus" AS ENUM ('PENDING', 'ACCEPTED', 'DECLINED', 'REVOKED');
+
+-- CreateTable
+CREATE TABLE "event_collaborators" (
+    "collaborator_id" SERIAL NOT NULL,
+    "email" VARCHAR(255) NOT NULL,
+    "role" "CollaboratorRole" NOT NULL DEFAULT 'VIEWER',
+    "status" "CollaboratorStatus" NOT NULL DEFAULT 'PENDING',
+    "token_hash" VARCHAR(255),
+    "expires_at" TIMESTAMP(6),
+    "accepted_at" TIMESTAMP(6),
+    "invited_by" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "event_id" INTEGER NOT NULL,
+    "account_id" INTEGER,
+
+    CONSTRAINT "event_collaborators_pkey" PRIMARY KEY ("collaborator_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "event_collaborators_token_hash_key" ON "event_collaborators"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "event_collaborators_account_id_idx" ON "event_collaborators"("account_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "event_collaborators_event_id_email_key" ON "event_collaborators"("event_id", "email");
+
+-- AddForeignKey
+ALTER TABLE "event_collaborators" ADD CONSTRAINT "event_collaborators_event_id_fkey" FOREIGN KEY ("event_id") REFERENCES "events"("event_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_collaborators" ADD CONSTRAINT "event_collaborators_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,54 @@
+-- CreateTable
+CREATE TABLE "impersonation_sessions" (
+    "impersonation_id" SERIAL NOT NULL,
+    "reason" TEXT NOT NULL,
+    "ip_address" VARCHAR(64),
+    "started_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expires_at" TIMESTAMP(6) NOT NULL,
+    "ended_at" TIMESTAMP(6),
+    "admin_id" INTEGER NOT NULL,
+    "target_id" INTEGER NOT NULL,
+
+    CONSTRAINT "impersonation_sessions_pkey" PRIMARY KEY ("impersonation_id")
+);
+
+-- CreateTable
+CREATE TABLE "impersonation_audit_logs" (
+    "log_id" SERIAL NOT NULL,
+    "method" VARCHAR(10) NOT NULL,
+    "path" VARCHAR(2048) NOT NULL,
+    "status_code" INTEGER,
+    "blocked" BOOLEAN NOT NULL DEFAULT false,
+    "ip_address" VARCHAR(64),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "impersonation_id" INTEGER NOT NULL,
+
+    CONSTRAINT "impersonation_audit_logs_pkey" PRIMARY KEY ("log_id")
+);
+
+-- CreateIndex
+CREATE INDEX "impersonation_sessions_admin_id_idx" ON "impersonation_sessions"("admin_id");
+
+-- CreateIndex
+CREATE INDEX "impersonation_sessions_target_id_idx" ON "impersonation_sessions"("target_id");
+
+-- CreateIndex
+CREATE INDEX "impersonation_audit_logs_impersonation_id_idx" ON "impersonation_audit_logs"("impersonation_id");
+
+-- AddForeignKey
+ALTER TABLE "impersonation_sessions" ADD CONSTRAINT "impersonation_sessions_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "impersonation_sessions" ADD CONSTRAINT "impersonation_sessions_target_id_fkey" FOREIGN KEY ("target_id") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "impersonation_audit_logs" ADD CONSTRAINT "impersonation_audit_logs_impersonation_id_fkey" FOREIGN KEY ("impersonation_id") REFERENCES "impersonation_sessions"("impersonation_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed impersonation permission
+INSERT INTO "permissions" ("key", "description") VALUES
+    ('accounts:impersonate', 'View the app as another account (read-only, audited)');
+
+INSERT INTO "role_permissions" ("role", "permission_id")
+SELECT 'ADMIN'::"Role", p."permission_id"
+FROM "permissions" p
+WHERE p."key" = 'accounts:impersonate';
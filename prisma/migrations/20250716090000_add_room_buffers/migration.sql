@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "rooms" ADD COLUMN     "setup_buffer_minutes" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "teardown_buffer_minutes" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "events_room_id_start_time_idx" ON "events"("room_id", "start_time");
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "event_status_history" (
+    "history_id" SERIAL NOT NULL,
+    "from_status" "EventStatus",
+    "to_status" "EventStatus" NOT NULL,
+    "reason" TEXT,
+    "source" VARCHAR(30) NOT NULL DEFAULT 'USER',
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "event_id" INTEGER NOT NULL,
+    "changed_by" INTEGER,
+
+    CONSTRAINT "event_status_history_pkey" PRIMARY KEY ("history_id")
+);
+
+-- CreateIndex
+CREATE INDEX "event_status_history_event_id_created_at_idx" ON "event_status_history"("event_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "event_status_history" ADD CONSTRAINT "event_status_history_event_id_fkey" FOREIGN KEY ("event_id") REFERENCES "events"("event_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_status_history" ADD CONSTRAINT "event_status_history_changed_by_fkey" FOREIGN KEY ("changed_by") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Start every existing event's history at its current status
+INSERT INTO "event_status_history" ("event_id", "from_status", "to_status", "reason", "source", "created_at")
+SELECT "event_id", NULL, "status", 'Status before history tracking', 'SYSTEM', "date_create"
+FROM "events";
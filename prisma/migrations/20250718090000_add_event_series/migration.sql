@@ -0,0 +1,54 @@
+-- CreateEnum
+CREATE TYPE "SeriesInvoiceMode" AS ENUM ('PER_OCCURRENCE', 'CONSOLIDATED');
+
+-- AlterTable
+ALTER TABLE "events" ADD COLUMN     "occurrence_index" INTEGER,
+ADD COLUMN     "series_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "invoices" ADD COLUMN     "series_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "invoice_details" ADD COLUMN     "event_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "event_series" (
+    "series_id" SERIAL NOT NULL,
+    "series_name" VARCHAR(1024) NOT NULL,
+    "description" TEXT,
+    "rrule" VARCHAR(512) NOT NULL,
+    "invoice_mode" "SeriesInvoiceMode" NOT NULL DEFAULT 'PER_OCCURRENCE',
+    "first_start" TIMESTAMP(6) NOT NULL,
+    "duration_mins" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "account_id" INTEGER,
+    "room_id" INTEGER NOT NULL,
+    "event_type_id" INTEGER,
+
+    CONSTRAINT "event_series_pkey" PRIMARY KEY ("series_id")
+);
+
+-- CreateIndex
+CREATE INDEX "event_series_account_id_idx" ON "event_series"("account_id");
+
+-- CreateIndex
+CREATE INDEX "events_series_id_idx" ON "events"("series_id");
+
+-- CreateIndex
+CREATE INDEX "invoices_series_id_idx" ON "invoices"("series_id");
+
+-- CreateIndex
+CREATE INDEX "invoice_details_event_id_idx" ON "invoice_details"("event_id");
+
+-- AddForeignKey
+ALTER TABLE "event_series" ADD CONSTRAINT "event_series_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "events" ADD CONSTRAINT "events_series_id_fkey" FOREIGN KEY ("series_id") REFERENCES "event_series"("series_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoices" ADD CONSTRAINT "invoices_series_id_fkey" FOREIGN KEY ("series_id") REFERENCES "event_series"("series_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoice_details" ADD CONSTRAINT "invoice_details_event_id_fkey" FOREIGN KEY ("event_id") REFERENCES "events"("event_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,65 @@
+-- CreateTable
+CREATE TABLE "event_templates" (
+    "template_id" SERIAL NOT NULL,
+    "template_name" VARCHAR(255) NOT NULL,
+    "event_name" VARCHAR(1024) NOT NULL,
+    "description" TEXT,
+    "duration_mins" INTEGER,
+    "is_global" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "account_id" INTEGER,
+    "room_id" INTEGER,
+    "event_type_id" INTEGER,
+
+    CONSTRAINT "event_templates_pkey" PRIMARY KEY ("template_id")
+);
+
+-- CreateTable
+CREATE TABLE "event_template_services" (
+    "template_service_id" SERIAL NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "custom_price" DECIMAL(10,2),
+    "notes" TEXT,
+    "template_id" INTEGER NOT NULL,
+    "service_id" INTEGER NOT NULL,
+    "variation_id" INTEGER,
+
+    CONSTRAINT "event_template_services_pkey" PRIMARY KEY ("template_service_id")
+);
+
+-- CreateIndex
+CREATE INDEX "event_templates_account_id_idx" ON "event_templates"("account_id");
+
+-- CreateIndex
+CREATE INDEX "event_templates_is_global_idx" ON "event_templates"("is_global");
+
+-- CreateIndex
+CREATE INDEX "event_template_services_template_id_idx" ON "event_template_services"("template_id");
+
+-- AddForeignKey
+ALTER TABLE "event_templates" ADD CONSTRAINT "event_templates_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_templates" ADD CONSTRAINT "event_templates_room_id_fkey" FOREIGN KEY ("room_id") REFERENCES "rooms"("room_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_templates" ADD CONSTRAINT "event_templates_event_type_id_fkey" FOREIGN KEY ("event_type_id") REFERENCES "event_types"("type_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_template_services" ADD CONSTRAINT "event_template_services_template_id_fkey" FOREIGN KEY ("template_id") REFERENCES "event_templates"("template_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_template_services" ADD CONSTRAINT "event_template_services_service_id_fkey" FOREIGN KEY ("service_id") REFERENCES "services"("service_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_template_services" ADD CONSTRAINT "event_template_services_variation_id_fkey" FOREIGN KEY ("variation_id") REFERENCES "variations"("variation_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Seed event template permission
+INSERT INTO "permissions" ("key", "description") VALUES
+    ('event-templates:manage', 'Create, edit and delete global event templates');
+
+INSERT INTO "role_permissions" ("role", "permission_id")
+SELECT 'ADMIN'::"Role", p."permission_id"
+FROM "permissions" p
+WHERE p."key" = 'event-templates:manage';
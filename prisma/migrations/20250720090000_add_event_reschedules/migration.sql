@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "invoices" ADD COLUMN     "amount_paid" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "event_reschedules" (
+    "reschedule_id" SERIAL NOT NULL,
+    "previous_start" TIMESTAMP(6),
+    "previous_end" TIMESTAMP(6),
+    "new_start" TIMESTAMP(6) NOT NULL,
+    "new_end" TIMESTAMP(6) NOT NULL,
+    "previous_status" "EventStatus" NOT NULL,
+    "previous_cost" DECIMAL(10,2),
+    "new_cost" DECIMAL(10,2),
+    "fee" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "reason" TEXT,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "event_id" INTEGER NOT NULL,
+    "requested_by" INTEGER,
+
+    CONSTRAINT "event_reschedules_pkey" PRIMARY KEY ("reschedule_id")
+);
+
+-- CreateIndex
+CREATE INDEX "event_reschedules_event_id_idx" ON "event_reschedules"("event_id");
+
+-- AddForeignKey
+ALTER TABLE "event_reschedules" ADD CONSTRAINT "event_reschedules_event_id_fkey" FOREIGN KEY ("event_id") REFERENCES "events"("event_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_reschedules" ADD CONSTRAINT "event_reschedules_requested_by_fkey" FOREIGN KEY ("requested_by") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Invoices already paid in full
+UPDATE "invoices" SET "amount_paid" = "total_amount" WHERE "status" = 'PAID';
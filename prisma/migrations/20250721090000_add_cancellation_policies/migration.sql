@@ -0,0 +1,87 @@
+-- AlterTable
+ALTER TABLE "rooms" ADD COLUMN     "cancellation_policy_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "event_types" ADD COLUMN     "cancellation_policy_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "refunded_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "stripe_refund_id" VARCHAR(255);
+
+-- CreateTable
+CREATE TABLE "cancellation_policies" (
+    "policy_id" SERIAL NOT NULL,
+    "policy_name" VARCHAR(255) NOT NULL,
+    "description" TEXT,
+    "is_default" BOOLEAN NOT NULL DEFAULT false,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "cancellation_policies_pkey" PRIMARY KEY ("policy_id")
+);
+
+-- CreateTable
+CREATE TABLE "cancellation_policy_tiers" (
+    "tier_id" SERIAL NOT NULL,
+    "min_days_before" INTEGER NOT NULL,
+    "refund_percent" INTEGER NOT NULL,
+    "policy_id" INTEGER NOT NULL,
+
+    CONSTRAINT "cancellation_policy_tiers_pkey" PRIMARY KEY ("tier_id")
+);
+
+-- CreateTable
+CREATE TABLE "event_cancellations" (
+    "cancellation_id" SERIAL NOT NULL,
+    "days_before" INTEGER NOT NULL,
+    "refund_percent" INTEGER NOT NULL,
+    "amount_paid" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "refund_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "amount_retained" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "refund_status" VARCHAR(20) NOT NULL DEFAULT 'NONE',
+    "refund_error" TEXT,
+    "reason" TEXT,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "event_id" INTEGER NOT NULL,
+    "policy_id" INTEGER,
+    "cancelled_by" INTEGER,
+
+    CONSTRAINT "event_cancellations_pkey" PRIMARY KEY ("cancellation_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cancellation_policy_tiers_policy_id_min_days_before_key" ON "cancellation_policy_tiers"("policy_id", "min_days_before");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "event_cancellations_event_id_key" ON "event_cancellations"("event_id");
+
+-- CreateIndex
+CREATE INDEX "event_cancellations_refund_status_idx" ON "event_cancellations"("refund_status");
+
+-- AddForeignKey
+ALTER TABLE "rooms" ADD CONSTRAINT "rooms_cancellation_policy_id_fkey" FOREIGN KEY ("cancellation_policy_id") REFERENCES "cancellation_policies"("policy_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_types" ADD CONSTRAINT "event_types_cancellation_policy_id_fkey" FOREIGN KEY ("cancellation_policy_id") REFERENCES "cancellation_policies"("policy_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cancellation_policy_tiers" ADD CONSTRAINT "cancellation_policy_tiers_policy_id_fkey" FOREIGN KEY ("policy_id") REFERENCES "cancellation_policies"("policy_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_cancellations" ADD CONSTRAINT "event_cancellations_event_id_fkey" FOREIGN KEY ("event_id") REFERENCES "events"("event_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_cancellations" ADD CONSTRAINT "event_cancellations_policy_id_fkey" FOREIGN KEY ("policy_id") REFERENCES "cancellation_policies"("policy_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "event_cancellations" ADD CONSTRAINT "event_cancellations_cancelled_by_fkey" FOREIGN KEY ("cancelled_by") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Seed cancellation policy permission
+INSERT INTO "permissions" ("key", "description") VALUES
+    ('cancellation-policies:write', 'Create, edit and assign cancellation policies');
+
+INSERT INTO "role_permissions" ("role", "permission_id")
+SELECT 'ADMIN'::"Role", p."permission_id"
+FROM "permissions" p
+WHERE p."key" = 'cancellation-policies:write';
@@ -0,0 +1,35 @@
+-- CreateEnum
+CREATE TYPE "RsvpStatus" AS ENUM ('PENDING', 'ATTENDING', 'MAYBE', 'DECLINED');
+
+-- CreateTable
+CREATE TABLE "event_guests" (
+    "guest_id" SERIAL NOT NULL,
+    "full_name" VARCHAR(255) NOT NULL,
+    "email" VARCHAR(255),
+    "phone" VARCHAR(50),
+    "rsvp_status" "RsvpStatus" NOT NULL DEFAULT 'PENDING',
+    "max_plus_ones" INTEGER NOT NULL DEFAULT 0,
+    "plus_ones" INTEGER NOT NULL DEFAULT 0,
+    "dietary_notes" TEXT,
+    "notes" TEXT,
+    "token_hash" VARCHAR(255),
+    "invited_at" TIMESTAMP(6),
+    "responded_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "event_id" INTEGER NOT NULL,
+
+    CONSTRAINT "event_guests_pkey" PRIMARY KEY ("guest_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "event_guests_token_hash_key" ON "event_guests"("token_hash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "event_guests_event_id_email_key" ON "event_guests"("event_id", "email");
+
+-- CreateIndex
+CREATE INDEX "event_guests_event_id_rsvp_status_idx" ON "event_guests"("event_id", "rsvp_status");
+
+-- AddForeignKey
+ALTER TABLE "event_guests" ADD CONSTRAINT "event_guests_event_id_fkey" FOREIGN KEY ("event_id") REFERENCES "events"("event_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "event_guests" ADD COLUMN     "checked_in_at" TIMESTAMP(6),
+ADD COLUMN     "checked_in_by" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "event_guests_event_id_checked_in_at_idx" ON "event_guests"("event_id", "checked_in_at");
+
+-- AddForeignKey
+ALTER TABLE "event_guests" ADD CONSTRAINT "event_guests_checked_in_by_fkey" FOREIGN KEY ("checked_in_by") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Seed check-in permission
+INSERT INTO "permissions" ("key", "description") VALUES
+    ('events:check-in', 'Check guests in at the door and view live attendance');
+
+INSERT INTO "role_permissions" ("role", "permission_id")
+SELECT r."role"::"Role", p."permission_id"
+FROM "permissions" p
+CROSS JOIN (VALUES ('ADMIN'), ('STAFF')) AS r("role")
+WHERE p."key" = 'events:check-in';
@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "CalendarFeedType" AS ENUM ('ACCOUNT', 'ROOM', 'STAFF');
+
+-- CreateTable
+CREATE TABLE "calendar_feeds" (
+    "feed_id" SERIAL NOT NULL,
+    "feed_type" "CalendarFeedType" NOT NULL,
+    "label" VARCHAR(255),
+    "token_hash" VARCHAR(255) NOT NULL,
+    "last_accessed_at" TIMESTAMP(6),
+    "revoked_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_by" INTEGER NOT NULL,
+    "account_id" INTEGER,
+    "room_id" INTEGER,
+
+    CONSTRAINT "calendar_feeds_pkey" PRIMARY KEY ("feed_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "calendar_feeds_token_hash_key" ON "calendar_feeds"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "calendar_feeds_created_by_idx" ON "calendar_feeds"("created_by");
+
+-- AddForeignKey
+ALTER TABLE "calendar_feeds" ADD CONSTRAINT "calendar_feeds_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "calendar_feeds" ADD CONSTRAINT "calendar_feeds_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "calendar_feeds" ADD CONSTRAINT "calendar_feeds_room_id_fkey" FOREIGN KEY ("room_id") REFERENCES "rooms"("room_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "event_services" ADD COLUMN     "depends_on_id" INTEGER;
+
+-- AddForeignKey
+ALTER TABLE "event_services" ADD CONSTRAINT "event_services_depends_on_id_fkey" FOREIGN KEY ("depends_on_id") REFERENCES "event_services"("event_service_id") ON DELETE SET NULL ON UPDATE CASCADE;
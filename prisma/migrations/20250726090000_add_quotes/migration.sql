@@ -0,0 +1,100 @@
+-- CreateEnum
+CREATE TYPE "QuoteStatus" AS ENUM ('DRAFT', 'SENT', 'ACCEPTED', 'DECLINED', 'EXPIRED', 'SUPERSEDED');
+
+-- CreateTable
+CREATE TABLE "quotes" (
+    "quote_id" SERIAL NOT NULL,
+    "quote_number" VARCHAR(50) NOT NULL,
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "status" "QuoteStatus" NOT NULL DEFAULT 'DRAFT',
+    "event_name" VARCHAR(1024) NOT NULL,
+    "description" TEXT,
+    "start_time" TIMESTAMP(6) NOT NULL,
+    "end_time" TIMESTAMP(6) NOT NULL,
+    "customer_email" VARCHAR(255),
+    "notes" TEXT,
+    "total_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "valid_until" TIMESTAMP(6) NOT NULL,
+    "token_hash" VARCHAR(255),
+    "sent_at" TIMESTAMP(6),
+    "responded_at" TIMESTAMP(6),
+    "decline_reason" TEXT,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "created_by" INTEGER,
+    "account_id" INTEGER,
+    "room_id" INTEGER,
+    "event_type_id" INTEGER,
+    "event_id" INTEGER,
+
+    CONSTRAINT "quotes_pkey" PRIMARY KEY ("quote_id")
+);
+
+-- CreateTable
+CREATE TABLE "quote_lines" (
+    "line_id" SERIAL NOT NULL,
+    "item_type" VARCHAR(20) NOT NULL DEFAULT 'SERVICE',
+    "description" VARCHAR(255) NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "unit_price" DECIMAL(10,2) NOT NULL,
+    "subtotal" DECIMAL(10,2) NOT NULL,
+    "notes" TEXT,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "quote_id" INTEGER NOT NULL,
+    "service_id" INTEGER,
+    "variation_id" INTEGER,
+
+    CONSTRAINT "quote_lines_pkey" PRIMARY KEY ("line_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "quotes_token_hash_key" ON "quotes"("token_hash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "quotes_event_id_key" ON "quotes"("event_id");
+
+-- CreateIndex
+CREATE INDEX "quotes_account_id_idx" ON "quotes"("account_id");
+
+-- CreateIndex
+CREATE INDEX "quotes_status_idx" ON "quotes"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "quotes_quote_number_version_key" ON "quotes"("quote_number", "version");
+
+-- CreateIndex
+CREATE INDEX "quote_lines_quote_id_idx" ON "quote_lines"("quote_id");
+
+-- AddForeignKey
+ALTER TABLE "quotes" ADD CONSTRAINT "quotes_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quotes" ADD CONSTRAINT "quotes_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quotes" ADD CONSTRAINT "quotes_room_id_fkey" FOREIGN KEY ("room_id") REFERENCES "rooms"("room_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quotes" ADD CONSTRAINT "quotes_event_type_id_fkey" FOREIGN KEY ("event_type_id") REFERENCES "event_types"("type_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quotes" ADD CONSTRAINT "quotes_event_id_fkey" FOREIGN KEY ("event_id") REFERENCES "events"("event_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quote_lines" ADD CONSTRAINT "quote_lines_quote_id_fkey" FOREIGN KEY ("quote_id") REFERENCES "quotes"("quote_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quote_lines" ADD CONSTRAINT "quote_lines_service_id_fkey" FOREIGN KEY ("service_id") REFERENCES "services"("service_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quote_lines" ADD CONSTRAINT "quote_lines_variation_id_fkey" FOREIGN KEY ("variation_id") REFERENCES "variations"("variation_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Seed quote permission
+INSERT INTO "permissions" ("key", "description") VALUES
+    ('quotes:write', 'Write, revise and send quotes');
+
+INSERT INTO "role_permissions" ("role", "permission_id")
+SELECT r."role"::"Role", p."permission_id"
+FROM "permissions" p
+CROSS JOIN (VALUES ('ADMIN'), ('STAFF')) AS r("role")
+WHERE p."key" = 'quotes:write';
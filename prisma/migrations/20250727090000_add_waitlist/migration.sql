@@ -0,0 +1,63 @@
+-- CreateEnum
+CREATE TYPE "WaitlistStatus" AS ENUM ('WAITING', 'OFFERED', 'CLAIMED', 'EXPIRED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "waitlist_entries" (
+    "entry_id" SERIAL NOT NULL,
+    "status" "WaitlistStatus" NOT NULL DEFAULT 'WAITING',
+    "start_time" TIMESTAMP(6) NOT NULL,
+    "end_time" TIMESTAMP(6) NOT NULL,
+    "event_name" VARCHAR(1024),
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "notes" TEXT,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "offered_at" TIMESTAMP(6),
+    "offer_expires_at" TIMESTAMP(6),
+    "claimed_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "account_id" INTEGER NOT NULL,
+    "room_id" INTEGER,
+    "variation_id" INTEGER,
+    "event_type_id" INTEGER,
+    "event_id" INTEGER,
+
+    CONSTRAINT "waitlist_entries_pkey" PRIMARY KEY ("entry_id")
+);
+
+-- CreateIndex
+CREATE INDEX "waitlist_entries_room_id_status_idx" ON "waitlist_entries"("room_id", "status");
+
+-- CreateIndex
+CREATE INDEX "waitlist_entries_variation_id_status_idx" ON "waitlist_entries"("variation_id", "status");
+
+-- CreateIndex
+CREATE INDEX "waitlist_entries_account_id_idx" ON "waitlist_entries"("account_id");
+
+-- CreateIndex
+CREATE INDEX "waitlist_entries_status_offer_expires_at_idx" ON "waitlist_entries"("status", "offer_expires_at");
+
+-- AddForeignKey
+ALTER TABLE "waitlist_entries" ADD CONSTRAINT "waitlist_entries_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "waitlist_entries" ADD CONSTRAINT "waitlist_entries_room_id_fkey" FOREIGN KEY ("room_id") REFERENCES "rooms"("room_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "waitlist_entries" ADD CONSTRAINT "waitlist_entries_variation_id_fkey" FOREIGN KEY ("variation_id") REFERENCES "variations"("variation_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "waitlist_entries" ADD CONSTRAINT "waitlist_entries_event_type_id_fkey" FOREIGN KEY ("event_type_id") REFERENCES "event_types"("type_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "waitlist_entries" ADD CONSTRAINT "waitlist_entries_event_id_fkey" FOREIGN KEY ("event_id") REFERENCES "events"("event_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Seed waitlist permission
+INSERT INTO "permissions" ("key", "description") VALUES
+    ('waitlist:manage', 'View and manage room and service waitlists');
+
+INSERT INTO "role_permissions" ("role", "permission_id")
+SELECT r."role"::"Role", p."permission_id"
+FROM "permissions" p
+CROSS JOIN (VALUES ('ADMIN'), ('STAFF')) AS r("role")
+WHERE p."key" = 'waitlist:manage';
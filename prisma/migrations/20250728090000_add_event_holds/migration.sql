@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "event_types" ADD COLUMN     "hold_hours" INTEGER;
+
+-- AlterTable
+ALTER TABLE "events" ADD COLUMN     "hold_expires_at" TIMESTAMP(6),
+ADD COLUMN     "hold_extended_at" TIMESTAMP(6);
+
+-- CreateIndex
+CREATE INDEX "events_status_hold_expires_at_idx" ON "events"("status", "hold_expires_at");
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "events" ADD COLUMN     "followed_up_at" TIMESTAMP(6),
+ADD COLUMN     "overdue_at" TIMESTAMP(6);
+
+-- Events completed before the scheduler existed do not get follow-ups after the fact
+UPDATE "events" SET "followed_up_at" = CURRENT_TIMESTAMP WHERE "status" = 'COMPLETED';
+
+-- Seed job permission
+INSERT INTO "permissions" ("key", "description") VALUES
+    ('jobs:run', 'View and run background jobs by hand');
+
+INSERT INTO "role_permissions" ("role", "permission_id")
+SELECT 'ADMIN'::"Role", p."permission_id"
+FROM "permissions" p
+WHERE p."key" = 'jobs:run';
@@ -0,0 +1,82 @@
+-- CreateTable
+CREATE TABLE "staff_assignments" (
+    "assignment_id" SERIAL NOT NULL,
+    "role" VARCHAR(100),
+    "notes" TEXT,
+    "start_time" TIMESTAMP(6) NOT NULL,
+    "end_time" TIMESTAMP(6) NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "staff_id" INTEGER NOT NULL,
+    "event_id" INTEGER NOT NULL,
+    "event_service_id" INTEGER,
+    "assigned_by" INTEGER,
+
+    CONSTRAINT "staff_assignments_pkey" PRIMARY KEY ("assignment_id")
+);
+
+-- CreateTable
+CREATE TABLE "staff_availability" (
+    "availability_id" SERIAL NOT NULL,
+    "weekday" SMALLINT NOT NULL,
+    "start_minute" SMALLINT NOT NULL,
+    "end_minute" SMALLINT NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "staff_id" INTEGER NOT NULL,
+
+    CONSTRAINT "staff_availability_pkey" PRIMARY KEY ("availability_id")
+);
+
+-- CreateTable
+CREATE TABLE "staff_time_off" (
+    "time_off_id" SERIAL NOT NULL,
+    "start_time" TIMESTAMP(6) NOT NULL,
+    "end_time" TIMESTAMP(6) NOT NULL,
+    "reason" VARCHAR(255),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "staff_id" INTEGER NOT NULL,
+
+    CONSTRAINT "staff_time_off_pkey" PRIMARY KEY ("time_off_id")
+);
+
+-- CreateIndex
+CREATE INDEX "staff_assignments_staff_id_start_time_idx" ON "staff_assignments"("staff_id", "start_time");
+
+-- CreateIndex
+CREATE INDEX "staff_assignments_event_id_idx" ON "staff_assignments"("event_id");
+
+-- CreateIndex
+CREATE INDEX "staff_assignments_event_service_id_idx" ON "staff_assignments"("event_service_id");
+
+-- CreateIndex
+CREATE INDEX "staff_availability_staff_id_weekday_idx" ON "staff_availability"("staff_id", "weekday");
+
+-- CreateIndex
+CREATE INDEX "staff_time_off_staff_id_start_time_idx" ON "staff_time_off"("staff_id", "start_time");
+
+-- AddForeignKey
+ALTER TABLE "staff_assignments" ADD CONSTRAINT "staff_assignments_staff_id_fkey" FOREIGN KEY ("staff_id") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "staff_assignments" ADD CONSTRAINT "staff_assignments_assigned_by_fkey" FOREIGN KEY ("assigned_by") REFERENCES "accounts"("account_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "staff_assignments" ADD CONSTRAINT "staff_assignments_event_id_fkey" FOREIGN KEY ("event_id") REFERENCES "events"("event_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "staff_assignments" ADD CONSTRAINT "staff_assignments_event_service_id_fkey" FOREIGN KEY ("event_service_id") REFERENCES "event_services"("event_service_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "staff_availability" ADD CONSTRAINT "staff_availability_staff_id_fkey" FOREIGN KEY ("staff_id") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "staff_time_off" ADD CONSTRAINT "staff_time_off_staff_id_fkey" FOREIGN KEY ("staff_id") REFERENCES "accounts"("account_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed staff scheduling permission
+INSERT INTO "permissions" ("key", "description") VALUES
+    ('staff:manage', 'Assign staff to events and view the staff roster');
+
+INSERT INTO "role_permissions" ("role", "permission_id")
+SELECT 'ADMIN'::"Role", p."permission_id"
+FROM "permissions" p
+WHERE p."key" = 'staff:manage';
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "event_cancellations" ADD COLUMN     "amount_refunded" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Refunds that already went through
+UPDATE "event_cancellations" SET "amount_refunded" = "refund_amount" WHERE "refund_status" IN ('SUCCEEDED', 'MANUAL');
@@ -0,0 +1,13 @@
+-- Events already PENDING when holds were added never got one; give them the hold they would have had
+-- from their creation (the default PENDING_HOLD_HOURS of 48 unless their type sets hold_hours), capped
+-- at their start. Paid or zero-total ones are let go by the release job without being cancelled.
+UPDATE "events" e
+SET "hold_expires_at" = LEAST(
+    e."date_create" + make_interval(hours => COALESCE(et."hold_hours", 48)),
+    e."start_time"
+)
+FROM "events" src
+LEFT JOIN "event_types" et ON et."type_id" = src."event_type_id"
+WHERE src."event_id" = e."event_id"
+  AND e."status" = 'PENDING'
+  AND e."hold_expires_at" IS NULL;
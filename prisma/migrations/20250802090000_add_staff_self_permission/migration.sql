@@ -0,0 +1,9 @@
+-- Seed the permission behind the /staff/me routes, which used to be limited to the STAFF role
+INSERT INTO "permissions" ("key", "description") VALUES
+    ('staff:self', 'View own staff schedule and set own working hours and time off');
+
+INSERT INTO "role_permissions" ("role", "permission_id")
+SELECT r."role"::"Role", p."permission_id"
+FROM "permissions" p
+CROSS JOIN (VALUES ('ADMIN'), ('STAFF')) AS r("role")
+WHERE p."key" = 'staff:self';
@@ -0,0 +1,4 @@
+-- Confirming an event now clears its hold; drop the ones left on events that are no longer on hold.
+-- RESCHEDULED events keep theirs: the release job lets paid ones go without cancelling them.
+UPDATE "events" SET "hold_expires_at" = NULL
+WHERE "hold_expires_at" IS NOT NULL AND "status" NOT IN ('PENDING', 'RESCHEDULED');
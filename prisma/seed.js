@@ -1,5 +1,6 @@
 import { PrismaClient } from "@prisma/client";
 import bcrypt from "bcrypt";
+import { syncPermissionCatalogue } from "../service/permission.service.js";
 
 const prisma = new PrismaClient();
 const SALT_ROUNDS = 10;
@@ -19,6 +20,9 @@ await prisma.eventType.createMany({
 
 console.log("Seeded event types.");
 
+const addedPermissions = await syncPermissionCatalogue();
+console.log(`Synced permission catalogue (${addedPermissions.length} added).`);
+
 }
 main()
   .catch(e => {
@@ -15,9 +15,33 @@ import {
   unbanAccountUserController,
   getAccountByEmailController,
   getMyProfile,
+  forgotPasswordController,
+  resetPasswordController,
+  refreshTokenController,
+  logoutController,
+  getSessionsController,
+  revokeSessionController,
+  revokeAllSessionsController,
+  verifyEmailController,
+  resendVerificationController,
+  loginTwoFactorController,
+  getTwoFactorStatusController,
+  setupTwoFactorController,
+  enableTwoFactorController,
+  disableTwoFactorController,
+  regenerateRecoveryCodesController,
+  getLockoutsController,
+  clearLockoutController,
+  exportAccountDataController,
+  requestErasureController,
+  getErasureRequestsController,
+  approveErasureRequestController,
+  rejectErasureRequestController,
 } from "../controller/accountController.js";
+import { accountCalendarController } from "../controller/calendarFeedController.js";
 import { sendResponse } from "../utils/response.js";
-import { validateToken, validateAdmin } from "../middleware/authMiddleware.js";
+import { validateToken, requirePermission } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 
 const router = express.Router();
 
@@ -48,13 +72,37 @@ const handleMulterError = (error, req, res, next) => {
 
 // Public routes (No auth)
 router.post("/login", generalLimiter, loginAccountController);
+router.post("/login/2fa", sensitiveLimiter, loginTwoFactorController);
 router.post("/register", generalLimiter, createAccountController);
+router.post("/forgot-password", sensitiveLimiter, forgotPasswordController);
+router.post("/reset-password", sensitiveLimiter, resetPasswordController);
+router.post("/refresh", generalLimiter, refreshTokenController);
+router.post("/verify-email", generalLimiter, verifyEmailController);
+router.post("/resend-verification", sensitiveLimiter, resendVerificationController);
 
 // Authenticated user routes
 router.get("/my-profile", generalLimiter, validateToken, getMyProfile);
+router.post("/logout", generalLimiter, validateToken, logoutController);
+router.get("/sessions", generalLimiter, validateToken, getSessionsController);
+router.delete("/sessions", generalLimiter, validateToken, revokeAllSessionsController);
+router.delete("/sessions/:sessionId", generalLimiter, validateToken, revokeSessionController);
+router.get("/2fa", generalLimiter, validateToken, getTwoFactorStatusController);
+router.post("/2fa/setup", sensitiveLimiter, validateToken, setupTwoFactorController);
+router.post("/2fa/enable", sensitiveLimiter, validateToken, enableTwoFactorController);
+router.post("/2fa/disable", sensitiveLimiter, validateToken, disableTwoFactorController);
+router.post("/2fa/recovery-codes", sensitiveLimiter, validateToken, regenerateRecoveryCodesController);
+router.get("/lockouts", generalLimiter, validateToken, requirePermission(PERMISSIONS.ACCOUNTS_LOCKOUTS_MANAGE), getLockoutsController);
+router.delete("/lockouts/:lockoutId", generalLimiter, validateToken, requirePermission(PERMISSIONS.ACCOUNTS_LOCKOUTS_MANAGE), clearLockoutController);
+router.get("/erasure-requests", generalLimiter, validateToken, requirePermission(PERMISSIONS.ACCOUNTS_ERASURE_MANAGE), getErasureRequestsController);
+router.put("/erasure-requests/:requestId/approve", generalLimiter, validateToken, requirePermission(PERMISSIONS.ACCOUNTS_ERASURE_MANAGE), approveErasureRequestController);
+router.put("/erasure-requests/:requestId/reject", generalLimiter, validateToken, requirePermission(PERMISSIONS.ACCOUNTS_ERASURE_MANAGE), rejectErasureRequestController);
+// A customer's events as an iCalendar feed (feed token in the URL)
+router.get("/:id/calendar.ics", generalLimiter, accountCalendarController);
 router.get("/:accountId", generalLimiter, validateToken, getAccountByIdController);
 router.put("/:accountId", generalLimiter, validateToken, updateAccountController);
 router.put("/:accountId/password", sensitiveLimiter, validateToken, updatePasswordController);
+router.get("/:accountId/export", sensitiveLimiter, validateToken, exportAccountDataController);
+router.post("/:accountId/erasure-request", sensitiveLimiter, validateToken, requestErasureController);
 router.post(
   "/:accountId/upload-avatar",
   validateToken,
@@ -65,11 +113,11 @@ router.post(
 );
 
 // Admin-only routes
-router.get("/", generalLimiter, validateToken, validateAdmin, getAllAccountsController);
-router.delete("/:accountId", generalLimiter, validateToken, validateAdmin, deleteAccountController);
-router.put("/:accountId/ban", generalLimiter, validateToken, validateAdmin, banAccountUserController);
-router.put("/:accountId/unban", generalLimiter, validateToken, validateAdmin, unbanAccountUserController);
-router.get("/email/:email", generalLimiter, validateToken, validateAdmin, getAccountByEmailController);
+router.get("/", generalLimiter, validateToken, requirePermission(PERMISSIONS.ACCOUNTS_READ_ANY), getAllAccountsController);
+router.delete("/:accountId", generalLimiter, validateToken, requirePermission(PERMISSIONS.ACCOUNTS_DELETE), deleteAccountController);
+router.put("/:accountId/ban", generalLimiter, validateToken, requirePermission(PERMISSIONS.ACCOUNTS_BAN), banAccountUserController);
+router.put("/:accountId/unban", generalLimiter, validateToken, requirePermission(PERMISSIONS.ACCOUNTS_BAN), unbanAccountUserController);
+router.get("/email/:email", generalLimiter, validateToken, requirePermission(PERMISSIONS.ACCOUNTS_READ_ANY), getAccountByEmailController);
 
 // Fallback
 router.use((req, res) => {
@@ -1,11 +1,12 @@
 import express from "express";
 import { getAnalytics } from "../controller/analyticsController.js";
-import { validateToken, validateAdmin } from "../middleware/authMiddleware.js";
+import { validateToken, requirePermission } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 
 const router = express.Router();
 
 // Admin analytics endpoint (only admin can access)
-router.get("/admin", validateToken, validateAdmin, getAnalytics);
+router.get("/admin", validateToken, requirePermission(PERMISSIONS.ANALYTICS_READ), getAnalytics);
 
 
 // import { getUserAnalytics } from "../controller/analyticsController.js";
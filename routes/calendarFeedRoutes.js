@@ -0,0 +1,16 @@
+import express from "express";
+import {
+  createFeedController,
+  getFeedsController,
+  revokeFeedController,
+} from "../controller/calendarFeedController.js";
+import { validateToken } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Subscribable iCalendar feeds (account events, room occupancy, assigned services)
+router.get("/", validateToken, getFeedsController);
+router.post("/", validateToken, createFeedController);
+router.delete("/:id", validateToken, revokeFeedController);
+
+export default router;
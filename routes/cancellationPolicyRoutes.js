@@ -0,0 +1,21 @@
+import express from "express";
+import {
+  getPoliciesController,
+  getPolicyByIdController,
+  createPolicyController,
+  updatePolicyController,
+  deletePolicyController,
+} from "../controller/cancellationPolicyController.js";
+import { validateToken, requirePermission } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+
+const router = express.Router();
+
+// Anyone signed in can read the terms; changing them needs cancellation-policies:write
+router.get("/", validateToken, getPoliciesController);
+router.get("/:id", validateToken, getPolicyByIdController);
+router.post("/", validateToken, requirePermission(PERMISSIONS.CANCELLATION_POLICIES_WRITE), createPolicyController);
+router.put("/:id", validateToken, requirePermission(PERMISSIONS.CANCELLATION_POLICIES_WRITE), updatePolicyController);
+router.delete("/:id", validateToken, requirePermission(PERMISSIONS.CANCELLATION_POLICIES_WRITE), deletePolicyController);
+
+export default router;
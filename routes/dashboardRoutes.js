@@ -1,11 +1,12 @@
 // routes/dashboardRoutes.js
 import express from "express";
 import { getAdminDashboard, getUserDashboard } from "../controller/dashboardController.js";
-import { validateToken, validateAdmin } from "../middleware/authMiddleware.js";
+import { validateToken, requirePermission } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 
 const router = express.Router();
 
-router.get("/admin", validateToken, validateAdmin, getAdminDashboard);
+router.get("/admin", validateToken, requirePermission(PERMISSIONS.DASHBOARD_ADMIN), getAdminDashboard);
 router.get("/user", validateToken, getUserDashboard);
 
 export default router;
\ No newline at end of file
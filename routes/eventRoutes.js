@@ -1,4 +1,5 @@
 import express from 'express';
+import multer from 'multer';
 import {
   createEventController,
   updateEventController,
@@ -8,15 +9,64 @@ import {
   getEventsByEventTypeIdController,
   toggleEventStatusController,
   getEventDetails,
+  changeEventStatusController,
+  getEventStatusHistoryController,
+  cloneEventController,
+  rescheduleEventController,
+  getRescheduleHistoryController,
+  cancelEventController,
+  getCancellationQuoteController,
+  retryCancellationRefundController,
+  extendHoldController,
 } from '../controller/eventController.js';
-import { validateAdmin, validateToken } from '../middleware/authMiddleware.js';
+import {
+  getEventCollaboratorsController,
+  inviteCollaboratorController,
+  updateCollaboratorController,
+  removeCollaboratorController,
+  acceptInvitationController,
+  declineInvitationController,
+  getSharedEventsController,
+} from '../controller/collaboratorController.js';
+import {
+  getGuestsController,
+  addGuestController,
+  importGuestsController,
+  updateGuestController,
+  removeGuestController,
+  sendRsvpInvitationsController,
+  getRsvpController,
+  respondToRsvpController,
+} from '../controller/guestController.js';
+import {
+  getEventTicketsController,
+  getGuestTicketController,
+  checkInController,
+  getAttendanceController,
+} from '../controller/ticketController.js';
+import {
+  getTimelineController,
+  getRunSheetController,
+  setDependencyController,
+} from '../controller/timelineController.js';
+import {
+  getEventStaffController,
+  assignStaffController,
+  updateAssignmentController,
+  removeAssignmentController,
+} from '../controller/staffController.js';
+import { requirePermission, validateToken } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../utils/permissions.js';
 
 const router = express.Router();
 
+// Guest list CSV uploads are kept in memory
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024, files: 1 } });
+
 // Create a new event (authenticated users)
 router.post('/', validateToken, createEventController);
 
-// Update an event (authenticated users)
+// Update an event (owner, editors, or events:write:any)
 router.put('/:id', validateToken, updateEventController);
 
 // Get all events with filters (public or authenticated)
@@ -25,20 +75,98 @@ router.get('/', getAllEventsController);
 // Get events by event type ID (public or authenticated)
 router.get('/event-types/:eventTypeId', getEventsByEventTypeIdController);
 
-// Get event details (authenticated users only, with role check)
+// Events shared with the current user as a collaborator
+router.get('/shared', validateToken, getSharedEventsController);
+
+// Accept or decline a collaborator invitation (token from the emailed link)
+router.post('/invitations/accept', validateToken, acceptInvitationController);
+router.post('/invitations/decline', validateToken, declineInvitationController);
+
+// Guests answer their RSVP link without an account (token from the emailed link)
+router.get('/rsvp', getRsvpController);
+router.post('/rsvp', respondToRsvpController);
+
+// Collaborators (owner invites and manages; collaborators can list and leave)
+router.get('/:id/collaborators', validateToken, getEventCollaboratorsController);
+router.post('/:id/collaborators', validateToken, inviteCollaboratorController);
+router.patch('/:id/collaborators/:collaboratorId', validateToken, updateCollaboratorController);
+router.delete('/:id/collaborators/:collaboratorId', validateToken, removeCollaboratorController);
+
+// Guest list and RSVP invitations (viewers can read; owner and editors manage)
+router.get('/:id/guests', validateToken, getGuestsController);
+router.post('/:id/guests', validateToken, addGuestController);
+router.post('/:id/guests/import', validateToken, csvUpload.single('file'), importGuestsController);
+router.post('/:id/guests/invitations', validateToken, sendRsvpInvitationsController);
+router.put('/:id/guests/:guestId', validateToken, updateGuestController);
+router.delete('/:id/guests/:guestId', validateToken, removeGuestController);
+
+// QR-code tickets for attending guests, and door check-in by staff (events:check-in)
+router.get('/:id/tickets', validateToken, getEventTicketsController);
+router.get('/:id/guests/:guestId/ticket', validateToken, getGuestTicketController);
+router.post('/:id/check-in', validateToken, requirePermission(PERMISSIONS.EVENTS_CHECK_IN), checkInController);
+router.get('/:id/attendance', validateToken, requirePermission(PERMISSIONS.EVENTS_CHECK_IN), getAttendanceController);
+
+// Get event details (owner, collaborators, or events:read:any)
 router.get('/:id/details', validateToken, getEventDetails);
 
+// Copy an event with its services to a new date (anyone who can view it)
+router.post('/:id/clone', validateToken, cloneEventController);
+
+// Move an event to new times, re-checking the room and every booked service
+router.post('/:id/reschedule', validateToken, rescheduleEventController);
+router.get('/:id/reschedules', validateToken, getRescheduleHistoryController);
+
+// Run-of-show: ordered services with window, overlap and dependency checks, and a printable run sheet
+router.get('/:id/timeline', validateToken, getTimelineController);
+router.get('/:id/timeline/run-sheet', validateToken, getRunSheetController);
+router.put('/:id/timeline/:eventServiceId/dependency', validateToken, setDependencyController);
+
+// Staff working the event or one of its services (anyone who can view it; changes need staff:manage)
+router.get('/:id/staff', validateToken, getEventStaffController);
+router.post('/:id/staff', validateToken, requirePermission(PERMISSIONS.STAFF_MANAGE), assignStaffController);
+router.patch(
+  '/:id/staff/:assignmentId',
+  validateToken,
+  requirePermission(PERMISSIONS.STAFF_MANAGE),
+  updateAssignmentController
+);
+router.delete(
+  '/:id/staff/:assignmentId',
+  validateToken,
+  requirePermission(PERMISSIONS.STAFF_MANAGE),
+  removeAssignmentController
+);
+
+// Cancel with the refund its cancellation policy allows; the quote previews it
+router.get('/:id/cancellation-quote', validateToken, getCancellationQuoteController);
+router.post('/:id/cancel', validateToken, cancelEventController);
+router.post(
+  '/:id/cancellation/refund',
+  validateToken,
+  requirePermission(PERMISSIONS.INVOICES_REFUND),
+  retryCancellationRefundController
+);
+
+// An unpaid PENDING event holds its room for a while; owners and editors may extend that once
+router.post('/:id/hold/extend', validateToken, extendHoldController);
+
 // Get event by ID (public or authenticated)
 router.get('/:id', getEventByIdController);
 
-// Delete an event (admin only)
-router.delete('/:id', validateToken, validateAdmin, deleteEventController);
+// Delete an event (events:delete)
+router.delete('/:id', validateToken, requirePermission(PERMISSIONS.EVENTS_DELETE), deleteEventController);
+
+// Move an event along its lifecycle (owners may cancel; other moves need events:status:manage)
+router.patch('/:id/status', validateToken, changeEventStatusController);
+
+// Status history (owner, collaborators, or events:read:any)
+router.get('/:id/history', validateToken, getEventStatusHistoryController);
 
-// Toggle event status (admin only)
+// Toggle event status: confirms a PENDING event (events:status:manage)
 router.patch(
   '/:id/toggle-status',
   validateToken,
-  validateAdmin,
+  requirePermission(PERMISSIONS.EVENTS_STATUS_MANAGE),
   toggleEventStatusController
 );
 
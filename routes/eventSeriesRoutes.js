@@ -0,0 +1,20 @@
+import express from "express";
+import {
+  previewSeriesController,
+  createSeriesController,
+  getSeriesController,
+  updateSeriesOccurrencesController,
+  cancelSeriesOccurrencesController,
+} from "../controller/eventSeriesController.js";
+import { validateToken } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Recurring event series
+router.post("/preview", validateToken, previewSeriesController);
+router.post("/", validateToken, createSeriesController);
+router.get("/:id", validateToken, getSeriesController);
+router.put("/:id/occurrences/:eventId", validateToken, updateSeriesOccurrencesController);
+router.post("/:id/occurrences/:eventId/cancel", validateToken, cancelSeriesOccurrencesController);
+
+export default router;
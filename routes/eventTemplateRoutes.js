@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  getTemplatesController,
+  getTemplateByIdController,
+  createTemplateController,
+  updateTemplateController,
+  deleteTemplateController,
+  instantiateTemplateController,
+} from "../controller/eventTemplateController.js";
+import { validateToken } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Event templates (own templates; global ones are managed with event-templates:manage)
+router.get("/", validateToken, getTemplatesController);
+router.post("/", validateToken, createTemplateController);
+router.get("/:id", validateToken, getTemplateByIdController);
+router.put("/:id", validateToken, updateTemplateController);
+router.delete("/:id", validateToken, deleteTemplateController);
+router.post("/:id/instantiate", validateToken, instantiateTemplateController);
+
+export default router;
@@ -6,7 +6,8 @@ import {
     getEventTypeByIdController,
     deleteEventTypeController
 } from "../controller/eventTypeController.js";
-import { validateAdmin, validateToken } from "../middleware/authMiddleware.js";
+import { requirePermission, validateToken } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 
 const router = express.Router();
 
@@ -15,7 +16,7 @@ router.get("/", getAllEventTypesController);
 router.get("/:id", getEventTypeByIdController);
 
 // Admin routes
-router.post("/", validateToken, validateAdmin, createEventTypeController);
-router.delete("/:id", validateToken, validateAdmin, deleteEventTypeController);
-router.put("/:id", validateToken, validateAdmin, updateEventTypeController);
+router.post("/", validateToken, requirePermission(PERMISSIONS.EVENT_TYPES_WRITE), createEventTypeController);
+router.delete("/:id", validateToken, requirePermission(PERMISSIONS.EVENT_TYPES_WRITE), deleteEventTypeController);
+router.put("/:id", validateToken, requirePermission(PERMISSIONS.EVENT_TYPES_WRITE), updateEventTypeController);
 export default router;
\ No newline at end of file
@@ -12,20 +12,22 @@ import {
   getEventServicesByEventIdController,
   getUserEventServicesController
 } from "../controller/event_serviceController.js";
-import { validateToken, validateStaffOrAdmin, validateUser } from "../middleware/authMiddleware.js";
+import { staffCalendarController } from "../controller/calendarFeedController.js";
+import { validateToken, requirePermission } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 
 const router = express.Router();
 
 // ===== Event Service Routes =====
 
-// POST /api/event-services - Create a new event service (customers can book services)
+// POST /api/event-services - Create a new event service (event owner or editor)
 router.post("/", validateToken, createEventServiceController);
 
 // GET /api/event-services - Get all event services with optional filters (staff/admin can see all)
-router.get("/", validateToken, getAllEventServicesController);
+router.get("/", validateToken, requirePermission(PERMISSIONS.EVENTS_READ_ANY), getAllEventServicesController);
 
 // GET /api/event-services/stats - Get event service statistics (staff/admin only)
-router.get("/stats", validateStaffOrAdmin, getEventServiceStatsController);
+router.get("/stats", validateToken, requirePermission(PERMISSIONS.EVENT_SERVICES_STATS), getEventServiceStatsController);
 
 // GET /api/event-services/my-services - Get current user's event services
 router.get("/my-services", validateToken, getUserEventServicesController);
@@ -33,16 +35,19 @@ router.get("/my-services", validateToken, getUserEventServicesController);
 // POST /api/event-services/check-availability - Check variation availability
 router.post("/check-availability", validateToken, checkVariationAvailabilityController);
 
-// GET /api/event-services/event/:eventId - Get all event services for a specific event
+// GET /api/event-services/calendar.ics - Assigned event services as an iCalendar feed (feed token in the URL)
+router.get("/calendar.ics", staffCalendarController);
+
+// GET /api/event-services/event/:eventId - Get all event services for a specific event (owner or collaborator)
 router.get("/event/:eventId", validateToken, getEventServicesByEventIdController);
 
 // GET /api/event-services/:id - Get event service by ID
 router.get("/:id", validateToken, getEventServiceByIdController);
 
-// PUT /api/event-services/:id - Update event service (staff/admin can update any, customers can update their own)
+// PUT /api/event-services/:id - Update event service (staff/admin can update any, owners and editors their event's)
 router.put("/:id", validateToken, updateEventServiceController);
 
-// DELETE /api/event-services/:id - Delete event service (staff/admin can delete any, customers can delete their own)
+// DELETE /api/event-services/:id - Delete event service (staff/admin can delete any, owners and editors their event's)
 router.delete("/:id", validateToken, deleteEventServiceController);
 
 export default router;
\ No newline at end of file
@@ -6,12 +6,30 @@ import {
   updateImage,
   deleteImage
 } from "../controller/imageUploadController.js";
-import { validateToken } from "../middleware/authMiddleware.js";
+import {
+  validateToken,
+  requirePermission,
+  requireServiceOwnership,
+} from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import { findServiceIdForImage, findServiceIdForVariation } from "../service/provider.service.js";
 
 const router = express.Router();
 
-// Create a new image (authenticated)
-router.post("/", validateToken, createImage);
+const canWriteServices = requirePermission(PERMISSIONS.SERVICES_WRITE_ANY, PERMISSIONS.SERVICES_WRITE_OWN);
+// The services an image is being attached to: the one named, and the one behind the named variation
+const targetServiceIds = async (req) => [
+  req.body?.service_id,
+  req.body?.variation_id ? await findServiceIdForVariation(req.body.variation_id) : null,
+];
+const ownsTargetService = requireServiceOwnership(targetServiceIds);
+const ownsImage = requireServiceOwnership(async (req) => [
+  await findServiceIdForImage(req.params.id),
+  ...(await targetServiceIds(req)),
+]);
+
+// Create a new image (admins, or providers for their own services)
+router.post("/", validateToken, canWriteServices, ownsTargetService, createImage);
 
 // Get all images (public)
 router.get("/", getAllImages);
@@ -19,10 +37,10 @@ router.get("/", getAllImages);
 // Get image by ID (public)
 router.get("/:id",validateToken, getImageById);
 
-// Update image (authenticated)
-router.patch("/:id",validateToken, updateImage);
+// Update image (admins, or providers for their own services)
+router.patch("/:id", validateToken, canWriteServices, ownsImage, updateImage);
 
-// Delete image (authenticated)
-router.delete("/:id", validateToken, deleteImage);
+// Delete image (admins, or providers for their own services)
+router.delete("/:id", validateToken, canWriteServices, ownsImage, deleteImage);
 
 export default router;
\ No newline at end of file
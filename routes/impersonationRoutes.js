@@ -0,0 +1,25 @@
+import express from "express";
+import {
+  startImpersonationController,
+  endCurrentImpersonationController,
+  endImpersonationController,
+  getImpersonationSessionsController,
+  getImpersonationAuditLogController,
+} from "../controller/impersonationController.js";
+import { validateToken, requirePermission } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+
+const router = express.Router();
+
+const canImpersonate = requirePermission(PERMISSIONS.ACCOUNTS_IMPERSONATE);
+
+// Called with the impersonation token itself (the only write it is allowed)
+router.post("/end", validateToken, endCurrentImpersonationController);
+
+// Admin routes
+router.post("/", validateToken, canImpersonate, startImpersonationController);
+router.get("/", validateToken, canImpersonate, getImpersonationSessionsController);
+router.get("/:impersonationId/audit", validateToken, canImpersonate, getImpersonationAuditLogController);
+router.delete("/:impersonationId", validateToken, canImpersonate, endImpersonationController);
+
+export default router;
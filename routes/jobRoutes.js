@@ -0,0 +1,12 @@
+import express from 'express';
+import { getJobsController, runJobController } from '../controller/jobController.js';
+import { requirePermission, validateToken } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+const router = express.Router();
+
+// Scheduled jobs, and a manual trigger for each (jobs:run); every job is safe to rerun
+router.get('/', validateToken, requirePermission(PERMISSIONS.JOBS_RUN), getJobsController);
+router.post('/:name/run', validateToken, requirePermission(PERMISSIONS.JOBS_RUN), runJobController);
+
+export default router;
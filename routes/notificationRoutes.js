@@ -5,16 +5,27 @@ import {
 } from "../controller/notificationController.js";
 
 import express from "express";
-import { validateUser} from "../middleware/authMiddleware.js";
+import { validateToken, requirePermission } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 import e from "express";
 
 const router = express.Router();
 
 
-// Public routes
-router.get("/", validateUser, getAllNotificationsController);
+// Authenticated routes
+router.get(
+  "/",
+  validateToken,
+  requirePermission(PERMISSIONS.NOTIFICATIONS_READ_OWN, PERMISSIONS.NOTIFICATIONS_READ_ANY),
+  getAllNotificationsController
+);
 // User routes
-router.put("/:id/read", validateUser, markNotificationAsReadController);
+router.put(
+  "/:id/read",
+  validateToken,
+  requirePermission(PERMISSIONS.NOTIFICATIONS_READ_OWN, PERMISSIONS.NOTIFICATIONS_READ_ANY),
+  markNotificationAsReadController
+);
 
 // 404 handler
 router.use((req, res) => {
@@ -0,0 +1,21 @@
+import express from "express";
+import {
+  getPermissionCatalogueController,
+  getRolePermissionsController,
+  setRolePermissionsController,
+  getMyPermissionsController,
+} from "../controller/permissionController.js";
+import { validateToken, requirePermission } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+
+const router = express.Router();
+
+// Authenticated routes
+router.get("/me", validateToken, getMyPermissionsController);
+
+// Admin routes
+router.get("/", validateToken, requirePermission(PERMISSIONS.PERMISSIONS_MANAGE), getPermissionCatalogueController);
+router.get("/roles", validateToken, requirePermission(PERMISSIONS.PERMISSIONS_MANAGE), getRolePermissionsController);
+router.put("/roles/:role", validateToken, requirePermission(PERMISSIONS.PERMISSIONS_MANAGE), setRolePermissionsController);
+
+export default router;
@@ -9,20 +9,36 @@ import {
   getActivePricingTiersController,
   getPricingTiersByPriceRangeController
 } from "../controller/pricingTierController.js";
-import { validateToken, validateAdmin } from "../middleware/authMiddleware.js";
+import {
+  validateToken,
+  requirePermission,
+  requireServiceOwnership,
+} from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import {
+  findServiceIdForVariation,
+  findServiceIdForPricingTier,
+} from "../service/provider.service.js";
 
 const router = express.Router();
 
+const canWriteServices = requirePermission(PERMISSIONS.SERVICES_WRITE_ANY, PERMISSIONS.SERVICES_WRITE_OWN);
+const ownsTargetVariation = requireServiceOwnership((req) => findServiceIdForVariation(req.body?.variation_id));
+const ownsTier = requireServiceOwnership(async (req) => [
+  await findServiceIdForPricingTier(req.params.id),
+  req.body?.variation_id ? await findServiceIdForVariation(req.body?.variation_id) : null,
+]);
+
 // Public routes
 router.get("/", getAllPricingTiersController);
 router.get("/active", getActivePricingTiersController);
 router.get("/range", getPricingTiersByPriceRangeController);
 router.get("/:id", getPricingTierByIdController);
 
-// Admin/protected routes
-router.post("/", validateToken, validateAdmin, createPricingTierController);
-router.put("/:id", validateToken, validateAdmin, updatePricingTierController);
-router.delete("/:id", validateToken, validateAdmin, deletePricingTierController);
-router.patch("/:id/toggle", validateToken, validateAdmin, togglePricingTierStatusController);
+// Protected routes (admins, or providers for tiers of their own services)
+router.post("/", validateToken, canWriteServices, ownsTargetVariation, createPricingTierController);
+router.put("/:id", validateToken, canWriteServices, ownsTier, updatePricingTierController);
+router.delete("/:id", validateToken, canWriteServices, ownsTier, deletePricingTierController);
+router.patch("/:id/toggle", validateToken, canWriteServices, ownsTier, togglePricingTierStatusController);
 
 export default router;
\ No newline at end of file
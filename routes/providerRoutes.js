@@ -0,0 +1,21 @@
+import express from "express";
+import {
+  getMyServicesController,
+  getMyBookingsController,
+  acceptBookingController,
+  declineBookingController,
+} from "../controller/providerController.js";
+import { validateToken, requirePermission } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+
+const router = express.Router();
+
+const canRespond = requirePermission(PERMISSIONS.BOOKINGS_RESPOND_OWN, PERMISSIONS.SERVICES_WRITE_ANY);
+
+// Provider portal
+router.get("/services", validateToken, requirePermission(PERMISSIONS.SERVICES_WRITE_OWN), getMyServicesController);
+router.get("/bookings", validateToken, requirePermission(PERMISSIONS.BOOKINGS_RESPOND_OWN), getMyBookingsController);
+router.put("/bookings/:id/accept", validateToken, canRespond, acceptBookingController);
+router.put("/bookings/:id/decline", validateToken, canRespond, declineBookingController);
+
+export default router;
@@ -0,0 +1,29 @@
+import express from "express";
+import {
+  getQuotesController,
+  getQuoteByIdController,
+  createQuoteController,
+  reviseQuoteController,
+  sendQuoteController,
+  getQuoteByTokenController,
+  acceptQuoteController,
+  declineQuoteController,
+} from "../controller/quoteController.js";
+import { validateToken, requirePermission } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+
+const router = express.Router();
+
+// The shareable link: anyone holding it can look; answering needs the customer's login
+router.get("/view", getQuoteByTokenController);
+router.post("/accept", validateToken, acceptQuoteController);
+router.post("/decline", validateToken, declineQuoteController);
+
+// Staff with quotes:write see and manage every quote; customers see their own
+router.get("/", validateToken, getQuotesController);
+router.get("/:id", validateToken, getQuoteByIdController);
+router.post("/", validateToken, requirePermission(PERMISSIONS.QUOTES_WRITE), createQuoteController);
+router.put("/:id", validateToken, requirePermission(PERMISSIONS.QUOTES_WRITE), reviseQuoteController);
+router.post("/:id/send", validateToken, requirePermission(PERMISSIONS.QUOTES_WRITE), sendQuoteController);
+
+export default router;
@@ -6,7 +6,8 @@ import {
   updateReview,
   deleteReview
 } from "../controller/reviewController.js";
-import { validateToken, validateAdmin } from "../middleware/authMiddleware.js";
+import { validateToken, requirePermission } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 const router = express.Router();
 
 // Create a new review (authenticated)
@@ -17,7 +18,7 @@ router.get("/", getAllReviews);
 
 // Get review by ID (public)
 router.get("/:id",validateToken,
-  validateAdmin, getReviewById);
+  requirePermission(PERMISSIONS.REVIEWS_READ_ANY), getReviewById);
 
 // Update review (authenticated)
 router.patch("/:id", validateToken,updateReview);
@@ -8,8 +8,10 @@ import {
   restoreRoomController,
 } from "../controller/roomController.js";
 import express from "express";
-import { validateToken, validateAdmin } from "../middleware/authMiddleware.js";
+import { validateToken, requirePermission } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 import multer from "multer";
+import { roomCalendarController } from "../controller/calendarFeedController.js";
 
 const upload = multer();
 
@@ -20,26 +22,29 @@ router.get("/", getAllRoomsController);
 router.get("/:id", getRoomByIdController);
 router.get("/:id/availability", checkRoomAvailabilityController);
 
+// Room occupancy as an iCalendar feed (feed token in the URL)
+router.get("/:id/calendar.ics", roomCalendarController);
+
 //Admin routes
 router.post(
   "/",
   validateToken,
-  validateAdmin,
+  requirePermission(PERMISSIONS.ROOMS_WRITE),
   upload.array("image"),
   createRoomController
 );
 router.put(
   "/:id",
   validateToken,
-  validateAdmin,
+  requirePermission(PERMISSIONS.ROOMS_WRITE),
   upload.array("image"),
   updateRoomController
 );
-router.delete("/:id", validateToken, validateAdmin, deleteRoomController);
+router.delete("/:id", validateToken, requirePermission(PERMISSIONS.ROOMS_WRITE), deleteRoomController);
 router.patch(
   "/:id/restore",
   validateToken,
-  validateAdmin,
+  requirePermission(PERMISSIONS.ROOMS_WRITE),
   restoreRoomController
 );
 
@@ -10,13 +10,21 @@ import {
   bulkUpdateServices,
   exportServices,
 } from "../controller/servicesController.js";
-import { validateToken, validateAdmin } from "../middleware/authMiddleware.js";
+import {
+  validateToken,
+  requirePermission,
+  requireServiceOwnership,
+} from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 import multer from "multer";
 
 const upload = multer();
 
 const router = express.Router();
 
+const canWriteServices = requirePermission(PERMISSIONS.SERVICES_WRITE_ANY, PERMISSIONS.SERVICES_WRITE_OWN);
+const ownsService = requireServiceOwnership((req) => req.params.id);
+
 // Public routes
 router.get("/", getAllServices);
 router.get("/dashboard", getServicesDashboard);
@@ -24,22 +32,14 @@ router.get("/export", exportServices);
 router.get("/search", advancedSearchServices);
 router.get("/:id", getServiceById);
 
-// Protected routes (require authentication)
+// Protected routes (providers may only touch services they own)
 router.post(
   "/",
   validateToken,
-  validateAdmin,
+  canWriteServices,
   upload.array("image"),
   createService
 );
-router.put(
-  "/:id",
-  validateToken,
-  validateAdmin,
-  upload.array("images"),
-  updateService
-);
-router.delete("/:id", validateToken, validateAdmin, deleteService);
 router.put(
   "/bulk-update",
   (req, res, next) => {
@@ -48,4 +48,13 @@ router.put(
   },
   bulkUpdateServices
 );
+router.put(
+  "/:id",
+  validateToken,
+  canWriteServices,
+  ownsService,
+  upload.array("images"),
+  updateService
+);
+router.delete("/:id", validateToken, canWriteServices, ownsService, deleteService);
 export default router;
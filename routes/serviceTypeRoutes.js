@@ -7,7 +7,8 @@ import {
   deleteServiceTypeController,
   getServiceTypeByNameController
 } from '../controller/serviceTypeController.js';
-import { validateToken, validateAdmin } from '../middleware/authMiddleware.js';
+import { validateToken, requirePermission } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../utils/permissions.js';
 
 const router = Router();
 
@@ -16,8 +17,8 @@ router.get('/', getAllServiceTypesController);
 router.get('/:id', getServiceTypeByIDController);
 router.get('/name/:name', getServiceTypeByNameController);
 // Admin routes
-router.post('/',validateToken, validateAdmin, createServiceTypeController);
-router.put('/:id', validateToken, validateAdmin, updateServiceTypeController);
-router.delete('/:id', validateToken, validateAdmin, deleteServiceTypeController);
+router.post('/',validateToken, requirePermission(PERMISSIONS.SERVICE_TYPES_WRITE), createServiceTypeController);
+router.put('/:id', validateToken, requirePermission(PERMISSIONS.SERVICE_TYPES_WRITE), updateServiceTypeController);
+router.delete('/:id', validateToken, requirePermission(PERMISSIONS.SERVICE_TYPES_WRITE), deleteServiceTypeController);
 
 export default router;
@@ -0,0 +1,25 @@
+import express from "express";
+import {
+  getMyScheduleController,
+  getMyAvailabilityController,
+  setMyAvailabilityController,
+  addTimeOffController,
+  removeTimeOffController,
+  getRosterController,
+} from "../controller/staffController.js";
+import { validateToken, requirePermission } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+
+const router = express.Router();
+
+// A staff member's own assignments, weekly hours and time off (staff:self)
+router.get("/me/schedule", validateToken, requirePermission(PERMISSIONS.STAFF_SELF), getMyScheduleController);
+router.get("/me/availability", validateToken, requirePermission(PERMISSIONS.STAFF_SELF), getMyAvailabilityController);
+router.put("/me/availability", validateToken, requirePermission(PERMISSIONS.STAFF_SELF), setMyAvailabilityController);
+router.post("/me/time-off", validateToken, requirePermission(PERMISSIONS.STAFF_SELF), addTimeOffController);
+router.delete("/me/time-off/:id", validateToken, requirePermission(PERMISSIONS.STAFF_SELF), removeTimeOffController);
+
+// Everyone's assignments, time off and hours (staff:manage)
+router.get("/roster", validateToken, requirePermission(PERMISSIONS.STAFF_MANAGE), getRosterController);
+
+export default router;
@@ -7,18 +7,32 @@ import {
   updateVariation,
   deleteVariation
 } from "../controller/variationController.js"
-import { validateToken, validateAdmin } from "../middleware/authMiddleware.js";
+import {
+  validateToken,
+  requirePermission,
+  requireServiceOwnership,
+} from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import { findServiceIdForVariation } from "../service/provider.service.js";
 
 const router = express.Router();
 const upload = multer(); 
 
+const canWriteServices = requirePermission(PERMISSIONS.SERVICES_WRITE_ANY, PERMISSIONS.SERVICES_WRITE_OWN);
+// Body fields are only available after multer has parsed the form
+const ownsTargetService = requireServiceOwnership((req) => req.body?.service_id);
+const ownsVariation = requireServiceOwnership(async (req) => [
+  await findServiceIdForVariation(req.params.id),
+  req.body?.service_id,
+]);
+
 // Public routes
 router.get("/", getAllVariations);
 router.get("/:id", getVariationById);
 
-// Protected routes (admin only)
-router.post("/", validateToken, validateAdmin, upload.single("image"), createVariation);
-router.put("/:id", validateToken, validateAdmin, upload.single("image"), updateVariation);
-router.delete("/:id", validateToken, validateAdmin, deleteVariation);
+// Protected routes (admins, or providers for their own services)
+router.post("/", validateToken, canWriteServices, upload.single("image"), ownsTargetService, createVariation);
+router.put("/:id", validateToken, canWriteServices, upload.single("image"), ownsVariation, updateVariation);
+router.delete("/:id", validateToken, canWriteServices, ownsVariation, deleteVariation);
 
 export default router;
\ No newline at end of file
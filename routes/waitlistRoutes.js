@@ -0,0 +1,32 @@
+import express from "express";
+import {
+  joinWaitlistController,
+  getMyWaitlistController,
+  getWaitlistEntryController,
+  leaveWaitlistController,
+  claimWaitlistOfferController,
+  getWaitlistController,
+  updateWaitlistEntryController,
+  offerWaitlistEntryController,
+  runWaitlistQueueController,
+} from "../controller/waitlistController.js";
+import { validateToken, requirePermission } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+
+const router = express.Router();
+
+// Customers: queue, see their place in line, claim offers
+router.post("/", validateToken, joinWaitlistController);
+router.get("/mine", validateToken, getMyWaitlistController);
+
+// Staff with waitlist:manage
+router.get("/", validateToken, requirePermission(PERMISSIONS.WAITLIST_MANAGE), getWaitlistController);
+router.post("/process", validateToken, requirePermission(PERMISSIONS.WAITLIST_MANAGE), runWaitlistQueueController);
+router.patch("/:id", validateToken, requirePermission(PERMISSIONS.WAITLIST_MANAGE), updateWaitlistEntryController);
+router.post("/:id/offer", validateToken, requirePermission(PERMISSIONS.WAITLIST_MANAGE), offerWaitlistEntryController);
+
+router.get("/:id", validateToken, getWaitlistEntryController);
+router.delete("/:id", validateToken, leaveWaitlistController);
+router.post("/:id/claim", validateToken, claimWaitlistOfferController);
+
+export default router;
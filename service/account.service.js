@@ -1,18 +1,41 @@
 import { PrismaClient } from "@prisma/client";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import { parseAndValidateId } from '../utils/validation.js'; 
 import { createNotification } from "../utils/notification.js";
+import {
+  generateResetToken,
+  generateEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyToken,
+  hashToken,
+} from "../utils/tokenAndCookies.js";
+import { sendMail, CLIENT_URL, escapeHtml } from "../utils/mailer.js";
+import { createSession, revokeAllSessions } from "./session.service.js";
+import { AUTH_ERROR_CODES } from "../utils/errorCodes.js";
+import { PERMISSIONS, hasPermission } from "../utils/permissions.js";
+import { isTwoFactorRequired } from "./twoFactor.service.js";
+import { hasFinancialRecords, anonymiseAccount } from "./dataPrivacy.service.js";
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "./loginProtection.service.js";
 
 const prisma = new PrismaClient();
 const SALT_ROUNDS = 10;
-const JWT_SECRET = process.env.JWT_SECRET;
+// Roles anyone may sign up with; the others are handed out by admins
+const SELF_SERVICE_ROLES = ["CUSTOMER", "PROVIDER"];
 
 const handleError = (context, error) => {
   console.error(`Error in ${context}:`, error);
   return { isValid: false, errors: [error.message] };
 };
 
+// Emails are stored and compared lower-cased, matching the keys used by login protection
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+// Accounts registered before emails were normalised may still hold mixed case
+const emailEquals = (email) => ({ equals: normalizeEmail(email), mode: "insensitive" });
+
 const pickAccountFields = (data) => {
   let dateOfBirth = null;
   if (data.dateOfBirth) {
@@ -20,7 +43,7 @@ const pickAccountFields = (data) => {
     dateOfBirth = isNaN(parsed.getTime()) ? null : parsed;
   }
   return {
-    email: data.email,
+    email: data.email ? normalizeEmail(data.email) : data.email,
     account_name: data.account_name,
     role: data.role,
     is_active: data.is_active ?? true,
@@ -31,6 +54,34 @@ const pickAccountFields = (data) => {
   };
 };
 
+// Issue a fresh verification link, invalidating any earlier one
+const sendVerificationEmail = async (account) => {
+  const token = generateEmailVerificationToken(account.account_id);
+  const { exp } = verifyToken(token);
+
+  await prisma.$transaction(async (tx) => {
+    await tx.emailVerificationToken.updateMany({
+      where: { account_id: account.account_id, used_at: null },
+      data: { used_at: new Date() },
+    });
+    await tx.emailVerificationToken.create({
+      data: {
+        account_id: account.account_id,
+        token_hash: hashToken(token),
+        expires_at: new Date(exp * 1000),
+      },
+    });
+  });
+
+  const verifyLink = `${CLIENT_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: account.email,
+    subject: "Verify your email address",
+    text: `Hi ${account.account_name},\n\nPlease confirm your email address to activate bookings on your account. The link expires in 24 hours.\n\n${verifyLink}`,
+    html: `<p>Hi ${escapeHtml(account.account_name)},</p><p>Please confirm your email address to activate bookings on your account. The link expires in 24 hours.</p><p><a href="${verifyLink}">Verify email</a></p>`,
+  });
+};
+
 // ===== Create Account =====
 export const createAccount = async (accountData) => {
   try {
@@ -38,10 +89,17 @@ export const createAccount = async (accountData) => {
       return { isValid: false, errors: ["Email and password are required."] };
     }
 
+    const fields = pickAccountFields(accountData);
+    if (fields.role !== undefined && !SELF_SERVICE_ROLES.includes(String(fields.role).toUpperCase())) {
+      return { isValid: false, errors: [`Accounts can only be registered as ${SELF_SERVICE_ROLES.join(" or ")}.`] };
+    }
+
     const hashedPassword = await bcrypt.hash(accountData.password_hash, SALT_ROUNDS);
     const newAccount = await prisma.account.create({
       data: {
-        ...pickAccountFields(accountData),
+        ...fields,
+        role: fields.role === undefined ? undefined : String(fields.role).toUpperCase(),
+        is_active: true,
         password_hash: hashedPassword,
         created_at: new Date().toISOString(),
       }
@@ -54,6 +112,13 @@ export const createAccount = async (accountData) => {
       type: "WELCOME",
     });
 
+    // Registration still succeeds if the mail server is down; the user can ask for a resend
+    try {
+      await sendVerificationEmail(newAccount);
+    } catch (mailError) {
+      console.error("Error sending verification email:", mailError);
+    }
+
     return { isValid: true, data: newAccount };
   } catch (error) {
     return handleError("createAccount", error);
@@ -61,49 +126,145 @@ export const createAccount = async (accountData) => {
 };
 
 // ===== Login =====
-export const loginAccount = async (email, password) => {
+export const loginAccount = async (email, password, deviceInfo = {}) => {
   try {
     if (!email || !password) {
       return { isValid: false, errors: ["Email and password are required."] };
     }
 
+    const ip = deviceInfo.ip_address;
+    const gate = await checkLoginAllowed({ email, ip });
+    if (!gate.allowed) {
+      return {
+        isValid: false,
+        errors: ["Too many failed login attempts. Please try again later."],
+        code: gate.code,
+        retryAfterSeconds: gate.retryAfterSeconds,
+      };
+    }
+
     const account = await prisma.account.findFirst({
-      where: { email },
+      where: { email: emailEquals(email) },
     });
 
-    if (!account || !account.is_active) {
-      return { isValid: false, errors: ["Invalid email or inactive account."] };
+    if (!account) {
+      await recordLoginFailure({ email, ip, reason: AUTH_ERROR_CODES.INVALID_CREDENTIALS });
+      return {
+        isValid: false,
+        errors: ["Invalid email or password."],
+        code: AUTH_ERROR_CODES.INVALID_CREDENTIALS,
+      };
     }
 
     const match = await bcrypt.compare(password, account.password_hash);
     if (!match) {
-      return { isValid: false, errors: ["Incorrect password."] };
+      await recordLoginFailure({
+        accountId: account.account_id,
+        email,
+        ip,
+        reason: AUTH_ERROR_CODES.INVALID_CREDENTIALS,
+      });
+      return {
+        isValid: false,
+        errors: ["Invalid email or password."],
+        code: AUTH_ERROR_CODES.INVALID_CREDENTIALS,
+      };
+    }
+
+    // Only reveal account state once the password has been proven
+    if (!account.is_active) {
+      return {
+        isValid: false,
+        errors: ["This account has been deactivated."],
+        code: AUTH_ERROR_CODES.ACCOUNT_INACTIVE,
+      };
+    }
+
+    if (!account.email_verified) {
+      return {
+        isValid: false,
+        errors: ["Email address has not been verified."],
+        code: AUTH_ERROR_CODES.EMAIL_NOT_VERIFIED,
+      };
+    }
+
+    const { password_hash, two_factor_secret, two_factor_last_step, ...accountData } = account;
+
+    // Password step done; the session is only issued once the OTP is checked
+    if (account.two_factor_enabled) {
+      return {
+        isValid: true,
+        requiresTwoFactor: true,
+        data: { account_id: account.account_id },
+        challengeToken: generateTwoFactorChallengeToken(account.account_id),
+      };
     }
 
-    const { password_hash, ...accountData } = account;
-    const token = jwt.sign(
-      { account_id: account.account_id, role: account.role, email: account.email },
-      JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    await recordLoginSuccess({ accountId: account.account_id, email, ip });
+    const { session, accessToken, refreshToken } = await createSession(account, deviceInfo);
 
-    return { isValid: true, data: accountData, token };
+    return {
+      isValid: true,
+      data: {
+        ...accountData,
+        session_id: session.session_id,
+        two_factor_enrollment_required: isTwoFactorRequired(account.role),
+      },
+      token: accessToken,
+      refreshToken,
+    };
   } catch (error) {
     return handleError("loginAccount", error);
   }
 };
 
 // ===== Update Account =====
-export const updateAccount = async (accountId, updateData) => {
+/**
+ * Update an account's profile
+ * @param {number} accountId
+ * @param {Object} updateData
+ * @param {Object} actor - req.user; role changes need permissions:manage and (de)activation accounts:write:any
+ */
+export const updateAccount = async (accountId, updateData, actor) => {
   try {
+    const existing = await prisma.account.findUnique({
+      where: { account_id: accountId },
+      select: { email: true, role: true, is_active: true },
+    });
+    if (!existing) return { isValid: false, errors: ["Account not found."] };
+
+    // Profile forms may send the current role and flag back unchanged; only real changes are checked
+    const fields = pickAccountFields(updateData);
+    const roleChanged = updateData.role !== undefined && String(updateData.role).toUpperCase() !== existing.role;
+    if (roleChanged && !hasPermission(actor, PERMISSIONS.PERMISSIONS_MANAGE)) {
+      return { isValid: false, errors: ["You are not allowed to change the role of an account."] };
+    }
+    if (updateData.role !== undefined) fields.role = String(updateData.role).toUpperCase();
+    if (updateData.is_active === undefined) {
+      delete fields.is_active;
+    } else if (Boolean(updateData.is_active) !== existing.is_active && !hasPermission(actor, PERMISSIONS.ACCOUNTS_WRITE_ANY)) {
+      return { isValid: false, errors: ["You are not allowed to activate or deactivate an account."] };
+    }
+
+    // A new address has to be verified again before it can be used to book
+    const emailChanged = Boolean(fields.email) && fields.email !== normalizeEmail(existing.email);
     const updatedAccount = await prisma.account.update({
       where: { account_id: accountId },
       data: {
-        ...pickAccountFields(updateData),
+        ...fields,
+        ...(emailChanged ? { email_verified: false, email_verified_at: null } : {}),
         updated_at: new Date().toISOString(),
       }
     });
 
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updatedAccount);
+      } catch (mailError) {
+        console.error("Error sending verification email:", mailError);
+      }
+    }
+
     await createNotification({
       account_id: accountId,
       title: "Account Updated",
@@ -137,7 +298,7 @@ export const uploadAvatar = async (accountId, avatarUrl) => {
 };
 
 // ===== Update Password =====
-export const updatePassword = async (accountId, currentPassword, newPassword) => {
+export const updatePassword = async (accountId, currentPassword, newPassword, currentSessionId = null) => {
   try {
     const account = await prisma.account.findFirst({
       where: { account_id: accountId }
@@ -158,6 +319,9 @@ export const updatePassword = async (accountId, currentPassword, newPassword) =>
       }
     });
 
+    // Sign out every other device
+    await revokeAllSessions(accountId, "PASSWORD_CHANGED", currentSessionId);
+
     return { isValid: true, data: updated };
   } catch (error) {
     return handleError("updatePassword", error);
@@ -222,7 +386,8 @@ export const returnAccountInformation = async (accountId) => {
         phone: true,
         is_active: true,
         created_at: true,
-        avatar_url: true
+        avatar_url: true,
+        email_verified: true
       }
     });
 
@@ -239,10 +404,19 @@ export const returnAccountInformation = async (accountId) => {
 // ===== Delete Account =====
 export const deleteAccount = async (accountId) => {
   try {
-    const deleted = await prisma.account.delete({
-      where: { account_id: accountId }
+    // Invoices and payments must be retained, so such accounts are anonymised instead
+    const result = await prisma.$transaction(async (tx) => {
+      if (await hasFinancialRecords(accountId, tx)) {
+        const account = await anonymiseAccount(accountId, tx);
+        return { ...account, anonymised: true };
+      }
+      const deleted = await tx.account.delete({
+        where: { account_id: accountId },
+        select: { account_id: true, account_name: true },
+      });
+      return { ...deleted, anonymised: false };
     });
-    return { isValid: true, data: deleted };
+    return { isValid: true, data: result };
   } catch (error) {
     return handleError("deleteAccount", error);
   }
@@ -258,6 +432,7 @@ export const banAccountUser = async (accountId) => {
         updated_at: new Date().toISOString()
       }
     });
+    await revokeAllSessions(accountId, "ACCOUNT_BANNED");
     return { isValid: true, data: updated };
   } catch (error) {
     return handleError("banAccountUser", error);
@@ -283,7 +458,7 @@ export const unbanAccountUser = async (accountId) => {
 export const getAccountByEmail = async (email) => {
   try {
     const account = await prisma.account.findFirst({
-      where: { email },
+      where: { email: emailEquals(email) },
       select: {
         account_id: true,
         email: true,
@@ -301,3 +476,181 @@ export const getAccountByEmail = async (email) => {
     return handleError("getAccountByEmail", error);
   }
 };
+
+
+// ===== Forgot Password =====
+export const requestPasswordReset = async (email) => {
+  try {
+    if (!email) {
+      return { isValid: false, errors: ["Email is required."] };
+    }
+
+    const account = await prisma.account.findFirst({
+      where: { email: emailEquals(email), is_active: true },
+      select: { account_id: true, account_name: true, email: true },
+    });
+
+    // Do not reveal whether the email is registered
+    if (!account) return { isValid: true, data: null };
+
+    const token = generateResetToken(account.account_id);
+    const { exp } = verifyToken(token);
+
+    await prisma.$transaction(async (tx) => {
+      // Only the most recent link stays valid
+      await tx.passwordResetToken.updateMany({
+        where: { account_id: account.account_id, used_at: null },
+        data: { used_at: new Date() },
+      });
+      await tx.passwordResetToken.create({
+        data: {
+          account_id: account.account_id,
+          token_hash: hashToken(token),
+          expires_at: new Date(exp * 1000),
+        },
+      });
+    });
+
+    const resetLink = `${CLIENT_URL}/reset-password?token=${encodeURIComponent(token)}`;
+    await sendMail({
+      to: account.email,
+      subject: "Reset your password",
+      text: `Hi ${account.account_name},\n\nUse the link below to reset your password. It expires in 10 minutes and can only be used once.\n\n${resetLink}\n\nIf you did not request this, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(account.account_name)},</p><p>Use the link below to reset your password. It expires in 10 minutes and can only be used once.</p><p><a href="${resetLink}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>`,
+    });
+
+    return { isValid: true, data: null };
+  } catch (error) {
+    return handleError("requestPasswordReset", error);
+  }
+};
+
+// ===== Reset Password =====
+export const resetPassword = async (token, newPassword) => {
+  try {
+    if (!token || !newPassword) {
+      return { isValid: false, errors: ["Token and new password are required."] };
+    }
+
+    let decoded;
+    try {
+      decoded = verifyToken(token);
+    } catch (err) {
+      return { isValid: false, errors: ["Invalid or expired reset token."] };
+    }
+
+    const hashed = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+    const updated = await prisma.$transaction(async (tx) => {
+      // Claim the token atomically so it can only be redeemed once
+      const claimed = await tx.passwordResetToken.updateMany({
+        where: {
+          token_hash: hashToken(token),
+          account_id: decoded.id,
+          used_at: null,
+          expires_at: { gt: new Date() },
+        },
+        data: { used_at: new Date() },
+      });
+      if (claimed.count !== 1) return null;
+
+      await revokeAllSessions(decoded.id, "PASSWORD_RESET", null, tx);
+
+      return tx.account.update({
+        where: { account_id: decoded.id },
+        data: {
+          password_hash: hashed,
+          updated_at: new Date().toISOString(),
+        },
+        select: { account_id: true, account_name: true },
+      });
+    });
+
+    if (!updated) {
+      return { isValid: false, errors: ["Invalid or expired reset token."] };
+    }
+
+    await createNotification({
+      account_id: updated.account_id,
+      title: "Password Reset",
+      message: `The password for ${updated.account_name} was reset. If this was not you, contact support immediately.`,
+      type: "REMINDER",
+    });
+
+    return { isValid: true, data: { account_id: updated.account_id } };
+  } catch (error) {
+    return handleError("resetPassword", error);
+  }
+};
+
+// ===== Verify Email =====
+export const verifyEmail = async (token) => {
+  try {
+    if (!token) {
+      return { isValid: false, errors: ["Verification token is required."] };
+    }
+
+    let decoded;
+    try {
+      decoded = verifyToken(token);
+    } catch (err) {
+      return { isValid: false, errors: ["Invalid or expired verification token."] };
+    }
+    if (decoded.purpose !== "verify_email") {
+      return { isValid: false, errors: ["Invalid or expired verification token."] };
+    }
+
+    const verified = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.emailVerificationToken.updateMany({
+        where: {
+          token_hash: hashToken(token),
+          account_id: decoded.id,
+          used_at: null,
+          expires_at: { gt: new Date() },
+        },
+        data: { used_at: new Date() },
+      });
+      if (claimed.count !== 1) return null;
+
+      return tx.account.update({
+        where: { account_id: decoded.id },
+        data: {
+          email_verified: true,
+          email_verified_at: new Date(),
+          updated_at: new Date().toISOString(),
+        },
+        select: { account_id: true, email: true, email_verified: true, email_verified_at: true },
+      });
+    });
+
+    if (!verified) {
+      return { isValid: false, errors: ["Invalid or expired verification token."] };
+    }
+
+    return { isValid: true, data: verified };
+  } catch (error) {
+    return handleError("verifyEmail", error);
+  }
+};
+
+// ===== Resend Verification Email =====
+export const resendVerificationEmail = async (email) => {
+  try {
+    if (!email) {
+      return { isValid: false, errors: ["Email is required."] };
+    }
+
+    const account = await prisma.account.findFirst({
+      where: { email: emailEquals(email), is_active: true },
+      select: { account_id: true, account_name: true, email: true, email_verified: true },
+    });
+
+    // Do not reveal whether the email is registered or already verified
+    if (!account || account.email_verified) return { isValid: true, data: null };
+
+    await sendVerificationEmail(account);
+    return { isValid: true, data: null };
+  } catch (error) {
+    return handleError("resendVerificationEmail", error);
+  }
+};
@@ -0,0 +1,360 @@
+import { PrismaClient } from "@prisma/client";
+import crypto from "crypto";
+import { createValidationResult, parseAndValidateId } from "../utils/validation.js";
+import { PERMISSIONS, hasPermission } from "../utils/permissions.js";
+import { hashToken } from "../utils/tokenAndCookies.js";
+import { buildCalendar, UID_DOMAIN } from "../utils/ical.js";
+import { getPermissionsForRole } from "./permission.service.js";
+
+const prisma = new PrismaClient();
+
+const FEED_TYPES = ["ACCOUNT", "ROOM", "STAFF"];
+// Feeds show recent history as well as everything ahead
+const PAST_DAYS = Number(process.env.ICS_PAST_DAYS) || 90;
+const HOUR_MS = 60 * 60 * 1000;
+const INACTIVE_BOOKING_STATUSES = ["CANCELLED", "DECLINED"];
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const feedSelect = {
+  feed_id: true,
+  feed_type: true,
+  label: true,
+  account_id: true,
+  room_id: true,
+  created_at: true,
+  last_accessed_at: true,
+  revoked_at: true,
+};
+
+// Where a feed is served; the token is appended by the caller
+export const feedPath = (feed) => {
+  if (feed.feed_type === "ACCOUNT") return `/api/accounts/${feed.account_id}/calendar.ics`;
+  if (feed.feed_type === "ROOM") return `/api/rooms/${feed.room_id}/calendar.ics`;
+  return "/api/event-services/calendar.ics";
+};
+
+// ===== VEVENT mapping =====
+// Stable UIDs so calendar apps update an item instead of duplicating it
+const eventUid = (event) => `event-${event.event_id}@${UID_DOMAIN}`;
+const bookingUid = (booking) => `event-service-${booking.event_service_id}@${UID_DOMAIN}`;
+const assignmentUid = (assignment) => `staff-assignment-${assignment.assignment_id}@${UID_DOMAIN}`;
+
+// Whole seconds of the last change only grow, which is all SEQUENCE needs
+const sequenceOf = (updatedAt) => Math.floor(new Date(updatedAt).getTime() / 1000);
+
+const eventWindow = (event) => {
+  const start = new Date(event.start_time || event.event_date);
+  const end = event.end_time ? new Date(event.end_time) : new Date(start.getTime() + HOUR_MS);
+  return { start, end };
+};
+
+const eventStatus = (status) => {
+  if (status === "CANCELLED") return "CANCELLED";
+  if (status === "PENDING" || status === "RESCHEDULED") return "TENTATIVE";
+  return "CONFIRMED";
+};
+
+const toEventVevent = (event) => ({
+  uid: eventUid(event),
+  ...eventWindow(event),
+  summary: event.event_name,
+  description: [event.description, `Status: ${event.status}`].filter(Boolean).join("\n"),
+  location: event.room?.room_name,
+  status: eventStatus(event.status),
+  sequence: sequenceOf(event.updated_at),
+  updatedAt: event.updated_at,
+});
+
+// A booked service at its scheduled time, or over the whole event when it has none
+const toBookingVevent = (booking) => {
+  const { event } = booking;
+  const span = eventWindow(event);
+  const start = booking.scheduled_time ? new Date(booking.scheduled_time) : span.start;
+  const end = booking.scheduled_time
+    ? new Date(start.getTime() + (booking.duration_hours || 1) * HOUR_MS)
+    : span.end;
+  const cancelled = event.status === "CANCELLED" || INACTIVE_BOOKING_STATUSES.includes(booking.status);
+  const updatedAt = booking.updated_at > event.updated_at ? booking.updated_at : event.updated_at;
+
+  return {
+    uid: bookingUid(booking),
+    start,
+    end,
+    summary: `${booking.service.service_name}${booking.variation ? ` (${booking.variation.variation_name})` : ""} - ${event.event_name}`,
+    description: [
+      `Event: ${event.event_name}`,
+      booking.quantity > 1 ? `Quantity: ${booking.quantity}` : null,
+      `Booking status: ${booking.status}`,
+      booking.notes,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    location: event.room?.room_name,
+    status: cancelled ? "CANCELLED" : booking.status === "PENDING" ? "TENTATIVE" : "CONFIRMED",
+    sequence: sequenceOf(updatedAt),
+    updatedAt,
+  };
+};
+
+// A staff shift on an event or one of its services
+const toAssignmentVevent = (assignment) => {
+  const { event, event_service: booking } = assignment;
+  const updatedAt = assignment.updated_at > event.updated_at ? assignment.updated_at : event.updated_at;
+  return {
+    uid: assignmentUid(assignment),
+    start: assignment.start_time,
+    end: assignment.end_time,
+    summary: `${assignment.role || "Staff"} - ${event.event_name}`,
+    description: [
+      `Event: ${event.event_name}`,
+      booking ? `Service: ${booking.service.service_name}` : null,
+      `Event status: ${event.status}`,
+      assignment.notes,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    location: event.room?.room_name,
+    status: eventStatus(event.status),
+    sequence: sequenceOf(updatedAt),
+    updatedAt,
+  };
+};
+
+const windowStart = () => new Date(Date.now() - PAST_DAYS * 24 * HOUR_MS);
+
+const eventSelect = {
+  event_id: true,
+  event_name: true,
+  description: true,
+  status: true,
+  start_time: true,
+  end_time: true,
+  event_date: true,
+  updated_at: true,
+  room: { select: { room_name: true } },
+};
+
+const bookingInclude = {
+  service: { select: { service_name: true } },
+  variation: { select: { variation_name: true } },
+  event: { select: eventSelect },
+};
+
+// ===== Feed contents =====
+// A customer's own and shared events, with the services booked for them
+const accountCalendar = async (accountId) => {
+  const account = await prisma.account.findUnique({
+    where: { account_id: accountId },
+    select: { account_name: true },
+  });
+  const events = await prisma.event.findMany({
+    where: {
+      event_date: { gte: windowStart() },
+      OR: [
+        { account_id: accountId },
+        { collaborators: { some: { account_id: accountId, status: "ACCEPTED" } } },
+      ],
+    },
+    select: {
+      ...eventSelect,
+      event_services: { where: { scheduled_time: { not: null } }, include: bookingInclude },
+    },
+    orderBy: { event_date: "asc" },
+  });
+
+  return {
+    name: `${account?.account_name || "My"} events`,
+    events: events.flatMap(({ event_services: bookings, ...event }) => [
+      toEventVevent(event),
+      ...bookings.map(toBookingVevent),
+    ]),
+  };
+};
+
+// Occupancy of a room: every event held in it
+const roomCalendar = async (roomId) => {
+  const room = await prisma.room.findUnique({ where: { room_id: roomId }, select: { room_name: true } });
+  const events = await prisma.event.findMany({
+    where: { room_id: roomId, event_date: { gte: windowStart() } },
+    select: eventSelect,
+    orderBy: { event_date: "asc" },
+  });
+  return { name: `${room?.room_name || "Room"} occupancy`, events: events.map(toEventVevent) };
+};
+
+// Work assigned to an account: bookings of the services it provides, and its staff shifts
+const staffCalendar = async (accountId) => {
+  const bookings = await prisma.eventService.findMany({
+    where: {
+      service: { provider_id: accountId },
+      event: { event_date: { gte: windowStart() } },
+    },
+    include: bookingInclude,
+    orderBy: { scheduled_time: "asc" },
+  });
+  const assignments = await prisma.staffAssignment.findMany({
+    where: { staff_id: accountId, end_time: { gte: windowStart() } },
+    include: { event: { select: eventSelect }, event_service: { select: { service: { select: { service_name: true } } } } },
+    orderBy: { start_time: "asc" },
+  });
+  return {
+    name: "My assignments",
+    events: [...bookings.map(toBookingVevent), ...assignments.map(toAssignmentVevent)],
+  };
+};
+
+// ===== Serve =====
+const isLive = (account) => Boolean(account?.is_active) && !account.erased_at;
+
+// A feed only serves while its creator could still create it: active, and still allowed to read
+// other accounts' events if it publishes a room or someone else's events
+const feedStillAllowed = async (feed) => {
+  if (!isLive(feed.owner)) return false;
+  if (feed.feed_type !== "ROOM" && !isLive(feed.account)) return false;
+  if (feed.feed_type === "ROOM" || feed.account_id !== feed.created_by) {
+    const permissions = await getPermissionsForRole(feed.owner.role);
+    return hasPermission({ permissions }, PERMISSIONS.EVENTS_READ_ANY);
+  }
+  return true;
+};
+
+/**
+ * Render the feed a token belongs to. The token must be for this exact feed and not revoked,
+ * and the feed's creator and subject are checked again on every fetch.
+ * @param {string} feedType - ACCOUNT, ROOM or STAFF
+ * @param {number|string|null} targetId - Account or room id from the URL; unused for STAFF
+ * @param {string} token - From the feed URL
+ * @returns {Promise<Object>} Validation result with the iCalendar text
+ */
+export const renderFeed = async (feedType, targetId, token) => {
+  try {
+    if (!token) return createValidationResult(false, ["Calendar feed not found"]);
+
+    const accountState = { select: { role: true, is_active: true, erased_at: true } };
+    const feed = await prisma.calendarFeed.findUnique({
+      where: { token_hash: hashToken(String(token)) },
+      include: { owner: accountState, account: accountState },
+    });
+    const target = targetId === null ? null : parseAndValidateId(targetId, "ID");
+    const matches =
+      feed &&
+      !feed.revoked_at &&
+      feed.feed_type === feedType &&
+      (feedType === "ACCOUNT" ? feed.account_id === target : feedType === "ROOM" ? feed.room_id === target : true);
+    if (!matches || !(await feedStillAllowed(feed))) return createValidationResult(false, ["Calendar feed not found"]);
+
+    const calendar =
+      feedType === "ACCOUNT"
+        ? await accountCalendar(feed.account_id)
+        : feedType === "ROOM"
+          ? await roomCalendar(feed.room_id)
+          : await staffCalendar(feed.account_id);
+
+    await prisma.calendarFeed.update({
+      where: { feed_id: feed.feed_id },
+      data: { last_accessed_at: new Date() },
+    });
+
+    return createValidationResult(true, [], buildCalendar(calendar));
+  } catch (error) {
+    return handleError("renderFeed", error);
+  }
+};
+
+// ===== Manage =====
+/**
+ * Create a feed and return its secret URL path; the token is only shown here
+ * @param {Object} data - feed_type, label, account_id (ACCOUNT), room_id (ROOM)
+ * @param {Object} user - req.user
+ */
+export const createFeed = async (data, user) => {
+  try {
+    const feedType = data.feed_type;
+    if (!FEED_TYPES.includes(feedType)) {
+      return createValidationResult(false, [`feed_type must be one of: ${FEED_TYPES.join(", ")}`]);
+    }
+
+    const feed = { feed_type: feedType, label: data.label?.trim().slice(0, 255) || null, created_by: user.account_id };
+
+    if (feedType === "ACCOUNT") {
+      const accountId = data.account_id === undefined ? user.account_id : parseAndValidateId(data.account_id, "Account ID");
+      if (!accountId) return createValidationResult(false, ["Invalid Account ID"]);
+      if (accountId !== user.account_id && !hasPermission(user, PERMISSIONS.EVENTS_READ_ANY)) {
+        return createValidationResult(false, ["You are not allowed to subscribe to another account's events"]);
+      }
+      const account = await prisma.account.findUnique({ where: { account_id: accountId }, select: { account_id: true } });
+      if (!account) return createValidationResult(false, ["Account not found"]);
+      feed.account_id = accountId;
+    } else if (feedType === "ROOM") {
+      // Room feeds name every customer's event, so they are for staff
+      if (!hasPermission(user, PERMISSIONS.EVENTS_READ_ANY)) {
+        return createValidationResult(false, ["You are not allowed to subscribe to room occupancy"]);
+      }
+      const roomId = parseAndValidateId(data.room_id, "Room ID");
+      if (!roomId) return createValidationResult(false, ["Invalid Room ID"]);
+      const room = await prisma.room.findUnique({ where: { room_id: roomId }, select: { room_id: true } });
+      if (!room) return createValidationResult(false, ["Room not found"]);
+      feed.room_id = roomId;
+    } else {
+      feed.account_id = user.account_id;
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const created = await prisma.calendarFeed.create({
+      data: { ...feed, token_hash: hashToken(token) },
+      select: feedSelect,
+    });
+
+    return createValidationResult(true, [], {
+      ...created,
+      path: `${feedPath(created)}?token=${token}`,
+    });
+  } catch (error) {
+    return handleError("createFeed", error);
+  }
+};
+
+// Feeds the user created, and feeds of their own events created by staff
+export const getFeeds = async (user) => {
+  try {
+    const feeds = await prisma.calendarFeed.findMany({
+      where: {
+        revoked_at: null,
+        OR: [{ created_by: user.account_id }, { feed_type: "ACCOUNT", account_id: user.account_id }],
+      },
+      select: feedSelect,
+      orderBy: { created_at: "desc" },
+    });
+    return createValidationResult(true, [], feeds.map((feed) => ({ ...feed, path: feedPath(feed) })));
+  } catch (error) {
+    return handleError("getFeeds", error);
+  }
+};
+
+// The creator, or the account whose events a feed publishes, can revoke it
+export const revokeFeed = async (feedId, user) => {
+  try {
+    const id = parseAndValidateId(feedId, "Feed ID");
+    if (!id) return createValidationResult(false, ["Invalid Feed ID"]);
+
+    const feed = await prisma.calendarFeed.findUnique({ where: { feed_id: id } });
+    if (!feed || feed.revoked_at) return createValidationResult(false, ["Calendar feed not found"]);
+    const isSubject = feed.feed_type === "ACCOUNT" && feed.account_id === user.account_id;
+    if (feed.created_by !== user.account_id && !isSubject) {
+      return createValidationResult(false, ["You are not allowed to revoke this calendar feed"]);
+    }
+
+    const revoked = await prisma.calendarFeed.update({
+      where: { feed_id: id },
+      data: { revoked_at: new Date() },
+      select: feedSelect,
+    });
+    return createValidationResult(true, [], revoked);
+  } catch (error) {
+    return handleError("revokeFeed", error);
+  }
+};
@@ -0,0 +1,253 @@
+import { PrismaClient } from '@prisma/client';
+import { validateString, parseAndValidateId, createValidationResult } from '../utils/validation.js';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const policyInclude = {
+  tiers: {
+    select: { tier_id: true, min_days_before: true, refund_percent: true },
+    orderBy: { min_days_before: 'desc' },
+  },
+  rooms: { select: { room_id: true, room_name: true } },
+  event_types: { select: { type_id: true, type_name: true } },
+};
+
+// Normalise a list of { min_days_before, refund_percent }
+const normaliseTiers = (tiers) => {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return { errors: ['At least one tier is required'], tiers: [] };
+  }
+
+  const errors = [];
+  const normalised = tiers.map((tier, index) => {
+    const minDays = Number(tier?.min_days_before);
+    const percent = Number(tier?.refund_percent);
+    if (!Number.isInteger(minDays) || minDays < 0) {
+      errors.push(`tiers[${index}]: min_days_before must be a non-negative integer`);
+    }
+    if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+      errors.push(`tiers[${index}]: refund_percent must be an integer between 0 and 100`);
+    }
+    return { min_days_before: minDays, refund_percent: percent };
+  });
+
+  const days = normalised.map((tier) => tier.min_days_before);
+  if (new Set(days).size !== days.length) errors.push('Each tier needs a different min_days_before');
+
+  return { errors, tiers: normalised };
+};
+
+const normaliseIds = (ids, label) => {
+  if (ids === undefined) return { errors: [], ids: undefined };
+  if (!Array.isArray(ids)) return { errors: [`${label} must be an array`], ids: [] };
+  const parsed = ids.map((id) => parseAndValidateId(id, label));
+  return parsed.some((id) => !id) ? { errors: [`${label} contains an invalid ID`], ids: [] } : { errors: [], ids: parsed };
+};
+
+const validatePolicyData = (data, isUpdate = false) => {
+  const errors = [];
+
+  if (!isUpdate || data.policy_name !== undefined) {
+    errors.push(...validateString(data.policy_name, 'Policy name', { required: true, maxLength: 255 }).errors);
+  }
+
+  let tiers;
+  if (!isUpdate || data.tiers !== undefined) {
+    const result = normaliseTiers(data.tiers);
+    errors.push(...result.errors);
+    tiers = result.tiers;
+  }
+
+  const rooms = normaliseIds(data.room_ids, 'room_ids');
+  const eventTypes = normaliseIds(data.event_type_ids, 'event_type_ids');
+  errors.push(...rooms.errors, ...eventTypes.errors);
+
+  return { errors, tiers, roomIds: rooms.ids, eventTypeIds: eventTypes.ids };
+};
+
+// Only one policy can be the fallback for rooms and event types without their own
+const clearOtherDefaults = (tx, policyId) =>
+  tx.cancellationPolicy.updateMany({
+    where: { is_default: true, policy_id: { not: policyId } },
+    data: { is_default: false },
+  });
+
+const assignPolicy = async (tx, policyId, roomIds, eventTypeIds) => {
+  if (roomIds !== undefined) {
+    await tx.room.updateMany({
+      where: { cancellation_policy_id: policyId, room_id: { notIn: roomIds } },
+      data: { cancellation_policy_id: null },
+    });
+    if (roomIds.length) {
+      await tx.room.updateMany({ where: { room_id: { in: roomIds } }, data: { cancellation_policy_id: policyId } });
+    }
+  }
+  if (eventTypeIds !== undefined) {
+    await tx.eventType.updateMany({
+      where: { cancellation_policy_id: policyId, type_id: { notIn: eventTypeIds } },
+      data: { cancellation_policy_id: null },
+    });
+    if (eventTypeIds.length) {
+      await tx.eventType.updateMany({
+        where: { type_id: { in: eventTypeIds } },
+        data: { cancellation_policy_id: policyId },
+      });
+    }
+  }
+};
+
+// ===== Refund rules =====
+// Whole days between now and the event's start; negative once it has started
+export const daysUntilStart = (event, now = new Date()) =>
+  Math.floor((new Date(event.start_time || event.event_date) - now) / DAY_MS);
+
+// The highest tier the cancellation still qualifies for; 0% when it is later than every tier
+export const refundPercentFor = (policy, daysBefore) => {
+  if (!policy) return 100;
+  const tier = [...policy.tiers]
+    .sort((a, b) => b.min_days_before - a.min_days_before)
+    .find((candidate) => daysBefore >= candidate.min_days_before);
+  return tier ? tier.refund_percent : 0;
+};
+
+/**
+ * Find the policy that applies to an event: the room's, then the event type's, then the default.
+ * @param {Object} event - Needs room_id and event_type_id
+ * @param {Object} [tx]
+ * @returns {Promise<Object|null>} Active policy with its tiers, or null when none applies
+ */
+export const resolvePolicyForEvent = async (event, tx = prisma) => {
+  const tierSelect = { tiers: { select: { min_days_before: true, refund_percent: true } } };
+
+  if (event.room_id) {
+    const room = await tx.room.findUnique({
+      where: { room_id: event.room_id },
+      select: { cancellation_policy: { include: tierSelect } },
+    });
+    if (room?.cancellation_policy?.is_active) return room.cancellation_policy;
+  }
+  if (event.event_type_id) {
+    const eventType = await tx.eventType.findUnique({
+      where: { type_id: event.event_type_id },
+      select: { cancellation_policy: { include: tierSelect } },
+    });
+    if (eventType?.cancellation_policy?.is_active) return eventType.cancellation_policy;
+  }
+  return tx.cancellationPolicy.findFirst({ where: { is_default: true, is_active: true }, include: tierSelect });
+};
+
+// ===== CRUD =====
+export const getPolicies = async ({ includeInactive = false } = {}) => {
+  try {
+    const policies = await prisma.cancellationPolicy.findMany({
+      where: includeInactive ? {} : { is_active: true },
+      include: policyInclude,
+      orderBy: [{ is_default: 'desc' }, { policy_name: 'asc' }],
+    });
+    return createValidationResult(true, [], policies);
+  } catch (error) {
+    return handleError('getPolicies', error);
+  }
+};
+
+export const getPolicyById = async (policyId) => {
+  try {
+    const id = parseAndValidateId(policyId, 'Policy ID');
+    if (!id) return createValidationResult(false, ['Invalid Policy ID']);
+
+    const policy = await prisma.cancellationPolicy.findUnique({ where: { policy_id: id }, include: policyInclude });
+    if (!policy) return createValidationResult(false, ['Cancellation policy not found']);
+    return createValidationResult(true, [], policy);
+  } catch (error) {
+    return handleError('getPolicyById', error);
+  }
+};
+
+/**
+ * Create a policy and optionally assign it to rooms and event types
+ * @param {Object} data - policy_name, description, is_default, is_active, tiers, room_ids, event_type_ids
+ */
+export const createPolicy = async (data) => {
+  try {
+    const { errors, tiers, roomIds, eventTypeIds } = validatePolicyData(data);
+    if (errors.length) return createValidationResult(false, errors);
+
+    const policy = await prisma.$transaction(async (tx) => {
+      const created = await tx.cancellationPolicy.create({
+        data: {
+          policy_name: data.policy_name.trim(),
+          description: data.description?.trim() || null,
+          is_default: Boolean(data.is_default),
+          is_active: data.is_active === undefined ? true : Boolean(data.is_active),
+          tiers: { create: tiers },
+        },
+      });
+      if (created.is_default) await clearOtherDefaults(tx, created.policy_id);
+      await assignPolicy(tx, created.policy_id, roomIds, eventTypeIds);
+      return tx.cancellationPolicy.findUnique({ where: { policy_id: created.policy_id }, include: policyInclude });
+    });
+    return createValidationResult(true, [], policy);
+  } catch (error) {
+    return handleError('createPolicy', error);
+  }
+};
+
+// Tiers, when given, replace the existing ones; room_ids / event_type_ids replace the assignment
+export const updatePolicy = async (policyId, data) => {
+  try {
+    const id = parseAndValidateId(policyId, 'Policy ID');
+    if (!id) return createValidationResult(false, ['Invalid Policy ID']);
+
+    const { errors, tiers, roomIds, eventTypeIds } = validatePolicyData(data, true);
+    if (errors.length) return createValidationResult(false, errors);
+
+    const existing = await prisma.cancellationPolicy.findUnique({ where: { policy_id: id } });
+    if (!existing) return createValidationResult(false, ['Cancellation policy not found']);
+
+    const policy = await prisma.$transaction(async (tx) => {
+      if (tiers) {
+        await tx.cancellationPolicyTier.deleteMany({ where: { policy_id: id } });
+        await tx.cancellationPolicyTier.createMany({ data: tiers.map((tier) => ({ ...tier, policy_id: id })) });
+      }
+      const updated = await tx.cancellationPolicy.update({
+        where: { policy_id: id },
+        data: {
+          policy_name: data.policy_name?.trim(),
+          description: data.description === undefined ? undefined : data.description?.trim() || null,
+          is_default: data.is_default === undefined ? undefined : Boolean(data.is_default),
+          is_active: data.is_active === undefined ? undefined : Boolean(data.is_active),
+        },
+      });
+      if (updated.is_default) await clearOtherDefaults(tx, id);
+      await assignPolicy(tx, id, roomIds, eventTypeIds);
+      return tx.cancellationPolicy.findUnique({ where: { policy_id: id }, include: policyInclude });
+    });
+    return createValidationResult(true, [], policy);
+  } catch (error) {
+    return handleError('updatePolicy', error);
+  }
+};
+
+// Rooms and event types fall back to the default policy; past cancellations keep their figures
+export const deletePolicy = async (policyId) => {
+  try {
+    const id = parseAndValidateId(policyId, 'Policy ID');
+    if (!id) return createValidationResult(false, ['Invalid Policy ID']);
+
+    const existing = await prisma.cancellationPolicy.findUnique({ where: { policy_id: id } });
+    if (!existing) return createValidationResult(false, ['Cancellation policy not found']);
+
+    await prisma.cancellationPolicy.delete({ where: { policy_id: id } });
+    return createValidationResult(true, [], { policy_id: id });
+  } catch (error) {
+    return handleError('deletePolicy', error);
+  }
+};
@@ -0,0 +1,348 @@
+import { PrismaClient } from "@prisma/client";
+import crypto from "crypto";
+import { createValidationResult, parseAndValidateId, validateEmail } from "../utils/validation.js";
+import { createNotification } from "../utils/notification.js";
+import { sendMail, CLIENT_URL, escapeHtml } from "../utils/mailer.js";
+import { hashToken } from "../utils/tokenAndCookies.js";
+import { PERMISSIONS, hasPermission } from "../utils/permissions.js";
+
+const prisma = new PrismaClient();
+
+const INVITATION_TTL_DAYS = 7;
+const COLLABORATOR_ROLES = ["VIEWER", "EDITOR", "PAYER"];
+
+// What each collaborator role may do on a shared event; the owner may do everything
+const ROLE_ABILITIES = {
+  OWNER: ["view", "edit", "pay", "manage"],
+  EDITOR: ["view", "edit"],
+  PAYER: ["view", "pay"],
+  VIEWER: ["view"],
+};
+
+// Staff permissions that stand in for an ability on any event
+const ABILITY_PERMISSIONS = {
+  view: [PERMISSIONS.EVENTS_READ_ANY],
+  edit: [PERMISSIONS.EVENTS_WRITE_ANY],
+  pay: [],
+  manage: [PERMISSIONS.EVENTS_WRITE_ANY],
+};
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+const collaboratorSelect = {
+  collaborator_id: true,
+  email: true,
+  role: true,
+  status: true,
+  expires_at: true,
+  accepted_at: true,
+  created_at: true,
+  event_id: true,
+  account_id: true,
+  account: { select: { account_id: true, account_name: true, avatar_url: true } },
+};
+
+// ===== Access =====
+/**
+ * Role of a user on an event: OWNER, an accepted collaborator role, or null
+ * @param {Object} event - Event with at least event_id and account_id
+ * @param {Object} user - req.user
+ * @param {Object} tx - Prisma client or transaction
+ * @returns {Promise<string|null>}
+ */
+export const getEventRole = async (event, user, tx = prisma) => {
+  if (!event || !user?.account_id) return null;
+  if (event.account_id === user.account_id) return "OWNER";
+
+  const collaborator = await tx.eventCollaborator.findFirst({
+    where: { event_id: event.event_id, account_id: user.account_id, status: "ACCEPTED" },
+    select: { role: true },
+  });
+  return collaborator?.role ?? null;
+};
+
+/**
+ * Check whether a user may view, edit, pay for or manage the collaborators of an event
+ * @param {Object} event - Event with at least event_id and account_id
+ * @param {Object} user - req.user
+ * @param {string} ability - view | edit | pay | manage
+ * @param {Object} tx - Prisma client or transaction
+ * @returns {Promise<boolean>}
+ */
+export const canAccessEvent = async (event, user, ability, tx = prisma) => {
+  if (!event || !user) return false;
+  if (hasPermission(user, ...(ABILITY_PERMISSIONS[ability] || []))) return true;
+
+  const role = await getEventRole(event, user, tx);
+  return Boolean(role) && ROLE_ABILITIES[role].includes(ability);
+};
+
+// Convenience for routes that only know the event id
+export const canAccessEventById = async (eventId, user, ability) => {
+  const id = parseAndValidateId(eventId, "Event ID");
+  if (!id) return false;
+
+  const event = await prisma.event.findUnique({
+    where: { event_id: id },
+    select: { event_id: true, account_id: true },
+  });
+  return canAccessEvent(event, user, ability);
+};
+
+// ===== Notifications =====
+/**
+ * Tell the owner and accepted collaborators that an event changed. The account that
+ * made the change is skipped; failures are logged rather than surfaced to the caller.
+ */
+export const notifyEventCollaborators = async (eventId, { title, message }, actorId = null, tx = prisma) => {
+  try {
+    const event = await tx.event.findUnique({
+      where: { event_id: Number(eventId) },
+      select: {
+        account_id: true,
+        collaborators: { where: { status: "ACCEPTED" }, select: { account_id: true } },
+      },
+    });
+    if (!event) return;
+
+    const recipients = new Set(
+      [event.account_id, ...event.collaborators.map((c) => c.account_id)].filter(
+        (accountId) => accountId && accountId !== actorId
+      )
+    );
+
+    for (const accountId of recipients) {
+      await createNotification({ account_id: accountId, title, message, type: "REMINDER" }, tx);
+    }
+  } catch (error) {
+    console.error("Failed to notify event collaborators:", error);
+  }
+};
+
+// ===== Collaborator list =====
+export const getEventCollaborators = async (eventId) => {
+  try {
+    const id = parseAndValidateId(eventId, "Event ID");
+    if (!id) return createValidationResult(false, ["Invalid Event ID"]);
+
+    const collaborators = await prisma.eventCollaborator.findMany({
+      where: { event_id: id, status: { in: ["PENDING", "ACCEPTED"] } },
+      select: collaboratorSelect,
+      orderBy: { created_at: "asc" },
+    });
+    return createValidationResult(true, [], collaborators);
+  } catch (error) {
+    return handleError("getEventCollaborators", error);
+  }
+};
+
+// Events shared with an account through an accepted invitation
+export const getSharedEvents = async (accountId) => {
+  try {
+    const collaborations = await prisma.eventCollaborator.findMany({
+      where: { account_id: accountId, status: "ACCEPTED" },
+      select: {
+        role: true,
+        event: {
+          include: {
+            account: { select: { account_id: true, account_name: true } },
+            room: { select: { room_id: true, room_name: true } },
+            event_type: { select: { type_id: true, type_name: true } },
+          },
+        },
+      },
+      orderBy: { event: { start_time: "asc" } },
+    });
+
+    return createValidationResult(
+      true,
+      [],
+      collaborations.map(({ role, event }) => ({ ...event, collaborator_role: role }))
+    );
+  } catch (error) {
+    return handleError("getSharedEvents", error);
+  }
+};
+
+// ===== Invite =====
+export const inviteCollaborator = async (eventId, { email, role = "VIEWER" }, inviter) => {
+  try {
+    const id = parseAndValidateId(eventId, "Event ID");
+    if (!id) return createValidationResult(false, ["Invalid Event ID"]);
+
+    const emailValidation = validateEmail(email);
+    if (!emailValidation.isValid) return createValidationResult(false, emailValidation.errors);
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return createValidationResult(false, [`Role must be one of: ${COLLABORATOR_ROLES.join(", ")}`]);
+    }
+
+    const event = await prisma.event.findUnique({
+      where: { event_id: id },
+      select: { event_id: true, event_name: true, status: true, account: { select: { email: true } } },
+    });
+    if (!event) return createValidationResult(false, ["Event not found"]);
+    if (event.status === "CANCELLED") {
+      return createValidationResult(false, ["Cannot invite collaborators to a cancelled event"]);
+    }
+
+    const inviteeEmail = normalizeEmail(email);
+    if (inviteeEmail === normalizeEmail(event.account?.email)) {
+      return createValidationResult(false, ["The event owner cannot be invited as a collaborator"]);
+    }
+
+    const existing = await prisma.eventCollaborator.findUnique({
+      where: { event_id_email: { event_id: id, email: inviteeEmail } },
+    });
+    if (existing?.status === "ACCEPTED") {
+      return createValidationResult(false, ["This person is already a collaborator on the event"]);
+    }
+
+    // A fresh link on every (re)invite; only its hash is stored
+    const token = crypto.randomBytes(32).toString("hex");
+    const invitation = {
+      role,
+      status: "PENDING",
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+      accepted_at: null,
+      account_id: null,
+      invited_by: inviter.account_id,
+    };
+
+    const collaborator = existing
+      ? await prisma.eventCollaborator.update({
+          where: { collaborator_id: existing.collaborator_id },
+          data: invitation,
+          select: collaboratorSelect,
+        })
+      : await prisma.eventCollaborator.create({
+          data: { ...invitation, event_id: id, email: inviteeEmail },
+          select: collaboratorSelect,
+        });
+
+    const acceptLink = `${CLIENT_URL}/invitations/accept?token=${encodeURIComponent(token)}`;
+    const inviterName = inviter.account_name || "Someone";
+    const roleLabel = role.toLowerCase();
+    try {
+      await sendMail({
+        to: inviteeEmail,
+        subject: `You're invited to help plan "${event.event_name}"`,
+        text: `${inviterName} invited you to join the event "${event.event_name}" as a ${roleLabel}. The invitation expires in ${INVITATION_TTL_DAYS} days.\n\n${acceptLink}`,
+        html: `<p>${escapeHtml(inviterName)} invited you to join the event "<strong>${escapeHtml(event.event_name)}</strong>" as a ${roleLabel}. The invitation expires in ${INVITATION_TTL_DAYS} days.</p><p><a href="${acceptLink}">Accept invitation</a></p>`,
+      });
+    } catch (mailError) {
+      console.error("Failed to send collaborator invitation:", mailError);
+    }
+
+    return createValidationResult(true, [], collaborator);
+  } catch (error) {
+    return handleError("inviteCollaborator", error);
+  }
+};
+
+// ===== Respond to an invitation =====
+const findPendingInvitation = async (token) => {
+  if (!token) return { error: "Invitation token is required" };
+
+  const invitation = await prisma.eventCollaborator.findUnique({
+    where: { token_hash: hashToken(String(token)) },
+    include: { event: { select: { event_id: true, event_name: true, account_id: true } } },
+  });
+  if (!invitation || invitation.status !== "PENDING") return { error: "Invitation not found or no longer valid" };
+  if (invitation.expires_at && invitation.expires_at < new Date()) return { error: "Invitation has expired" };
+  return { invitation };
+};
+
+export const respondToInvitation = async (token, user, accept) => {
+  try {
+    const { invitation, error } = await findPendingInvitation(token);
+    if (error) return createValidationResult(false, [error]);
+
+    // Links may be forwarded, so only the invited address can use one
+    if (normalizeEmail(user.email) !== invitation.email) {
+      return createValidationResult(false, ["This invitation was sent to a different email address"]);
+    }
+
+    const collaborator = await prisma.eventCollaborator.update({
+      where: { collaborator_id: invitation.collaborator_id },
+      data: accept
+        ? { status: "ACCEPTED", account_id: user.account_id, accepted_at: new Date(), token_hash: null }
+        : { status: "DECLINED", token_hash: null },
+      select: collaboratorSelect,
+    });
+
+    if (invitation.event.account_id) {
+      await createNotification({
+        account_id: invitation.event.account_id,
+        title: accept ? "Invitation Accepted" : "Invitation Declined",
+        message: `${user.account_name} ${accept ? "joined" : "declined to join"} your event "${invitation.event.event_name}".`,
+        type: "CONFIRMATION",
+      });
+    }
+
+    return createValidationResult(true, [], collaborator);
+  } catch (error) {
+    return handleError("respondToInvitation", error);
+  }
+};
+
+// ===== Change role / remove =====
+const findCollaborator = async (eventId, collaboratorId) => {
+  const eventIdValue = parseAndValidateId(eventId, "Event ID");
+  const id = parseAndValidateId(collaboratorId, "Collaborator ID");
+  if (!eventIdValue || !id) return null;
+
+  return prisma.eventCollaborator.findFirst({
+    where: { collaborator_id: id, event_id: eventIdValue, status: { in: ["PENDING", "ACCEPTED"] } },
+  });
+};
+
+export const updateCollaboratorRole = async (eventId, collaboratorId, role) => {
+  try {
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return createValidationResult(false, [`Role must be one of: ${COLLABORATOR_ROLES.join(", ")}`]);
+    }
+
+    const collaborator = await findCollaborator(eventId, collaboratorId);
+    if (!collaborator) return createValidationResult(false, ["Collaborator not found"]);
+
+    const updated = await prisma.eventCollaborator.update({
+      where: { collaborator_id: collaborator.collaborator_id },
+      data: { role },
+      select: collaboratorSelect,
+    });
+    return createValidationResult(true, [], updated);
+  } catch (error) {
+    return handleError("updateCollaboratorRole", error);
+  }
+};
+
+/**
+ * Revoke an invitation or remove a collaborator. The event owner (or events:write:any)
+ * may remove anyone; a collaborator may only remove themselves.
+ */
+export const removeCollaborator = async (eventId, collaboratorId, user) => {
+  try {
+    const collaborator = await findCollaborator(eventId, collaboratorId);
+    if (!collaborator) return createValidationResult(false, ["Collaborator not found"]);
+
+    const isSelf = collaborator.account_id === user.account_id;
+    if (!isSelf && !(await canAccessEventById(collaborator.event_id, user, "manage"))) {
+      return createValidationResult(false, ["Only the event owner can remove collaborators"]);
+    }
+
+    const removed = await prisma.eventCollaborator.update({
+      where: { collaborator_id: collaborator.collaborator_id },
+      data: { status: "REVOKED", token_hash: null },
+      select: collaboratorSelect,
+    });
+    return createValidationResult(true, [], removed);
+  } catch (error) {
+    return handleError("removeCollaborator", error);
+  }
+};
@@ -0,0 +1,374 @@
+import { PrismaClient } from "@prisma/client";
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import archiver from "archiver";
+import { sendMail } from "../utils/mailer.js";
+
+const prisma = new PrismaClient();
+const SALT_ROUNDS = 10;
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return { isValid: false, errors: [error.message] };
+};
+
+// Secrets and token hashes are never part of an export
+const exportAccountSelect = {
+  account_id: true,
+  account_name: true,
+  email: true,
+  phone: true,
+  role: true,
+  dateOfBirth: true,
+  gender: true,
+  is_active: true,
+  avatar_url: true,
+  email_verified: true,
+  email_verified_at: true,
+  two_factor_enabled: true,
+  created_at: true,
+  updated_at: true,
+};
+
+const withoutToken = ({ token_hash, ...record }) => record;
+
+// ===== Export =====
+export const exportAccountData = async (accountId) => {
+  try {
+    const account = await prisma.account.findUnique({
+      where: { account_id: accountId },
+      select: { ...exportAccountSelect, erased_at: true },
+    });
+    if (!account) return { isValid: false, errors: ["Account not found."] };
+    if (account.erased_at) return { isValid: false, errors: ["Account data has been erased."] };
+
+    const ownEmail = { equals: account.email.trim().toLowerCase(), mode: "insensitive" };
+    const [
+      events,
+      invoices,
+      payments,
+      reviews,
+      notifications,
+      sessions,
+      loginAttempts,
+      erasureRequests,
+      guests,
+      collaborations,
+      waitlistEntries,
+      quotes,
+    ] = await Promise.all([
+      prisma.event.findMany({
+        where: { account_id: accountId },
+        include: {
+          room: { select: { room_id: true, room_name: true } },
+          event_type: { select: { type_id: true, type_name: true } },
+          event_services: {
+            include: {
+              service: { select: { service_id: true, service_name: true } },
+              variation: { select: { variation_id: true, variation_name: true } },
+            },
+          },
+        },
+        orderBy: { date_create: "asc" },
+      }),
+      prisma.invoice.findMany({
+        where: { account_id: accountId },
+        include: { details: true },
+        orderBy: { issue_date: "asc" },
+      }),
+      prisma.payment.findMany({
+        where: { account_id: accountId },
+        orderBy: { payment_date: "asc" },
+      }),
+      prisma.reviews.findMany({
+        where: { account_id: accountId },
+        orderBy: { review_date: "asc" },
+      }),
+      prisma.notification.findMany({
+        where: { account_id: accountId },
+        orderBy: { sent_at: "asc" },
+      }),
+      prisma.accountSession.findMany({
+        where: { account_id: accountId },
+        select: {
+          session_id: true,
+          device_name: true,
+          user_agent: true,
+          ip_address: true,
+          created_at: true,
+          last_used_at: true,
+          revoked_at: true,
+        },
+        orderBy: { created_at: "asc" },
+      }),
+      prisma.loginAttempt.findMany({
+        where: { account_id: accountId },
+        select: { ip_address: true, success: true, failure_reason: true, created_at: true },
+        orderBy: { created_at: "asc" },
+      }),
+      prisma.dataErasureRequest.findMany({
+        where: { account_id: accountId },
+        orderBy: { requested_at: "asc" },
+      }),
+      // Guest lists of the account's events, and its own RSVPs to other events
+      prisma.eventGuest.findMany({
+        where: { OR: [{ event: { account_id: accountId } }, { email: ownEmail }] },
+        orderBy: { created_at: "asc" },
+      }),
+      prisma.eventCollaborator.findMany({
+        where: { OR: [{ account_id: accountId }, { email: ownEmail }, { event: { account_id: accountId } }] },
+        orderBy: { created_at: "asc" },
+      }),
+      prisma.waitlistEntry.findMany({
+        where: { account_id: accountId },
+        orderBy: { created_at: "asc" },
+      }),
+      prisma.quote.findMany({
+        where: { OR: [{ account_id: accountId }, { customer_email: ownEmail }] },
+        include: { lines: true },
+        orderBy: { created_at: "asc" },
+      }),
+    ]);
+
+    const { erased_at, ...accountData } = account;
+
+    return {
+      isValid: true,
+      data: {
+        exported_at: new Date().toISOString(),
+        account: accountData,
+        events: events.map(({ event_services, ...event }) => event),
+        event_services: events.flatMap((event) => event.event_services),
+        invoices,
+        payments,
+        reviews,
+        notifications,
+        sessions,
+        login_attempts: loginAttempts,
+        erasure_requests: erasureRequests,
+        guests: guests.map(withoutToken),
+        collaborations: collaborations.map(withoutToken),
+        waitlist_entries: waitlistEntries,
+        quotes: quotes.map(withoutToken),
+      },
+    };
+  } catch (error) {
+    return handleError("exportAccountData", error);
+  }
+};
+
+/**
+ * Stream an export bundle as a ZIP archive, one JSON file per section
+ * @param {Object} bundle - Result data of exportAccountData
+ * @param {Object} output - Writable stream (e.g. Express response)
+ */
+export const writeExportZip = async (bundle, output) => {
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  archive.pipe(output);
+
+  const { exported_at, ...sections } = bundle;
+  for (const [section, content] of Object.entries(sections)) {
+    archive.append(JSON.stringify(content, null, 2), { name: `${section}.json` });
+  }
+  archive.append(JSON.stringify({ exported_at, sections: Object.keys(sections) }, null, 2), {
+    name: "manifest.json",
+  });
+
+  await archive.finalize();
+};
+
+// ===== Anonymise =====
+export const hasFinancialRecords = async (accountId, tx = prisma) => {
+  const [invoiceCount, paymentCount] = await Promise.all([
+    tx.invoice.count({ where: { account_id: accountId } }),
+    tx.payment.count({ where: { account_id: accountId } }),
+  ]);
+  return invoiceCount > 0 || paymentCount > 0;
+};
+
+/**
+ * Strip personal data from an account while keeping the row, so invoices and
+ * payments that must be retained stay linked to a (now anonymous) customer.
+ */
+export const anonymiseAccount = async (accountId, tx = prisma) => {
+  const account = await tx.account.findUnique({
+    where: { account_id: accountId },
+    select: { account_id: true, email: true, erased_at: true },
+  });
+  if (!account) throw new Error("Account not found.");
+  if (account.erased_at) throw new Error("Account data has already been erased.");
+
+  // Nobody knows this password, so the row can never be logged into again
+  const unusableHash = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), SALT_ROUNDS);
+
+  await tx.accountSession.deleteMany({ where: { account_id: accountId } });
+  await tx.passwordResetToken.deleteMany({ where: { account_id: accountId } });
+  await tx.emailVerificationToken.deleteMany({ where: { account_id: accountId } });
+  await tx.recoveryCode.deleteMany({ where: { account_id: accountId } });
+  await tx.loginAttempt.deleteMany({ where: { account_id: accountId } });
+  await tx.loginLockout.deleteMany({
+    where: { scope: "ACCOUNT", lock_key: account.email.trim().toLowerCase() },
+  });
+  await tx.notification.deleteMany({ where: { account_id: accountId } });
+  await tx.reviews.deleteMany({ where: { account_id: accountId } });
+  const email = account.email.trim().toLowerCase();
+  // Their memberships elsewhere, and the people they invited onto their own events
+  await tx.eventCollaborator.deleteMany({
+    where: { OR: [{ account_id: accountId }, { email }, { event: { account_id: accountId } }] },
+  });
+  // Guest lists of their events name other people; their own RSVPs elsewhere keep the seat but lose the name
+  await tx.eventGuest.deleteMany({ where: { event: { account_id: accountId } } });
+  await tx.eventGuest.updateMany({
+    where: { email: { equals: email, mode: "insensitive" } },
+    data: { full_name: "Erased guest", email: null, phone: null, dietary_notes: null, notes: null, token_hash: null },
+  });
+  await tx.eventTemplate.deleteMany({ where: { account_id: accountId } });
+  await tx.waitlistEntry.deleteMany({ where: { account_id: accountId } });
+  await tx.staffAvailability.deleteMany({ where: { staff_id: accountId } });
+  await tx.staffTimeOff.deleteMany({ where: { staff_id: accountId } });
+  await tx.calendarFeed.deleteMany({ where: { OR: [{ created_by: accountId }, { account_id: accountId }] } });
+
+  // Free-text fields on retained records may contain personal details
+  await tx.event.updateMany({
+    where: { account_id: accountId },
+    data: { description: null },
+  });
+  await tx.eventService.updateMany({
+    where: { event: { account_id: accountId } },
+    data: { notes: null },
+  });
+  await tx.quote.updateMany({
+    where: { OR: [{ account_id: accountId }, { customer_email: { equals: email, mode: "insensitive" } }] },
+    data: { customer_email: null, description: null, notes: null, decline_reason: null, token_hash: null },
+  });
+
+  return tx.account.update({
+    where: { account_id: accountId },
+    data: {
+      account_name: `deleted_user_${accountId}`,
+      email: `deleted_user_${accountId}@erased.invalid`,
+      password_hash: unusableHash,
+      phone: null,
+      dateOfBirth: null,
+      gender: null,
+      avatar_url: null,
+      is_active: false,
+      email_verified: false,
+      email_verified_at: null,
+      two_factor_enabled: false,
+      two_factor_secret: null,
+      two_factor_last_step: null,
+      two_factor_enabled_at: null,
+      erased_at: new Date(),
+    },
+    select: { account_id: true, account_name: true, erased_at: true },
+  });
+};
+
+// ===== Erasure requests =====
+export const requestErasure = async (accountId, reason) => {
+  try {
+    const account = await prisma.account.findUnique({
+      where: { account_id: accountId },
+      select: { account_id: true, erased_at: true },
+    });
+    if (!account) return { isValid: false, errors: ["Account not found."] };
+    if (account.erased_at) return { isValid: false, errors: ["Account data has already been erased."] };
+
+    const pending = await prisma.dataErasureRequest.findFirst({
+      where: { account_id: accountId, status: "PENDING" },
+    });
+    if (pending) {
+      return { isValid: false, errors: ["An erasure request is already pending for this account."] };
+    }
+
+    const request = await prisma.dataErasureRequest.create({
+      data: { account_id: accountId, reason: reason || null },
+    });
+
+    return { isValid: true, data: request };
+  } catch (error) {
+    return handleError("requestErasure", error);
+  }
+};
+
+export const getErasureRequests = async ({ status } = {}) => {
+  try {
+    const requests = await prisma.dataErasureRequest.findMany({
+      where: status ? { status } : {},
+      include: {
+        account: { select: { account_id: true, account_name: true, email: true, erased_at: true } },
+      },
+      orderBy: { requested_at: "desc" },
+    });
+    return { isValid: true, data: requests };
+  } catch (error) {
+    return handleError("getErasureRequests", error);
+  }
+};
+
+const getPendingRequest = async (requestId) => {
+  const request = await prisma.dataErasureRequest.findUnique({
+    where: { request_id: requestId },
+    include: { account: { select: { email: true } } },
+  });
+  if (!request) return { error: "Erasure request not found." };
+  if (request.status !== "PENDING") return { error: `Erasure request is already ${request.status}.` };
+  return { request };
+};
+
+export const approveErasureRequest = async (requestId, adminId) => {
+  try {
+    const { request, error } = await getPendingRequest(requestId);
+    if (error) return { isValid: false, errors: [error] };
+
+    const originalEmail = request.account.email;
+
+    const result = await prisma.$transaction(async (tx) => {
+      const account = await anonymiseAccount(request.account_id, tx);
+      const processed = await tx.dataErasureRequest.update({
+        where: { request_id: requestId },
+        data: { status: "COMPLETED", processed_at: new Date(), processed_by: adminId },
+      });
+      return { request: processed, account };
+    });
+
+    // Last message to the address we just erased; failures must not undo the erasure
+    try {
+      await sendMail({
+        to: originalEmail,
+        subject: "Your personal data has been erased",
+        text:
+          "As requested, we have erased the personal data held on your account. " +
+          "Invoices and payment records we are legally required to keep have been retained without your personal details.",
+      });
+    } catch (mailError) {
+      console.error("Failed to send erasure confirmation:", mailError);
+    }
+
+    return { isValid: true, data: result };
+  } catch (error) {
+    return handleError("approveErasureRequest", error);
+  }
+};
+
+export const rejectErasureRequest = async (requestId, adminId, rejectionReason) => {
+  try {
+    const { error } = await getPendingRequest(requestId);
+    if (error) return { isValid: false, errors: [error] };
+
+    const processed = await prisma.dataErasureRequest.update({
+      where: { request_id: requestId },
+      data: {
+        status: "REJECTED",
+        rejection_reason: rejectionReason || null,
+        processed_at: new Date(),
+        processed_by: adminId,
+      },
+    });
+
+    return { isValid: true, data: processed };
+  } catch (error) {
+    return handleError("rejectErasureRequest", error);
+  }
+};
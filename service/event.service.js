@@ -9,8 +9,19 @@ import {
   VALIDATION_CONFIG,
 } from '../utils/validation.js';
 import { checkRoomAvailability } from './room.service.js';
-import { checkVariationAvailability } from './event_service.service.js';
+import {
+  checkVariationAvailability,
+  shiftBookings,
+  findBookingConflicts,
+} from './event_service.service.js';
 import { createNotification } from '../utils/notification.js';
+import { initialBookingStatus } from './provider.service.js';
+import { getEventRole } from './collaborator.service.js';
+import { transitionEventStatus, recordInitialStatus } from './eventLifecycle.service.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+import { processWaitlist } from './waitlist.service.js';
+import { holdExpiresAt } from './eventHold.service.js';
+import { AWAITING_CONFIRMATION_STATUSES } from './eventProgression.service.js';
 
 const prisma = new PrismaClient();
 
@@ -22,7 +33,6 @@ const handleError = (context, error) => {
 
 const EVENT_STATUSES = [
   'PENDING',
-  'ACCEPTED',
   'CONFIRMED',
   'IN_PROGRESS',
   'COMPLETED',
@@ -149,15 +159,15 @@ const buildSortOrder = (sortBy, sortOrder) => {
 };
 
 // ===== Create Event =====
-export const createEvent = async (eventData, prismaTx = null) => {
+export const createEvent = async (eventData, prismaTx = null, actor = null, options = {}) => {
   try {
     if (prismaTx) {
       // Use the passed transaction client
-      return await innerCreateEvent(prismaTx, eventData);
+      return await innerCreateEvent(prismaTx, eventData, actor, options);
     } else {
       // Create a new transaction
       return await prisma.$transaction(async (tx) => {
-        return await innerCreateEvent(tx, eventData);
+        return await innerCreateEvent(tx, eventData, actor, options);
       });
     }
   } catch (error) {
@@ -165,7 +175,8 @@ export const createEvent = async (eventData, prismaTx = null) => {
   }
 };
 
-async function innerCreateEvent(tx, eventData) {
+// options.issueInvoice: false when the caller bills the event elsewhere (consolidated series)
+async function innerCreateEvent(tx, eventData, actor = null, { issueInvoice = true } = {}) {
   const {
     event_name,
     description,
@@ -178,7 +189,6 @@ async function innerCreateEvent(tx, eventData) {
     account_id,
     room_id,
     event_type_id,
-    status = 'PENDING',
   } = eventData;
 
   // Validate event data
@@ -242,26 +252,29 @@ async function innerCreateEvent(tx, eventData) {
       end_time,
       durationHours,
       null,
-      tx
+      tx,
+      { waitlistAccountId: account_id }
     );
     if (!availability.isValid || !availability.data.isAvailable) {
       return createValidationResult(false, [
-        availability?.data?.reason || 'Room is not available',
+        availability?.data?.reason || availability.errors[0] || 'Room is not available',
       ]);
     }
   }
 
   // Validate event type if provided
+  let holdHours = null;
   if (event_type_id) {
     const eventType = await tx.eventType.findUnique({
       where: { type_id: Number(event_type_id) },
-      select: { type_id: true, is_active: true },
+      select: { type_id: true, is_active: true, hold_hours: true },
     });
     if (!eventType || !eventType.is_active) {
       return createValidationResult(false, [
         'Event type not found or inactive',
       ]);
     }
+    holdHours = eventType.hold_hours;
   }
 
   // Calculate initial cost (room only)
@@ -284,15 +297,19 @@ async function innerCreateEvent(tx, eventData) {
       estimated_cost: Number(calculatedEstimatedCost),
       final_cost: final_cost ? Number(final_cost) : null,
       room_service_fee: room_service_fee ? Number(room_service_fee) : null,
-      status,
+      // Every event enters the lifecycle as PENDING; later moves go through transitionEventStatus
+      status: 'PENDING',
       account_id: account_id ? Number(account_id) : null,
       room_id: Number(room_id),
       event_type_id: event_type_id ? Number(event_type_id) : null,
+      // Released by the hold job if still unpaid by then
+      hold_expires_at: holdExpiresAt(scheduledTime, holdHours),
     },
   });
+  await recordInitialStatus(tx, newEvent, actor);
 
   // Create Invoice for room
-  if (calculatedEstimatedCost > 0) {
+  if (issueInvoice && calculatedEstimatedCost > 0) {
     const invoice = await tx.invoice.create({
       data: {
         invoice_number: `INV-${Date.now()}`,
@@ -333,7 +350,16 @@ export const updateEvent = async (eventId, updateData, user = null) => {
     const existingEvent = await prisma.event.findUnique({
       where: { event_id: validEventId },
       include: {
-        event_services: { select: { service_id: true, variation_id: true } },
+        event_services: {
+          select: {
+            event_service_id: true,
+            service_id: true,
+            variation_id: true,
+            status: true,
+            scheduled_time: true,
+            duration_hours: true,
+          },
+        },
       },
     });
 
@@ -341,11 +367,21 @@ export const updateEvent = async (eventId, updateData, user = null) => {
       return createValidationResult(false, ['Event not found']);
     }
 
-    // Ownership and time window check for user
-    if (user && user.role === 'CUSTOMER') {
-      if (existingEvent.account_id !== user.account_id) {
+    // Ownership (or editor access) and time window check for user
+    if (user && !hasPermission(user, PERMISSIONS.EVENTS_WRITE_ANY)) {
+      const role = await getEventRole(existingEvent, user);
+      if (role !== 'OWNER' && role !== 'EDITOR') {
+        return createValidationResult(false, [
+          'You can only update your own events or events you can edit.',
+        ]);
+      }
+      if (
+        role === 'EDITOR' &&
+        updateData.account_id !== undefined &&
+        Number(updateData.account_id) !== existingEvent.account_id
+      ) {
         return createValidationResult(false, [
-          'You can only update your own events.',
+          'Only the event owner can transfer the event.',
         ]);
       }
       const now = new Date();
@@ -362,6 +398,12 @@ export const updateEvent = async (eventId, updateData, user = null) => {
     if (validationErrors.length > 0) {
       return createValidationResult(false, validationErrors);
     }
+    // Cancelling has its own endpoint so the refund policy, cancellation record and waitlist apply
+    if (updateData.status === 'CANCELLED' && existingEvent.status !== 'CANCELLED') {
+      return createValidationResult(false, [
+        'Events cannot be cancelled through an update; use the cancel endpoint so the refund policy applies',
+      ]);
+    }
 
     const {
       event_name,
@@ -399,6 +441,8 @@ export const updateEvent = async (eventId, updateData, user = null) => {
       const end = new Date(existingEvent.end_time);
       durationHours = (end - start) / (1000 * 60 * 60);
     }
+    // Without a new end time, availability is checked for start + duration
+    const effectiveEndTime = end_time ? new Date(end_time) : null;
 
     // Validate references
     return await prisma.$transaction(async (tx) => {
@@ -430,18 +474,18 @@ export const updateEvent = async (eventId, updateData, user = null) => {
             'Room not found, inactive, or unavailable',
           ]);
         }
-        if (start_time && durationHours) {
+        if (scheduledTime && durationHours) {
           const availability = await checkRoomAvailability(
             room_id,
-            start_time,
-            null,
+            scheduledTime,
+            effectiveEndTime,
             durationHours,
             validEventId,
             tx
           );
           if (!availability.isValid || !availability.data.isAvailable) {
             return createValidationResult(false, [
-              availability.data.reason || 'Room is not available',
+              availability.data?.reason || availability.errors[0] || 'Room is not available',
             ]);
           }
         }
@@ -460,18 +504,18 @@ export const updateEvent = async (eventId, updateData, user = null) => {
             'Current room is not available',
           ]);
         }
-        if (start_time && durationHours) {
+        if (scheduledTime && durationHours) {
           const availability = await checkRoomAvailability(
             existingEvent.room_id,
-            start_time,
-            null,
+            scheduledTime,
+            effectiveEndTime,
             durationHours,
             validEventId,
             tx
           );
           if (!availability.isValid || !availability.data.isAvailable) {
             return createValidationResult(false, [
-              availability.data.reason || 'Room is not available',
+              availability.data?.reason || availability.errors[0] || 'Room is not available',
             ]);
           }
         }
@@ -489,11 +533,37 @@ export const updateEvent = async (eventId, updateData, user = null) => {
         }
       }
 
+      // Bookings move by the same offset as the event, keeping the run-of-show, and must
+      // still be free at their own new times
+      if ((start_time || end_time) && scheduledTime && durationHours && !(service_id && variation_id)) {
+        const shiftMs = existingEvent.start_time
+          ? new Date(scheduledTime).getTime() - new Date(existingEvent.start_time).getTime()
+          : 0;
+        const moved = shiftBookings(
+          existingEvent.event_services.filter((booking) => !['CANCELLED', 'DECLINED'].includes(booking.status)),
+          shiftMs,
+          scheduledTime,
+          durationHours
+        );
+        const conflicts = await findBookingConflicts(moved, tx, validEventId);
+        if (conflicts.length) {
+          return createValidationResult(false, [
+            `Service booking ${conflicts[0].event_service_id}: ${conflicts[0].reason}`,
+          ]);
+        }
+        for (const booking of moved) {
+          await tx.eventService.update({
+            where: { event_service_id: booking.event_service_id },
+            data: { scheduled_time: booking.scheduled_time, duration_hours: booking.duration_hours },
+          });
+        }
+      }
+
       // Update or create EventService if service_id and variation_id are provided
       if (service_id && variation_id) {
         const dbService = await tx.service.findUnique({
           where: { service_id: Number(service_id) },
-          select: { service_id: true, is_active: true },
+          select: { service_id: true, is_active: true, provider_id: true },
         });
         if (!dbService || !dbService.is_active) {
           return createValidationResult(false, [
@@ -520,7 +590,8 @@ export const updateEvent = async (eventId, updateData, user = null) => {
             variation_id,
             scheduledTime,
             durationHours,
-            tx
+            tx,
+            validEventId
           );
           if (!availabilityCheck.isValid) {
             return availabilityCheck;
@@ -540,7 +611,7 @@ export const updateEvent = async (eventId, updateData, user = null) => {
             quantity: 1, // Default quantity
             custom_price: null, // Default to variation base price
             notes: null,
-            status: 'CONFIRMED',
+            status: initialBookingStatus(dbService),
             scheduled_time: scheduledTime,
             duration_hours: durationHours,
           },
@@ -567,7 +638,6 @@ export const updateEvent = async (eventId, updateData, user = null) => {
             room_service_fee !== undefined
               ? Number(room_service_fee)
               : undefined,
-          status,
           account_id:
             account_id !== undefined
               ? account_id
@@ -599,8 +669,9 @@ export const updateEvent = async (eventId, updateData, user = null) => {
 
       // Update Invoice
       if (calculatedEstimatedCost !== existingEvent.estimated_cost) {
+        // Consolidated series invoices are rebuilt by the series service
         const existingInvoice = await tx.invoice.findFirst({
-          where: { event_id: validEventId },
+          where: { event_id: validEventId, series_id: null },
         });
 
         if (existingInvoice) {
@@ -651,6 +722,17 @@ export const updateEvent = async (eventId, updateData, user = null) => {
         }
       }
 
+      // Status changes go through the lifecycle; a refused transition undoes the whole update
+      if (status !== undefined && status !== existingEvent.status) {
+        const transition = await transitionEventStatus(validEventId, status, {
+          actor: user,
+          reason: updateData.status_reason,
+          tx,
+        });
+        if (!transition.isValid) throw new Error(transition.errors[0]);
+        updatedEvent.status = transition.data.status;
+      }
+
       return createValidationResult(true, [], {
         ...updatedEvent,
         eventServicesCount: updatedEvent.event_services.length,
@@ -669,6 +751,7 @@ export const getAllEvents = async (filters = {}) => {
       room_id,
       event_type_id,
       status,
+      overdue = false,
       dateMin,
       dateMax,
       search,
@@ -701,6 +784,11 @@ export const getAllEvents = async (filters = {}) => {
     if (event_type_id)
       where.event_type_id = parseAndValidateId(event_type_id, 'Event Type ID');
     if (status) where.status = status;
+    // Still unconfirmed after their start, as flagged by the status scheduler
+    if (overdue) {
+      where.status = { in: AWAITING_CONFIRMATION_STATUSES };
+      where.overdue_at = { not: null };
+    }
 
     if (dateMin || dateMax) {
       where.start_time = {};
@@ -880,7 +968,7 @@ export const deleteEvent = async (eventId, options = {}) => {
     const existingEvent = await prisma.event.findUnique({
       where: { event_id: validEventId },
       include: {
-        event_services: { select: { service_id: true } },
+        event_services: { select: { service_id: true, variation_id: true } },
         invoice: { select: { invoice_id: true } },
         payments: { select: { payment_id: true } },
         reviews: { select: { review_id: true } },
@@ -936,6 +1024,11 @@ export const deleteEvent = async (eventId, options = {}) => {
       await tx.event.delete({ where: { event_id: validEventId } });
     });
 
+    await processWaitlist({
+      room_ids: [existingEvent.room_id],
+      variation_ids: existingEvent.event_services.map((booking) => booking.variation_id),
+    });
+
     return createValidationResult(true, [], {
       event_id: validEventId,
       deletedEventServices: forceDelete
@@ -952,7 +1045,7 @@ export const deleteEvent = async (eventId, options = {}) => {
 };
 
 // ===== Toggle Event Status =====
-export const toggleEventStatus = async (eventId) => {
+export const toggleEventStatus = async (eventId, actor = null) => {
   try {
     const validEventId = parseAndValidateId(eventId, 'Event ID');
     const event = await prisma.event.findUnique({
@@ -964,20 +1057,18 @@ export const toggleEventStatus = async (eventId) => {
       return createValidationResult(false, ['Event not found']);
     }
 
-    const newStatus = event.status === 'PENDING' ? 'CONFIRMED' : 'PENDING';
+    // Kept for older clients: the only toggle the lifecycle still allows is confirming
+    if (event.status !== 'PENDING') {
+      return createValidationResult(false, [
+        `Only PENDING events can be toggled. Use PATCH /api/events/${validEventId}/status to move a ${event.status} event.`,
+      ]);
+    }
 
-    const updatedEvent = await prisma.event.update({
-      where: { event_id: validEventId },
-      data: { status: newStatus },
-      include: {
-        account: { select: { account_id: true, account_name: true } },
-        room: { select: { room_id: true, room_name: true } },
-        event_type: { select: { type_id: true, type_name: true } },
-      },
-    });
+    const result = await transitionEventStatus(validEventId, 'CONFIRMED', { actor });
+    if (!result.isValid) return result;
 
     return createValidationResult(true, [], {
-      ...updatedEvent,
+      ...result.data,
       message: 'Event status toggled',
     });
   } catch (error) {
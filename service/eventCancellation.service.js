@@ -0,0 +1,451 @@
+import { PrismaClient } from '@prisma/client';
+import { parseAndValidateId, createValidationResult } from '../utils/validation.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+import { createNotification } from '../utils/notification.js';
+import { invoiceWhereForEvent, syncSeriesInvoice } from './invoice.service.js';
+import { getAllowedTransitions, transitionEventStatus } from './eventLifecycle.service.js';
+import { canAccessEvent } from './collaborator.service.js';
+import { resolvePolicyForEvent, daysUntilStart, refundPercentFor } from './cancellationPolicy.service.js';
+import { refundPayment } from './payment.service.js';
+import { toPaymentCurrency, fromPaymentCurrency, conversionTolerance } from '../utils/currency.js';
+import { getAccountsWithPermission } from './permission.service.js';
+import { processWaitlistForEvent } from './waitlist.service.js';
+
+const prisma = new PrismaClient();
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Refunds that went through only in part, or not at all, can be retried for the rest
+const RETRYABLE_REFUND_STATUSES = ['FAILED', 'PARTIAL'];
+
+const parseOverride = (value) => {
+  if (value === undefined || value === null || value === '') return { percent: null };
+  const percent = Number(value);
+  if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+    return { error: 'refund_percent must be an integer between 0 and 100' };
+  }
+  return { percent };
+};
+
+/**
+ * The part of a series invoice's payments that belongs to one occurrence: its lines, in the
+ * proportion the invoice as a whole has been paid
+ * @param {number} lineSubtotal - The occurrence's lines on the series invoice
+ * @param {number} amountPaid - Paid towards the whole invoice
+ * @param {number} invoiceTotal
+ * @returns {number}
+ */
+export const seriesShareOf = (lineSubtotal, amountPaid, invoiceTotal) => {
+  if (!(amountPaid > 0) || !(invoiceTotal > 0)) return 0;
+  return roundMoney(lineSubtotal * Math.min(1, amountPaid / invoiceTotal));
+};
+
+// What was paid towards this event: all of its own invoice, or its lines' share of a series invoice
+const paidForEvent = async (tx, invoice, event) => {
+  const paid = Number(invoice.amount_paid || 0);
+  if (!invoice.series_id) return paid;
+
+  const lines = await tx.invoiceDetail.aggregate({
+    where: { invoice_id: invoice.invoice_id, event_id: event.event_id, item_type: 'ROOM' },
+    _sum: { subtotal: true },
+  });
+  return seriesShareOf(Number(lines._sum.subtotal || 0), paid, Number(invoice.total_amount || 0));
+};
+
+// The policy's (or staff's) percentage of what was paid goes back; the rest is retained
+export const splitRefund = (amountPaid, refundPercent) => {
+  const refundAmount = roundMoney((amountPaid * refundPercent) / 100);
+  return { refund_amount: refundAmount, amount_retained: roundMoney(amountPaid - refundAmount) };
+};
+
+/**
+ * Work out what cancelling an event now would refund
+ * @param {Object} tx
+ * @param {Object} event - Needs event_id, series_id, room_id, event_type_id, start_time, event_date
+ * @param {number|null} overridePercent - Staff override of the policy's percentage
+ */
+const buildQuote = async (tx, event, overridePercent = null) => {
+  const policy = await resolvePolicyForEvent(event, tx);
+  const daysBefore = daysUntilStart(event);
+  const invoice = await tx.invoice.findFirst({ where: invoiceWhereForEvent(event) });
+
+  const seriesBilled = Boolean(invoice?.series_id);
+  const amountPaid = invoice ? await paidForEvent(tx, invoice, event) : 0;
+  const refundPercent = overridePercent ?? refundPercentFor(policy, daysBefore);
+
+  return {
+    policy: policy ? { policy_id: policy.policy_id, policy_name: policy.policy_name, tiers: policy.tiers } : null,
+    days_before: daysBefore,
+    refund_percent: refundPercent,
+    overridden: overridePercent !== null,
+    invoice: invoice
+      ? { invoice_id: invoice.invoice_id, invoice_number: invoice.invoice_number, status: invoice.status }
+      : null,
+    series_billed: seriesBilled,
+    amount_paid: amountPaid,
+    ...splitRefund(amountPaid, refundPercent),
+  };
+};
+
+/**
+ * A series invoice's total once a cancelled occurrence's lines leave it and what the policy
+ * retains of its paid share is billed instead
+ * @param {number} total - Invoice total with the occurrence still on it
+ * @param {Array<number>} lineSubtotals - The occurrence's lines still on the invoice
+ * @param {number} amountRetained
+ * @returns {number}
+ */
+export const seriesTotalAfterCancellation = (total, lineSubtotals, amountRetained) =>
+  Math.max(0, roundMoney(total - lineSubtotals.reduce((sum, subtotal) => sum + subtotal, 0) + Math.max(0, amountRetained)));
+
+// The cancelled occurrence leaves the series invoice; what the policy retains of its paid share stays billed
+const settleSeriesOccurrence = async (tx, event, quote) => {
+  // Open invoices drop the occurrence's line here; paid ones are adjusted below
+  await syncSeriesInvoice(tx, event.series_id);
+
+  const invoiceId = quote.invoice.invoice_id;
+  const invoice = await tx.invoice.findUnique({ where: { invoice_id: invoiceId }, select: { total_amount: true } });
+
+  const lineWhere = { invoice_id: invoiceId, event_id: event.event_id, item_type: 'ROOM' };
+  const lines = await tx.invoiceDetail.findMany({ where: lineWhere, select: { subtotal: true } });
+  if (lines.length) await tx.invoiceDetail.deleteMany({ where: lineWhere });
+  if (quote.amount_retained > 0) {
+    await tx.invoiceDetail.create({
+      data: {
+        invoice_id: invoiceId,
+        item_name: `Cancellation charge: ${event.event_name}`.slice(0, 255),
+        quantity: 1,
+        unit_price: quote.amount_retained,
+        subtotal: quote.amount_retained,
+        item_type: 'OTHER',
+        event_id: event.event_id,
+      },
+    });
+  }
+
+  const total = seriesTotalAfterCancellation(
+    Number(invoice.total_amount),
+    lines.map((line) => Number(line.subtotal)),
+    quote.amount_retained
+  );
+  await tx.invoice.update({ where: { invoice_id: invoiceId }, data: { total_amount: total } });
+};
+
+/**
+ * Hand `amount` (invoice currency) back from completed payments, oldest first, converting it into
+ * the currency each payment was taken in. A payment that cannot be refunded leaves its share to the next.
+ * @param {Array<Object>} payments - Completed payments, oldest first
+ * @param {number} amount - Invoice currency
+ * @param {Function} refundOne - (payment, amountInPaymentCurrency) => validation result of refundPayment
+ * @returns {Promise<Object>} { status, refunded (invoice currency), error }
+ */
+export const allocateRefund = async (payments, amount, refundOne) => {
+  if (!payments.length) {
+    return { status: 'MANUAL', refunded: 0, error: 'No completed payment found to refund against' };
+  }
+
+  const errors = [];
+  let manual = false;
+  let remaining = amount;
+  let tolerance = 0;
+  for (const payment of payments) {
+    if (remaining <= 0) break;
+    tolerance += conversionTolerance(payment);
+    const available = fromPaymentCurrency(Number(payment.amount) - Number(payment.refunded_amount || 0), payment);
+    const share = Math.min(remaining, available);
+    const inPaymentCurrency = toPaymentCurrency(share, payment);
+    if (!(inPaymentCurrency > 0)) continue;
+
+    const result = await refundOne(payment, inPaymentCurrency);
+    if (!result.isValid) {
+      errors.push(`Payment #${payment.payment_id}: ${result.errors[0]}`);
+      continue;
+    }
+    remaining -= Math.min(share, fromPaymentCurrency(result.data.refund_amount, payment));
+    if (result.data.manual) manual = true;
+  }
+
+  // Whatever the checkout rounding kept back counts as refunded
+  const refunded = remaining <= tolerance ? amount : roundMoney(amount - remaining);
+  if (errors.length) {
+    return { status: refunded > 0 ? 'PARTIAL' : 'FAILED', refunded, error: errors.join('; ') };
+  }
+  if (refunded < amount) {
+    return {
+      status: 'PARTIAL',
+      refunded,
+      error: `${roundMoney(amount - refunded).toFixed(2)} is not covered by a refundable payment`,
+    };
+  }
+  return { status: manual ? 'MANUAL' : 'SUCCEEDED', refunded, error: null };
+};
+
+const issueRefunds = async (invoiceId, amount, reason) => {
+  const payments = await prisma.payment.findMany({
+    where: { invoice_id: invoiceId, payment_status: 'COMPLETED' },
+    orderBy: { payment_date: 'asc' },
+  });
+  return allocateRefund(payments, amount, (payment, value) => refundPayment(payment.payment_id, value, reason));
+};
+
+/**
+ * Where a cancellation's refund stands after one more run
+ * @param {Object} cancellation - refund_amount, amount_refunded so far, event_id
+ * @param {Object} refund - Outcome of allocateRefund
+ * @returns {Object} { amount_refunded, outstanding, complete, note }
+ */
+export const refundProgress = (cancellation, refund) => {
+  const refunded = roundMoney(Number(cancellation.amount_refunded || 0) + refund.refunded);
+  const outstanding = roundMoney(Number(cancellation.refund_amount) - refunded);
+  return {
+    amount_refunded: refunded,
+    outstanding,
+    complete: !RETRYABLE_REFUND_STATUSES.includes(refund.status),
+    note:
+      `Refund for cancelled event #${cancellation.event_id}: ${refunded.toFixed(2)} of ` +
+      `${Number(cancellation.refund_amount).toFixed(2)}` +
+      (outstanding > 0 ? ` (${outstanding.toFixed(2)} outstanding, ${refund.status})` : ''),
+  };
+};
+
+/**
+ * Record a refund run on the cancellation and its invoice. The invoice's amount_paid drops by what
+ * went back and its notes keep a line per run; an event's own invoice is REFUNDED once nothing is owed.
+ */
+const recordRefund = async (cancellation, invoiceId, refund) => {
+  const { amount_refunded: refunded, complete, note } = refundProgress(cancellation, refund);
+
+  return prisma.$transaction(async (tx) => {
+    const invoice = await tx.invoice.findUnique({ where: { invoice_id: invoiceId } });
+    await tx.invoice.update({
+      where: { invoice_id: invoiceId },
+      data: {
+        amount_paid: Math.max(0, roundMoney(Number(invoice.amount_paid) - refund.refunded)),
+        status: complete && !invoice.series_id ? 'REFUNDED' : undefined,
+        notes: [invoice.notes, note].filter(Boolean).join('\n'),
+      },
+    });
+
+    return tx.eventCancellation.update({
+      where: { cancellation_id: cancellation.cancellation_id },
+      data: { amount_refunded: refunded, refund_status: refund.status, refund_error: refund.error },
+    });
+  });
+};
+
+const formatBreakdown = (event, quote, refundStatus) => {
+  const lines = [`Your event "${event.event_name}" has been cancelled ${quote.days_before} day(s) before its start.`];
+  if (quote.series_billed) {
+    lines.push('It was billed on your series invoice, which has been adjusted to drop this occurrence.');
+    if (!(quote.amount_paid > 0)) return lines.join(' ');
+  }
+  lines.push(
+    `Amount paid: ${quote.amount_paid.toFixed(2)}.`,
+    `Refund (${quote.refund_percent}%${quote.policy ? ` under "${quote.policy.policy_name}"` : ''}): ${quote.refund_amount.toFixed(2)}.`,
+    `Retained: ${quote.amount_retained.toFixed(2)}.`
+  );
+  if (refundStatus !== 'SUCCEEDED' && refundStatus !== 'NONE') {
+    lines.push('Our staff will complete the refund and contact you.');
+  }
+  return lines.join(' ');
+};
+
+const notifyCancellation = async (event, quote, refund, actor) => {
+  if (event.account_id) {
+    await createNotification({
+      account_id: event.account_id,
+      title: 'Event Cancelled',
+      message: formatBreakdown(event, quote, refund.status),
+      type: refund.status === 'FAILED' ? 'WARNING' : 'CONFIRMATION',
+    });
+  }
+
+  await notifyRefundStaff(event, quote.refund_amount, refund, actor);
+};
+
+// Staff who can refund hear about refunds that need a hand: failed, partial or manual ones
+const notifyRefundStaff = async (event, refundAmount, refund, actor) => {
+  if (refund.status === 'SUCCEEDED' || refund.status === 'NONE') return;
+  const retryable = RETRYABLE_REFUND_STATUSES.includes(refund.status);
+  const staff = await getAccountsWithPermission(PERMISSIONS.INVOICES_REFUND);
+  for (const member of staff) {
+    if (member.account_id === actor?.account_id) continue;
+    await createNotification({
+      account_id: member.account_id,
+      title: retryable ? 'Refund Failed' : 'Manual Refund Needed',
+      message:
+        `Refund of ${Number(refundAmount).toFixed(2)} for cancelled event "${event.event_name}" (#${event.event_id})` +
+        (retryable
+          ? ` ${refund.status === 'PARTIAL' ? 'went through only in part' : 'failed'}: ${refund.error} Retry it from the event's cancellation.`
+          : ' has to be handed back manually.'),
+      type: retryable ? 'ERROR' : 'REMINDER',
+    });
+  }
+};
+
+// ===== Quote =====
+/**
+ * Preview the refund a cancellation would give right now
+ * @param {number|string} eventId
+ * @param {Object} actor - req.user
+ */
+export const getCancellationQuote = async (eventId, actor) => {
+  try {
+    const id = parseAndValidateId(eventId, 'Event ID');
+    if (!id) return createValidationResult(false, ['Invalid Event ID']);
+
+    const event = await prisma.event.findUnique({ where: { event_id: id } });
+    if (!event) return createValidationResult(false, ['Event not found']);
+    if (!(await canAccessEvent(event, actor, 'view'))) {
+      return createValidationResult(false, ['You do not have access to this event']);
+    }
+
+    const quote = await buildQuote(prisma, event);
+    return createValidationResult(true, [], {
+      ...quote,
+      event_id: event.event_id,
+      cancellable: getAllowedTransitions(event.status).includes('CANCELLED'),
+    });
+  } catch (error) {
+    return handleError('getCancellationQuote', error);
+  }
+};
+
+// ===== Cancel =====
+/**
+ * Cancel an event and refund what the applicable policy allows. The status change and the
+ * cancellation record are written together; the refund is issued once they are committed.
+ * @param {number|string} eventId
+ * @param {Object} data - reason, refund_percent (invoices:refund only)
+ * @param {Object} actor - req.user
+ * @returns {Promise<Object>} Validation result with the event, the cancellation record and the refund outcome
+ */
+export const cancelEvent = async (eventId, data, actor) => {
+  try {
+    const id = parseAndValidateId(eventId, 'Event ID');
+    if (!id) return createValidationResult(false, ['Invalid Event ID']);
+
+    const override = parseOverride(data.refund_percent);
+    if (override.error) return createValidationResult(false, [override.error]);
+    if (override.percent !== null && !hasPermission(actor, PERMISSIONS.INVOICES_REFUND)) {
+      return createValidationResult(false, ['You are not allowed to override the refund percentage']);
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const event = await tx.event.findUnique({ where: { event_id: id } });
+      if (!event) return createValidationResult(false, ['Event not found']);
+
+      const quote = await buildQuote(tx, event, override.percent);
+
+      // The lifecycle checks the actor (owner, editor or events:status:manage) and cancels open invoices
+      const transition = await transitionEventStatus(id, 'CANCELLED', { actor, reason: data.reason, tx });
+      if (!transition.isValid) return transition;
+
+      if (quote.series_billed) await settleSeriesOccurrence(tx, event, quote);
+
+      const cancellation = await tx.eventCancellation.create({
+        data: {
+          event_id: id,
+          policy_id: quote.policy?.policy_id ?? null,
+          days_before: quote.days_before,
+          refund_percent: quote.refund_percent,
+          amount_paid: quote.amount_paid,
+          refund_amount: quote.refund_amount,
+          amount_retained: quote.amount_retained,
+          refund_status: quote.refund_amount > 0 ? 'PENDING' : 'NONE',
+          reason: data.reason?.trim() || null,
+          cancelled_by: actor?.account_id ?? null,
+        },
+      });
+
+      // Nothing to give back: a paid invoice is simply closed
+      if (quote.invoice && !quote.series_billed && quote.refund_amount === 0 && quote.invoice.status === 'PAID') {
+        await tx.invoice.update({ where: { invoice_id: quote.invoice.invoice_id }, data: { status: 'CANCELLED' } });
+      }
+
+      return createValidationResult(true, [], { event: transition.data, quote, cancellation });
+    });
+    if (!result.isValid) return result;
+
+    const { event, quote } = result.data;
+    let { cancellation } = result.data;
+    let refund = { status: 'NONE', error: null };
+
+    if (quote.refund_amount > 0) {
+      refund = await issueRefunds(quote.invoice.invoice_id, quote.refund_amount, data.reason?.trim() || 'Event cancelled');
+      // A failed or partial refund keeps its outstanding amount so staff can retry it
+      cancellation = await recordRefund(cancellation, quote.invoice.invoice_id, refund);
+    }
+
+    await notifyCancellation(event, quote, refund, actor);
+    // The room and services are free again for whoever is waiting
+    await processWaitlistForEvent(id);
+
+    return createValidationResult(true, [], { event, cancellation, breakdown: quote });
+  } catch (error) {
+    return handleError('cancelEvent', error);
+  }
+};
+
+// ===== Retry refund =====
+/**
+ * Issue what is still owed on a cancellation whose refund failed or went through only in part
+ * @param {number|string} eventId
+ * @param {Object} actor - req.user; needs invoices:refund
+ * @returns {Promise<Object>} Validation result with the updated cancellation record
+ */
+export const retryCancellationRefund = async (eventId, actor) => {
+  try {
+    const id = parseAndValidateId(eventId, 'Event ID');
+    if (!id) return createValidationResult(false, ['Invalid Event ID']);
+    if (!hasPermission(actor, PERMISSIONS.INVOICES_REFUND)) {
+      return createValidationResult(false, ['You are not allowed to issue refunds']);
+    }
+
+    const cancellation = await prisma.eventCancellation.findUnique({
+      where: { event_id: id },
+      include: { event: true },
+    });
+    if (!cancellation) return createValidationResult(false, ['Cancellation not found']);
+    if (!RETRYABLE_REFUND_STATUSES.includes(cancellation.refund_status)) {
+      return createValidationResult(false, [`A ${cancellation.refund_status} refund cannot be retried`]);
+    }
+
+    const invoice = await prisma.invoice.findFirst({ where: invoiceWhereForEvent(cancellation.event) });
+    if (!invoice) return createValidationResult(false, ['Invoice not found']);
+
+    // Claim the retry so a double submit cannot refund twice
+    const claimed = await prisma.eventCancellation.updateMany({
+      where: { cancellation_id: cancellation.cancellation_id, refund_status: cancellation.refund_status },
+      data: { refund_status: 'PENDING' },
+    });
+    if (claimed.count !== 1) {
+      return createValidationResult(false, ['A refund is already in progress for this cancellation']);
+    }
+
+    const outstanding = roundMoney(Number(cancellation.refund_amount) - Number(cancellation.amount_refunded));
+    const refund = await issueRefunds(invoice.invoice_id, outstanding, 'Event cancelled (refund retried)');
+    const updated = await recordRefund(cancellation, invoice.invoice_id, refund);
+
+    const { event } = cancellation;
+    if (!RETRYABLE_REFUND_STATUSES.includes(refund.status) && event.account_id) {
+      await createNotification({
+        account_id: event.account_id,
+        title: 'Refund Issued',
+        message: `The refund of ${Number(updated.refund_amount).toFixed(2)} for cancelled event "${event.event_name}" has been issued.`,
+        type: 'CONFIRMATION',
+      });
+    }
+    await notifyRefundStaff(event, outstanding, refund, actor);
+
+    return createValidationResult(true, [], updated);
+  } catch (error) {
+    return handleError('retryCancellationRefund', error);
+  }
+};
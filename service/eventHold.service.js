@@ -0,0 +1,195 @@
+import { PrismaClient } from '@prisma/client';
+import { parseAndValidateId, createValidationResult } from '../utils/validation.js';
+import { sendMail, CLIENT_URL, escapeHtml } from '../utils/mailer.js';
+import { invoiceWhereForEvent, syncSeriesInvoice } from './invoice.service.js';
+import { transitionEventStatus } from './eventLifecycle.service.js';
+import { canAccessEvent } from './collaborator.service.js';
+import { processWaitlistForEvent } from './waitlist.service.js';
+
+const prisma = new PrismaClient();
+
+// How long a new PENDING event holds its room before it must be paid; event types may override
+export const PENDING_HOLD_HOURS = Number(process.env.PENDING_HOLD_HOURS) || 48;
+// The one extension a customer may add to a running hold
+export const HOLD_EXTENSION_HOURS = Number(process.env.HOLD_EXTENSION_HOURS) || 24;
+
+// An unpaid PENDING event stays on its hold if it is rescheduled before being confirmed
+export const HOLD_STATUSES = ['PENDING', 'RESCHEDULED'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const OPEN_INVOICE_STATUSES = ['PENDING', 'OVERDUE'];
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+// A hold never outlasts the start of the event itself
+export const capAtStart = (expiresAt, startTime) =>
+  expiresAt && startTime && new Date(startTime) < expiresAt ? new Date(startTime) : expiresAt;
+
+/**
+ * When a new PENDING event stops holding its room
+ * @param {Date|string|null} startTime - Event start
+ * @param {number|null} holdHours - The event type's hold_hours; null uses PENDING_HOLD_HOURS
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const holdExpiresAt = (startTime, holdHours = null, now = new Date()) =>
+  capAtStart(new Date(now.getTime() + (holdHours ?? PENDING_HOLD_HOURS) * HOUR_MS), startTime);
+
+/**
+ * The hold of an event as shown in its details; null once the event is confirmed or closed
+ * @param {Object} event - Needs status, start_time, hold_expires_at, hold_extended_at
+ * @param {Date} [now]
+ */
+export const describeHold = (event, now = new Date()) => {
+  if (!HOLD_STATUSES.includes(event.status) || !event.hold_expires_at) return null;
+
+  const expiresAt = new Date(event.hold_expires_at);
+  const remainingMs = Math.max(0, expiresAt - now);
+  const extended = Boolean(event.hold_extended_at);
+  return {
+    expires_at: expiresAt,
+    remaining_seconds: Math.floor(remainingMs / 1000),
+    expired: remainingMs === 0,
+    extended,
+    can_extend: !extended && remainingMs > 0 && (!event.start_time || expiresAt < new Date(event.start_time)),
+  };
+};
+
+// ===== Extend =====
+/**
+ * Push a running hold back by HOLD_EXTENSION_HOURS, once per event (owner or editors)
+ * @param {number|string} eventId
+ * @param {Object} user - req.user
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Validation result with the new hold
+ */
+export const extendHold = async (eventId, user, now = new Date()) => {
+  try {
+    const id = parseAndValidateId(eventId, 'Event ID');
+    if (!id) return createValidationResult(false, ['Invalid Event ID']);
+
+    const event = await prisma.event.findUnique({ where: { event_id: id } });
+    if (!event) return createValidationResult(false, ['Event not found']);
+    if (!(await canAccessEvent(event, user, 'edit'))) {
+      return createValidationResult(false, ['You are not allowed to extend the hold on this event']);
+    }
+
+    const hold = describeHold(event, now);
+    if (!hold) return createValidationResult(false, ['Only unpaid, unconfirmed events hold their room']);
+    if (hold.expired) return createValidationResult(false, ['The hold has already expired']);
+    if (hold.extended) return createValidationResult(false, ['The hold has already been extended once']);
+
+    const expiresAt = capAtStart(new Date(hold.expires_at.getTime() + HOLD_EXTENSION_HOURS * HOUR_MS), event.start_time);
+    if (expiresAt <= hold.expires_at) {
+      return createValidationResult(false, ['The hold already runs until the event starts']);
+    }
+
+    // Only one extension, even if the request is sent twice
+    const extended = await prisma.event.updateMany({
+      where: { event_id: id, status: { in: HOLD_STATUSES }, hold_extended_at: null },
+      data: { hold_expires_at: expiresAt, hold_extended_at: now },
+    });
+    if (extended.count === 0) return createValidationResult(false, ['The hold has already been extended once']);
+
+    return createValidationResult(true, [], {
+      event_id: id,
+      hold: describeHold({ ...event, hold_expires_at: expiresAt, hold_extended_at: now }, now),
+    });
+  } catch (error) {
+    return handleError('extendHold', error);
+  }
+};
+
+// ===== Release =====
+// Cancel one event whose hold ran out, if it is still unpaid. Runs inside a transaction.
+const releaseHold = async (tx, eventId, now) => {
+  const event = await tx.event.findUnique({
+    where: { event_id: eventId },
+    include: { account: { select: { account_name: true, email: true } } },
+  });
+  // Paid, cancelled or extended since the job picked it up
+  if (!event || !HOLD_STATUSES.includes(event.status) || !event.hold_expires_at || event.hold_expires_at > now) {
+    return null;
+  }
+
+  const invoice = await tx.invoice.findFirst({
+    where: invoiceWhereForEvent(event),
+    select: { invoice_id: true, invoice_number: true, status: true, total_amount: true, series_id: true },
+  });
+  const payments = await tx.payment.count({ where: { event_id: eventId, payment_status: 'COMPLETED' } });
+
+  // Nothing owed, or already partly paid: staff confirm these, the hold just stops ticking
+  if (!invoice || Number(invoice.total_amount) <= 0 || !OPEN_INVOICE_STATUSES.includes(invoice.status) || payments > 0) {
+    await tx.event.update({ where: { event_id: eventId }, data: { hold_expires_at: null } });
+    return null;
+  }
+
+  // The lifecycle cancels the event's own invoice and bookings and tells the event's people
+  const transition = await transitionEventStatus(eventId, 'CANCELLED', {
+    reason: 'The hold expired before the invoice was paid',
+    source: 'SYSTEM',
+    tx,
+  });
+  if (!transition.isValid) throw new Error(transition.errors[0]);
+  if (invoice.series_id) await syncSeriesInvoice(tx, event.series_id);
+
+  return { event, invoice };
+};
+
+const emailRelease = async ({ event, invoice }) => {
+  if (!event.account?.email) return;
+  const text =
+    `The hold on your event "${event.event_name}" has expired because invoice ${invoice.invoice_number} was not paid in time. ` +
+    'The event has been cancelled, its invoice closed and the room released. You are welcome to book again.';
+  try {
+    await sendMail({
+      to: event.account.email,
+      subject: `Your hold on "${event.event_name}" has expired`,
+      text: `${text}\n\n${CLIENT_URL}/events`,
+      html: `<p>Hi ${escapeHtml(event.account.account_name)},</p><p>${escapeHtml(text)}</p><p><a href="${CLIENT_URL}/events">Your events</a></p>`,
+    });
+  } catch (mailError) {
+    console.error('Failed to send hold expiry email:', mailError);
+  }
+};
+
+/**
+ * Release every unpaid event whose hold has run out (PENDING, or RESCHEDULED before it was paid):
+ * cancel it, close its invoice, tell the customer and offer the slot to the waitlist. Safe to run repeatedly.
+ * @param {Date} [now] - Current time; injectable for tests
+ * @returns {Promise<Object>} Validation result with released event ids and failures
+ */
+export const releaseExpiredHolds = async (now = new Date()) => {
+  try {
+    const due = await prisma.event.findMany({
+      where: { status: { in: HOLD_STATUSES }, hold_expires_at: { lte: now } },
+      select: { event_id: true },
+      orderBy: { hold_expires_at: 'asc' },
+    });
+
+    const released = [];
+    const failed = [];
+    for (const { event_id } of due) {
+      try {
+        const outcome = await prisma.$transaction((tx) => releaseHold(tx, event_id, now));
+        if (!outcome) continue;
+
+        released.push(event_id);
+        await emailRelease(outcome);
+        await processWaitlistForEvent(event_id, now);
+      } catch (error) {
+        // One stuck event must not hold up the rest
+        console.error(`Failed to release hold on event ${event_id}:`, error);
+        failed.push({ event_id, error: error.message });
+      }
+    }
+
+    return createValidationResult(true, [], { checked: due.length, released, failed });
+  } catch (error) {
+    return handleError('releaseExpiredHolds', error);
+  }
+};
@@ -0,0 +1,282 @@
+import { PrismaClient } from '@prisma/client';
+import { createValidationResult, parseAndValidateId } from '../utils/validation.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+import { checkRoomAvailability } from './room.service.js';
+import { getEventRole, notifyEventCollaborators } from './collaborator.service.js';
+import { invoiceWhereForEvent } from './invoice.service.js';
+import { notifyEventStaff } from './staff.service.js';
+
+const prisma = new PrismaClient();
+
+// Allowed moves between EventStatus values. COMPLETED and CANCELLED are final.
+export const EVENT_TRANSITIONS = {
+  PENDING: ['CONFIRMED', 'CANCELLED', 'RESCHEDULED'],
+  CONFIRMED: ['IN_PROGRESS', 'CANCELLED', 'RESCHEDULED'],
+  IN_PROGRESS: ['COMPLETED'],
+  RESCHEDULED: ['PENDING', 'CONFIRMED', 'CANCELLED'],
+  COMPLETED: [],
+  CANCELLED: [],
+};
+
+// Transitions the event owner (or an editor) may make without events:status:manage
+const OWNER_TRANSITIONS = ['CANCELLED'];
+
+const STATUS_MESSAGES = {
+  PENDING: 'is pending confirmation',
+  CONFIRMED: 'has been confirmed',
+  IN_PROGRESS: 'has started',
+  COMPLETED: 'has been completed',
+  CANCELLED: 'has been cancelled',
+  RESCHEDULED: 'is being rescheduled',
+};
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+export const getAllowedTransitions = (status) => EVENT_TRANSITIONS[status] || [];
+
+// ===== Guards =====
+// Each guard returns an error message, or null when the event may enter the status
+const GUARDS = {
+  CONFIRMED: async (event, tx) => {
+    const invoice = await tx.invoice.findFirst({
+      where: invoiceWhereForEvent(event),
+      select: { status: true, total_amount: true },
+    });
+    if (invoice && Number(invoice.total_amount) > 0 && invoice.status !== 'PAID') {
+      return 'The invoice must be paid before the event can be confirmed';
+    }
+
+    if (event.room_id && event.start_time) {
+      const availability = await checkRoomAvailability(
+        event.room_id,
+        event.start_time,
+        event.end_time || event.start_time,
+        null,
+        event.event_id,
+        tx,
+        { includePendingHolds: false }
+      );
+      if (availability.isValid && !availability.data.isAvailable) {
+        return availability.data.reason;
+      }
+    }
+    return null;
+  },
+  IN_PROGRESS: async (event, tx, now) => {
+    if (event.start_time && event.start_time > now) {
+      return 'The event cannot start before its start time';
+    }
+    return null;
+  },
+  COMPLETED: async (event, tx, now) => {
+    if (event.end_time && event.end_time > now) {
+      return 'The event cannot be completed before its end time';
+    }
+    return null;
+  },
+};
+
+/**
+ * Why an event cannot move into `toStatus` right now, or null when it may
+ * @param {Object} event
+ * @param {string} toStatus
+ * @param {Object} tx - Transaction client the checks read through
+ * @param {Date} now
+ * @returns {Promise<string|null>}
+ */
+export const checkTransitionGuard = async (event, toStatus, tx, now = new Date()) =>
+  GUARDS[toStatus] ? GUARDS[toStatus](event, tx, now) : null;
+
+// ===== Side effects (run inside the transition's transaction) =====
+const EFFECTS = {
+  // Confirmed events own their slot; the hold of the unpaid booking no longer applies
+  CONFIRMED: async (event, tx) => {
+    if (event.hold_expires_at) {
+      await tx.event.update({ where: { event_id: event.event_id }, data: { hold_expires_at: null } });
+    }
+  },
+  CANCELLED: async (event, tx) => {
+    // A consolidated series invoice stays open; the series service drops this occurrence's lines
+    await tx.invoice.updateMany({
+      where: { event_id: event.event_id, series_id: null, status: { in: ['PENDING', 'OVERDUE'] } },
+      data: { status: 'CANCELLED' },
+    });
+    await tx.eventService.updateMany({
+      where: { event_id: event.event_id, status: { in: ['PENDING', 'CONFIRMED'] } },
+      data: { status: 'CANCELLED' },
+    });
+    // Assignments stay on record but drop out of schedules and conflict checks
+    await notifyEventStaff(
+      event.event_id,
+      { title: 'Event Cancelled', message: `Event "${event.event_name}" has been cancelled; you are no longer needed for it.`, type: 'WARNING' },
+      tx
+    );
+  },
+  COMPLETED: async (event, tx) => {
+    if (event.final_cost === null) {
+      await tx.event.update({
+        where: { event_id: event.event_id },
+        data: { final_cost: event.estimated_cost },
+      });
+    }
+  },
+};
+
+const applyTransition = async (tx, eventId, toStatus, { actor, reason, source, authorized, now }) => {
+  const event = await tx.event.findUnique({ where: { event_id: eventId } });
+  if (!event) return createValidationResult(false, ['Event not found']);
+
+  const fromStatus = event.status;
+  if (fromStatus === toStatus) {
+    return createValidationResult(false, [`Event is already ${toStatus}`]);
+  }
+  if (!getAllowedTransitions(fromStatus).includes(toStatus)) {
+    const allowed = getAllowedTransitions(fromStatus);
+    return createValidationResult(false, [
+      `Cannot change event status from ${fromStatus} to ${toStatus}` +
+        (allowed.length ? `. Allowed: ${allowed.join(', ')}` : '. The event is closed'),
+    ]);
+  }
+
+  // No actor means the system (payments, scheduled jobs) is moving the event
+  if (actor && !authorized && !hasPermission(actor, PERMISSIONS.EVENTS_STATUS_MANAGE)) {
+    const role = await getEventRole(event, actor, tx);
+    if (!OWNER_TRANSITIONS.includes(toStatus) || !['OWNER', 'EDITOR'].includes(role)) {
+      return createValidationResult(false, [`You are not allowed to mark this event ${toStatus}`]);
+    }
+  }
+
+  const guardError = await checkTransitionGuard(event, toStatus, tx, now);
+  if (guardError) return createValidationResult(false, [guardError]);
+
+  // Only move the row if nobody changed its status since we read it
+  const moved = await tx.event.updateMany({
+    where: { event_id: eventId, status: fromStatus },
+    data: { status: toStatus },
+  });
+  if (moved.count !== 1) {
+    return createValidationResult(false, ['Event status was changed by someone else, please retry']);
+  }
+
+  if (EFFECTS[toStatus]) await EFFECTS[toStatus](event, tx);
+
+  await tx.eventStatusHistory.create({
+    data: {
+      event_id: eventId,
+      from_status: fromStatus,
+      to_status: toStatus,
+      reason: reason?.trim() || null,
+      source,
+      changed_by: actor?.account_id ?? null,
+    },
+  });
+
+  await notifyEventCollaborators(
+    eventId,
+    {
+      title: 'Event Status Changed',
+      message:
+        `Event "${event.event_name}" ${STATUS_MESSAGES[toStatus]}.` +
+        (reason?.trim() ? ` Reason: ${reason.trim()}` : ''),
+    },
+    actor?.account_id ?? null,
+    tx
+  );
+
+  const updated = await tx.event.findUnique({
+    where: { event_id: eventId },
+    include: {
+      account: { select: { account_id: true, account_name: true } },
+      room: { select: { room_id: true, room_name: true } },
+      event_type: { select: { type_id: true, type_name: true } },
+    },
+  });
+  return createValidationResult(true, [], {
+    ...updated,
+    previous_status: fromStatus,
+    allowed_transitions: getAllowedTransitions(toStatus),
+  });
+};
+
+/**
+ * Move an event to a new status through the transition graph, its guards and side effects
+ * @param {number|string} eventId
+ * @param {string} toStatus - Target EventStatus
+ * @param {Object} options
+ * @param {Object} [options.actor] - req.user; omit for system transitions
+ * @param {string} [options.reason] - Stored in the history and sent to the event's people
+ * @param {string} [options.source] - USER, PAYMENT or SYSTEM
+ * @param {boolean} [options.authorized] - The caller already checked the actor may make this move
+ * @param {Object} [options.tx] - Run inside an existing transaction
+ * @param {Date} [options.now] - Time the start/end guards compare against; injectable for scheduled jobs
+ * @returns {Promise<Object>} Validation result with the updated event
+ */
+export const transitionEventStatus = async (eventId, toStatus, options = {}) => {
+  try {
+    const id = parseAndValidateId(eventId, 'Event ID');
+    if (!id) return createValidationResult(false, ['Invalid Event ID']);
+    if (!Object.keys(EVENT_TRANSITIONS).includes(toStatus)) {
+      return createValidationResult(false, ['Invalid event status']);
+    }
+
+    const {
+      actor = null,
+      reason = null,
+      source = actor ? 'USER' : 'SYSTEM',
+      authorized = false,
+      tx,
+      now = new Date(),
+    } = options;
+    const params = { actor, reason, source, authorized, now };
+
+    if (tx) return await applyTransition(tx, id, toStatus, params);
+    return await prisma.$transaction((innerTx) => applyTransition(innerTx, id, toStatus, params));
+  } catch (error) {
+    return handleError('transitionEventStatus', error);
+  }
+};
+
+// First history entry for a newly created event
+export const recordInitialStatus = (tx, event, actor = null) =>
+  tx.eventStatusHistory.create({
+    data: {
+      event_id: event.event_id,
+      from_status: null,
+      to_status: event.status,
+      reason: 'Event created',
+      source: actor ? 'USER' : 'SYSTEM',
+      changed_by: actor?.account_id ?? null,
+    },
+  });
+
+// ===== History =====
+export const getEventStatusHistory = async (eventId) => {
+  try {
+    const id = parseAndValidateId(eventId, 'Event ID');
+    if (!id) return createValidationResult(false, ['Invalid Event ID']);
+
+    const event = await prisma.event.findUnique({
+      where: { event_id: id },
+      select: { event_id: true, status: true },
+    });
+    if (!event) return createValidationResult(false, ['Event not found']);
+
+    const history = await prisma.eventStatusHistory.findMany({
+      where: { event_id: id },
+      include: { account: { select: { account_id: true, account_name: true } } },
+      orderBy: [{ created_at: 'asc' }, { history_id: 'asc' }],
+    });
+
+    return createValidationResult(true, [], {
+      event_id: event.event_id,
+      current_status: event.status,
+      allowed_transitions: getAllowedTransitions(event.status),
+      history,
+    });
+  } catch (error) {
+    return handleError('getEventStatusHistory', error);
+  }
+};
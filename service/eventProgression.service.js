@@ -0,0 +1,248 @@
+import { PrismaClient } from '@prisma/client';
+import { createValidationResult } from '../utils/validation.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { createNotification } from '../utils/notification.js';
+import { sendMail, CLIENT_URL, escapeHtml } from '../utils/mailer.js';
+import { transitionEventStatus } from './eventLifecycle.service.js';
+import { getAccountsWithPermission } from './permission.service.js';
+
+const prisma = new PrismaClient();
+
+// Events still waiting for staff to confirm them; past their start they are overdue
+export const AWAITING_CONFIRMATION_STATUSES = ['PENDING', 'RESCHEDULED'];
+
+// Invoices that can no longer take new lines
+const CLOSED_INVOICE_STATUSES = ['CANCELLED', 'REFUNDED'];
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+// Move every event in `where` to toStatus; events that fail a guard or moved meanwhile are reported, not thrown
+const advance = async (where, toStatus, reason, now, outcome) => {
+  const events = await prisma.event.findMany({
+    where,
+    select: { event_id: true },
+    orderBy: { start_time: 'asc' },
+  });
+
+  const moved = [];
+  for (const { event_id } of events) {
+    const result = await transitionEventStatus(event_id, toStatus, { reason, source: 'SYSTEM', now });
+    if (result.isValid) moved.push(event_id);
+    else outcome.skipped.push({ event_id, status: toStatus, reason: result.errors[0] });
+  }
+  return moved;
+};
+
+// ===== Overdue =====
+// A PENDING or RESCHEDULED event whose start has passed was never (re)confirmed; staff decide what happens to it
+const flagOverdue = async (now) => {
+  const events = await prisma.event.findMany({
+    where: { status: { in: AWAITING_CONFIRMATION_STATUSES }, start_time: { lte: now }, overdue_at: null },
+    select: { event_id: true, event_name: true, account_id: true, status: true, start_time: true },
+  });
+  if (!events.length) return [];
+
+  const staff = await getAccountsWithPermission(PERMISSIONS.EVENTS_STATUS_MANAGE);
+  const flagged = [];
+  for (const event of events) {
+    const marked = await prisma.event.updateMany({
+      where: { event_id: event.event_id, status: event.status, overdue_at: null },
+      data: { overdue_at: now },
+    });
+    if (marked.count === 0) continue;
+    flagged.push(event.event_id);
+
+    const message = `Event "${event.event_name}" started at ${event.start_time.toUTCString()} but is still ${event.status === 'RESCHEDULED' ? 'waiting to be reconfirmed' : 'pending confirmation'}.`;
+    for (const member of staff) {
+      await createNotification({ account_id: member.account_id, title: 'Event Overdue', message, type: 'WARNING' });
+    }
+    if (event.account_id && !staff.some((member) => member.account_id === event.account_id)) {
+      await createNotification({ account_id: event.account_id, title: 'Event Overdue', message, type: 'WARNING' });
+    }
+  }
+  return flagged;
+};
+
+// ===== Completion follow-ups =====
+/**
+ * Bill confirmed services that never made it onto the event's invoice (e.g. added after booking).
+ * A paid invoice that now owes more goes back to PENDING, as after a reschedule fee.
+ * Series-billed events are settled on the series invoice and left alone.
+ */
+const finaliseInvoice = async (tx, event, now) => {
+  if (event.series_id) {
+    const seriesInvoice = await tx.invoice.findFirst({ where: { series_id: event.series_id }, select: { invoice_id: true } });
+    if (seriesInvoice) return null;
+  }
+
+  const bookings = await tx.eventService.findMany({
+    where: { event_id: event.event_id, status: 'CONFIRMED' },
+    select: {
+      service_id: true,
+      variation_id: true,
+      quantity: true,
+      custom_price: true,
+      service: { select: { service_name: true } },
+      variation: { select: { variation_name: true, base_price: true } },
+    },
+  });
+  let invoice = await tx.invoice.findUnique({
+    where: { event_id: event.event_id },
+    include: { details: { select: { service_id: true, variation_id: true, quantity: true } } },
+  });
+  if (invoice && CLOSED_INVOICE_STATUSES.includes(invoice.status)) return null;
+
+  // What is already invoiced per service and variation
+  const invoiced = new Map();
+  for (const detail of invoice?.details || []) {
+    if (!detail.service_id) continue;
+    const key = `${detail.service_id}:${detail.variation_id ?? ''}`;
+    invoiced.set(key, (invoiced.get(key) || 0) + detail.quantity);
+  }
+
+  const lines = [];
+  for (const booking of bookings) {
+    const key = `${booking.service_id}:${booking.variation_id ?? ''}`;
+    const covered = Math.min(invoiced.get(key) || 0, booking.quantity);
+    invoiced.set(key, (invoiced.get(key) || 0) - covered);
+    const quantity = booking.quantity - covered;
+    const unitPrice = Number(booking.custom_price ?? booking.variation?.base_price ?? 0);
+    if (quantity <= 0 || unitPrice <= 0) continue;
+
+    lines.push({
+      item_name: (booking.variation?.variation_name || booking.service.service_name).slice(0, 255),
+      quantity,
+      unit_price: unitPrice,
+      subtotal: unitPrice * quantity,
+      item_type: 'SERVICE',
+      service_id: booking.service_id,
+      variation_id: booking.variation_id,
+    });
+  }
+  if (!lines.length) return null;
+
+  const amount = lines.reduce((sum, line) => sum + line.subtotal, 0);
+  if (!invoice) {
+    invoice = await tx.invoice.create({
+      data: {
+        invoice_number: `INV-${Date.now()}`,
+        total_amount: 0,
+        event_id: event.event_id,
+        account_id: event.account_id,
+        status: 'PENDING',
+        issue_date: now,
+        due_date: new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000),
+      },
+    });
+  }
+  await tx.invoiceDetail.createMany({ data: lines.map((line) => ({ ...line, invoice_id: invoice.invoice_id })) });
+
+  const updated = await tx.invoice.update({
+    where: { invoice_id: invoice.invoice_id },
+    data: {
+      total_amount: Number(invoice.total_amount) + amount,
+      status: invoice.status === 'PAID' ? 'PENDING' : undefined,
+      due_date: invoice.status === 'PAID' ? new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000) : undefined,
+    },
+  });
+  await tx.event.update({
+    where: { event_id: event.event_id },
+    data: { final_cost: Number(event.final_cost ?? event.estimated_cost ?? 0) + amount },
+  });
+  return { invoice_id: updated.invoice_id, invoice_number: updated.invoice_number, amount };
+};
+
+const requestReview = async (event, finalInvoice) => {
+  if (!event.account) return;
+
+  const reviewLink = `${CLIENT_URL}/events/${event.event_id}/review`;
+  const billing = finalInvoice
+    ? ` Services not billed yet (${finalInvoice.amount.toFixed(2)}) were added to invoice ${finalInvoice.invoice_number}.`
+    : '';
+  await createNotification({
+    account_id: event.account_id,
+    title: 'How Was Your Event?',
+    message: `Event "${event.event_name}" is complete. We would love to hear how it went.${billing}`,
+    type: 'REMINDER',
+  });
+
+  try {
+    await sendMail({
+      to: event.account.email,
+      subject: `How was "${event.event_name}"?`,
+      text: `Your event "${event.event_name}" is complete. Tell us how it went: ${reviewLink}${billing ? `\n\n${billing.trim()}` : ''}`,
+      html:
+        `<p>Hi ${escapeHtml(event.account.account_name)},</p><p>Your event "${escapeHtml(event.event_name)}" is complete.</p>` +
+        `<p><a href="${reviewLink}">Leave a review</a></p>${billing ? `<p>${escapeHtml(billing.trim())}</p>` : ''}`,
+    });
+  } catch (mailError) {
+    console.error('Failed to send review request:', mailError);
+  }
+};
+
+// Each completed event is followed up once, whether the scheduler or staff completed it
+const followUpCompleted = async (now, outcome) => {
+  const events = await prisma.event.findMany({
+    where: { status: 'COMPLETED', followed_up_at: null },
+    include: { account: { select: { account_name: true, email: true } } },
+  });
+
+  const followedUp = [];
+  for (const event of events) {
+    try {
+      const finalInvoice = await prisma.$transaction(async (tx) => {
+        const claimed = await tx.event.updateMany({
+          where: { event_id: event.event_id, followed_up_at: null },
+          data: { followed_up_at: now },
+        });
+        if (claimed.count === 0) return false;
+        return finaliseInvoice(tx, event, now);
+      });
+      if (finalInvoice === false) continue;
+
+      followedUp.push(event.event_id);
+      await requestReview(event, finalInvoice);
+    } catch (error) {
+      console.error(`Failed to follow up event ${event.event_id}:`, error);
+      outcome.skipped.push({ event_id: event.event_id, status: 'COMPLETED', reason: error.message });
+    }
+  }
+  return followedUp;
+};
+
+/**
+ * Move events along by the clock: CONFIRMED events start at start_time, running events complete
+ * at end_time, PENDING or RESCHEDULED events past their start are flagged overdue, and completed events get
+ * their final invoice and a review request. Every step is guarded, so reruns change nothing.
+ * @param {Date} [now] - Current time; injectable for tests
+ * @returns {Promise<Object>} Validation result with the event ids moved in each step
+ */
+export const advanceEventStatuses = async (now = new Date()) => {
+  try {
+    const outcome = { skipped: [] };
+    outcome.started = await advance(
+      { status: 'CONFIRMED', start_time: { lte: now } },
+      'IN_PROGRESS',
+      'Start time reached',
+      now,
+      outcome
+    );
+    // Includes events that only just started above, if they have already ended too
+    outcome.completed = await advance(
+      { status: 'IN_PROGRESS', end_time: { lte: now } },
+      'COMPLETED',
+      'End time reached',
+      now,
+      outcome
+    );
+    outcome.overdue = await flagOverdue(now);
+    outcome.followed_up = await followUpCompleted(now, outcome);
+
+    return createValidationResult(true, [], outcome);
+  } catch (error) {
+    return handleError('advanceEventStatuses', error);
+  }
+};
@@ -0,0 +1,369 @@
+import { PrismaClient } from '@prisma/client';
+import { parseAndValidateId, createValidationResult } from '../utils/validation.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+import { createNotification } from '../utils/notification.js';
+import { checkRoomAvailability } from './room.service.js';
+import { shiftBookings, findBookingConflicts } from './event_service.service.js';
+import { findPricingTierForDate } from './pricingTier.service.js';
+import { invoiceWhereForEvent } from './invoice.service.js';
+import { transitionEventStatus } from './eventLifecycle.service.js';
+import { canAccessEvent, notifyEventCollaborators } from './collaborator.service.js';
+import { initialBookingStatus, notifyProviderOfBooking } from './provider.service.js';
+import { getAccountsWithPermission } from './permission.service.js';
+import { processWaitlistForEvent } from './waitlist.service.js';
+import { notifyEventStaff } from './staff.service.js';
+import { capAtStart } from './eventHold.service.js';
+
+const prisma = new PrismaClient();
+
+// Flat fee added to the invoice on every reschedule; staff with events:write:any may waive it
+export const RESCHEDULE_FEE = Number(process.env.RESCHEDULE_FEE) || 0;
+
+const HOUR_MS = 60 * 60 * 1000;
+const RESCHEDULABLE_STATUSES = ['PENDING', 'CONFIRMED', 'RESCHEDULED'];
+const INACTIVE_BOOKING_STATUSES = ['CANCELLED', 'DECLINED'];
+const CLOSED_INVOICE_STATUSES = ['CANCELLED', 'REFUNDED'];
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const hoursBetween = (start, end) => (start && end ? (new Date(end) - new Date(start)) / HOUR_MS : 0);
+
+const formatSlot = (start, end) => `${new Date(start).toISOString()} - ${new Date(end).toISOString()}`;
+
+// A variation's unit price under a pricing tier (or none): base price plus the tier's modifier, never below zero
+export const tieredUnitPrice = (basePrice, tier) =>
+  Math.max(0, Number(basePrice || 0) + Number(tier?.price_modifier || 0));
+
+// A booked variation's unit price on the day it runs
+const unitPriceOn = async (tx, booking, date) =>
+  tieredUnitPrice(booking.variation?.base_price, await findPricingTierForDate(booking.variation_id, date, tx));
+
+/**
+ * An event's cost after it moves: the room's hourly rate over the change in length, plus each
+ * repriced booking's change in unit price
+ * @param {number} previousCost
+ * @param {Object} change
+ * @param {number} change.hourlyRate
+ * @param {number} change.previousHours
+ * @param {number} change.newHours
+ * @param {Array<Object>} [change.bookings] - { quantity, before, after } unit prices of repriced bookings
+ * @returns {number}
+ */
+export const rescheduledCost = (previousCost, { hourlyRate, previousHours, newHours, bookings = [] }) => {
+  const priceChange = bookings.reduce(
+    (sum, booking) => sum + (booking.after - booking.before) * (booking.quantity || 1),
+    Number(hourlyRate || 0) * (newHours - previousHours)
+  );
+  return Math.max(0, previousCost + priceChange);
+};
+
+const applyReschedule = async (tx, eventId, { start, end, reason, waiveFee }, actor) => {
+  const event = await tx.event.findUnique({
+    where: { event_id: eventId },
+    include: {
+      room: { select: { room_id: true, room_name: true, hourly_rate: true } },
+      event_services: {
+        select: {
+          event_service_id: true,
+          service_id: true,
+          variation_id: true,
+          status: true,
+          quantity: true,
+          custom_price: true,
+          scheduled_time: true,
+          duration_hours: true,
+          service: { select: { provider_id: true } },
+          variation: { select: { base_price: true } },
+        },
+      },
+    },
+  });
+  if (!event) return createValidationResult(false, ['Event not found']);
+  if (!(await canAccessEvent(event, actor, 'edit', tx))) {
+    return createValidationResult(false, ['You are not allowed to reschedule this event']);
+  }
+  if (!RESCHEDULABLE_STATUSES.includes(event.status)) {
+    return createValidationResult(false, [`A ${event.status} event cannot be rescheduled`]);
+  }
+  // Same notice period as editing an event
+  if (
+    !hasPermission(actor, PERMISSIONS.EVENTS_WRITE_ANY) &&
+    event.start_time &&
+    (new Date(event.start_time) - new Date()) / HOUR_MS < 24
+  ) {
+    return createValidationResult(false, ['You can only reschedule events at least 24 hours in advance.']);
+  }
+  if (!event.room) return createValidationResult(false, ['The event has no room to reschedule']);
+
+  const invoice = await tx.invoice.findFirst({ where: invoiceWhereForEvent(event) });
+  if (invoice?.series_id) {
+    return createValidationResult(false, [
+      'This occurrence is billed on a series invoice; move it through the series endpoints',
+    ]);
+  }
+
+  // ===== Validate the new slot: room and every active booking =====
+  const durationHours = hoursBetween(start, end);
+  const waitlistOptions = { waitlistAccountId: event.account_id };
+  const room = await checkRoomAvailability(event.room_id, start, end, durationHours, event.event_id, tx, waitlistOptions);
+  if (!room.isValid) return createValidationResult(false, room.errors);
+  if (!room.data.isAvailable) {
+    return createValidationResult(false, [room.data.reason], {
+      room_conflicts: room.data.conflicts,
+      service_conflicts: [],
+    });
+  }
+
+  // Bookings and staff shifts move by the same offset as the event
+  const shiftMs = event.start_time ? start.getTime() - new Date(event.start_time).getTime() : 0;
+  const bookings = event.event_services.filter((booking) => !INACTIVE_BOOKING_STATUSES.includes(booking.status));
+  const moved = shiftBookings(bookings, shiftMs, start, durationHours);
+  const serviceConflicts = await findBookingConflicts(moved, tx, event.event_id, waitlistOptions);
+  if (serviceConflicts.length) {
+    return createValidationResult(
+      false,
+      [`${serviceConflicts.length} booked service(s) are not available at the new time`],
+      { room_conflicts: [], service_conflicts: serviceConflicts }
+    );
+  }
+
+  // ===== Reprice: the room's hourly rate and date-based pricing tiers of booked variations =====
+  const previousCost = Number(event.estimated_cost || 0);
+  const repriced = [];
+  for (const [index, booking] of bookings.entries()) {
+    // A custom price was agreed for the booking and stays as it is
+    if (!booking.variation_id || booking.custom_price !== null) continue;
+    const previousDate = booking.scheduled_time || event.start_time || start;
+    repriced.push({
+      quantity: booking.quantity,
+      before: await unitPriceOn(tx, booking, previousDate),
+      after: await unitPriceOn(tx, booking, moved[index].scheduled_time),
+    });
+  }
+  const newCost = rescheduledCost(previousCost, {
+    hourlyRate: event.room.hourly_rate,
+    previousHours: hoursBetween(event.start_time, event.end_time),
+    newHours: durationHours,
+    bookings: repriced,
+  });
+  const fee = waiveFee ? 0 : RESCHEDULE_FEE;
+
+  let amountDue = 0;
+  if (invoice && !CLOSED_INVOICE_STATUSES.includes(invoice.status)) {
+    amountDue = newCost - previousCost + fee;
+    if (fee > 0) {
+      await tx.invoiceDetail.create({
+        data: {
+          invoice_id: invoice.invoice_id,
+          item_name: 'Reschedule fee',
+          quantity: 1,
+          unit_price: fee,
+          subtotal: fee,
+          item_type: 'OTHER',
+          event_id: event.event_id,
+        },
+      });
+    }
+    // A paid invoice that now owes more goes back to PENDING so the balance can be collected
+    await tx.invoice.update({
+      where: { invoice_id: invoice.invoice_id },
+      data: {
+        total_amount: Math.max(0, Number(invoice.total_amount) + amountDue),
+        status: invoice.status === 'PAID' && amountDue > 0 ? 'PENDING' : undefined,
+      },
+    });
+  }
+
+  await tx.event.update({
+    where: { event_id: event.event_id },
+    data: {
+      start_time: start,
+      end_time: end,
+      event_date: new Date(new Date(start).setHours(0, 0, 0, 0)),
+      estimated_cost: newCost,
+      // Flagged again if the new start passes without reconfirmation
+      overdue_at: null,
+      // An unpaid event keeps the hold it had, so moving it never buys time; a confirmed one has none
+      hold_expires_at: event.status === 'CONFIRMED' ? null : capAtStart(event.hold_expires_at, start),
+    },
+  });
+
+  // Providers agreed to the old slot, so their bookings need a fresh answer
+  for (const booking of moved) {
+    await tx.eventService.update({
+      where: { event_service_id: booking.event_service_id },
+      data: {
+        scheduled_time: booking.scheduled_time,
+        duration_hours: booking.duration_hours,
+        status: booking.service.provider_id ? initialBookingStatus(booking.service) : undefined,
+        provider_responded_at: booking.service.provider_id ? null : undefined,
+      },
+    });
+  }
+
+  // Staff shifts move with the event
+  const assignments = await tx.staffAssignment.findMany({ where: { event_id: event.event_id } });
+  for (const assignment of assignments) {
+    await tx.staffAssignment.update({
+      where: { assignment_id: assignment.assignment_id },
+      data: {
+        start_time: new Date(assignment.start_time.getTime() + shiftMs),
+        end_time: new Date(assignment.end_time.getTime() + shiftMs),
+      },
+    });
+  }
+  await notifyEventStaff(
+    event.event_id,
+    {
+      title: 'Assignment Rescheduled',
+      message: `Event "${event.event_name}" was moved to ${formatSlot(start, end)}; your shift has moved with it. Check your schedule for clashes.`,
+    },
+    tx
+  );
+
+  const reschedule = await tx.eventReschedule.create({
+    data: {
+      event_id: event.event_id,
+      previous_start: event.start_time,
+      previous_end: event.end_time,
+      new_start: start,
+      new_end: end,
+      previous_status: event.status,
+      previous_cost: previousCost,
+      new_cost: newCost,
+      fee,
+      reason: reason?.trim() || null,
+      requested_by: actor.account_id,
+    },
+  });
+
+  if (event.status !== 'RESCHEDULED') {
+    const transition = await transitionEventStatus(event.event_id, 'RESCHEDULED', {
+      actor,
+      reason: reason || `Moved to ${formatSlot(start, end)}`,
+      authorized: true,
+      tx,
+    });
+    // Throwing rolls the whole reschedule back
+    if (!transition.isValid) throw new Error(transition.errors[0]);
+  } else {
+    await notifyEventCollaborators(
+      event.event_id,
+      { title: 'Event Rescheduled', message: `Event "${event.event_name}" was moved to ${formatSlot(start, end)}.` },
+      actor.account_id,
+      tx
+    );
+  }
+
+  return createValidationResult(true, [], {
+    event,
+    reschedule,
+    fee,
+    amount_due: amountDue,
+    providerServiceIds: bookings.filter((booking) => booking.service.provider_id).map((booking) => booking.service_id),
+  });
+};
+
+// Tell the customer what changed and staff that the event needs reconfirming
+const notifyReschedule = async ({ event, reschedule, fee, amount_due }, actor) => {
+  const slot = formatSlot(reschedule.new_start, reschedule.new_end);
+
+  if (event.account_id) {
+    await createNotification({
+      account_id: event.account_id,
+      title: 'Event Rescheduled',
+      message:
+        `Your event "${event.event_name}" was moved to ${slot}.` +
+        (fee > 0 ? ` A reschedule fee of ${fee} was added to your invoice.` : '') +
+        (amount_due > 0 ? ` Amount due: ${amount_due.toFixed(2)}.` : ''),
+      type: 'WARNING',
+    });
+  }
+
+  const staff = await getAccountsWithPermission(PERMISSIONS.EVENTS_STATUS_MANAGE);
+  for (const member of staff) {
+    if (member.account_id === actor.account_id) continue;
+    await createNotification({
+      account_id: member.account_id,
+      title: 'Event Rescheduled',
+      message: `Event "${event.event_name}" (#${event.event_id}) was moved to ${slot} and needs to be reconfirmed.`,
+      type: 'REMINDER',
+    });
+  }
+};
+
+// ===== Reschedule =====
+/**
+ * Move an event to a new slot. The room and every booked service are checked at the new
+ * time inside one transaction; nothing changes unless all of them are free.
+ * @param {number|string} eventId
+ * @param {Object} data - start_time, end_time, reason, waive_fee (events:write:any only)
+ * @param {Object} actor - req.user
+ * @returns {Promise<Object>} Validation result with the event, the reschedule record, fee and amount due.
+ *   On conflicts, data holds room_conflicts and service_conflicts.
+ */
+export const rescheduleEvent = async (eventId, data, actor) => {
+  try {
+    const id = parseAndValidateId(eventId, 'Event ID');
+    if (!id) return createValidationResult(false, ['Invalid Event ID']);
+
+    const start = new Date(data.start_time);
+    const end = new Date(data.end_time);
+    if (!data.start_time || !data.end_time || isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return createValidationResult(false, ['Valid start_time and end_time are required']);
+    }
+    if (end <= start) return createValidationResult(false, ['End time must be after start time']);
+    if (start <= new Date()) return createValidationResult(false, ['The new start time must be in the future']);
+
+    if (data.waive_fee && !hasPermission(actor, PERMISSIONS.EVENTS_WRITE_ANY)) {
+      return createValidationResult(false, ['You are not allowed to waive the reschedule fee']);
+    }
+
+    const result = await prisma.$transaction((tx) =>
+      applyReschedule(tx, id, { start, end, reason: data.reason, waiveFee: Boolean(data.waive_fee) }, actor)
+    );
+    if (!result.isValid) return result;
+
+    const { providerServiceIds, ...outcome } = result.data;
+    await notifyReschedule(outcome, actor);
+    for (const serviceId of providerServiceIds) {
+      await notifyProviderOfBooking(serviceId, outcome.event.event_name);
+    }
+    // The old slot may be what someone on the waitlist is after
+    await processWaitlistForEvent(id);
+
+    const event = await prisma.event.findUnique({
+      where: { event_id: id },
+      include: {
+        room: { select: { room_id: true, room_name: true } },
+        event_services: {
+          select: { event_service_id: true, service_id: true, variation_id: true, status: true, scheduled_time: true },
+        },
+      },
+    });
+    return createValidationResult(true, [], { ...outcome, event });
+  } catch (error) {
+    return handleError('rescheduleEvent', error);
+  }
+};
+
+// ===== History =====
+export const getRescheduleHistory = async (eventId) => {
+  try {
+    const id = parseAndValidateId(eventId, 'Event ID');
+    if (!id) return createValidationResult(false, ['Invalid Event ID']);
+
+    const reschedules = await prisma.eventReschedule.findMany({
+      where: { event_id: id },
+      include: { account: { select: { account_id: true, account_name: true } } },
+      orderBy: { created_at: 'asc' },
+    });
+    return createValidationResult(true, [], reschedules);
+  } catch (error) {
+    return handleError('getRescheduleHistory', error);
+  }
+};
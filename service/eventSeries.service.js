@@ -0,0 +1,421 @@
+import { PrismaClient } from '@prisma/client';
+import {
+  validateString,
+  parseAndValidateId,
+  createValidationResult,
+} from '../utils/validation.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+import { MAX_OCCURRENCES, parseRRule, expandRRule } from '../utils/recurrence.js';
+import { checkRoomAvailability } from './room.service.js';
+import { createEvent, updateEvent } from './event.service.js';
+import { syncSeriesInvoice } from './invoice.service.js';
+import { cancelEvent } from './eventCancellation.service.js';
+
+const prisma = new PrismaClient();
+
+const INVOICE_MODES = ['PER_OCCURRENCE', 'CONSOLIDATED'];
+const SCOPES = ['this', 'following', 'all'];
+// Occurrences in these states are history and are never edited or cancelled as part of a series
+const CLOSED_STATUSES = ['IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const seriesInclude = {
+  account: { select: { account_id: true, account_name: true } },
+  events: {
+    select: {
+      event_id: true,
+      event_name: true,
+      occurrence_index: true,
+      start_time: true,
+      end_time: true,
+      status: true,
+      estimated_cost: true,
+    },
+    orderBy: { start_time: 'asc' },
+  },
+  invoices: {
+    select: { invoice_id: true, invoice_number: true, total_amount: true, status: true },
+  },
+};
+
+const canAccessSeries = (series, user, write = false) =>
+  series.account_id === user.account_id ||
+  hasPermission(user, write ? PERMISSIONS.EVENTS_WRITE_ANY : PERMISSIONS.EVENTS_READ_ANY);
+
+// Validate the request body and expand the rule into occurrence windows
+const buildOccurrences = (data) => {
+  const errors = [];
+
+  const nameValidation = validateString(data.series_name, 'Series name', {
+    required: true,
+    minLength: 3,
+    maxLength: 1024,
+    sanitize: true,
+  });
+  errors.push(...nameValidation.errors);
+
+  const roomId = parseAndValidateId(data.room_id, 'Room ID');
+  if (!roomId) errors.push('Invalid room ID');
+
+  const firstStart = new Date(data.start_time);
+  const firstEnd = new Date(data.end_time);
+  if (!data.start_time || isNaN(firstStart.getTime())) errors.push('A valid start_time is required');
+  if (!data.end_time || isNaN(firstEnd.getTime())) errors.push('A valid end_time is required');
+  else if (firstEnd <= firstStart) errors.push('End time must be after start time');
+
+  const { rule, errors: ruleErrors } = parseRRule(data.rrule);
+  errors.push(...ruleErrors);
+
+  if (data.invoice_mode && !INVOICE_MODES.includes(data.invoice_mode)) {
+    errors.push(`invoice_mode must be one of: ${INVOICE_MODES.join(', ')}`);
+  }
+  if (errors.length) return { errors };
+
+  const { starts, truncated } = expandRRule(rule, firstStart, MAX_OCCURRENCES);
+  if (truncated) {
+    return { errors: [`A series can have at most ${MAX_OCCURRENCES} occurrences`] };
+  }
+
+  const durationMs = firstEnd - firstStart;
+  return {
+    errors: [],
+    roomId,
+    durationMs,
+    occurrences: starts.map((start, index) => ({
+      occurrence_index: index + 1,
+      start_time: start,
+      end_time: new Date(start.getTime() + durationMs),
+    })),
+  };
+};
+
+const checkOccurrences = async (roomId, occurrences, durationMs, tx = prisma) => {
+  const checked = [];
+  for (const occurrence of occurrences) {
+    const availability = await checkRoomAvailability(
+      roomId,
+      occurrence.start_time,
+      occurrence.end_time,
+      durationMs / (1000 * 60 * 60),
+      null,
+      tx
+    );
+    if (!availability.isValid) {
+      checked.push({ ...occurrence, is_available: false, reason: availability.errors[0], conflicts: [] });
+      continue;
+    }
+    checked.push({
+      ...occurrence,
+      is_available: availability.data.isAvailable,
+      reason: availability.data.reason || null,
+      conflicts: availability.data.conflicts,
+    });
+  }
+  return checked;
+};
+
+// The occurrence a scoped change starts from, plus the occurrences the scope covers
+const resolveScope = async (seriesId, eventId, scope) => {
+  const validSeriesId = parseAndValidateId(seriesId, 'Series ID');
+  const validEventId = parseAndValidateId(eventId, 'Event ID');
+  if (!validSeriesId || !validEventId) {
+    return { errors: ['Invalid series or event ID'] };
+  }
+  if (!SCOPES.includes(scope)) {
+    return { errors: [`scope must be one of: ${SCOPES.join(', ')}`] };
+  }
+
+  const series = await prisma.eventSeries.findUnique({ where: { series_id: validSeriesId } });
+  if (!series) return { errors: ['Series not found'] };
+
+  const anchor = await prisma.event.findUnique({
+    where: { event_id: validEventId },
+    select: { event_id: true, series_id: true, start_time: true, end_time: true, status: true },
+  });
+  if (!anchor || anchor.series_id !== series.series_id) {
+    return { errors: ['Occurrence not found in this series'] };
+  }
+
+  const where = { series_id: series.series_id };
+  if (scope === 'this') where.event_id = anchor.event_id;
+  if (scope === 'following') where.start_time = { gte: anchor.start_time };
+
+  const targets = await prisma.event.findMany({
+    where,
+    select: { event_id: true, event_name: true, start_time: true, end_time: true, status: true },
+    orderBy: { start_time: 'asc' },
+  });
+  return { errors: [], series, anchor, targets };
+};
+
+// ===== Preview =====
+/**
+ * Expand a recurrence rule and check every occurrence against room availability without saving anything
+ * @param {Object} data - series_name, rrule, start_time, end_time (first occurrence), room_id
+ * @returns {Promise<Object>} Validation result with the occurrences and their conflicts
+ */
+export const previewSeries = async (data) => {
+  try {
+    const { errors, roomId, durationMs, occurrences } = buildOccurrences(data);
+    if (errors.length) return createValidationResult(false, errors);
+
+    const checked = await checkOccurrences(roomId, occurrences, durationMs);
+    return createValidationResult(true, [], {
+      rrule: data.rrule,
+      room_id: roomId,
+      total: checked.length,
+      conflicts: checked.filter((occurrence) => !occurrence.is_available).length,
+      occurrences: checked,
+    });
+  } catch (error) {
+    return handleError('previewSeries', error);
+  }
+};
+
+// ===== Create =====
+/**
+ * Create a series and one linked event per occurrence. Conflicting occurrences refuse the
+ * whole series unless skip_conflicts is set, in which case they are left out.
+ * @param {Object} data - previewSeries fields plus description, event_type_id, account_id,
+ *   invoice_mode (PER_OCCURRENCE | CONSOLIDATED) and skip_conflicts
+ * @param {Object} actor - req.user
+ */
+export const createSeries = async (data, actor) => {
+  try {
+    const { errors, roomId, durationMs, occurrences } = buildOccurrences(data);
+    if (errors.length) return createValidationResult(false, errors);
+
+    let accountId = actor.account_id;
+    if (data.account_id && Number(data.account_id) !== actor.account_id) {
+      if (!hasPermission(actor, PERMISSIONS.EVENTS_WRITE_ANY)) {
+        return createValidationResult(false, ['You can only create series for your own account']);
+      }
+      accountId = parseAndValidateId(data.account_id, 'Account ID');
+      if (!accountId) return createValidationResult(false, ['Invalid account ID']);
+    }
+
+    const checked = await checkOccurrences(roomId, occurrences, durationMs);
+    const available = checked.filter((occurrence) => occurrence.is_available);
+    const conflicts = checked.filter((occurrence) => !occurrence.is_available);
+    if (conflicts.length && !data.skip_conflicts) {
+      return createValidationResult(
+        false,
+        [`${conflicts.length} occurrence(s) conflict with existing bookings`],
+        { conflicts }
+      );
+    }
+    if (!available.length) {
+      return createValidationResult(false, ['No occurrence of this series can be booked']);
+    }
+
+    const invoiceMode = data.invoice_mode || 'PER_OCCURRENCE';
+    const seriesName = data.series_name.trim();
+
+    const series = await prisma.$transaction(
+      async (tx) => {
+        const created = await tx.eventSeries.create({
+          data: {
+            series_name: seriesName,
+            description: data.description?.trim() || null,
+            rrule: data.rrule.trim(),
+            invoice_mode: invoiceMode,
+            first_start: occurrences[0].start_time,
+            duration_mins: Math.round(durationMs / 60000),
+            account_id: accountId,
+            room_id: roomId,
+            event_type_id: data.event_type_id ? Number(data.event_type_id) : null,
+          },
+        });
+
+        const events = [];
+        for (const occurrence of available) {
+          const result = await createEvent(
+            {
+              event_name: seriesName,
+              description: data.description,
+              start_time: occurrence.start_time.toISOString(),
+              end_time: occurrence.end_time.toISOString(),
+              account_id: accountId,
+              room_id: roomId,
+              event_type_id: data.event_type_id,
+            },
+            tx,
+            actor,
+            { issueInvoice: invoiceMode === 'PER_OCCURRENCE' }
+          );
+          // Throwing rolls back the series and every occurrence created so far
+          if (!result.isValid) {
+            throw new Error(`Occurrence ${occurrence.occurrence_index}: ${result.errors[0]}`);
+          }
+          events.push(
+            await tx.event.update({
+              where: { event_id: result.data.event_id },
+              data: { series_id: created.series_id, occurrence_index: occurrence.occurrence_index },
+            })
+          );
+        }
+
+        if (invoiceMode === 'CONSOLIDATED') {
+          await tx.invoice.create({
+            data: {
+              invoice_number: `INV-${Date.now()}`,
+              total_amount: 0,
+              event_id: events[0].event_id,
+              series_id: created.series_id,
+              account_id: accountId,
+              status: 'PENDING',
+              issue_date: new Date(),
+              due_date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+            },
+          });
+          await syncSeriesInvoice(tx, created.series_id);
+        }
+
+        return tx.eventSeries.findUnique({
+          where: { series_id: created.series_id },
+          include: seriesInclude,
+        });
+      },
+      { timeout: 30000 }
+    );
+
+    return createValidationResult(true, [], { ...series, skipped: conflicts });
+  } catch (error) {
+    return handleError('createSeries', error);
+  }
+};
+
+// ===== Read =====
+export const getSeries = async (seriesId, user) => {
+  try {
+    const id = parseAndValidateId(seriesId, 'Series ID');
+    if (!id) return createValidationResult(false, ['Invalid Series ID']);
+
+    const series = await prisma.eventSeries.findUnique({
+      where: { series_id: id },
+      include: seriesInclude,
+    });
+    if (!series) return createValidationResult(false, ['Series not found']);
+    if (!canAccessSeries(series, user)) {
+      return createValidationResult(false, ['You do not have access to this series']);
+    }
+
+    return createValidationResult(true, [], series);
+  } catch (error) {
+    return handleError('getSeries', error);
+  }
+};
+
+// ===== Scoped update =====
+/**
+ * Edit one occurrence, it and the following ones, or the whole series. A new start or end
+ * time on the chosen occurrence moves the others by the same offset and gives them the same
+ * duration. Each occurrence goes through updateEvent, so ownership and availability rules apply.
+ * @param {number|string} seriesId
+ * @param {number|string} eventId - The occurrence the change was made on
+ * @param {string} scope - this | following | all
+ * @param {Object} updateData - event_name, description, start_time, end_time, event_type_id
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} Validation result with updated and failed occurrences
+ */
+export const updateSeriesOccurrences = async (seriesId, eventId, scope, updateData, user) => {
+  try {
+    const { errors, series, anchor, targets } = await resolveScope(seriesId, eventId, scope);
+    if (errors.length) return createValidationResult(false, errors);
+    if (!canAccessSeries(series, user, true)) {
+      return createValidationResult(false, ['You do not have access to this series']);
+    }
+
+    const { event_name, description, start_time, end_time, event_type_id } = updateData;
+    const newStart = start_time ? new Date(start_time) : null;
+    const newEnd = end_time ? new Date(end_time) : null;
+    if ((newStart && isNaN(newStart.getTime())) || (newEnd && isNaN(newEnd.getTime()))) {
+      return createValidationResult(false, ['Invalid start_time or end_time']);
+    }
+
+    const anchorStart = new Date(anchor.start_time);
+    const offsetMs = newStart ? newStart - anchorStart : 0;
+    const durationMs = newStart || newEnd
+      ? (newEnd || new Date(anchor.end_time)) - (newStart || anchorStart)
+      : null;
+    if (durationMs !== null && durationMs <= 0) {
+      return createValidationResult(false, ['End time must be after start time']);
+    }
+
+    const updated = [];
+    const failed = [];
+    for (const event of targets) {
+      if (CLOSED_STATUSES.includes(event.status)) {
+        failed.push({ event_id: event.event_id, error: `Occurrence is ${event.status}` });
+        continue;
+      }
+
+      const data = { event_name: event_name || event.event_name };
+      if (description !== undefined) data.description = description;
+      if (event_type_id !== undefined) data.event_type_id = event_type_id;
+      if (durationMs !== null) {
+        const start = new Date(new Date(event.start_time).getTime() + offsetMs);
+        data.start_time = start.toISOString();
+        data.end_time = new Date(start.getTime() + durationMs).toISOString();
+      }
+
+      const result = await updateEvent(event.event_id, data, user);
+      if (result.isValid) updated.push(result.data);
+      else failed.push({ event_id: event.event_id, error: result.errors[0] });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      // The series row describes the whole run, so only an "all" edit rewrites it
+      if (scope === 'all') {
+        await tx.eventSeries.update({
+          where: { series_id: series.series_id },
+          data: {
+            series_name: event_name?.trim() || undefined,
+            description: description !== undefined ? description?.trim() || null : undefined,
+            duration_mins: durationMs !== null ? Math.round(durationMs / 60000) : undefined,
+            event_type_id: event_type_id !== undefined ? Number(event_type_id) || null : undefined,
+          },
+        });
+      }
+      if (series.invoice_mode === 'CONSOLIDATED') await syncSeriesInvoice(tx, series.series_id);
+    });
+
+    return createValidationResult(true, [], { series_id: series.series_id, scope, updated, failed });
+  } catch (error) {
+    return handleError('updateSeriesOccurrences', error);
+  }
+};
+
+// ===== Scoped cancel =====
+export const cancelSeriesOccurrences = async (seriesId, eventId, scope, user, reason = null) => {
+  try {
+    const { errors, series, targets } = await resolveScope(seriesId, eventId, scope);
+    if (errors.length) return createValidationResult(false, errors);
+    if (!canAccessSeries(series, user, true)) {
+      return createValidationResult(false, ['You do not have access to this series']);
+    }
+
+    const cancelled = [];
+    const failed = [];
+    for (const event of targets) {
+      if (CLOSED_STATUSES.includes(event.status)) {
+        failed.push({ event_id: event.event_id, error: `Occurrence is ${event.status}` });
+        continue;
+      }
+
+      // Same refund rules as a single event; occurrences on a consolidated invoice drop off its lines
+      const result = await cancelEvent(event.event_id, { reason }, user);
+      if (result.isValid) cancelled.push(event.event_id);
+      else failed.push({ event_id: event.event_id, error: result.errors[0] });
+    }
+
+    return createValidationResult(true, [], { series_id: series.series_id, scope, cancelled, failed });
+  } catch (error) {
+    return handleError('cancelSeriesOccurrences', error);
+  }
+};
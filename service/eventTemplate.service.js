@@ -0,0 +1,581 @@
+import { PrismaClient } from '@prisma/client';
+import {
+  validateString,
+  parseAndValidateId,
+  createValidationResult,
+} from '../utils/validation.js';
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+import { checkRoomAvailability } from './room.service.js';
+import { checkVariationAvailability } from './event_service.service.js';
+import { createEvent } from './event.service.js';
+import { initialBookingStatus, notifyProviderOfBooking } from './provider.service.js';
+import { canAccessEvent } from './collaborator.service.js';
+
+const prisma = new PrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+// Bookings that were turned down are not carried over to a copy
+const UNCOPIED_BOOKING_STATUSES = ['CANCELLED', 'DECLINED'];
+
+// ===== Helper Functions =====
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const templateInclude = {
+  account: { select: { account_id: true, account_name: true } },
+  room: { select: { room_id: true, room_name: true } },
+  event_type: { select: { type_id: true, type_name: true } },
+  services: {
+    select: {
+      template_service_id: true,
+      quantity: true,
+      custom_price: true,
+      notes: true,
+      service: { select: { service_id: true, service_name: true } },
+      variation: { select: { variation_id: true, variation_name: true, base_price: true } },
+    },
+  },
+};
+
+const canReadTemplate = (template, user) =>
+  template.is_global ||
+  template.account_id === user.account_id ||
+  hasPermission(user, PERMISSIONS.EVENT_TEMPLATES_MANAGE);
+
+const canWriteTemplate = (template, user) =>
+  template.is_global
+    ? hasPermission(user, PERMISSIONS.EVENT_TEMPLATES_MANAGE)
+    : template.account_id === user.account_id;
+
+// Normalise a list of { service_id, variation_id, quantity, custom_price, notes }
+export const normaliseServiceItems = (items = []) => {
+  const errors = [];
+  const services = [];
+  if (!Array.isArray(items)) return { errors: ['services must be an array'], services };
+
+  items.forEach((item, index) => {
+    const serviceId = parseAndValidateId(item?.service_id, 'Service ID');
+    const variationId = item?.variation_id ? parseAndValidateId(item.variation_id, 'Variation ID') : null;
+    const quantity = item?.quantity === undefined ? 1 : Number(item.quantity);
+    const customPrice =
+      item?.custom_price === undefined || item.custom_price === null ? null : Number(item.custom_price);
+
+    if (!serviceId) errors.push(`services[${index}]: invalid service ID`);
+    if (item?.variation_id && !variationId) errors.push(`services[${index}]: invalid variation ID`);
+    if (!Number.isInteger(quantity) || quantity < 1) errors.push(`services[${index}]: quantity must be a positive integer`);
+    if (customPrice !== null && (isNaN(customPrice) || customPrice < 0)) {
+      errors.push(`services[${index}]: custom_price must be a non-negative number`);
+    }
+    services.push({
+      service_id: serviceId,
+      variation_id: variationId,
+      quantity,
+      custom_price: customPrice,
+      notes: item?.notes?.trim() || null,
+    });
+  });
+
+  return { errors, services };
+};
+
+// Check every service of a blueprint at the new time; returns the bookable ones and the conflicts
+const checkServices = async (items, start, durationHours, accountId = null) => {
+  const bookable = [];
+  const conflicts = [];
+
+  for (const item of items) {
+    const service = await prisma.service.findUnique({
+      where: { service_id: item.service_id },
+      select: { service_id: true, service_name: true, is_active: true, provider_id: true },
+    });
+    const variation = item.variation_id
+      ? await prisma.variation.findUnique({
+          where: { variation_id: item.variation_id },
+          select: { variation_id: true, variation_name: true, base_price: true, is_active: true, service_id: true },
+        })
+      : null;
+
+    let reason = null;
+    if (!service || !service.is_active) {
+      reason = 'Service not found or inactive';
+    } else if (item.variation_id && (!variation || !variation.is_active || variation.service_id !== service.service_id)) {
+      reason = 'Variation not found, inactive, or does not belong to the service';
+    } else if (variation) {
+      const availability = await checkVariationAvailability(variation.variation_id, start, durationHours, prisma, null, {
+        waitlistAccountId: accountId,
+      });
+      if (!availability.isValid) reason = availability.errors[0];
+    }
+
+    if (reason) {
+      conflicts.push({
+        service_id: item.service_id,
+        variation_id: item.variation_id,
+        service_name: service?.service_name ?? null,
+        variation_name: variation?.variation_name ?? null,
+        reason,
+      });
+    } else {
+      bookable.push({ ...item, service, variation });
+    }
+  }
+
+  return { bookable, conflicts };
+};
+
+/**
+ * Book an event and its services from a blueprint (an existing event or a template).
+ * The room must be free; services that cannot be booked refuse the whole booking
+ * unless skipConflicts is set, in which case they are left out and reported.
+ */
+const bookFromBlueprint = async (blueprint, actor, { skipConflicts = false } = {}) => {
+  const start = new Date(blueprint.start_time);
+  const end = new Date(blueprint.end_time);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return createValidationResult(false, ['Invalid start_time or end_time']);
+  }
+  if (end <= start) return createValidationResult(false, ['End time must be after start time']);
+  if (!blueprint.room_id) return createValidationResult(false, ['Room ID is required']);
+
+  const durationHours = (end - start) / HOUR_MS;
+
+  const room = await checkRoomAvailability(blueprint.room_id, start, end, durationHours, null, prisma, {
+    waitlistAccountId: blueprint.account_id,
+  });
+  if (!room.isValid) return createValidationResult(false, room.errors);
+  if (!room.data.isAvailable) {
+    return createValidationResult(false, [room.data.reason], {
+      room_conflicts: room.data.conflicts,
+      service_conflicts: [],
+    });
+  }
+
+  const { bookable, conflicts } = await checkServices(blueprint.services, start, durationHours, blueprint.account_id);
+  if (conflicts.length && !skipConflicts) {
+    return createValidationResult(
+      false,
+      [`${conflicts.length} service(s) are not available at the requested time`],
+      { room_conflicts: [], service_conflicts: conflicts }
+    );
+  }
+
+  const lines = bookable.map((item) => {
+    const unitPrice = Number(item.custom_price ?? item.variation?.base_price ?? 0);
+    return { ...item, unitPrice, subtotal: unitPrice * item.quantity };
+  });
+  const servicesCost = lines.reduce((sum, line) => sum + line.subtotal, 0);
+
+  const event = await prisma.$transaction(async (tx) => {
+    const created = await createEvent(
+      {
+        event_name: blueprint.event_name,
+        description: blueprint.description,
+        start_time: start.toISOString(),
+        end_time: end.toISOString(),
+        account_id: blueprint.account_id,
+        room_id: blueprint.room_id,
+        event_type_id: blueprint.event_type_id,
+      },
+      tx,
+      actor
+    );
+    if (!created.isValid) throw new Error(created.errors[0]);
+    const eventId = created.data.event_id;
+
+    let invoice = await tx.invoice.findUnique({ where: { event_id: eventId } });
+    if (!invoice && servicesCost > 0) {
+      invoice = await tx.invoice.create({
+        data: {
+          invoice_number: `INV-${Date.now()}`,
+          total_amount: 0,
+          event_id: eventId,
+          account_id: created.data.account_id,
+          status: 'PENDING',
+          issue_date: new Date(),
+          due_date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+        },
+      });
+    }
+
+    for (const line of lines) {
+      await tx.eventService.create({
+        data: {
+          event_id: eventId,
+          service_id: line.service_id,
+          variation_id: line.variation_id,
+          quantity: line.quantity,
+          custom_price: line.custom_price,
+          notes: line.notes,
+          status: initialBookingStatus(line.service),
+          scheduled_time: start,
+          duration_hours: Math.ceil(durationHours),
+        },
+      });
+      if (invoice) {
+        await tx.invoiceDetail.create({
+          data: {
+            invoice_id: invoice.invoice_id,
+            item_name: line.variation?.variation_name || line.service.service_name,
+            quantity: line.quantity,
+            unit_price: line.unitPrice,
+            subtotal: line.subtotal,
+            item_type: 'SERVICE',
+            service_id: line.service_id,
+            variation_id: line.variation_id,
+          },
+        });
+      }
+    }
+
+    if (servicesCost > 0) {
+      await tx.event.update({
+        where: { event_id: eventId },
+        data: { estimated_cost: Number(created.data.estimated_cost) + servicesCost },
+      });
+      await tx.invoice.update({
+        where: { invoice_id: invoice.invoice_id },
+        data: { total_amount: Number(invoice.total_amount) + servicesCost },
+      });
+    }
+
+    return tx.event.findUnique({
+      where: { event_id: eventId },
+      include: {
+        room: { select: { room_id: true, room_name: true } },
+        event_type: { select: { type_id: true, type_name: true } },
+        event_services: {
+          select: { event_service_id: true, service_id: true, variation_id: true, quantity: true, status: true },
+        },
+      },
+    });
+  });
+
+  for (const line of lines) {
+    if (line.service.provider_id) await notifyProviderOfBooking(line.service_id, event.event_name);
+  }
+
+  return createValidationResult(true, [], { event, service_conflicts: conflicts });
+};
+
+// New start: an explicit start_time, or a date that keeps the source's time of day (UTC)
+const resolveNewStart = (data, sourceStart) => {
+  if (data.start_time) return new Date(data.start_time);
+  if (data.date && sourceStart) {
+    const day = new Date(`${String(data.date).slice(0, 10)}T00:00:00Z`);
+    return new Date(day.getTime() + (new Date(sourceStart).getTime() % (24 * HOUR_MS)));
+  }
+  return null;
+};
+
+// ===== Clone =====
+/**
+ * Copy an event and its service bookings to a new date, owned by the caller
+ * @param {number|string} eventId - Source event
+ * @param {Object} data - start_time or date, optional end_time, event_name, room_id, skip_conflicts
+ * @param {Object} actor - req.user
+ * @returns {Promise<Object>} Validation result with the new event and any service conflicts
+ */
+export const cloneEvent = async (eventId, data, actor) => {
+  try {
+    const id = parseAndValidateId(eventId, 'Event ID');
+    if (!id) return createValidationResult(false, ['Invalid Event ID']);
+
+    const source = await prisma.event.findUnique({
+      where: { event_id: id },
+      include: {
+        event_services: {
+          select: {
+            service_id: true,
+            variation_id: true,
+            quantity: true,
+            custom_price: true,
+            notes: true,
+            status: true,
+          },
+        },
+      },
+    });
+    if (!source) return createValidationResult(false, ['Event not found']);
+    if (!(await canAccessEvent(source, actor, 'view'))) {
+      return createValidationResult(false, ['You do not have access to this event']);
+    }
+    if (!source.start_time || !source.end_time) {
+      return createValidationResult(false, ['Only events with a start and end time can be cloned']);
+    }
+
+    const start = resolveNewStart(data, source.start_time);
+    if (!start || isNaN(start.getTime())) {
+      return createValidationResult(false, ['A valid start_time or date is required']);
+    }
+    const end = data.end_time
+      ? new Date(data.end_time)
+      : new Date(start.getTime() + (source.end_time - source.start_time));
+
+    return await bookFromBlueprint(
+      {
+        event_name: data.event_name || source.event_name,
+        description: source.description,
+        start_time: start,
+        end_time: end,
+        account_id: actor.account_id,
+        room_id: data.room_id || source.room_id,
+        event_type_id: source.event_type_id,
+        services: source.event_services
+          .filter((booking) => !UNCOPIED_BOOKING_STATUSES.includes(booking.status))
+          .map((booking) => ({
+            service_id: booking.service_id,
+            variation_id: booking.variation_id,
+            quantity: booking.quantity,
+            custom_price: booking.custom_price === null ? null : Number(booking.custom_price),
+            notes: booking.notes,
+          })),
+      },
+      actor,
+      { skipConflicts: Boolean(data.skip_conflicts) }
+    );
+  } catch (error) {
+    return handleError('cloneEvent', error);
+  }
+};
+
+// ===== Templates =====
+export const getTemplates = async (user, { search } = {}) => {
+  try {
+    const where = {
+      OR: [{ is_global: true }, { account_id: user.account_id }],
+    };
+    if (search) where.template_name = { contains: search, mode: 'insensitive' };
+
+    const templates = await prisma.eventTemplate.findMany({
+      where,
+      include: templateInclude,
+      orderBy: [{ is_global: 'desc' }, { template_name: 'asc' }],
+    });
+    return createValidationResult(true, [], templates);
+  } catch (error) {
+    return handleError('getTemplates', error);
+  }
+};
+
+export const getTemplateById = async (templateId, user) => {
+  try {
+    const id = parseAndValidateId(templateId, 'Template ID');
+    if (!id) return createValidationResult(false, ['Invalid Template ID']);
+
+    const template = await prisma.eventTemplate.findUnique({
+      where: { template_id: id },
+      include: templateInclude,
+    });
+    if (!template || !canReadTemplate(template, user)) {
+      return createValidationResult(false, ['Template not found']);
+    }
+    return createValidationResult(true, [], template);
+  } catch (error) {
+    return handleError('getTemplateById', error);
+  }
+};
+
+/**
+ * Create a template from explicit fields, or from an existing event (from_event_id) with
+ * explicit fields taking precedence. Global templates need event-templates:manage.
+ */
+export const createTemplate = async (data, user) => {
+  try {
+    const isGlobal = Boolean(data.is_global);
+    if (isGlobal && !hasPermission(user, PERMISSIONS.EVENT_TEMPLATES_MANAGE)) {
+      return createValidationResult(false, ['You are not allowed to create global templates']);
+    }
+
+    let base = {};
+    if (data.from_event_id) {
+      const eventId = parseAndValidateId(data.from_event_id, 'Event ID');
+      const event = eventId
+        ? await prisma.event.findUnique({
+            where: { event_id: eventId },
+            include: {
+              event_services: {
+                select: { service_id: true, variation_id: true, quantity: true, custom_price: true, notes: true, status: true },
+              },
+            },
+          })
+        : null;
+      if (!event || !(await canAccessEvent(event, user, 'view'))) {
+        return createValidationResult(false, ['Source event not found']);
+      }
+      base = {
+        event_name: event.event_name,
+        description: event.description,
+        duration_mins:
+          event.start_time && event.end_time ? Math.round((event.end_time - event.start_time) / 60000) : null,
+        room_id: event.room_id,
+        event_type_id: event.event_type_id,
+        services: event.event_services.filter((booking) => !UNCOPIED_BOOKING_STATUSES.includes(booking.status)),
+      };
+    }
+
+    const merged = { ...base, ...data };
+    const errors = [];
+    errors.push(
+      ...validateString(merged.template_name, 'Template name', { required: true, minLength: 3, maxLength: 255, sanitize: true }).errors,
+      ...validateString(merged.event_name, 'Event name', { required: true, minLength: 3, maxLength: 1024, sanitize: true }).errors
+    );
+    const durationMins = merged.duration_mins === undefined || merged.duration_mins === null ? null : Number(merged.duration_mins);
+    if (durationMins !== null && (!Number.isInteger(durationMins) || durationMins < 1)) {
+      errors.push('duration_mins must be a positive integer');
+    }
+    const { errors: serviceErrors, services } = normaliseServiceItems(merged.services);
+    errors.push(...serviceErrors);
+    if (errors.length) return createValidationResult(false, errors);
+
+    const template = await prisma.eventTemplate.create({
+      data: {
+        template_name: merged.template_name.trim(),
+        event_name: merged.event_name.trim(),
+        description: merged.description?.trim() || null,
+        duration_mins: durationMins,
+        is_global: isGlobal,
+        account_id: isGlobal ? null : user.account_id,
+        room_id: merged.room_id ? Number(merged.room_id) : null,
+        event_type_id: merged.event_type_id ? Number(merged.event_type_id) : null,
+        services: { create: services },
+      },
+      include: templateInclude,
+    });
+    return createValidationResult(true, [], template);
+  } catch (error) {
+    return handleError('createTemplate', error);
+  }
+};
+
+// Replaces the service list when services is given
+export const updateTemplate = async (templateId, data, user) => {
+  try {
+    const id = parseAndValidateId(templateId, 'Template ID');
+    if (!id) return createValidationResult(false, ['Invalid Template ID']);
+
+    const template = await prisma.eventTemplate.findUnique({ where: { template_id: id } });
+    if (!template || !canReadTemplate(template, user)) {
+      return createValidationResult(false, ['Template not found']);
+    }
+    if (!canWriteTemplate(template, user)) {
+      return createValidationResult(false, ['You are not allowed to edit this template']);
+    }
+
+    const errors = [];
+    if (data.template_name !== undefined) {
+      errors.push(...validateString(data.template_name, 'Template name', { required: true, minLength: 3, maxLength: 255, sanitize: true }).errors);
+    }
+    if (data.event_name !== undefined) {
+      errors.push(...validateString(data.event_name, 'Event name', { required: true, minLength: 3, maxLength: 1024, sanitize: true }).errors);
+    }
+    const durationMins = data.duration_mins === undefined || data.duration_mins === null ? data.duration_mins : Number(data.duration_mins);
+    if (durationMins !== undefined && durationMins !== null && (!Number.isInteger(durationMins) || durationMins < 1)) {
+      errors.push('duration_mins must be a positive integer');
+    }
+    const { errors: serviceErrors, services } =
+      data.services !== undefined ? normaliseServiceItems(data.services) : { errors: [], services: null };
+    errors.push(...serviceErrors);
+    if (errors.length) return createValidationResult(false, errors);
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (services) {
+        await tx.eventTemplateService.deleteMany({ where: { template_id: id } });
+      }
+      return tx.eventTemplate.update({
+        where: { template_id: id },
+        data: {
+          template_name: data.template_name?.trim(),
+          event_name: data.event_name?.trim(),
+          description: data.description !== undefined ? data.description?.trim() || null : undefined,
+          duration_mins: durationMins,
+          room_id: data.room_id !== undefined ? (data.room_id ? Number(data.room_id) : null) : undefined,
+          event_type_id:
+            data.event_type_id !== undefined ? (data.event_type_id ? Number(data.event_type_id) : null) : undefined,
+          services: services ? { create: services } : undefined,
+        },
+        include: templateInclude,
+      });
+    });
+    return createValidationResult(true, [], updated);
+  } catch (error) {
+    return handleError('updateTemplate', error);
+  }
+};
+
+export const deleteTemplate = async (templateId, user) => {
+  try {
+    const id = parseAndValidateId(templateId, 'Template ID');
+    if (!id) return createValidationResult(false, ['Invalid Template ID']);
+
+    const template = await prisma.eventTemplate.findUnique({ where: { template_id: id } });
+    if (!template || !canReadTemplate(template, user)) {
+      return createValidationResult(false, ['Template not found']);
+    }
+    if (!canWriteTemplate(template, user)) {
+      return createValidationResult(false, ['You are not allowed to delete this template']);
+    }
+
+    await prisma.eventTemplate.delete({ where: { template_id: id } });
+    return createValidationResult(true, [], { template_id: id });
+  } catch (error) {
+    return handleError('deleteTemplate', error);
+  }
+};
+
+/**
+ * Book a new event for the caller from a template
+ * @param {number|string} templateId
+ * @param {Object} data - start_time, optional end_time (defaults to duration_mins), event_name,
+ *   room_id (required when the template has none), skip_conflicts
+ * @param {Object} user - req.user
+ */
+export const instantiateTemplate = async (templateId, data, user) => {
+  try {
+    const id = parseAndValidateId(templateId, 'Template ID');
+    if (!id) return createValidationResult(false, ['Invalid Template ID']);
+
+    const template = await prisma.eventTemplate.findUnique({
+      where: { template_id: id },
+      include: { services: true },
+    });
+    if (!template || !canReadTemplate(template, user)) {
+      return createValidationResult(false, ['Template not found']);
+    }
+
+    const start = data.start_time ? new Date(data.start_time) : null;
+    if (!start || isNaN(start.getTime())) {
+      return createValidationResult(false, ['A valid start_time is required']);
+    }
+    if (!data.end_time && !template.duration_mins) {
+      return createValidationResult(false, ['end_time is required for templates without a duration']);
+    }
+    const end = data.end_time
+      ? new Date(data.end_time)
+      : new Date(start.getTime() + template.duration_mins * 60000);
+
+    return await bookFromBlueprint(
+      {
+        event_name: data.event_name || template.event_name,
+        description: template.description,
+        start_time: start,
+        end_time: end,
+        account_id: user.account_id,
+        room_id: data.room_id || template.room_id,
+        event_type_id: template.event_type_id,
+        services: template.services.map((item) => ({
+          service_id: item.service_id,
+          variation_id: item.variation_id,
+          quantity: item.quantity,
+          custom_price: item.custom_price === null ? null : Number(item.custom_price),
+          notes: item.notes,
+        })),
+      },
+      user,
+      { skipConflicts: Boolean(data.skip_conflicts) }
+    );
+  } catch (error) {
+    return handleError('instantiateTemplate', error);
+  }
+};
@@ -38,6 +38,14 @@ const validateEventTypeData = (eventTypeData) => {
     errors.push(...descValidation.errors);
   }
 
+  // null falls back to PENDING_HOLD_HOURS
+  if (eventTypeData.hold_hours !== undefined && eventTypeData.hold_hours !== null) {
+    const holdHours = Number(eventTypeData.hold_hours);
+    if (!Number.isInteger(holdHours) || holdHours < 1 || holdHours > 720) {
+      errors.push("hold_hours must be a whole number of hours between 1 and 720");
+    }
+  }
+
   if (eventTypeData.is_active !== undefined) {
     const isActiveValidation = validateBoolean(eventTypeData.is_active, "is_active");
     errors.push(...isActiveValidation.errors);
@@ -146,7 +154,7 @@ export const createEventType = async (eventTypeData) => {
     if (eventTypeData.is_active !== undefined) {
       eventTypeData.is_active = eventTypeData.is_active === "true" || eventTypeData.is_active === true;
     }
-    const { type_name, description, is_active } = eventTypeData;
+    const { type_name, description, is_active, hold_hours } = eventTypeData;
 
     // Validate data
     const validationErrors = validateEventTypeData(eventTypeData);
@@ -159,6 +167,7 @@ export const createEventType = async (eventTypeData) => {
         type_name: type_name.trim(),
         description: description?.trim() || null,
         is_active,
+        hold_hours: hold_hours === undefined || hold_hours === null ? null : Number(hold_hours),
       },
     });
 
@@ -191,12 +200,13 @@ export const updateEventType = async (eventTypeId, updateData) => {
       return createValidationResult(false, validationErrors);
     }
 
-    const { type_name, description, is_active } = updateData;
+    const { type_name, description, is_active, hold_hours } = updateData;
 
     const updateFields = {};
     if (type_name !== undefined) updateFields.type_name = type_name.trim();
     if (description !== undefined) updateFields.description = description?.trim() || null;
     if (is_active !== undefined) updateFields.is_active = is_active;
+    if (hold_hours !== undefined) updateFields.hold_hours = hold_hours === null ? null : Number(hold_hours);
 
     const updatedEventType = await prisma.eventType.update({
       where: { type_id: validEventTypeId },
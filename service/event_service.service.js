@@ -7,9 +7,14 @@ import {
   validatePagination,
 } from '../utils/validation.js';
 import { createNotification } from '../utils/notification.js';
+import { initialBookingStatus, notifyProviderOfBooking } from './provider.service.js';
+import { processWaitlist } from './waitlist.service.js';
 
 const prisma = new PrismaClient();
 
+// Provider bookings wait PENDING for an answer; the slot is theirs until they decline
+const BOOKED_STATUSES = ['CONFIRMED', 'PENDING'];
+
 // ===== Helper Functions =====
 const handleError = (context, error) => {
   console.error(`Error in ${context}:`, error);
@@ -74,7 +79,7 @@ export const validateEventServiceData = (serviceData) => {
   }
 
   if (serviceData.status) {
-    const validStatuses = ['CONFIRMED', 'PENDING', 'CANCELLED'];
+    const validStatuses = ['CONFIRMED', 'PENDING', 'CANCELLED', 'DECLINED'];
     if (!validStatuses.includes(serviceData.status)) {
       errors.push('Invalid event service status');
     }
@@ -84,11 +89,14 @@ export const validateEventServiceData = (serviceData) => {
 };
 
 // ===== Check Variation Availability =====
+// options.waitlistAccountId: that account's own waitlist offers do not block it
 export const checkVariationAvailability = async (
   variation_id,
   scheduled_time,
   duration_hours,
-  tx = prisma
+  tx = prisma,
+  exclude_event_id = null,
+  options = {}
 ) => {
   try {
     // Validate inputs
@@ -113,14 +121,16 @@ export const checkVariationAvailability = async (
       return createValidationResult(false, ['Variation not found or inactive']);
     }
 
-    // Find all confirmed event services for this variation that might overlap
+    // Find all booked event services for this variation that might overlap
     const candidates = await tx.eventService.findMany({
       where: {
         variation_id: Number(variation_id),
-        status: 'CONFIRMED',
+        status: { in: BOOKED_STATUSES },
         scheduled_time: {
           lte: requestedEnd, // Existing booking starts before requested end
         },
+        // An event being moved must not conflict with its own bookings
+        ...(exclude_event_id ? { event_id: { not: Number(exclude_event_id) } } : {}),
       },
       select: {
         event_service_id: true,
@@ -149,6 +159,26 @@ export const checkVariationAvailability = async (
       );
     }
 
+    // A slot offered to someone on the waitlist is held for them until the offer runs out
+    const offer = await tx.waitlistEntry.findFirst({
+      where: {
+        variation_id: Number(variation_id),
+        status: 'OFFERED',
+        offer_expires_at: { gt: new Date() },
+        start_time: { lt: requestedEnd },
+        end_time: { gt: requestedStart },
+        ...(options.waitlistAccountId ? { NOT: { account_id: Number(options.waitlistAccountId) } } : {}),
+      },
+      select: { entry_id: true, start_time: true, end_time: true },
+    });
+    if (offer) {
+      return createValidationResult(
+        false,
+        ['Variation is held for a waitlisted customer during the requested time slot'],
+        { waitlistOffer: offer }
+      );
+    }
+
     return createValidationResult(true, [], { variation_id });
   } catch (error) {
     console.error('Error in checkVariationAvailability:', error);
@@ -156,6 +186,58 @@ export const checkVariationAvailability = async (
   }
 };
 
+// ===== Move Bookings With Their Event =====
+/**
+ * Where an event's bookings land when the event moves by shiftMs. Each booking keeps its own
+ * offset and length, so the run-of-show stays as planned; unscheduled ones take the event's slot.
+ * @param {Array<Object>} bookings - Need scheduled_time and duration_hours
+ * @param {number} shiftMs - How far the event's start moved
+ * @param {Date} eventStart - The event's new start
+ * @param {number} eventHours - The event's new length
+ * @returns {Array<Object>} The bookings with their new scheduled_time and duration_hours
+ */
+export const shiftBookings = (bookings, shiftMs, eventStart, eventHours) =>
+  bookings.map((booking) => ({
+    ...booking,
+    scheduled_time: booking.scheduled_time
+      ? new Date(new Date(booking.scheduled_time).getTime() + shiftMs)
+      : new Date(eventStart),
+    duration_hours: booking.duration_hours || Math.ceil(eventHours),
+  }));
+
+/**
+ * Check the variation of every moved booking at that booking's own new time
+ * @param {Array<Object>} bookings - As returned by shiftBookings
+ * @param {Object} tx - Prisma client or transaction
+ * @param {number} eventId - The event being moved, so it does not clash with itself
+ * @param {Object} [options] - Passed on to checkVariationAvailability
+ * @returns {Promise<Array<Object>>} One entry per booking whose variation is not free
+ */
+export const findBookingConflicts = async (bookings, tx, eventId, options = {}) => {
+  const conflicts = [];
+  for (const booking of bookings) {
+    if (!booking.variation_id) continue;
+    const check = await checkVariationAvailability(
+      booking.variation_id,
+      booking.scheduled_time,
+      booking.duration_hours,
+      tx,
+      eventId,
+      options
+    );
+    if (!check.isValid) {
+      conflicts.push({
+        event_service_id: booking.event_service_id,
+        service_id: booking.service_id,
+        variation_id: booking.variation_id,
+        scheduled_time: booking.scheduled_time,
+        reason: check.errors[0],
+      });
+    }
+  }
+  return conflicts;
+};
+
 // ===== Create Event Service =====
 export const createEventService = async (serviceData, user = null) => {
   try {
@@ -188,12 +270,15 @@ export const createEventService = async (serviceData, user = null) => {
 
     const service = await prisma.service.findUnique({
       where: { service_id: Number(service_id) },
-      select: { service_id: true, is_active: true },
+      select: { service_id: true, is_active: true, provider_id: true },
     });
     if (!service || !service.is_active) {
       return createValidationResult(false, ['Service not found or inactive']);
     }
 
+    // Provider-owned services stay PENDING until the provider accepts them
+    const bookingStatus = service.provider_id ? initialBookingStatus(service) : status;
+
     if (variation_id) {
       const variation = await prisma.variation.findUnique({
         where: { variation_id: Number(variation_id) },
@@ -214,7 +299,10 @@ export const createEventService = async (serviceData, user = null) => {
         const availabilityCheck = await checkVariationAvailability(
           variation_id,
           scheduled_time,
-          duration_hours
+          duration_hours,
+          prisma,
+          null,
+          { waitlistAccountId: event.account_id }
         );
         if (!availabilityCheck.isValid) {
           return availabilityCheck;
@@ -230,7 +318,7 @@ export const createEventService = async (serviceData, user = null) => {
         quantity: Number(quantity),
         custom_price: custom_price ? Number(custom_price) : null,
         notes: notes?.trim() || null,
-        status,
+        status: bookingStatus,
         scheduled_time: scheduled_time ? new Date(scheduled_time) : null,
         duration_hours: duration_hours ? Number(duration_hours) : null,
       },
@@ -253,6 +341,10 @@ export const createEventService = async (serviceData, user = null) => {
       });
     }
 
+    if (service.provider_id) {
+      await notifyProviderOfBooking(service.service_id, newEventService.event.event_name);
+    }
+
     return createValidationResult(true, [], newEventService);
   } catch (error) {
     return handleError('createEventService', error);
@@ -474,7 +566,7 @@ export const getEventServiceById = async (eventServiceId) => {
     const eventService = await prisma.eventService.findUnique({
       where: { event_service_id: validEventServiceId },
       include: {
-        event: { select: { event_id: true, event_name: true } },
+        event: { select: { event_id: true, event_name: true, account_id: true } },
         service: { select: { service_id: true, service_name: true } },
         variation: { select: { variation_id: true, variation_name: true } },
       },
@@ -510,6 +602,7 @@ export const deleteEventService = async (eventServiceId) => {
     await prisma.eventService.delete({
       where: { event_service_id: validEventServiceId },
     });
+    await processWaitlist({ variation_ids: [existingEventService.variation_id] });
 
     return createValidationResult(true, [], {
       event_service_id: validEventServiceId,
@@ -0,0 +1,542 @@
+import { PrismaClient } from "@prisma/client";
+import crypto from "crypto";
+import { createValidationResult, parseAndValidateId, validateEmail, validateString } from "../utils/validation.js";
+import { parseCsv } from "../utils/csv.js";
+import { sendMail, CLIENT_URL, escapeHtml } from "../utils/mailer.js";
+import { hashToken } from "../utils/tokenAndCookies.js";
+import { canAccessEvent } from "./collaborator.service.js";
+
+const prisma = new PrismaClient();
+
+const RSVP_STATUSES = ["PENDING", "ATTENDING", "MAYBE", "DECLINED"];
+// Guests answer the invitation themselves; organisers may also record any status
+const GUEST_RESPONSES = ["ATTENDING", "MAYBE", "DECLINED"];
+// Guest lists of these events are history
+const CLOSED_EVENT_STATUSES = ["CANCELLED", "COMPLETED"];
+export const MAX_IMPORT_ROWS = Number(process.env.GUEST_IMPORT_MAX_ROWS) || 2000;
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase() || null;
+
+const guestSelect = {
+  guest_id: true,
+  full_name: true,
+  email: true,
+  phone: true,
+  rsvp_status: true,
+  max_plus_ones: true,
+  plus_ones: true,
+  dietary_notes: true,
+  notes: true,
+  invited_at: true,
+  responded_at: true,
+  created_at: true,
+  event_id: true,
+};
+
+// The event with its room capacity, if the user may use it at the given ability
+const loadEvent = async (eventId, user, ability) => {
+  const id = parseAndValidateId(eventId, "Event ID");
+  if (!id) return { error: "Invalid Event ID" };
+
+  const event = await prisma.event.findUnique({
+    where: { event_id: id },
+    select: {
+      event_id: true,
+      event_name: true,
+      account_id: true,
+      status: true,
+      start_time: true,
+      event_date: true,
+      room: { select: { room_name: true, guest_capacity: true } },
+    },
+  });
+  if (!event) return { error: "Event not found" };
+  if (!(await canAccessEvent(event, user, ability))) {
+    return { error: "You do not have access to this event's guest list" };
+  }
+  if (ability === "edit" && CLOSED_EVENT_STATUSES.includes(event.status)) {
+    return { error: `The guest list of a ${event.status} event cannot be changed` };
+  }
+  return { event };
+};
+
+// Normalise guest fields; partial checks only the fields present
+const validateGuestData = (data, partial = false) => {
+  const errors = [];
+  const guest = {};
+
+  if (!partial || data.full_name !== undefined) {
+    errors.push(...validateString(data.full_name, "Full name", { required: true, maxLength: 255 }).errors);
+    guest.full_name = data.full_name?.trim();
+  }
+  if (data.email !== undefined) {
+    if (data.email) errors.push(...validateEmail(String(data.email), false).errors);
+    guest.email = normalizeEmail(data.email);
+  }
+  if (data.phone !== undefined) guest.phone = String(data.phone || "").trim().slice(0, 50) || null;
+  if (data.dietary_notes !== undefined) guest.dietary_notes = String(data.dietary_notes || "").trim() || null;
+  if (data.notes !== undefined) guest.notes = String(data.notes || "").trim() || null;
+
+  for (const field of ["max_plus_ones", "plus_ones"]) {
+    if (data[field] === undefined || data[field] === "") continue;
+    const value = Number(data[field]);
+    if (!Number.isInteger(value) || value < 0) errors.push(`${field} must be a non-negative integer`);
+    guest[field] = value;
+  }
+  if (data.rsvp_status !== undefined) {
+    if (!RSVP_STATUSES.includes(data.rsvp_status)) {
+      errors.push(`rsvp_status must be one of: ${RSVP_STATUSES.join(", ")}`);
+    }
+    guest.rsvp_status = data.rsvp_status;
+  }
+
+  return { errors, guest };
+};
+
+// Only attending guests bring their plus-ones
+const settlePlusOnes = (guest) => {
+  if (guest.rsvp_status !== "ATTENDING") return { ...guest, plus_ones: 0 };
+  if (guest.plus_ones > guest.max_plus_ones) return { error: `At most ${guest.max_plus_ones} plus-one(s) allowed` };
+  return guest;
+};
+
+/**
+ * Refuse a change that would put more confirmed people in the room than it holds
+ * @param {Object} tx
+ * @param {Object} event - With room.guest_capacity
+ * @param {number} seats - People the changed guest brings (themself plus plus-ones)
+ * @param {number|null} excludeGuestId - The guest being changed, counted through seats instead
+ * @returns {Promise<string|null>} Error message or null
+ */
+const checkCapacity = async (tx, event, seats, excludeGuestId = null) => {
+  const capacity = event.room?.guest_capacity;
+  if (!capacity || seats === 0) return null;
+
+  // Lock the event row so concurrent RSVPs for it count one after another instead of both seeing the last seat free
+  await tx.$queryRaw`SELECT event_id FROM events WHERE event_id = ${event.event_id} FOR UPDATE`;
+
+  const attending = await tx.eventGuest.aggregate({
+    where: {
+      event_id: event.event_id,
+      rsvp_status: "ATTENDING",
+      ...(excludeGuestId ? { guest_id: { not: excludeGuestId } } : {}),
+    },
+    _count: { _all: true },
+    _sum: { plus_ones: true },
+  });
+  const headcount = attending._count._all + (attending._sum.plus_ones || 0);
+  if (headcount + seats > capacity) {
+    return `The room holds ${capacity} guests and ${headcount} are already confirmed`;
+  }
+  return null;
+};
+
+const seatsFor = (guest) => (guest.rsvp_status === "ATTENDING" ? 1 + (guest.plus_ones || 0) : 0);
+
+// ===== Summary =====
+/**
+ * Headcount of an event's guest list, for organisers and catering quantities
+ * @param {number} eventId
+ * @param {Object} [tx]
+ * @returns {Promise<Object>} Counts per RSVP status, confirmed headcount, room capacity and dietary notes
+ */
+export const getGuestSummary = async (eventId, tx = prisma) => {
+  const [groups, event, dietary] = await Promise.all([
+    tx.eventGuest.groupBy({
+      by: ["rsvp_status"],
+      where: { event_id: eventId },
+      _count: { _all: true },
+      _sum: { plus_ones: true },
+    }),
+    tx.event.findUnique({ where: { event_id: eventId }, select: { room: { select: { guest_capacity: true } } } }),
+    tx.eventGuest.findMany({
+      where: { event_id: eventId, rsvp_status: { in: ["ATTENDING", "MAYBE"] }, dietary_notes: { not: null } },
+      select: { guest_id: true, full_name: true, rsvp_status: true, dietary_notes: true },
+      orderBy: { full_name: "asc" },
+    }),
+  ]);
+
+  const byStatus = Object.fromEntries(RSVP_STATUSES.map((status) => [status, 0]));
+  let plusOnes = 0;
+  for (const group of groups) {
+    byStatus[group.rsvp_status] = group._count._all;
+    if (group.rsvp_status === "ATTENDING") plusOnes = group._sum.plus_ones || 0;
+  }
+
+  const headcount = byStatus.ATTENDING + plusOnes;
+  const capacity = event?.room?.guest_capacity ?? null;
+  return {
+    invited: RSVP_STATUSES.reduce((sum, status) => sum + byStatus[status], 0),
+    by_status: byStatus,
+    plus_ones: plusOnes,
+    headcount,
+    // If everyone who has not said no turns up
+    headcount_upper_bound: headcount + byStatus.MAYBE + byStatus.PENDING,
+    capacity,
+    remaining_capacity: capacity === null ? null : Math.max(0, capacity - headcount),
+    dietary_notes: dietary,
+  };
+};
+
+// ===== Guest list =====
+export const getGuests = async (eventId, user, filters = {}) => {
+  try {
+    const { event, error } = await loadEvent(eventId, user, "view");
+    if (error) return createValidationResult(false, [error]);
+
+    const where = { event_id: event.event_id };
+    if (filters.status) {
+      if (!RSVP_STATUSES.includes(filters.status)) {
+        return createValidationResult(false, [`status must be one of: ${RSVP_STATUSES.join(", ")}`]);
+      }
+      where.rsvp_status = filters.status;
+    }
+    if (filters.search) {
+      where.OR = [
+        { full_name: { contains: filters.search, mode: "insensitive" } },
+        { email: { contains: filters.search, mode: "insensitive" } },
+      ];
+    }
+
+    const [guests, summary] = await Promise.all([
+      prisma.eventGuest.findMany({ where, select: guestSelect, orderBy: { full_name: "asc" } }),
+      getGuestSummary(event.event_id),
+    ]);
+    return createValidationResult(true, [], { guests, summary });
+  } catch (error) {
+    return handleError("getGuests", error);
+  }
+};
+
+export const addGuest = async (eventId, data, user) => {
+  try {
+    const { event, error } = await loadEvent(eventId, user, "edit");
+    if (error) return createValidationResult(false, [error]);
+
+    const { errors, guest } = validateGuestData(data);
+    if (errors.length) return createValidationResult(false, errors);
+
+    const settled = settlePlusOnes({ rsvp_status: "PENDING", max_plus_ones: 0, plus_ones: 0, ...guest });
+    if (settled.error) return createValidationResult(false, [settled.error]);
+
+    if (settled.email) {
+      const duplicate = await prisma.eventGuest.findUnique({
+        where: { event_id_email: { event_id: event.event_id, email: settled.email } },
+      });
+      if (duplicate) return createValidationResult(false, ["A guest with this email is already on the list"]);
+    }
+
+    const created = await prisma.$transaction(async (tx) => {
+      const capacityError = await checkCapacity(tx, event, seatsFor(settled));
+      if (capacityError) return { error: capacityError };
+      return tx.eventGuest.create({
+        data: {
+          ...settled,
+          responded_at: settled.rsvp_status === "PENDING" ? null : new Date(),
+          event_id: event.event_id,
+        },
+        select: guestSelect,
+      });
+    });
+    if (created.error) return createValidationResult(false, [created.error]);
+
+    return createValidationResult(true, [], created);
+  } catch (error) {
+    return handleError("addGuest", error);
+  }
+};
+
+/**
+ * Add guests from CSV. Recognised columns: full_name (or name), email, phone, max_plus_ones,
+ * dietary_notes, notes. Rows whose email is already on the list, or repeats one earlier in the
+ * file, are skipped; invalid rows are reported and the rest are imported.
+ * @param {number|string} eventId
+ * @param {string} csvText
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} Validation result with imported guests, skipped and invalid rows, and the summary
+ */
+export const importGuests = async (eventId, csvText, user) => {
+  try {
+    const { event, error } = await loadEvent(eventId, user, "edit");
+    if (error) return createValidationResult(false, [error]);
+
+    if (!csvText || !String(csvText).trim()) return createValidationResult(false, ["CSV content is required"]);
+    const { headers, rows } = parseCsv(csvText);
+    if (!headers.includes("full_name") && !headers.includes("name")) {
+      return createValidationResult(false, ["The CSV needs a full_name (or name) column"]);
+    }
+    if (!rows.length) return createValidationResult(false, ["The CSV has no guest rows"]);
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return createValidationResult(false, [`At most ${MAX_IMPORT_ROWS} guests can be imported at once`]);
+    }
+
+    const existing = await prisma.eventGuest.findMany({
+      where: { event_id: event.event_id, email: { not: null } },
+      select: { email: true },
+    });
+    const seenEmails = new Set(existing.map((guest) => guest.email));
+
+    const toCreate = [];
+    const invalid = [];
+    const skipped = [];
+    for (const row of rows) {
+      const { errors, guest } = validateGuestData({
+        full_name: row.full_name || row.name,
+        email: row.email,
+        phone: row.phone,
+        max_plus_ones: row.max_plus_ones,
+        dietary_notes: row.dietary_notes,
+        notes: row.notes,
+      });
+      if (errors.length) {
+        invalid.push({ line: row._line, errors });
+        continue;
+      }
+      if (guest.email && seenEmails.has(guest.email)) {
+        skipped.push({ line: row._line, email: guest.email, reason: "Already on the guest list" });
+        continue;
+      }
+      if (guest.email) seenEmails.add(guest.email);
+      toCreate.push({ ...guest, event_id: event.event_id });
+    }
+
+    // Imported guests start PENDING, so they take no confirmed seats yet
+    if (toCreate.length) {
+      await prisma.eventGuest.createMany({ data: toCreate, skipDuplicates: true });
+    }
+
+    return createValidationResult(true, [], {
+      imported: toCreate.length,
+      skipped,
+      invalid,
+      summary: await getGuestSummary(event.event_id),
+    });
+  } catch (error) {
+    return handleError("importGuests", error);
+  }
+};
+
+export const updateGuest = async (eventId, guestId, data, user) => {
+  try {
+    const { event, error } = await loadEvent(eventId, user, "edit");
+    if (error) return createValidationResult(false, [error]);
+
+    const id = parseAndValidateId(guestId, "Guest ID");
+    if (!id) return createValidationResult(false, ["Invalid Guest ID"]);
+    const current = await prisma.eventGuest.findFirst({ where: { guest_id: id, event_id: event.event_id } });
+    if (!current) return createValidationResult(false, ["Guest not found"]);
+
+    const { errors, guest } = validateGuestData(data, true);
+    if (errors.length) return createValidationResult(false, errors);
+
+    const merged = settlePlusOnes({ ...current, ...guest });
+    if (merged.error) return createValidationResult(false, [merged.error]);
+
+    if (guest.email && guest.email !== current.email) {
+      const duplicate = await prisma.eventGuest.findUnique({
+        where: { event_id_email: { event_id: event.event_id, email: guest.email } },
+      });
+      if (duplicate) return createValidationResult(false, ["A guest with this email is already on the list"]);
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const capacityError = await checkCapacity(tx, event, seatsFor(merged), id);
+      if (capacityError) return { error: capacityError };
+      return tx.eventGuest.update({
+        where: { guest_id: id },
+        data: {
+          ...guest,
+          plus_ones: merged.plus_ones,
+          responded_at: guest.rsvp_status && guest.rsvp_status !== current.rsvp_status ? new Date() : undefined,
+        },
+        select: guestSelect,
+      });
+    });
+    if (updated.error) return createValidationResult(false, [updated.error]);
+
+    return createValidationResult(true, [], updated);
+  } catch (error) {
+    return handleError("updateGuest", error);
+  }
+};
+
+export const removeGuest = async (eventId, guestId, user) => {
+  try {
+    const { event, error } = await loadEvent(eventId, user, "edit");
+    if (error) return createValidationResult(false, [error]);
+
+    const id = parseAndValidateId(guestId, "Guest ID");
+    if (!id) return createValidationResult(false, ["Invalid Guest ID"]);
+
+    const removed = await prisma.eventGuest.deleteMany({ where: { guest_id: id, event_id: event.event_id } });
+    if (!removed.count) return createValidationResult(false, ["Guest not found"]);
+
+    return createValidationResult(true, [], { guest_id: id });
+  } catch (error) {
+    return handleError("removeGuest", error);
+  }
+};
+
+// ===== Invitations =====
+/**
+ * Email RSVP links. Each send issues a new link, so earlier ones stop working.
+ * @param {number|string} eventId
+ * @param {number[]} [guestIds] - Defaults to every guest with an email who has not answered yet
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} Validation result with sent and failed guest ids
+ */
+export const sendRsvpInvitations = async (eventId, guestIds, user) => {
+  try {
+    const { event, error } = await loadEvent(eventId, user, "edit");
+    if (error) return createValidationResult(false, [error]);
+
+    const where = { event_id: event.event_id, email: { not: null } };
+    if (guestIds !== undefined) {
+      if (!Array.isArray(guestIds) || guestIds.some((guestId) => !parseAndValidateId(guestId, "Guest ID"))) {
+        return createValidationResult(false, ["guest_ids must be an array of guest IDs"]);
+      }
+      where.guest_id = { in: guestIds.map(Number) };
+    } else {
+      where.rsvp_status = "PENDING";
+    }
+
+    const guests = await prisma.eventGuest.findMany({ where, select: { guest_id: true, full_name: true, email: true } });
+    if (!guests.length) return createValidationResult(false, ["No guests with an email address to invite"]);
+
+    const when = new Date(event.start_time || event.event_date).toUTCString();
+    const sent = [];
+    const failed = [];
+    for (const guest of guests) {
+      const token = crypto.randomBytes(32).toString("hex");
+      await prisma.eventGuest.update({
+        where: { guest_id: guest.guest_id },
+        data: { token_hash: hashToken(token), invited_at: new Date() },
+      });
+
+      const rsvpLink = `${CLIENT_URL}/rsvp?token=${encodeURIComponent(token)}`;
+      try {
+        await sendMail({
+          to: guest.email,
+          subject: `You're invited to "${event.event_name}"`,
+          text: `Hi ${guest.full_name},\n\nYou're invited to "${event.event_name}" on ${when}${event.room ? ` at ${event.room.room_name}` : ""}. Please let us know if you can come:\n\n${rsvpLink}`,
+          html: `<p>Hi ${escapeHtml(guest.full_name)},</p><p>You're invited to "<strong>${escapeHtml(event.event_name)}</strong>" on ${when}${event.room ? ` at ${escapeHtml(event.room.room_name)}` : ""}.</p><p><a href="${rsvpLink}">Respond to the invitation</a></p>`,
+        });
+        sent.push(guest.guest_id);
+      } catch (mailError) {
+        console.error("Failed to send RSVP invitation:", mailError);
+        failed.push(guest.guest_id);
+      }
+    }
+
+    return createValidationResult(true, [], { sent, failed });
+  } catch (error) {
+    return handleError("sendRsvpInvitations", error);
+  }
+};
+
+// ===== RSVP (public, by token) =====
+const rsvpEventSelect = {
+  select: {
+    event_id: true,
+    event_name: true,
+    status: true,
+    start_time: true,
+    end_time: true,
+    event_date: true,
+    room: { select: { room_name: true, guest_capacity: true } },
+  },
+};
+
+const findGuestByToken = async (token) => {
+  if (!token) return { error: "RSVP token is required" };
+
+  const guest = await prisma.eventGuest.findUnique({
+    where: { token_hash: hashToken(String(token)) },
+    include: { event: rsvpEventSelect },
+  });
+  if (!guest) return { error: "Invalid or expired RSVP link" };
+  if (CLOSED_EVENT_STATUSES.includes(guest.event.status)) {
+    return { error: `This event is ${guest.event.status.toLowerCase()}` };
+  }
+  return { guest };
+};
+
+const publicView = (guest) => ({
+  full_name: guest.full_name,
+  rsvp_status: guest.rsvp_status,
+  max_plus_ones: guest.max_plus_ones,
+  plus_ones: guest.plus_ones,
+  dietary_notes: guest.dietary_notes,
+  responded_at: guest.responded_at,
+  event: {
+    event_name: guest.event.event_name,
+    start_time: guest.event.start_time,
+    end_time: guest.event.end_time,
+    event_date: guest.event.event_date,
+    room_name: guest.event.room?.room_name ?? null,
+  },
+});
+
+export const getRsvp = async (token) => {
+  try {
+    const { guest, error } = await findGuestByToken(token);
+    if (error) return createValidationResult(false, [error]);
+    return createValidationResult(true, [], publicView(guest));
+  } catch (error) {
+    return handleError("getRsvp", error);
+  }
+};
+
+/**
+ * Record a guest's answer. Guests may change it until the event starts.
+ * @param {string} token - From the RSVP link
+ * @param {Object} data - rsvp_status (ATTENDING, MAYBE or DECLINED), plus_ones, dietary_notes
+ */
+export const respondToRsvp = async (token, data) => {
+  try {
+    const { guest, error } = await findGuestByToken(token);
+    if (error) return createValidationResult(false, [error]);
+
+    if (!GUEST_RESPONSES.includes(data.rsvp_status)) {
+      return createValidationResult(false, [`rsvp_status must be one of: ${GUEST_RESPONSES.join(", ")}`]);
+    }
+    const start = guest.event.start_time || guest.event.event_date;
+    if (new Date(start) <= new Date()) {
+      return createValidationResult(false, ["RSVPs are closed once the event has started"]);
+    }
+
+    const { errors, guest: answer } = validateGuestData(
+      { rsvp_status: data.rsvp_status, plus_ones: data.plus_ones ?? 0, dietary_notes: data.dietary_notes },
+      true
+    );
+    if (errors.length) return createValidationResult(false, errors);
+
+    const merged = settlePlusOnes({ ...guest, ...answer });
+    if (merged.error) return createValidationResult(false, [merged.error]);
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const capacityError = await checkCapacity(tx, guest.event, seatsFor(merged), guest.guest_id);
+      if (capacityError) return { error: "Sorry, the event is full" };
+      return tx.eventGuest.update({
+        where: { guest_id: guest.guest_id },
+        data: {
+          rsvp_status: merged.rsvp_status,
+          plus_ones: merged.plus_ones,
+          dietary_notes: answer.dietary_notes,
+          responded_at: new Date(),
+        },
+        include: { event: rsvpEventSelect },
+      });
+    });
+    if (updated.error) return createValidationResult(false, [updated.error]);
+
+    return createValidationResult(true, [], publicView(updated));
+  } catch (error) {
+    return handleError("respondToRsvp", error);
+  }
+};
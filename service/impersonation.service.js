@@ -0,0 +1,205 @@
+import { PrismaClient } from "@prisma/client";
+import jwt from "jsonwebtoken";
+import { isTwoFactorRequired } from "./twoFactor.service.js";
+
+const prisma = new PrismaClient();
+const JWT_SECRET = process.env.JWT_SECRET;
+
+export const IMPERSONATION_TTL_MINUTES = Number(process.env.IMPERSONATION_TTL_MINUTES) || 30;
+
+// Writes that stay allowed under an impersonation token; everything else that mutates is blocked
+const ALLOWED_WRITES = ["POST /api/impersonation/end"];
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return { isValid: false, errors: [error.message] };
+};
+
+const impersonationSelect = {
+  impersonation_id: true,
+  reason: true,
+  ip_address: true,
+  started_at: true,
+  expires_at: true,
+  ended_at: true,
+  admin: { select: { account_id: true, account_name: true, email: true } },
+  target: { select: { account_id: true, account_name: true, email: true, role: true } },
+};
+
+/**
+ * Whether a request made under impersonation must be refused. Impersonation is for
+ * seeing what the customer sees, so anything that changes data is blocked.
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path without query string
+ * @returns {boolean}
+ */
+export const isBlockedWhileImpersonating = (method, path) => {
+  if (READ_METHODS.includes(method)) return false;
+  return !ALLOWED_WRITES.includes(`${method} ${path.replace(/\/+$/, "")}`);
+};
+
+// ===== Start =====
+export const startImpersonation = async (admin, targetId, reason, ipAddress = null) => {
+  try {
+    if (!reason || !String(reason).trim()) {
+      return { isValid: false, errors: ["A reason is required to impersonate an account."] };
+    }
+    if (targetId === admin.account_id) {
+      return { isValid: false, errors: ["You cannot impersonate yourself."] };
+    }
+
+    const target = await prisma.account.findUnique({
+      where: { account_id: targetId },
+      select: { account_id: true, account_name: true, email: true, role: true, is_active: true, erased_at: true },
+    });
+    if (!target || target.erased_at) return { isValid: false, errors: ["Account not found."] };
+    if (!target.is_active) return { isValid: false, errors: ["Cannot impersonate an inactive account."] };
+
+    // Privileged accounts are never impersonated, so impersonation cannot widen access
+    if (isTwoFactorRequired(target.role)) {
+      return { isValid: false, errors: [`${target.role} accounts cannot be impersonated.`] };
+    }
+
+    const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+    const impersonation = await prisma.impersonationSession.create({
+      data: {
+        admin_id: admin.account_id,
+        target_id: target.account_id,
+        reason: String(reason).trim(),
+        ip_address: ipAddress,
+        expires_at: expiresAt,
+      },
+      select: impersonationSelect,
+    });
+
+    // Names both parties; the session row is what makes it valid, so ending it revokes the token
+    const token = jwt.sign(
+      {
+        account_id: target.account_id,
+        role: target.role,
+        email: target.email,
+        imp: impersonation.impersonation_id,
+        act: admin.account_id,
+      },
+      JWT_SECRET,
+      { expiresIn: IMPERSONATION_TTL_MINUTES * 60 }
+    );
+
+    return { isValid: true, data: { token, impersonation } };
+  } catch (error) {
+    return handleError("startImpersonation", error);
+  }
+};
+
+// ===== Resolve (used by validateToken) =====
+/**
+ * Look up the live impersonation named by a decoded token
+ * @param {Object} decoded - Verified JWT payload carrying imp and act
+ * @returns {Promise<Object|null>} Session with admin and target, or null when ended/expired
+ */
+export const getActiveImpersonation = async (decoded) => {
+  if (!decoded?.imp || !decoded?.act) return null;
+  return prisma.impersonationSession.findFirst({
+    where: {
+      impersonation_id: Number(decoded.imp),
+      admin_id: decoded.act,
+      target_id: decoded.account_id,
+      ended_at: null,
+      expires_at: { gt: new Date() },
+      admin: { is_active: true },
+      target: { is_active: true },
+    },
+    select: {
+      impersonation_id: true,
+      expires_at: true,
+      admin: { select: { account_id: true, account_name: true } },
+      target: {
+        select: { account_id: true, account_name: true, email: true, role: true, email_verified: true },
+      },
+    },
+  });
+};
+
+// Audit writes must never break the request being audited
+export const recordImpersonationRequest = async ({ impersonationId, method, path, statusCode, blocked, ipAddress }) => {
+  try {
+    await prisma.impersonationAuditLog.create({
+      data: {
+        impersonation_id: impersonationId,
+        method,
+        path: path.slice(0, 2048),
+        status_code: statusCode ?? null,
+        blocked,
+        ip_address: ipAddress || null,
+      },
+    });
+  } catch (error) {
+    console.error("Failed to write impersonation audit log:", error);
+  }
+};
+
+// ===== End =====
+export const endImpersonation = async (impersonationId, { adminId } = {}) => {
+  try {
+    const impersonation = await prisma.impersonationSession.findUnique({
+      where: { impersonation_id: impersonationId },
+      select: { impersonation_id: true, admin_id: true, ended_at: true },
+    });
+    if (!impersonation) return { isValid: false, errors: ["Impersonation session not found."] };
+    if (adminId && impersonation.admin_id !== adminId) {
+      return { isValid: false, errors: ["Impersonation session not found."] };
+    }
+    if (impersonation.ended_at) return { isValid: false, errors: ["Impersonation session has already ended."] };
+
+    const ended = await prisma.impersonationSession.update({
+      where: { impersonation_id: impersonationId },
+      data: { ended_at: new Date() },
+      select: impersonationSelect,
+    });
+    return { isValid: true, data: ended };
+  } catch (error) {
+    return handleError("endImpersonation", error);
+  }
+};
+
+// ===== Audit trail =====
+export const getImpersonationSessions = async ({ adminId, targetId, activeOnly = false } = {}) => {
+  try {
+    const where = {};
+    if (adminId) where.admin_id = adminId;
+    if (targetId) where.target_id = targetId;
+    if (activeOnly) {
+      where.ended_at = null;
+      where.expires_at = { gt: new Date() };
+    }
+
+    const sessions = await prisma.impersonationSession.findMany({
+      where,
+      select: {
+        ...impersonationSelect,
+        _count: { select: { audit_logs: true } },
+      },
+      orderBy: { started_at: "desc" },
+    });
+    return { isValid: true, data: sessions };
+  } catch (error) {
+    return handleError("getImpersonationSessions", error);
+  }
+};
+
+export const getImpersonationAuditLog = async (impersonationId) => {
+  try {
+    const impersonation = await prisma.impersonationSession.findUnique({
+      where: { impersonation_id: impersonationId },
+      select: {
+        ...impersonationSelect,
+        audit_logs: { orderBy: { created_at: "asc" } },
+      },
+    });
+    if (!impersonation) return { isValid: false, errors: ["Impersonation session not found."] };
+    return { isValid: true, data: impersonation };
+  } catch (error) {
+    return handleError("getImpersonationAuditLog", error);
+  }
+};
@@ -107,6 +107,53 @@ const validateInvoiceDetailData = (detailData) => {
   return errors;
 };
 
+// Where clause for the invoice that bills an event: its own, or its series' consolidated invoice
+export const invoiceWhereForEvent = (event) =>
+  event.series_id
+    ? { OR: [{ event_id: event.event_id }, { series_id: event.series_id }] }
+    : { event_id: event.event_id };
+
+// One ROOM line per live occurrence; cancelled occurrences drop off while the invoice is unpaid.
+// Other lines (e.g. cancellation charges) stay and count towards the total.
+export const syncSeriesInvoice = async (tx, seriesId) => {
+  const invoice = await tx.invoice.findFirst({
+    where: { series_id: seriesId },
+    select: { invoice_id: true, status: true },
+  });
+  if (!invoice || !['PENDING', 'OVERDUE'].includes(invoice.status)) return null;
+
+  const events = await tx.event.findMany({
+    where: { series_id: seriesId, status: { not: 'CANCELLED' } },
+    select: { event_id: true, event_name: true, start_time: true, estimated_cost: true },
+    orderBy: { start_time: 'asc' },
+  });
+
+  await tx.invoiceDetail.deleteMany({ where: { invoice_id: invoice.invoice_id, item_type: 'ROOM' } });
+  const kept = await tx.invoiceDetail.aggregate({
+    where: { invoice_id: invoice.invoice_id },
+    _sum: { subtotal: true },
+  });
+  if (events.length) {
+    await tx.invoiceDetail.createMany({
+      data: events.map((event) => ({
+        invoice_id: invoice.invoice_id,
+        item_name: `${event.event_name} (${event.start_time.toISOString().slice(0, 10)})`.slice(0, 255),
+        quantity: 1,
+        unit_price: event.estimated_cost,
+        subtotal: event.estimated_cost,
+        item_type: 'ROOM',
+        event_id: event.event_id,
+      })),
+    });
+  }
+
+  const total = events.reduce((sum, event) => sum + Number(event.estimated_cost || 0), Number(kept._sum.subtotal || 0));
+  return tx.invoice.update({
+    where: { invoice_id: invoice.invoice_id },
+    data: { total_amount: total, status: events.length ? invoice.status : 'CANCELLED' },
+  });
+};
+
 // ===== Create Invoice =====
 export const createInvoice = async (invoiceData, details = [], tx = prisma) => {
   try {
@@ -0,0 +1,220 @@
+import { PrismaClient } from "@prisma/client";
+import { AUTH_ERROR_CODES } from "../utils/errorCodes.js";
+
+const prisma = new PrismaClient();
+
+// Failures older than this no longer count towards delays or lockouts
+const FAILURE_WINDOW_MS = (Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+const POLICIES = {
+  ACCOUNT: {
+    delayAfter: Number(process.env.LOGIN_ACCOUNT_DELAY_AFTER) || 3,
+    lockAfter: Number(process.env.LOGIN_ACCOUNT_LOCK_AFTER) || 10,
+    lockMinutes: Number(process.env.LOGIN_ACCOUNT_LOCK_MINUTES) || 15,
+    code: AUTH_ERROR_CODES.ACCOUNT_LOCKED,
+  },
+  IP: {
+    delayAfter: Number(process.env.LOGIN_IP_DELAY_AFTER) || 10,
+    lockAfter: Number(process.env.LOGIN_IP_LOCK_AFTER) || 50,
+    lockMinutes: Number(process.env.LOGIN_IP_LOCK_MINUTES) || 60,
+    code: AUTH_ERROR_CODES.IP_BLOCKED,
+  },
+};
+
+const MAX_DELAY_SECONDS = 60;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return { isValid: false, errors: [error.message] };
+};
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+const lockoutKeys = ({ email, ip }) => {
+  const keys = [];
+  if (email) keys.push({ scope: "ACCOUNT", lock_key: normalizeEmail(email) });
+  if (ip) keys.push({ scope: "IP", lock_key: ip });
+  return keys;
+};
+
+// 1s, 2s, 4s ... capped, once the failure count passes the delay threshold
+const progressiveDelaySeconds = (failedCount, policy) => {
+  if (failedCount < policy.delayAfter) return 0;
+  return Math.min(2 ** (failedCount - policy.delayAfter), MAX_DELAY_SECONDS);
+};
+
+const isStale = (record, now) =>
+  !record.last_failed_at || now - record.last_failed_at.getTime() > FAILURE_WINDOW_MS;
+
+const evaluateRecord = (record, now) => {
+  const policy = POLICIES[record.scope];
+
+  if (record.locked_until && record.locked_until.getTime() > now) {
+    return {
+      allowed: false,
+      code: policy.code,
+      retryAfterSeconds: Math.ceil((record.locked_until.getTime() - now) / 1000),
+    };
+  }
+
+  if (isStale(record, now)) return { allowed: true };
+
+  const delay = progressiveDelaySeconds(record.failed_count, policy);
+  const waitUntil = record.last_failed_at.getTime() + delay * 1000;
+  if (delay > 0 && waitUntil > now) {
+    return {
+      allowed: false,
+      code: AUTH_ERROR_CODES.LOGIN_THROTTLED,
+      retryAfterSeconds: Math.ceil((waitUntil - now) / 1000),
+    };
+  }
+
+  return { allowed: true };
+};
+
+// ===== Check whether a login may be attempted =====
+export const checkLoginAllowed = async ({ email, ip }) => {
+  const now = Date.now();
+  const records = await prisma.loginLockout.findMany({
+    where: { OR: lockoutKeys({ email, ip }) },
+  });
+
+  // Report hard lockouts before throttling so the client gets the most useful code
+  const verdicts = records.map((record) => evaluateRecord(record, now)).filter((v) => !v.allowed);
+  if (verdicts.length === 0) return { allowed: true };
+
+  return (
+    verdicts.find((v) => v.code !== AUTH_ERROR_CODES.LOGIN_THROTTLED) ||
+    verdicts.sort((a, b) => b.retryAfterSeconds - a.retryAfterSeconds)[0]
+  );
+};
+
+const registerFailure = async (scope, lockKey, tx) => {
+  const policy = POLICIES[scope];
+  const now = new Date();
+
+  const existing = await tx.loginLockout.findUnique({
+    where: { scope_lock_key: { scope, lock_key: lockKey } },
+  });
+
+  const failedCount = existing && !isStale(existing, now.getTime()) ? existing.failed_count + 1 : 1;
+  const data = { failed_count: failedCount, last_failed_at: now };
+
+  if (failedCount >= policy.lockAfter) {
+    // Each repeated lockout doubles its length
+    const lockoutCount = (existing?.lockout_count || 0) + 1;
+    const minutes = Math.min(policy.lockMinutes * 2 ** (lockoutCount - 1), MAX_LOCK_MINUTES);
+    data.locked_until = new Date(now.getTime() + minutes * 60 * 1000);
+    data.lockout_count = lockoutCount;
+    data.failed_count = 0;
+  }
+
+  return tx.loginLockout.upsert({
+    where: { scope_lock_key: { scope, lock_key: lockKey } },
+    create: { scope, lock_key: lockKey, ...data },
+    update: data,
+  });
+};
+
+// ===== Record a failed login =====
+export const recordLoginFailure = async ({ accountId = null, email, ip, reason }) => {
+  try {
+    await prisma.$transaction(async (tx) => {
+      await tx.loginAttempt.create({
+        data: {
+          account_id: accountId,
+          email: email ? normalizeEmail(email) : null,
+          ip_address: ip || null,
+          success: false,
+          failure_reason: reason,
+        },
+      });
+      for (const { scope, lock_key } of lockoutKeys({ email, ip })) {
+        await registerFailure(scope, lock_key, tx);
+      }
+    });
+  } catch (error) {
+    console.error("Error in recordLoginFailure:", error);
+  }
+};
+
+// ===== Record a successful login =====
+export const recordLoginSuccess = async ({ accountId, email, ip }) => {
+  try {
+    await prisma.$transaction([
+      prisma.loginAttempt.create({
+        data: {
+          account_id: accountId,
+          email: normalizeEmail(email),
+          ip_address: ip || null,
+          success: true,
+        },
+      }),
+      // Only the account counter resets; an IP spraying many accounts stays throttled
+      prisma.loginLockout.updateMany({
+        where: { scope: "ACCOUNT", lock_key: normalizeEmail(email) },
+        data: { failed_count: 0, lockout_count: 0 },
+      }),
+    ]);
+  } catch (error) {
+    console.error("Error in recordLoginSuccess:", error);
+  }
+};
+
+// ===== Token validation failures share the IP store =====
+export const checkIpAllowed = async (ip) => {
+  if (!ip) return { allowed: true };
+
+  const record = await prisma.loginLockout.findUnique({
+    where: { scope_lock_key: { scope: "IP", lock_key: ip } },
+  });
+  if (!record) return { allowed: true };
+
+  return evaluateRecord(record, Date.now());
+};
+
+export const recordTokenFailure = async (ip) => {
+  if (!ip) return;
+  try {
+    await prisma.$transaction(async (tx) => registerFailure("IP", ip, tx));
+  } catch (error) {
+    console.error("Error in recordTokenFailure:", error);
+  }
+};
+
+// ===== Admin: list and clear lockouts =====
+export const getLockouts = async ({ activeOnly = true, scope } = {}) => {
+  try {
+    const where = {};
+    if (scope) where.scope = scope;
+    if (activeOnly) where.locked_until = { gt: new Date() };
+
+    const lockouts = await prisma.loginLockout.findMany({
+      where,
+      orderBy: { updated_at: "desc" },
+    });
+
+    return { isValid: true, data: lockouts };
+  } catch (error) {
+    return handleError("getLockouts", error);
+  }
+};
+
+export const clearLockout = async (lockoutId) => {
+  try {
+    const existing = await prisma.loginLockout.findUnique({
+      where: { lockout_id: lockoutId },
+    });
+    if (!existing) return { isValid: false, errors: ["Lockout not found."] };
+
+    const cleared = await prisma.loginLockout.update({
+      where: { lockout_id: lockoutId },
+      data: { failed_count: 0, lockout_count: 0, locked_until: null, last_failed_at: null },
+    });
+
+    return { isValid: true, data: cleared };
+  } catch (error) {
+    return handleError("clearLockout", error);
+  }
+};
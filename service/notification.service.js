@@ -77,14 +77,14 @@ export const getAllNotifications = async (filters = {}) => {
 };
 
 // ===== Mark Notification as Read =====
-export const markNotificationAsRead = async (notificationId) => {
+export const markNotificationAsRead = async (notificationId, ownerId = null) => {
   try {
     const validNotificationId = parseAndValidateId(notificationId, "Notification ID");
 
     const existingNotification = await prisma.notification.findUnique({
       where: { notification_id: validNotificationId },
     });
-    if (!existingNotification) {
+    if (!existingNotification || (ownerId && existingNotification.account_id !== ownerId)) {
       return createValidationResult(false, ["Notification not found"]);
     }
 
@@ -92,7 +92,7 @@ export const markNotificationAsRead = async (notificationId) => {
       where: { notification_id: validNotificationId },
       data: { is_read: true },
       include: {
-        account: { select: { account_id: true, username: true } },
+        account: { select: { account_id: true, account_name: true } },
       },
     });
 
@@ -357,6 +357,77 @@ export const updatePayment = async (paymentId, updateData) => {
   }
 };
 
+// Refund Payment
+// amount is in the payment's own currency. Stripe payments are refunded through Stripe;
+// anything else is only recorded and has to be handed back by staff (manual: true).
+export const refundPayment = async (paymentId, amount, reason = null) => {
+  try {
+    const id = parseAndValidateId(paymentId, 'Payment ID');
+    if (typeof id !== 'number') {
+      return createValidationResult(false, ['Invalid payment ID']);
+    }
+
+    const payment = await prisma.payment.findUnique({
+      where: { payment_id: id },
+    });
+    if (!payment) {
+      return createValidationResult(false, ['Payment not found']);
+    }
+    if (payment.payment_status !== 'COMPLETED') {
+      return createValidationResult(false, [
+        `A ${payment.payment_status} payment cannot be refunded`,
+      ]);
+    }
+
+    const refundable =
+      Number(payment.amount) - Number(payment.refunded_amount || 0);
+    const refundAmount = Math.round(Math.min(Number(amount), refundable) * 100) / 100;
+    if (!(refundAmount > 0)) {
+      return createValidationResult(false, ['Nothing left to refund on this payment']);
+    }
+
+    let stripeRefund = null;
+    if (payment.payment_method === 'STRIPE') {
+      if (!payment.transaction_id) {
+        return createValidationResult(false, [
+          'Stripe payment has no payment intent to refund',
+        ]);
+      }
+      stripeRefund = await stripe.refunds.create({
+        payment_intent: payment.transaction_id,
+        amount: Math.round(refundAmount * 100),
+        metadata: { payment_id: String(payment.payment_id) },
+      });
+    }
+
+    const refundedTotal = Number(payment.refunded_amount || 0) + refundAmount;
+    const updatedPayment = await prisma.payment.update({
+      where: { payment_id: id },
+      data: {
+        refunded_amount: refundedTotal,
+        stripe_refund_id: stripeRefund?.id ?? undefined,
+        // A partly refunded payment stays COMPLETED
+        payment_status:
+          refundedTotal >= Number(payment.amount) ? 'REFUNDED' : undefined,
+        notes: reason
+          ? [payment.notes, `Refunded ${refundAmount}: ${reason}`]
+              .filter(Boolean)
+              .join('\n')
+          : undefined,
+      },
+    });
+
+    return createValidationResult(true, [], {
+      payment: updatedPayment,
+      refund_amount: refundAmount,
+      stripe_refund_id: stripeRefund?.id ?? null,
+      manual: !stripeRefund,
+    });
+  } catch (error) {
+    return handleError('refundPayment', error);
+  }
+};
+
 // Get Payment by ID
 export const getPaymentById = async (paymentId) => {
   try {
@@ -0,0 +1,172 @@
+import { PrismaClient } from "@prisma/client";
+import {
+  PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_ROLE_PERMISSIONS,
+  isKnownPermission,
+} from "../utils/permissions.js";
+
+const prisma = new PrismaClient();
+
+const ROLES = ["ADMIN", "STAFF", "PROVIDER", "CUSTOMER"];
+
+// Role grants are read on every authenticated request, so keep them briefly in memory
+const CACHE_TTL_MS = (Number(process.env.PERMISSION_CACHE_SECONDS) || 60) * 1000;
+const roleCache = new Map();
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return { isValid: false, errors: [error.message] };
+};
+
+const normalizeRole = (role) => String(role || "").toUpperCase();
+
+export const invalidatePermissionCache = (role) => {
+  if (role) roleCache.delete(normalizeRole(role));
+  else roleCache.clear();
+};
+
+/**
+ * Permission keys granted to a role (cached)
+ * @param {string} role - Account role
+ * @returns {Promise<string[]>}
+ */
+export const getPermissionsForRole = async (role) => {
+  const key = normalizeRole(role);
+  if (!ROLES.includes(key)) return [];
+
+  const cached = roleCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+  const grants = await prisma.rolePermission.findMany({
+    where: { role: key },
+    select: { permission: { select: { key: true } } },
+  });
+  const permissions = grants.map((grant) => grant.permission.key);
+
+  roleCache.set(key, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+/**
+ * Active accounts whose role currently holds a permission, e.g. the staff to notify about an event
+ * @param {string} key - Permission key
+ * @returns {Promise<Array<{account_id: number, account_name: string, email: string}>>}
+ */
+export const getAccountsWithPermission = async (key) => {
+  const grants = await prisma.rolePermission.findMany({
+    where: { permission: { key } },
+    select: { role: true },
+  });
+  if (!grants.length) return [];
+
+  return prisma.account.findMany({
+    where: { role: { in: grants.map((grant) => grant.role) }, is_active: true, erased_at: null },
+    select: { account_id: true, account_name: true, email: true },
+  });
+};
+
+// ===== Catalogue =====
+export const getPermissionCatalogue = async () => {
+  try {
+    const permissions = await prisma.permission.findMany({
+      orderBy: { key: "asc" },
+      select: { permission_id: true, key: true, description: true },
+    });
+    return { isValid: true, data: permissions };
+  } catch (error) {
+    return handleError("getPermissionCatalogue", error);
+  }
+};
+
+export const getRolePermissions = async () => {
+  try {
+    const grants = await prisma.rolePermission.findMany({
+      select: { role: true, permission: { select: { key: true } } },
+    });
+
+    const byRole = Object.fromEntries(ROLES.map((role) => [role, []]));
+    for (const grant of grants) {
+      byRole[grant.role].push(grant.permission.key);
+    }
+    Object.values(byRole).forEach((keys) => keys.sort());
+
+    return { isValid: true, data: byRole };
+  } catch (error) {
+    return handleError("getRolePermissions", error);
+  }
+};
+
+// ===== Replace the permission set of a role =====
+export const setRolePermissions = async (role, permissionKeys) => {
+  try {
+    const roleKey = normalizeRole(role);
+    if (!ROLES.includes(roleKey)) {
+      return { isValid: false, errors: [`Role must be one of: ${ROLES.join(", ")}`] };
+    }
+    if (!Array.isArray(permissionKeys)) {
+      return { isValid: false, errors: ["permissions must be an array of permission keys."] };
+    }
+
+    const keys = [...new Set(permissionKeys)];
+    const unknown = keys.filter((key) => !isKnownPermission(key));
+    if (unknown.length) {
+      return { isValid: false, errors: [`Unknown permission(s): ${unknown.join(", ")}`] };
+    }
+
+    const missingLocked = (LOCKED_ROLE_PERMISSIONS[roleKey] || []).filter((key) => !keys.includes(key));
+    if (missingLocked.length) {
+      return {
+        isValid: false,
+        errors: [`${roleKey} must keep permission(s): ${missingLocked.join(", ")}`],
+      };
+    }
+
+    const permissions = await prisma.permission.findMany({
+      where: { key: { in: keys } },
+      select: { permission_id: true },
+    });
+
+    await prisma.$transaction([
+      prisma.rolePermission.deleteMany({ where: { role: roleKey } }),
+      prisma.rolePermission.createMany({
+        data: permissions.map((permission) => ({
+          role: roleKey,
+          permission_id: permission.permission_id,
+        })),
+      }),
+    ]);
+
+    invalidatePermissionCache(roleKey);
+    return { isValid: true, data: { role: roleKey, permissions: keys.sort() } };
+  } catch (error) {
+    return handleError("setRolePermissions", error);
+  }
+};
+
+/**
+ * Install catalogue entries that are missing from the database. Newly added keys
+ * receive their default grants; existing grants are never touched, so admin edits survive.
+ */
+export const syncPermissionCatalogue = async () => {
+  const existing = await prisma.permission.findMany({ select: { key: true } });
+  const existingKeys = new Set(existing.map((permission) => permission.key));
+  const added = Object.values(PERMISSIONS).filter((key) => !existingKeys.has(key));
+
+  for (const key of added) {
+    const permission = await prisma.permission.create({
+      data: { key, description: PERMISSION_DESCRIPTIONS[key] || null },
+    });
+    const roles = ROLES.filter((role) => DEFAULT_ROLE_PERMISSIONS[role]?.includes(key));
+    if (roles.length) {
+      await prisma.rolePermission.createMany({
+        data: roles.map((role) => ({ role, permission_id: permission.permission_id })),
+        skipDuplicates: true,
+      });
+    }
+  }
+
+  invalidatePermissionCache();
+  return added;
+};
@@ -419,6 +419,27 @@ export const getPricingTiersByPriceRange = async (minPrice, maxPrice) => {
   }
 };
 
+/**
+ * The active tier of a variation covering a date; where tiers overlap the latest-starting wins
+ * @param {number} variationId
+ * @param {Date|string} date
+ * @param {Object} [tx] - Prisma client or transaction
+ * @returns {Promise<Object|null>} The tier; its price_modifier is added to the variation's base price
+ */
+export const findPricingTierForDate = async (variationId, date, tx = prisma) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return tx.pricingTier.findFirst({
+    where: {
+      variation_id: Number(variationId),
+      is_active: true,
+      valid_from: { lte: day },
+      valid_to: { gte: day },
+    },
+    orderBy: { valid_from: 'desc' },
+  });
+};
+
 /**
  * Close Prisma connection
  */
@@ -436,5 +457,6 @@ export default {
   togglePricingTierStatus,
   getActivePricingTiers,
   getPricingTiersByPriceRange,
+  findPricingTierForDate,
   closePrismaConnection
-};
\ No newline at end of file
+};
@@ -0,0 +1,218 @@
+import { PrismaClient } from "@prisma/client";
+import { createValidationResult, parseAndValidateId } from "../utils/validation.js";
+import { createNotification } from "../utils/notification.js";
+import { PERMISSIONS, hasPermission } from "../utils/permissions.js";
+import { processWaitlist } from "./waitlist.service.js";
+
+const prisma = new PrismaClient();
+
+const BOOKING_DECISIONS = { accept: "CONFIRMED", decline: "DECLINED" };
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+// Bookings of provider-owned services wait for the provider; house services confirm at once
+export const initialBookingStatus = (service) => (service?.provider_id ? "PENDING" : "CONFIRMED");
+
+// ===== Ownership =====
+export const findServiceIdForVariation = async (variationId) => {
+  const id = parseAndValidateId(variationId, "Variation ID");
+  if (!id) return null;
+  const variation = await prisma.variation.findUnique({
+    where: { variation_id: id },
+    select: { service_id: true },
+  });
+  return variation?.service_id ?? null;
+};
+
+export const findServiceIdForPricingTier = async (tierId) => {
+  const id = parseAndValidateId(tierId, "Pricing Tier ID");
+  if (!id) return null;
+  const tier = await prisma.pricingTier.findUnique({
+    where: { tier_id: id },
+    select: { variation: { select: { service_id: true } } },
+  });
+  return tier?.variation.service_id ?? null;
+};
+
+export const findServiceIdForImage = async (imageId) => {
+  const id = parseAndValidateId(imageId, "Image ID");
+  if (!id) return null;
+  const image = await prisma.image.findUnique({
+    where: { image_id: id },
+    select: { service_id: true },
+  });
+  return image?.service_id ?? null;
+};
+
+/**
+ * Check that a user may manage the given services. Holders of services:write:any
+ * manage everything; services:write:own only covers services the user provides.
+ * @param {Object} user - req.user
+ * @param {Array<number|null>} serviceIds - Services touched by the request
+ * @returns {Promise<Object>} Validation result
+ */
+export const checkServiceOwnership = async (user, serviceIds) => {
+  if (hasPermission(user, PERMISSIONS.SERVICES_WRITE_ANY)) {
+    return createValidationResult(true, []);
+  }
+
+  const ids = [...new Set(serviceIds.filter(Boolean).map(Number))];
+  if (ids.length === 0) {
+    return createValidationResult(false, ["Service not found"]);
+  }
+
+  const services = await prisma.service.findMany({
+    where: { service_id: { in: ids } },
+    select: { service_id: true, provider_id: true },
+  });
+  if (services.length !== ids.length) {
+    return createValidationResult(false, ["Service not found"]);
+  }
+  if (services.some((service) => service.provider_id !== user.account_id)) {
+    return createValidationResult(false, ["You can only manage your own services"]);
+  }
+
+  return createValidationResult(true, []);
+};
+
+// ===== Provider portal =====
+export const getProviderServices = async (providerId) => {
+  try {
+    const services = await prisma.service.findMany({
+      where: { provider_id: providerId },
+      include: {
+        service_type: true,
+        images: true,
+        variations: { include: { pricing_tiers: true } },
+      },
+      orderBy: { service_name: "asc" },
+    });
+    return createValidationResult(true, [], services);
+  } catch (error) {
+    return handleError("getProviderServices", error);
+  }
+};
+
+export const getProviderBookings = async (providerId, filters = {}) => {
+  try {
+    const { status, from, to } = filters;
+
+    const where = { service: { provider_id: providerId } };
+    if (status) where.status = status;
+    if (from || to) {
+      where.scheduled_time = {};
+      if (from) where.scheduled_time.gte = new Date(from);
+      if (to) where.scheduled_time.lte = new Date(to);
+    }
+
+    const bookings = await prisma.eventService.findMany({
+      where,
+      include: {
+        service: { select: { service_id: true, service_name: true } },
+        variation: { select: { variation_id: true, variation_name: true } },
+        event: {
+          select: {
+            event_id: true,
+            event_name: true,
+            event_date: true,
+            start_time: true,
+            end_time: true,
+            status: true,
+            room: { select: { room_id: true, room_name: true } },
+          },
+        },
+      },
+      orderBy: [{ scheduled_time: "asc" }, { created_at: "asc" }],
+    });
+
+    return createValidationResult(true, [], bookings);
+  } catch (error) {
+    return handleError("getProviderBookings", error);
+  }
+};
+
+// ===== Accept / decline a booking =====
+export const respondToBooking = async (eventServiceId, user, decision, note) => {
+  try {
+    const id = parseAndValidateId(eventServiceId, "Event Service ID");
+    if (!id) return createValidationResult(false, ["Invalid Event Service ID"]);
+
+    const nextStatus = BOOKING_DECISIONS[decision];
+    if (!nextStatus) return createValidationResult(false, ["Decision must be accept or decline"]);
+
+    const booking = await prisma.eventService.findUnique({
+      where: { event_service_id: id },
+      include: {
+        service: { select: { service_name: true, provider_id: true } },
+        event: { select: { event_name: true, account_id: true } },
+      },
+    });
+    if (!booking) return createValidationResult(false, ["Booking not found"]);
+
+    const isProvider = booking.service.provider_id === user.account_id;
+    if (!isProvider && !hasPermission(user, PERMISSIONS.SERVICES_WRITE_ANY)) {
+      return createValidationResult(false, ["You can only respond to bookings of your own services"]);
+    }
+
+    // Claim the pending booking so a double submit cannot flip the decision
+    const claimed = await prisma.eventService.updateMany({
+      where: { event_service_id: id, status: "PENDING" },
+      data: {
+        status: nextStatus,
+        provider_responded_at: new Date(),
+        provider_note: note?.trim() || null,
+      },
+    });
+    if (claimed.count !== 1) {
+      return createValidationResult(false, [`Booking is already ${booking.status}`]);
+    }
+
+    if (booking.event.account_id) {
+      await createNotification({
+        account_id: booking.event.account_id,
+        title: decision === "accept" ? "Service Booking Confirmed" : "Service Booking Declined",
+        message:
+          decision === "accept"
+            ? `"${booking.service.service_name}" has been confirmed for event "${booking.event.event_name}".`
+            : `"${booking.service.service_name}" is unavailable for event "${booking.event.event_name}".` +
+              (note ? ` Reason: ${note.trim()}` : ""),
+        type: "CONFIRMATION",
+      });
+    }
+
+    // A declined booking stops holding its slot
+    if (nextStatus === "DECLINED" && booking.variation_id) {
+      await processWaitlist({ variation_ids: [booking.variation_id] });
+    }
+
+    const updated = await prisma.eventService.findUnique({
+      where: { event_service_id: id },
+      include: {
+        service: { select: { service_id: true, service_name: true } },
+        event: { select: { event_id: true, event_name: true } },
+      },
+    });
+    return createValidationResult(true, [], updated);
+  } catch (error) {
+    return handleError("respondToBooking", error);
+  }
+};
+
+// Let the provider know a booking is waiting for them
+export const notifyProviderOfBooking = async (serviceId, eventName) => {
+  const service = await prisma.service.findUnique({
+    where: { service_id: Number(serviceId) },
+    select: { service_name: true, provider_id: true },
+  });
+  if (!service?.provider_id) return;
+
+  await createNotification({
+    account_id: service.provider_id,
+    title: "New Booking Request",
+    message: `"${service.service_name}" was requested for event "${eventName}". Please accept or decline it.`,
+    type: "REMINDER",
+  });
+};
@@ -0,0 +1,735 @@
+import { PrismaClient } from "@prisma/client";
+import crypto from "crypto";
+import { createValidationResult, parseAndValidateId, validateEmail, validateString } from "../utils/validation.js";
+import { PERMISSIONS, hasPermission } from "../utils/permissions.js";
+import { hashToken } from "../utils/tokenAndCookies.js";
+import { sendMail, CLIENT_URL, escapeHtml } from "../utils/mailer.js";
+import { createNotification } from "../utils/notification.js";
+import { checkRoomAvailability } from "./room.service.js";
+import { checkVariationAvailability } from "./event_service.service.js";
+import { createEvent } from "./event.service.js";
+import { normaliseServiceItems } from "./eventTemplate.service.js";
+import { initialBookingStatus, notifyProviderOfBooking } from "./provider.service.js";
+
+const prisma = new PrismaClient();
+
+// How long a quote can be accepted when no valid_until is given
+export const QUOTE_VALIDITY_DAYS = Number(process.env.QUOTE_VALIDITY_DAYS) || 14;
+
+const QUOTE_STATUSES = ["DRAFT", "SENT", "ACCEPTED", "DECLINED", "EXPIRED", "SUPERSEDED"];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Sent, declined and expired quotes are revised into a new version; drafts are edited in place
+const REVISABLE_STATUSES = ["DRAFT", "SENT", "DECLINED", "EXPIRED"];
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase() || null;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const quoteInclude = {
+  lines: { orderBy: { sort_order: "asc" } },
+  room: { select: { room_id: true, room_name: true } },
+  event_type: { select: { type_id: true, type_name: true } },
+  account: { select: { account_id: true, account_name: true, email: true } },
+  creator: { select: { account_id: true, account_name: true } },
+};
+
+// A sent quote past its date is expired; stored lazily the first time someone looks at it
+const expireIfDue = async (quote) => {
+  if (quote.status !== "SENT" || quote.valid_until > new Date()) return quote;
+  await prisma.quote.updateMany({
+    where: { quote_id: quote.quote_id, status: "SENT" },
+    data: { status: "EXPIRED", token_hash: null },
+  });
+  return { ...quote, status: "EXPIRED" };
+};
+
+const canReadQuote = (quote, user) =>
+  hasPermission(user, PERMISSIONS.QUOTES_WRITE) || (quote.account_id === user.account_id && quote.status !== "DRAFT");
+
+// ===== Pricing =====
+/**
+ * Validate quote fields and price its lines: the room for the quoted window, booked services
+ * and flat fees. Fields missing from data are taken from the version being revised.
+ * @param {Object} data - event_name, description, start_time, end_time, room_id, event_type_id,
+ *   account_id, customer_email, notes, valid_until, room_price, services, fees
+ * @param {Object} [previous] - The quote being revised, with its lines
+ * @returns {Promise<Object>} { errors, quote, lines }
+ */
+const buildQuote = async (data, previous = null) => {
+  const pick = (field) => (data[field] === undefined ? previous?.[field] : data[field]);
+  const errors = [];
+
+  const eventName = pick("event_name");
+  errors.push(...validateString(eventName, "Event name", { required: true, maxLength: 1024 }).errors);
+
+  const start = new Date(pick("start_time"));
+  const end = new Date(pick("end_time"));
+  if (!pick("start_time") || !pick("end_time") || isNaN(start.getTime()) || isNaN(end.getTime())) {
+    errors.push("Valid start_time and end_time are required");
+  } else if (end <= start) {
+    errors.push("End time must be after start time");
+  }
+
+  const validUntil = data.valid_until
+    ? new Date(data.valid_until)
+    : previous && previous.valid_until > new Date()
+      ? previous.valid_until
+      : new Date(Date.now() + QUOTE_VALIDITY_DAYS * DAY_MS);
+  if (isNaN(validUntil.getTime()) || validUntil <= new Date()) errors.push("valid_until must be in the future");
+
+  const customerEmail = normalizeEmail(pick("customer_email"));
+  if (customerEmail) errors.push(...validateEmail(customerEmail, false).errors);
+
+  const roomId = parseAndValidateId(pick("room_id"), "Room ID");
+  if (!roomId) errors.push("Room ID is required");
+  const eventTypeId = pick("event_type_id") ? parseAndValidateId(pick("event_type_id"), "Event type ID") : null;
+  if (pick("event_type_id") && !eventTypeId) errors.push("Invalid Event type ID");
+  const accountId = pick("account_id") ? parseAndValidateId(pick("account_id"), "Account ID") : null;
+  if (pick("account_id") && !accountId) errors.push("Invalid Account ID");
+
+  const roomPrice = data.room_price === undefined || data.room_price === null ? null : Number(data.room_price);
+  if (roomPrice !== null && (isNaN(roomPrice) || roomPrice < 0)) errors.push("room_price must be a non-negative number");
+
+  // Lines not sent again are carried over from the previous version at their quoted price
+  const { errors: serviceErrors, services } = normaliseServiceItems(
+    data.services ??
+      (previous?.lines || [])
+        .filter((line) => line.item_type === "SERVICE")
+        .map((line) => ({
+          service_id: line.service_id,
+          variation_id: line.variation_id,
+          quantity: line.quantity,
+          custom_price: Number(line.unit_price),
+          notes: line.notes,
+        }))
+  );
+  errors.push(...serviceErrors);
+
+  const fees =
+    data.fees ??
+    (previous?.lines || [])
+      .filter((line) => line.item_type === "OTHER")
+      .map((line) => ({ description: line.description, amount: Number(line.unit_price), quantity: line.quantity }));
+  if (!Array.isArray(fees)) errors.push("fees must be an array");
+
+  if (errors.length) return { errors };
+
+  const [room, eventType, account] = await Promise.all([
+    prisma.room.findUnique({
+      where: { room_id: roomId },
+      select: { room_id: true, room_name: true, is_active: true, base_price: true, hourly_rate: true },
+    }),
+    eventTypeId ? prisma.eventType.findUnique({ where: { type_id: eventTypeId }, select: { is_active: true } }) : null,
+    accountId ? prisma.account.findUnique({ where: { account_id: accountId }, select: { email: true } }) : null,
+  ]);
+  if (!room || !room.is_active) errors.push("Room not found or inactive");
+  if (eventTypeId && !eventType?.is_active) errors.push("Event type not found or inactive");
+  if (accountId && !account) errors.push("Account not found");
+  if (errors.length) return { errors };
+
+  const durationHours = (end - start) / HOUR_MS;
+  const previousRoomLine = previous?.lines.find((line) => line.item_type === "ROOM");
+  const sameSlot =
+    previous &&
+    previous.room_id === roomId &&
+    previous.start_time.getTime() === start.getTime() &&
+    previous.end_time.getTime() === end.getTime();
+  const roomUnitPrice =
+    roomPrice ??
+    (sameSlot && previousRoomLine
+      ? Number(previousRoomLine.unit_price)
+      : Number(room.base_price || 0) + Number(room.hourly_rate || 0) * durationHours);
+
+  const lines = [
+    {
+      item_type: "ROOM",
+      description: `${room.room_name} (${Number(durationHours.toFixed(2))} h)`.slice(0, 255),
+      quantity: 1,
+      unit_price: roundMoney(roomUnitPrice),
+      subtotal: roundMoney(roomUnitPrice),
+    },
+  ];
+
+  for (const [index, item] of services.entries()) {
+    const service = await prisma.service.findUnique({
+      where: { service_id: item.service_id },
+      select: { service_name: true, is_active: true },
+    });
+    const variation = item.variation_id
+      ? await prisma.variation.findUnique({
+          where: { variation_id: item.variation_id },
+          select: { variation_name: true, base_price: true, is_active: true, service_id: true },
+        })
+      : null;
+    if (!service || !service.is_active) {
+      errors.push(`services[${index}]: service not found or inactive`);
+      continue;
+    }
+    if (item.variation_id && (!variation || !variation.is_active || variation.service_id !== item.service_id)) {
+      errors.push(`services[${index}]: variation not found, inactive, or does not belong to the service`);
+      continue;
+    }
+    const unitPrice = roundMoney(Number(item.custom_price ?? variation?.base_price ?? 0));
+    lines.push({
+      item_type: "SERVICE",
+      description: (variation ? `${service.service_name} - ${variation.variation_name}` : service.service_name).slice(0, 255),
+      quantity: item.quantity,
+      unit_price: unitPrice,
+      subtotal: roundMoney(unitPrice * item.quantity),
+      notes: item.notes,
+      service_id: item.service_id,
+      variation_id: item.variation_id,
+    });
+  }
+
+  fees.forEach((fee, index) => {
+    const amount = Number(fee?.amount);
+    const quantity = fee?.quantity === undefined ? 1 : Number(fee.quantity);
+    if (!fee?.description || typeof fee.description !== "string" || !fee.description.trim()) {
+      errors.push(`fees[${index}]: description is required`);
+    }
+    if (isNaN(amount) || amount < 0) errors.push(`fees[${index}]: amount must be a non-negative number`);
+    if (!Number.isInteger(quantity) || quantity < 1) errors.push(`fees[${index}]: quantity must be a positive integer`);
+    if (errors.length) return;
+    lines.push({
+      item_type: "OTHER",
+      description: fee.description.trim().slice(0, 255),
+      quantity,
+      unit_price: roundMoney(amount),
+      subtotal: roundMoney(amount * quantity),
+    });
+  });
+  if (errors.length) return { errors };
+
+  return {
+    errors,
+    quote: {
+      event_name: eventName.trim(),
+      description: pick("description")?.trim() || null,
+      start_time: start,
+      end_time: end,
+      room_id: roomId,
+      event_type_id: eventTypeId,
+      account_id: accountId,
+      customer_email: customerEmail,
+      notes: pick("notes")?.trim() || null,
+      valid_until: validUntil,
+      total_amount: roundMoney(lines.reduce((sum, line) => sum + line.subtotal, 0)),
+    },
+    lines: lines.map((line, index) => ({ ...line, sort_order: index })),
+  };
+};
+
+// ===== Staff: write and revise =====
+/**
+ * Draft a quote (quotes:write). Nothing is reserved until the customer accepts it.
+ * @param {Object} data - See buildQuote
+ * @param {Object} user - req.user
+ */
+export const createQuote = async (data, user) => {
+  try {
+    const { errors, quote, lines } = await buildQuote(data);
+    if (errors.length) return createValidationResult(false, errors);
+
+    const created = await prisma.quote.create({
+      data: {
+        ...quote,
+        quote_number: `QUO-${Date.now()}`,
+        created_by: user.account_id,
+        lines: { create: lines },
+      },
+      include: quoteInclude,
+    });
+    return createValidationResult(true, [], created);
+  } catch (error) {
+    return handleError("createQuote", error);
+  }
+};
+
+/**
+ * Change a quote (quotes:write). A draft is edited in place; a sent, declined or expired quote
+ * gets a new draft version and the old one is superseded, which voids its acceptance link.
+ * @param {number|string} quoteId
+ * @param {Object} data - Any of the createQuote fields; services and fees replace the current ones
+ * @param {Object} user - req.user
+ */
+export const reviseQuote = async (quoteId, data, user) => {
+  try {
+    const id = parseAndValidateId(quoteId, "Quote ID");
+    if (!id) return createValidationResult(false, ["Invalid Quote ID"]);
+
+    const current = await prisma.quote.findUnique({ where: { quote_id: id }, include: quoteInclude });
+    if (!current) return createValidationResult(false, ["Quote not found"]);
+    const { status } = await expireIfDue(current);
+    if (!REVISABLE_STATUSES.includes(status)) {
+      return createValidationResult(false, [
+        status === "SUPERSEDED" ? "Only the latest version of a quote can be revised" : "An accepted quote cannot be revised",
+      ]);
+    }
+
+    const { errors, quote, lines } = await buildQuote(data, current);
+    if (errors.length) return createValidationResult(false, errors);
+
+    const revised = await prisma.$transaction(async (tx) => {
+      if (status === "DRAFT") {
+        await tx.quoteLine.deleteMany({ where: { quote_id: id } });
+        return tx.quote.update({
+          where: { quote_id: id },
+          data: { ...quote, lines: { create: lines } },
+          include: quoteInclude,
+        });
+      }
+
+      // The customer may have accepted the sent version in the meantime
+      const superseded = await tx.quote.updateMany({
+        where: { quote_id: id, status: { in: REVISABLE_STATUSES } },
+        data: { status: "SUPERSEDED", token_hash: null },
+      });
+      if (superseded.count === 0) throw new Error("The quote changed while it was being revised; reload it and try again");
+      return tx.quote.create({
+        data: {
+          ...quote,
+          quote_number: current.quote_number,
+          version: current.version + 1,
+          created_by: user.account_id,
+          lines: { create: lines },
+        },
+        include: quoteInclude,
+      });
+    });
+
+    return createValidationResult(true, [], revised);
+  } catch (error) {
+    return handleError("reviseQuote", error);
+  }
+};
+
+/**
+ * Email the customer a link to review and accept a quote (quotes:write). Sending again
+ * issues a new link and voids the previous one.
+ * @param {number|string} quoteId
+ * @param {Object} data - Optional valid_until to extend the offer
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} Validation result with the quote and whether the email went out
+ */
+export const sendQuote = async (quoteId, data, user) => {
+  try {
+    const id = parseAndValidateId(quoteId, "Quote ID");
+    if (!id) return createValidationResult(false, ["Invalid Quote ID"]);
+
+    const quote = await prisma.quote.findUnique({ where: { quote_id: id }, include: quoteInclude });
+    if (!quote) return createValidationResult(false, ["Quote not found"]);
+    if (!["DRAFT", "SENT"].includes(quote.status)) {
+      return createValidationResult(false, [`A ${quote.status} quote cannot be sent; revise it first`]);
+    }
+
+    const validUntil = data.valid_until ? new Date(data.valid_until) : quote.valid_until;
+    if (isNaN(validUntil.getTime()) || validUntil <= new Date()) {
+      return createValidationResult(false, ["The quote has expired; pass a new valid_until or revise it"]);
+    }
+    const recipient = quote.customer_email || quote.account?.email;
+    if (!recipient) return createValidationResult(false, ["The quote has no customer email or account to send it to"]);
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const sent = await prisma.quote.update({
+      where: { quote_id: id },
+      data: { status: "SENT", sent_at: new Date(), valid_until: validUntil, token_hash: hashToken(token) },
+      include: quoteInclude,
+    });
+
+    const quoteLink = `${CLIENT_URL}/quotes/view?token=${encodeURIComponent(token)}`;
+    const total = Number(sent.total_amount).toFixed(2);
+    const expires = validUntil.toUTCString();
+    let emailSent = true;
+    try {
+      await sendMail({
+        to: recipient,
+        subject: `Your quote for "${sent.event_name}" (${sent.quote_number} v${sent.version})`,
+        text: `${user.account_name || "Our team"} prepared a quote for "${sent.event_name}" totalling ${total}. It can be accepted until ${expires}.\n\n${quoteLink}`,
+        html: `<p>${escapeHtml(user.account_name || "Our team")} prepared a quote for "<strong>${escapeHtml(sent.event_name)}</strong>" totalling <strong>${total}</strong>. It can be accepted until ${expires}.</p><p><a href="${quoteLink}">Review the quote</a></p>`,
+      });
+    } catch (mailError) {
+      console.error("Failed to send quote:", mailError);
+      emailSent = false;
+    }
+
+    if (sent.account_id) {
+      await createNotification({
+        account_id: sent.account_id,
+        title: "New Quote",
+        message: `You have a quote for "${sent.event_name}" totalling ${total}, valid until ${expires}.`,
+        type: "REMINDER",
+      });
+    }
+
+    const { token_hash, ...quoteData } = sent;
+    return createValidationResult(true, [], { ...quoteData, email_sent: emailSent });
+  } catch (error) {
+    return handleError("sendQuote", error);
+  }
+};
+
+// ===== Read =====
+/**
+ * Quotes visible to the caller: all of them with quotes:write, otherwise the caller's own
+ * @param {Object} user - req.user
+ * @param {Object} filters - status, account_id, search
+ */
+export const getQuotes = async (user, filters = {}) => {
+  try {
+    const where = {};
+    if (hasPermission(user, PERMISSIONS.QUOTES_WRITE)) {
+      if (filters.account_id) {
+        const accountId = parseAndValidateId(filters.account_id, "Account ID");
+        if (!accountId) return createValidationResult(false, ["Invalid Account ID"]);
+        where.account_id = accountId;
+      }
+    } else {
+      where.account_id = user.account_id;
+      where.status = { not: "DRAFT" };
+    }
+    if (filters.status) {
+      const status = String(filters.status).toUpperCase();
+      if (!QUOTE_STATUSES.includes(status)) {
+        return createValidationResult(false, [`status must be one of: ${QUOTE_STATUSES.join(", ")}`]);
+      }
+      where.status = status;
+    }
+    if (filters.search) {
+      where.OR = [
+        { event_name: { contains: String(filters.search), mode: "insensitive" } },
+        { quote_number: { contains: String(filters.search), mode: "insensitive" } },
+      ];
+    }
+
+    const quotes = await prisma.quote.findMany({
+      where,
+      select: {
+        quote_id: true,
+        quote_number: true,
+        version: true,
+        status: true,
+        event_name: true,
+        start_time: true,
+        end_time: true,
+        total_amount: true,
+        valid_until: true,
+        sent_at: true,
+        account_id: true,
+        event_id: true,
+        room: { select: { room_id: true, room_name: true } },
+      },
+      orderBy: { created_at: "desc" },
+    });
+    const current = await Promise.all(quotes.map(expireIfDue));
+    // A customer filtering for DRAFT must still not see drafts
+    return createValidationResult(
+      true,
+      [],
+      current.filter((quote) => canReadQuote(quote, user))
+    );
+  } catch (error) {
+    return handleError("getQuotes", error);
+  }
+};
+
+// One quote with its lines and the other versions under the same number
+export const getQuoteById = async (quoteId, user) => {
+  try {
+    const id = parseAndValidateId(quoteId, "Quote ID");
+    if (!id) return createValidationResult(false, ["Invalid Quote ID"]);
+
+    const found = await prisma.quote.findUnique({ where: { quote_id: id }, include: quoteInclude });
+    if (!found || !canReadQuote(found, user)) return createValidationResult(false, ["Quote not found"]);
+    const { token_hash, ...quote } = await expireIfDue(found);
+
+    const versions = await prisma.quote.findMany({
+      where: { quote_number: quote.quote_number },
+      select: { quote_id: true, version: true, status: true, total_amount: true, created_at: true },
+      orderBy: { version: "asc" },
+    });
+    return createValidationResult(true, [], { ...quote, versions });
+  } catch (error) {
+    return handleError("getQuoteById", error);
+  }
+};
+
+// ===== Customer: the shareable link =====
+const findOpenQuote = async (token) => {
+  if (!token) return { error: "Quote token is required" };
+
+  const found = await prisma.quote.findUnique({
+    where: { token_hash: hashToken(String(token)) },
+    include: quoteInclude,
+  });
+  if (!found) return { error: "Invalid or expired quote link" };
+  const quote = await expireIfDue(found);
+  if (quote.status !== "SENT") return { error: `This quote is ${quote.status.toLowerCase()}` };
+  return { quote };
+};
+
+const publicView = (quote) => ({
+  quote_number: quote.quote_number,
+  version: quote.version,
+  status: quote.status,
+  event_name: quote.event_name,
+  description: quote.description,
+  start_time: quote.start_time,
+  end_time: quote.end_time,
+  room_name: quote.room?.room_name ?? null,
+  event_type: quote.event_type?.type_name ?? null,
+  lines: quote.lines.map(({ item_type, description, quantity, unit_price, subtotal, notes }) => ({
+    item_type,
+    description,
+    quantity,
+    unit_price,
+    subtotal,
+    notes,
+  })),
+  total_amount: quote.total_amount,
+  notes: quote.notes,
+  valid_until: quote.valid_until,
+  sent_at: quote.sent_at,
+});
+
+// Links may be forwarded, so only the quoted account (or the address it was sent to) may answer
+const isRecipient = (quote, user) =>
+  quote.account_id
+    ? quote.account_id === user.account_id
+    : !quote.customer_email || normalizeEmail(user.email) === quote.customer_email;
+
+export const getQuoteByToken = async (token) => {
+  try {
+    const { quote, error } = await findOpenQuote(token);
+    if (error) return createValidationResult(false, [error]);
+    return createValidationResult(true, [], publicView(quote));
+  } catch (error) {
+    return handleError("getQuoteByToken", error);
+  }
+};
+
+const notifyQuoteAuthor = async (quote, title, message) => {
+  if (!quote.created_by) return;
+  await createNotification({ account_id: quote.created_by, title, message, type: "CONFIRMATION" });
+};
+
+/**
+ * Book a quote as quoted. Runs inside the accept transaction: the room and every service are
+ * checked first, then the quote is claimed so only one acceptance can win, then the event,
+ * its services and the invoice are written. Any failure after the claim rolls everything back.
+ */
+const bookQuote = async (tx, quote, user) => {
+  if (!quote.room_id) return createValidationResult(false, ["The quoted room no longer exists"]);
+
+  const start = quote.start_time;
+  const end = quote.end_time;
+  const durationHours = (end - start) / HOUR_MS;
+
+  const ownerId = quote.account_id ?? user.account_id;
+  const room = await checkRoomAvailability(quote.room_id, start, end, durationHours, null, tx, {
+    waitlistAccountId: ownerId,
+  });
+  if (!room.isValid) return createValidationResult(false, room.errors);
+  if (!room.data.isAvailable) {
+    return createValidationResult(false, [room.data.reason], {
+      room_conflicts: room.data.conflicts,
+      service_conflicts: [],
+    });
+  }
+
+  const serviceLines = quote.lines.filter((line) => line.item_type === "SERVICE");
+  const services = new Map();
+  const serviceConflicts = [];
+  for (const line of serviceLines) {
+    const service = line.service_id
+      ? await tx.service.findUnique({
+          where: { service_id: line.service_id },
+          select: { service_id: true, is_active: true, provider_id: true },
+        })
+      : null;
+    let reason = null;
+    if (!service || !service.is_active) {
+      reason = "Service no longer available";
+    } else if (line.variation_id) {
+      const check = await checkVariationAvailability(line.variation_id, start, durationHours, tx, null, {
+        waitlistAccountId: ownerId,
+      });
+      if (!check.isValid) reason = check.errors[0];
+    }
+    if (reason) {
+      serviceConflicts.push({ line_id: line.line_id, service_id: line.service_id, variation_id: line.variation_id, description: line.description, reason });
+    } else {
+      services.set(line.line_id, service);
+    }
+  }
+  if (serviceConflicts.length) {
+    return createValidationResult(
+      false,
+      [`${serviceConflicts.length} quoted service(s) are not available at the quoted time`],
+      { room_conflicts: [], service_conflicts: serviceConflicts }
+    );
+  }
+
+  const claimed = await tx.quote.updateMany({
+    where: { quote_id: quote.quote_id, status: "SENT" },
+    data: { status: "ACCEPTED", responded_at: new Date(), account_id: ownerId, token_hash: null },
+  });
+  if (claimed.count === 0) return createValidationResult(false, ["This quote is no longer open"]);
+
+  const created = await createEvent(
+    {
+      event_name: quote.event_name,
+      description: quote.description,
+      start_time: start.toISOString(),
+      end_time: end.toISOString(),
+      account_id: ownerId,
+      room_id: quote.room_id,
+      event_type_id: quote.event_type_id,
+    },
+    tx,
+    user,
+    { issueInvoice: false }
+  );
+  // Throwing rolls the claim back as well
+  if (!created.isValid) throw new Error(created.errors[0]);
+  const eventId = created.data.event_id;
+
+  for (const line of serviceLines) {
+    await tx.eventService.create({
+      data: {
+        event_id: eventId,
+        service_id: line.service_id,
+        variation_id: line.variation_id,
+        quantity: line.quantity,
+        custom_price: line.unit_price,
+        notes: line.notes,
+        status: initialBookingStatus(services.get(line.line_id)),
+        scheduled_time: start,
+        duration_hours: Math.ceil(durationHours),
+      },
+    });
+  }
+
+  // The invoice bills exactly the quoted lines
+  let invoice = null;
+  if (Number(quote.total_amount) > 0) {
+    invoice = await tx.invoice.create({
+      data: {
+        invoice_number: `INV-${Date.now()}`,
+        total_amount: quote.total_amount,
+        event_id: eventId,
+        account_id: ownerId,
+        status: "PENDING",
+        notes: `Quote ${quote.quote_number} v${quote.version}`,
+        issue_date: new Date(),
+        due_date: new Date(Date.now() + 7 * DAY_MS),
+        details: {
+          create: quote.lines.map((line) => ({
+            item_name: line.description,
+            quantity: line.quantity,
+            unit_price: line.unit_price,
+            subtotal: line.subtotal,
+            item_type: line.item_type,
+            service_id: line.service_id,
+            variation_id: line.variation_id,
+            event_id: eventId,
+          })),
+        },
+      },
+      select: { invoice_id: true, invoice_number: true, total_amount: true, status: true, due_date: true },
+    });
+  }
+
+  await tx.quote.update({ where: { quote_id: quote.quote_id }, data: { event_id: eventId } });
+  const event = await tx.event.update({
+    where: { event_id: eventId },
+    data: { estimated_cost: quote.total_amount },
+    include: {
+      room: { select: { room_id: true, room_name: true } },
+      event_type: { select: { type_id: true, type_name: true } },
+      event_services: {
+        select: { event_service_id: true, service_id: true, variation_id: true, quantity: true, status: true },
+      },
+    },
+  });
+
+  return createValidationResult(true, [], {
+    event,
+    invoice,
+    providerServiceIds: serviceLines
+      .filter((line) => services.get(line.line_id).provider_id)
+      .map((line) => line.service_id),
+  });
+};
+
+/**
+ * Accept a quote from its link. Availability is checked and the event, its services and
+ * the invoice are created in one transaction, at the quoted prices.
+ * @param {string} token - From the emailed link
+ * @param {Object} user - req.user; becomes the event owner when the quote names no account
+ * @returns {Promise<Object>} Validation result with the event and invoice.
+ *   On conflicts, data holds room_conflicts and service_conflicts.
+ */
+export const acceptQuote = async (token, user) => {
+  try {
+    const { quote, error } = await findOpenQuote(token);
+    if (error) return createValidationResult(false, [error]);
+    if (!isRecipient(quote, user)) {
+      return createValidationResult(false, ["This quote was sent to a different customer"]);
+    }
+
+    const result = await prisma.$transaction((tx) => bookQuote(tx, quote, user));
+    if (!result.isValid) return result;
+
+    const { providerServiceIds, ...booking } = result.data;
+    for (const serviceId of providerServiceIds) {
+      await notifyProviderOfBooking(serviceId, booking.event.event_name);
+    }
+    await notifyQuoteAuthor(
+      quote,
+      "Quote Accepted",
+      `${user.account_name} accepted quote ${quote.quote_number} v${quote.version} for "${quote.event_name}" (event #${booking.event.event_id}).`
+    );
+
+    return createValidationResult(true, [], booking);
+  } catch (error) {
+    return handleError("acceptQuote", error);
+  }
+};
+
+export const declineQuote = async (token, user, reason) => {
+  try {
+    const { quote, error } = await findOpenQuote(token);
+    if (error) return createValidationResult(false, [error]);
+    if (!isRecipient(quote, user)) {
+      return createValidationResult(false, ["This quote was sent to a different customer"]);
+    }
+
+    const declined = await prisma.quote.update({
+      where: { quote_id: quote.quote_id },
+      data: {
+        status: "DECLINED",
+        responded_at: new Date(),
+        decline_reason: reason ? String(reason).trim() || null : null,
+        token_hash: null,
+      },
+      include: quoteInclude,
+    });
+    await notifyQuoteAuthor(
+      quote,
+      "Quote Declined",
+      `${user.account_name} declined quote ${quote.quote_number} v${quote.version} for "${quote.event_name}".${declined.decline_reason ? ` Reason: ${declined.decline_reason}` : ""}`
+    );
+
+    const { token_hash, ...quoteData } = declined;
+    return createValidationResult(true, [], publicView(quoteData));
+  } catch (error) {
+    return handleError("declineQuote", error);
+  }
+};
@@ -17,6 +17,10 @@ export async function createRoom(data, imageFiles = []) {
       data.base_price = Number(data.base_price);
     if (data.hourly_rate !== undefined)
       data.hourly_rate = Number(data.hourly_rate);
+    if (data.setup_buffer_minutes !== undefined)
+      data.setup_buffer_minutes = Number(data.setup_buffer_minutes);
+    if (data.teardown_buffer_minutes !== undefined)
+      data.teardown_buffer_minutes = Number(data.teardown_buffer_minutes);
     if (data.is_active !== undefined)
       data.is_active = data.is_active === 'true' || data.is_active === true;
 
@@ -174,6 +178,10 @@ export async function updateRoom(
       data.base_price = Number(data.base_price);
     if (data.hourly_rate !== undefined)
       data.hourly_rate = Number(data.hourly_rate);
+    if (data.setup_buffer_minutes !== undefined)
+      data.setup_buffer_minutes = Number(data.setup_buffer_minutes);
+    if (data.teardown_buffer_minutes !== undefined)
+      data.teardown_buffer_minutes = Number(data.teardown_buffer_minutes);
     if (data.is_active !== undefined)
       data.is_active = data.is_active === 'true' || data.is_active === true;
 
@@ -262,43 +270,163 @@ export async function restoreRoom(room_id) {
 }
 
 // CHECK ROOM AVAILABILITY
+// PENDING events hold the room until they are confirmed or cancelled unless disabled here
+const COUNT_PENDING_AS_HOLD = process.env.ROOM_PENDING_HOLDS !== 'false';
+// A RESCHEDULED event keeps its new slot while it waits to be reconfirmed. One moved before it
+// was paid still runs on its hold (hold_expires_at is set), so it only holds the room like PENDING.
+const BLOCKING_STATUSES = ['CONFIRMED', 'IN_PROGRESS'];
+const blockingEvents = (includePendingHolds) =>
+  includePendingHolds
+    ? { status: { in: [...BLOCKING_STATUSES, 'RESCHEDULED', 'PENDING'] } }
+    : { OR: [{ status: { in: BLOCKING_STATUSES } }, { status: 'RESCHEDULED', hold_expires_at: null }] };
+const isHold = (event) => event.status === 'PENDING' || (event.status === 'RESCHEDULED' && event.hold_expires_at !== null);
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Check a room for events overlapping a time range. Each event occupies the room from
+ * its start minus the setup buffer until its end plus the teardown buffer, so two
+ * bookings need at least setup + teardown minutes between them.
+ * @param {number|string} room_id
+ * @param {Date|string} start_time
+ * @param {Date|string|null} end_time - Falls back to start_time + duration_hours
+ * @param {number|null} duration_hours
+ * @param {number|null} exclude_event_id - Event being moved, so it does not clash with itself
+ * @param {Object} tx - Prisma client or transaction
+ * @param {Object} options - includePendingHolds, setupBufferMinutes, teardownBufferMinutes
+ *   (buffers default to the room's own settings), waitlistAccountId (that account's own waitlist
+ *   offers do not block it)
+ * @returns {Promise<Object>} { isAvailable, reason, conflicts, window }
+ */
 export async function checkRoomAvailability(
   room_id,
   start_time,
   end_time,
-  duration_hours
+  duration_hours,
+  exclude_event_id = null,
+  tx = prisma,
+  options = {}
 ) {
   try {
     const roomIdNum = Number(room_id);
-    validateNumber(room_id);
-    if (!start_time || !end_time) {
+    if (!Number.isInteger(roomIdNum) || roomIdNum <= 0) {
+      return { isValid: false, data: null, errors: ['Invalid room ID'] };
+    }
+
+    const start = start_time ? new Date(start_time) : null;
+    let end = end_time ? new Date(end_time) : null;
+    if (!end && start && Number(duration_hours) > 0) {
+      end = new Date(start.getTime() + Number(duration_hours) * 3600 * 1000);
+    }
+    if (!start || !end) {
       return {
         isValid: false,
         data: null,
-        errors: ['start_time and end_time are required'],
+        errors: ['start_time and end_time (or duration_hours) are required'],
       };
     }
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return { isValid: false, data: null, errors: ['Invalid start_time or end_time'] };
+    }
+    if (end <= start) {
+      return { isValid: false, data: null, errors: ['End time must be after start time'] };
+    }
+
+    const room = await tx.room.findUnique({
+      where: { room_id: roomIdNum },
+      select: { room_id: true, setup_buffer_minutes: true, teardown_buffer_minutes: true },
+    });
+    if (!room) {
+      return { isValid: false, data: null, errors: ['Room not found'] };
+    }
+
+    const setupMinutes = Number(options.setupBufferMinutes ?? room.setup_buffer_minutes) || 0;
+    const teardownMinutes = Number(options.teardownBufferMinutes ?? room.teardown_buffer_minutes) || 0;
+    const includePendingHolds = options.includePendingHolds ?? COUNT_PENDING_AS_HOLD;
+    const setupMs = setupMinutes * MINUTE_MS;
+    const teardownMs = teardownMinutes * MINUTE_MS;
+
+    const windowStart = new Date(start.getTime() - setupMs);
+    const windowEnd = new Date(end.getTime() + teardownMs);
 
-    const conflicting = await prisma.event.findFirst({
+    // Narrow in SQL, then apply the buffered overlap test below
+    const candidates = await tx.event.findMany({
       where: {
-        room_id: Number(room_id),
-        status: { in: ['CONFIRMED', 'IN_PROGRESS'] },
-        // OR: [
-        //   {
-        //     start_time: {
-        //       lt: new Date(end_time),
-        //     },
-        //     end_time: {
-        //       gt: new Date(start_time),
-        //     },
-        //   },
-        // ],
+        room_id: roomIdNum,
+        start_time: { lt: new Date(windowEnd.getTime() + setupMs) },
+        AND: [
+          blockingEvents(includePendingHolds),
+          { OR: [{ end_time: { gt: new Date(windowStart.getTime() - teardownMs) } }, { end_time: null }] },
+        ],
+        ...(exclude_event_id ? { NOT: { event_id: Number(exclude_event_id) } } : {}),
       },
+      select: { event_id: true, status: true, start_time: true, end_time: true, hold_expires_at: true },
+      orderBy: { start_time: 'asc' },
     });
 
+    // A slot offered to someone on the waitlist is held for them until the offer runs out
+    const offers = includePendingHolds
+      ? await tx.waitlistEntry.findMany({
+          where: {
+            room_id: roomIdNum,
+            status: 'OFFERED',
+            offer_expires_at: { gt: new Date() },
+            start_time: { lt: new Date(windowEnd.getTime() + setupMs) },
+            end_time: { gt: new Date(windowStart.getTime() - teardownMs) },
+            ...(options.waitlistAccountId ? { NOT: { account_id: Number(options.waitlistAccountId) } } : {}),
+          },
+          select: { entry_id: true, start_time: true, end_time: true },
+        })
+      : [];
+
+    const overlapsWindow = (slot) => {
+      const busyStart = slot.start_time.getTime() - setupMs;
+      const busyEnd = (slot.end_time || slot.start_time).getTime() + teardownMs;
+      return busyStart < windowEnd.getTime() && windowStart.getTime() < busyEnd;
+    };
+    const conflicts = [
+      ...candidates.filter(overlapsWindow).map((event) => ({
+        event_id: event.event_id,
+        status: event.status,
+        start_time: event.start_time,
+        end_time: event.end_time,
+        is_hold: isHold(event),
+      })),
+      ...offers.filter(overlapsWindow).map((offer) => ({
+        event_id: null,
+        waitlist_entry_id: offer.entry_id,
+        status: 'OFFERED',
+        start_time: offer.start_time,
+        end_time: offer.end_time,
+        is_hold: true,
+      })),
+    ];
+
+    let reason = null;
+    if (conflicts.length > 0) {
+      const [first] = conflicts;
+      reason =
+        `Room is not available: it is ${first.is_hold ? 'held' : 'booked'} from ` +
+        `${first.start_time.toISOString()} to ${(first.end_time || first.start_time).toISOString()}` +
+        (conflicts.length > 1 ? ` (and ${conflicts.length - 1} more conflicting event(s))` : '') +
+        (setupMinutes || teardownMinutes
+          ? `, including ${setupMinutes} min setup and ${teardownMinutes} min teardown`
+          : '');
+    }
+
     return {
       isValid: true,
-      data: { isAvailable: !conflicting, reason: 'Conflict' },
+      data: {
+        isAvailable: conflicts.length === 0,
+        reason,
+        conflicts,
+        window: {
+          start_time: start,
+          end_time: end,
+          setup_buffer_minutes: setupMinutes,
+          teardown_buffer_minutes: teardownMinutes,
+          include_pending_holds: includePendingHolds,
+        },
+      },
       errors: [],
     };
   } catch (error) {
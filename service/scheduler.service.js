@@ -0,0 +1,93 @@
+import { createValidationResult } from '../utils/validation.js';
+import { releaseExpiredHolds } from './eventHold.service.js';
+import { expireWaitlistOffers } from './waitlist.service.js';
+import { advanceEventStatuses } from './eventProgression.service.js';
+
+// How often each background job runs
+export const JOB_INTERVAL_MS = (Number(process.env.JOB_INTERVAL_MINUTES) || 5) * 60 * 1000;
+
+// Every job takes the current time, so it can be run against a fake clock
+const JOBS = {
+  'advance-event-statuses': {
+    description: 'Start and complete events by their times, flag overdue PENDING and RESCHEDULED events and follow up completed ones',
+    run: advanceEventStatuses,
+  },
+  'release-holds': {
+    description: 'Cancel unpaid PENDING events whose hold has expired and release their rooms',
+    run: releaseExpiredHolds,
+  },
+  'expire-waitlist-offers': {
+    description: 'Lapse unclaimed waitlist offers and pass the slots on',
+    run: expireWaitlistOffers,
+  },
+};
+
+// A job still running from the last tick is not started again
+const running = new Set();
+// Outcome of each job's latest run in this process
+const lastRuns = new Map();
+
+export const getJobNames = () => Object.keys(JOBS);
+
+export const getJobs = () =>
+  getJobNames().map((name) => ({
+    name,
+    description: JOBS[name].description,
+    running: running.has(name),
+    last_run: lastRuns.get(name) || null,
+  }));
+
+/**
+ * Run one job now
+ * @param {string} name - Key of JOBS
+ * @param {Date} [now] - The time the job should act as of
+ * @returns {Promise<Object>} Validation result with the job's own result data
+ */
+export const runJob = async (name, now = new Date()) => {
+  const job = JOBS[name];
+  if (!job) return createValidationResult(false, [`Unknown job: ${name}`]);
+  if (running.has(name)) return createValidationResult(false, [`Job ${name} is already running`]);
+
+  running.add(name);
+  const startedAt = new Date();
+  let result;
+  try {
+    result = await job.run(now);
+  } catch (error) {
+    console.error(`Error in job ${name}:`, error);
+    result = createValidationResult(false, [error.message]);
+  } finally {
+    running.delete(name);
+  }
+
+  lastRuns.set(name, {
+    started_at: startedAt,
+    as_of: now,
+    duration_ms: Date.now() - startedAt.getTime(),
+    succeeded: result.isValid,
+    errors: result.errors,
+  });
+  if (!result.isValid) return result;
+  return createValidationResult(true, [], { job: name, ...lastRuns.get(name), result: result.data });
+};
+
+/**
+ * Run every job on a timer until the returned stop function is called
+ * @param {Object} [options]
+ * @param {Function} [options.clock] - Returns the current Date; swap in a fake clock for tests
+ * @param {number} [options.intervalMs]
+ * @returns {Function} Stops the timers
+ */
+export const startScheduler = ({ clock = () => new Date(), intervalMs = JOB_INTERVAL_MS } = {}) => {
+  const tick = async () => {
+    for (const name of getJobNames()) {
+      const result = await runJob(name, clock());
+      if (!result.isValid) console.error(`Job ${name} failed:`, result.errors);
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  // Do not keep the process alive just for the jobs
+  timer.unref?.();
+  return () => clearInterval(timer);
+};
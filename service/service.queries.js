@@ -13,8 +13,24 @@ import { getServiceTypeByName } from "./serviceType.service.js";
 
 const prisma = new PrismaClient();
 
-export const createServiceQuery = async (serviceData, imageFiles) => {
+// Services can only be assigned to PROVIDER accounts
+const validateProvider = async (providerId) => {
+  if (providerId === null || providerId === undefined) return null;
+  const provider = await prisma.account.findUnique({
+    where: { account_id: Number(providerId) },
+    select: { role: true, is_active: true },
+  });
+  if (!provider || provider.role !== "PROVIDER" || !provider.is_active) {
+    return "Provider not found or not an active PROVIDER account.";
+  }
+  return null;
+};
+
+export const createServiceQuery = async (serviceData, imageFiles, providerId = null) => {
   try {
+    const providerError = await validateProvider(providerId);
+    if (providerError) return createValidationResult(false, [providerError]);
+
     const {
       service_name,
       description,
@@ -52,6 +68,9 @@ export const createServiceQuery = async (serviceData, imageFiles) => {
           service_type: service_type_id
             ? { connect: { service_type_id: Number(service_type_id) } }
             : undefined,
+          provider: providerId
+            ? { connect: { account_id: Number(providerId) } }
+            : undefined,
           images: imagesData.length > 0 ? { create: imagesData } : undefined,
         },
         include: {
@@ -371,7 +390,7 @@ export const getServiceByIdQuery = async (serviceId, options) => {
   }
 };
 
-export const updateServiceQuery = async (serviceId, updateData, imageFile) => {
+export const updateServiceQuery = async (serviceId, updateData, imageFile, providerId) => {
   try {
     const validServiceId = parseAndValidateId(serviceId, "Service ID");
     if (!validServiceId)
@@ -420,6 +439,11 @@ export const updateServiceQuery = async (serviceId, updateData, imageFile) => {
     if (is_active !== undefined) updateFields.is_active = Boolean(is_active);
     if (service_type_id !== undefined)
       updateFields.service_type_id = Number(service_type_id) || null;
+    if (providerId !== undefined) {
+      const providerError = await validateProvider(providerId);
+      if (providerError) return createValidationResult(false, [providerError]);
+      updateFields.provider_id = providerId ? Number(providerId) : null;
+    }
 
     // Handle image update
     if (imageUrl) {
@@ -0,0 +1,245 @@
+import { PrismaClient } from "@prisma/client";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { hashToken } from "../utils/tokenAndCookies.js";
+import { createNotification } from "../utils/notification.js";
+
+const prisma = new PrismaClient();
+const JWT_SECRET = process.env.JWT_SECRET;
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return { isValid: false, errors: [error.message] };
+};
+
+const sessionSelect = {
+  session_id: true,
+  device_name: true,
+  user_agent: true,
+  ip_address: true,
+  created_at: true,
+  last_used_at: true,
+  expires_at: true,
+  revoked_at: true,
+  revoked_reason: true,
+  two_factor_verified: true,
+  account_id: true,
+};
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const refreshTokenExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+export const signAccessToken = (account, sessionId) => {
+  return jwt.sign(
+    {
+      account_id: account.account_id,
+      role: account.role,
+      email: account.email,
+      sid: sessionId,
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// ===== Create Session (one per device login) =====
+export const createSession = async (account, deviceInfo = {}, { twoFactorVerified = false } = {}, tx = prisma) => {
+  const refreshToken = generateRefreshToken();
+  const expiresAt = refreshTokenExpiry();
+
+  const session = await tx.accountSession.create({
+    data: {
+      account_id: account.account_id,
+      device_name: deviceInfo.device_name?.slice(0, 255) || null,
+      user_agent: deviceInfo.user_agent?.slice(0, 512) || null,
+      ip_address: deviceInfo.ip_address || null,
+      expires_at: expiresAt,
+      two_factor_verified: twoFactorVerified,
+      refresh_tokens: {
+        create: { token_hash: hashToken(refreshToken), expires_at: expiresAt },
+      },
+    },
+    select: sessionSelect,
+  });
+
+  return {
+    session,
+    accessToken: signAccessToken(account, session.session_id),
+    refreshToken,
+  };
+};
+
+// ===== Get Active Session =====
+export const getActiveSession = async (sessionId, accountId) => {
+  if (!sessionId) return null;
+  return prisma.accountSession.findFirst({
+    where: {
+      session_id: Number(sessionId),
+      account_id: accountId,
+      revoked_at: null,
+      expires_at: { gt: new Date() },
+    },
+    select: sessionSelect,
+  });
+};
+
+// ===== Rotate Refresh Token =====
+export const rotateRefreshToken = async (refreshToken, deviceInfo = {}) => {
+  try {
+    if (!refreshToken) {
+      return { isValid: false, errors: ["Refresh token is required."] };
+    }
+
+    const stored = await prisma.refreshToken.findUnique({
+      where: { token_hash: hashToken(refreshToken) },
+      include: {
+        session: {
+          include: {
+            account: {
+              select: { account_id: true, role: true, email: true, is_active: true },
+            },
+          },
+        },
+      },
+    });
+
+    if (!stored) {
+      return { isValid: false, errors: ["Invalid refresh token."] };
+    }
+
+    const { session } = stored;
+
+    // A rotated token being presented again means it was copied: kill the whole session
+    if (stored.used_at) {
+      if (!session.revoked_at) {
+        await revokeSession(session.session_id, "REFRESH_TOKEN_REUSE");
+        await createNotification({
+          account_id: session.account_id,
+          title: "Suspicious Sign-in Activity",
+          message: "A previously used refresh token was presented again. The affected session has been signed out.",
+          type: "REMINDER",
+        });
+      }
+      return { isValid: false, errors: ["Refresh token reuse detected. Session revoked."] };
+    }
+
+    if (
+      session.revoked_at ||
+      session.expires_at <= new Date() ||
+      stored.expires_at <= new Date() ||
+      !session.account.is_active
+    ) {
+      return { isValid: false, errors: ["Session expired or revoked."] };
+    }
+
+    const nextRefreshToken = generateRefreshToken();
+    const expiresAt = refreshTokenExpiry();
+
+    const rotated = await prisma.$transaction(async (tx) => {
+      // Claim the presented token; a concurrent refresh loses the race
+      const claimed = await tx.refreshToken.updateMany({
+        where: { refresh_token_id: stored.refresh_token_id, used_at: null },
+        data: { used_at: new Date() },
+      });
+      if (claimed.count !== 1) return false;
+
+      await tx.refreshToken.create({
+        data: {
+          session_id: session.session_id,
+          token_hash: hashToken(nextRefreshToken),
+          expires_at: expiresAt,
+        },
+      });
+      await tx.accountSession.update({
+        where: { session_id: session.session_id },
+        data: {
+          last_used_at: new Date(),
+          expires_at: expiresAt,
+          ip_address: deviceInfo.ip_address || session.ip_address,
+          user_agent: deviceInfo.user_agent?.slice(0, 512) || session.user_agent,
+        },
+      });
+      return true;
+    });
+
+    if (!rotated) {
+      return { isValid: false, errors: ["Refresh token already used."] };
+    }
+
+    return {
+      isValid: true,
+      data: { session_id: session.session_id },
+      token: signAccessToken(session.account, session.session_id),
+      refreshToken: nextRefreshToken,
+    };
+  } catch (error) {
+    return handleError("rotateRefreshToken", error);
+  }
+};
+
+// ===== List Sessions =====
+export const getSessionsByAccount = async (accountId, includeRevoked = false) => {
+  try {
+    const where = { account_id: accountId };
+    if (!includeRevoked) {
+      where.revoked_at = null;
+      where.expires_at = { gt: new Date() };
+    }
+
+    const sessions = await prisma.accountSession.findMany({
+      where,
+      select: sessionSelect,
+      orderBy: { last_used_at: "desc" },
+    });
+
+    return { isValid: true, data: sessions };
+  } catch (error) {
+    return handleError("getSessionsByAccount", error);
+  }
+};
+
+export const getSessionById = async (sessionId) => {
+  try {
+    const session = await prisma.accountSession.findUnique({
+      where: { session_id: Number(sessionId) },
+      select: sessionSelect,
+    });
+    if (!session) return { isValid: false, errors: ["Session not found."] };
+    return { isValid: true, data: session };
+  } catch (error) {
+    return handleError("getSessionById", error);
+  }
+};
+
+// ===== Revoke Session(s) =====
+export const revokeSession = async (sessionId, reason = "LOGOUT") => {
+  try {
+    const revoked = await prisma.accountSession.updateMany({
+      where: { session_id: Number(sessionId), revoked_at: null },
+      data: { revoked_at: new Date(), revoked_reason: reason },
+    });
+    return { isValid: true, data: { revokedCount: revoked.count } };
+  } catch (error) {
+    return handleError("revokeSession", error);
+  }
+};
+
+export const revokeAllSessions = async (accountId, reason = "LOGOUT_ALL", exceptSessionId = null, tx = prisma) => {
+  try {
+    const where = { account_id: accountId, revoked_at: null };
+    if (exceptSessionId) where.session_id = { not: Number(exceptSessionId) };
+
+    const revoked = await tx.accountSession.updateMany({
+      where,
+      data: { revoked_at: new Date(), revoked_reason: reason },
+    });
+    return { isValid: true, data: { revokedCount: revoked.count } };
+  } catch (error) {
+    return handleError("revokeAllSessions", error);
+  }
+};
@@ -0,0 +1,606 @@
+import { PrismaClient } from "@prisma/client";
+import { createValidationResult, parseAndValidateId } from "../utils/validation.js";
+import { createNotification } from "../utils/notification.js";
+import { PERMISSIONS, hasPermission } from "../utils/permissions.js";
+import { canAccessEvent } from "./collaborator.service.js";
+
+const prisma = new PrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const DAY_MS = DAY_MINUTES * MINUTE_MS;
+// Events staff are no longer needed for
+const CLOSED_EVENT_STATUSES = ["CANCELLED", "COMPLETED"];
+const INACTIVE_BOOKING_STATUSES = ["CANCELLED", "DECLINED"];
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+// Schedules and rosters look this far ahead unless asked otherwise
+const DEFAULT_RANGE_DAYS = 30;
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const staffSelect = { account_id: true, account_name: true, email: true };
+
+const assignmentInclude = {
+  staff: { select: staffSelect },
+  event: {
+    select: {
+      event_id: true,
+      event_name: true,
+      status: true,
+      start_time: true,
+      end_time: true,
+      room: { select: { room_id: true, room_name: true } },
+    },
+  },
+  event_service: {
+    select: {
+      event_service_id: true,
+      status: true,
+      scheduled_time: true,
+      duration_hours: true,
+      service: { select: { service_id: true, service_name: true } },
+      variation: { select: { variation_name: true } },
+    },
+  },
+};
+
+const formatSlot = (start, end) => `${start.toISOString()} - ${end.toISOString()}`;
+
+const describeAssignment = (assignment) =>
+  [
+    `"${assignment.event.event_name}"`,
+    assignment.event_service ? `(${assignment.event_service.service.service_name})` : null,
+    assignment.role ? `as ${assignment.role}` : null,
+    formatSlot(assignment.start_time, assignment.end_time),
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+const notifyStaff = (staffId, title, message, type = "REMINDER", tx = prisma) =>
+  createNotification({ account_id: staffId, title, message, type }, tx);
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return value && !isNaN(date.getTime()) ? date : null;
+};
+
+// from/to query parameters; defaults to the coming DEFAULT_RANGE_DAYS from the start of today (UTC)
+const parseRange = (query = {}) => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  const from = query.from ? parseDate(query.from) : today;
+  const to = query.to ? parseDate(query.to) : new Date((from || today).getTime() + DEFAULT_RANGE_DAYS * DAY_MS);
+  if (!from || !to) return { error: "from and to must be valid dates" };
+  if (to <= from) return { error: "to must be after from" };
+  return { from, to };
+};
+
+// ===== Availability =====
+// "HH:MM" to minutes from midnight; "24:00" is allowed as an end
+const parseClock = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? ""));
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= DAY_MINUTES ? minutes : null;
+};
+
+const formatClock = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+const formatWindow = (window) => ({
+  availability_id: window.availability_id,
+  weekday: window.weekday,
+  day: WEEKDAYS[window.weekday],
+  start: formatClock(window.start_minute),
+  end: formatClock(window.end_minute),
+});
+
+/**
+ * The parts of [start, end) not covered by a staff member's weekly hours, walked one UTC day at a time
+ * @param {Array} windows - StaffAvailability rows
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+const uncoveredSpans = (windows, start, end) => {
+  const spans = [];
+  const addSpan = (from, to) => {
+    const last = spans[spans.length - 1];
+    if (last && last.end.getTime() === from.getTime()) last.end = to;
+    else spans.push({ start: from, end: to });
+  };
+
+  for (let dayStart = Math.floor(start.getTime() / DAY_MS) * DAY_MS; dayStart < end.getTime(); dayStart += DAY_MS) {
+    const weekday = new Date(dayStart).getUTCDay();
+    let cursor = Math.max(0, (start.getTime() - dayStart) / MINUTE_MS);
+    const stop = Math.min(DAY_MINUTES, (end.getTime() - dayStart) / MINUTE_MS);
+
+    const day = windows
+      .filter((window) => window.weekday === weekday)
+      .sort((a, b) => a.start_minute - b.start_minute);
+    for (const window of day) {
+      if (cursor >= stop) break;
+      if (window.end_minute <= cursor) continue;
+      if (window.start_minute > cursor) {
+        addSpan(new Date(dayStart + cursor * MINUTE_MS), new Date(dayStart + Math.min(window.start_minute, stop) * MINUTE_MS));
+      }
+      cursor = Math.max(cursor, window.end_minute);
+    }
+    if (cursor < stop) addSpan(new Date(dayStart + cursor * MINUTE_MS), new Date(dayStart + stop * MINUTE_MS));
+  }
+  return spans;
+};
+
+/**
+ * Everything that stops a staff member working [start, end): their other assignments on open events,
+ * their time off, and hours outside their declared weekly availability (when they have declared any)
+ * @param {number} staffId
+ * @param {Date} start
+ * @param {Date} end
+ * @param {number|null} excludeAssignmentId - The assignment being edited
+ * @returns {Promise<Array>} Conflicts, each with a type
+ */
+export const findStaffConflicts = async (staffId, start, end, excludeAssignmentId = null) => {
+  const [assignments, timeOff, windows] = await Promise.all([
+    prisma.staffAssignment.findMany({
+      where: {
+        staff_id: staffId,
+        assignment_id: excludeAssignmentId ? { not: excludeAssignmentId } : undefined,
+        start_time: { lt: end },
+        end_time: { gt: start },
+        event: { status: { not: "CANCELLED" } },
+      },
+      include: { event: { select: { event_id: true, event_name: true } } },
+      orderBy: { start_time: "asc" },
+    }),
+    prisma.staffTimeOff.findMany({
+      where: { staff_id: staffId, start_time: { lt: end }, end_time: { gt: start } },
+      orderBy: { start_time: "asc" },
+    }),
+    prisma.staffAvailability.findMany({ where: { staff_id: staffId } }),
+  ]);
+
+  return [
+    ...assignments.map((assignment) => ({
+      type: "ASSIGNMENT",
+      assignment_id: assignment.assignment_id,
+      event_id: assignment.event.event_id,
+      event_name: assignment.event.event_name,
+      start_time: assignment.start_time,
+      end_time: assignment.end_time,
+    })),
+    ...timeOff.map((entry) => ({
+      type: "TIME_OFF",
+      time_off_id: entry.time_off_id,
+      reason: entry.reason,
+      start_time: entry.start_time,
+      end_time: entry.end_time,
+    })),
+    // No declared hours means no restriction
+    ...(windows.length
+      ? uncoveredSpans(windows, start, end).map((span) => ({
+          type: "OUTSIDE_AVAILABILITY",
+          start_time: span.start,
+          end_time: span.end,
+        }))
+      : []),
+  ];
+};
+
+export const getMyAvailability = async (user) => {
+  try {
+    const windows = await prisma.staffAvailability.findMany({
+      where: { staff_id: user.account_id },
+      orderBy: [{ weekday: "asc" }, { start_minute: "asc" }],
+    });
+    return createValidationResult(true, [], windows.map(formatWindow));
+  } catch (error) {
+    return handleError("getMyAvailability", error);
+  }
+};
+
+/**
+ * Replace the caller's weekly hours
+ * @param {Object} user - req.user (STAFF)
+ * @param {Array} windows - [{ weekday: 0-6 (0 = Sunday), start: "HH:MM", end: "HH:MM" }] in UTC; empty clears them
+ */
+export const setMyAvailability = async (user, windows) => {
+  try {
+    if (!Array.isArray(windows)) return createValidationResult(false, ["windows must be an array"]);
+
+    const errors = [];
+    const rows = windows.map((window, index) => {
+      const weekday = Number(window?.weekday);
+      const start = parseClock(window?.start);
+      const end = parseClock(window?.end);
+      if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+        errors.push(`windows[${index}]: weekday must be 0 (Sunday) to 6 (Saturday)`);
+      } else if (start === null || end === null || end <= start) {
+        errors.push(`windows[${index}]: start and end must be HH:MM times with end after start`);
+      }
+      return { staff_id: user.account_id, weekday, start_minute: start, end_minute: end };
+    });
+    if (errors.length) return createValidationResult(false, errors);
+
+    await prisma.$transaction([
+      prisma.staffAvailability.deleteMany({ where: { staff_id: user.account_id } }),
+      prisma.staffAvailability.createMany({ data: rows }),
+    ]);
+    return getMyAvailability(user);
+  } catch (error) {
+    return handleError("setMyAvailability", error);
+  }
+};
+
+// Time off is recorded even over existing assignments; those come back so the staff member can raise them
+export const addTimeOff = async (user, data) => {
+  try {
+    const start = parseDate(data.start_time);
+    const end = parseDate(data.end_time);
+    if (!start || !end) return createValidationResult(false, ["Valid start_time and end_time are required"]);
+    if (end <= start) return createValidationResult(false, ["End time must be after start time"]);
+
+    const timeOff = await prisma.staffTimeOff.create({
+      data: { staff_id: user.account_id, start_time: start, end_time: end, reason: data.reason?.trim().slice(0, 255) || null },
+    });
+    const affected = await prisma.staffAssignment.findMany({
+      where: {
+        staff_id: user.account_id,
+        start_time: { lt: end },
+        end_time: { gt: start },
+        event: { status: { notIn: CLOSED_EVENT_STATUSES } },
+      },
+      include: assignmentInclude,
+      orderBy: { start_time: "asc" },
+    });
+    return createValidationResult(true, [], { ...timeOff, affected_assignments: affected });
+  } catch (error) {
+    return handleError("addTimeOff", error);
+  }
+};
+
+export const removeTimeOff = async (user, timeOffId) => {
+  try {
+    const id = parseAndValidateId(timeOffId, "Time off ID");
+    if (!id) return createValidationResult(false, ["Invalid Time off ID"]);
+
+    const removed = await prisma.staffTimeOff.deleteMany({ where: { time_off_id: id, staff_id: user.account_id } });
+    if (removed.count === 0) return createValidationResult(false, ["Time off not found"]);
+    return createValidationResult(true, [], { time_off_id: id });
+  } catch (error) {
+    return handleError("removeTimeOff", error);
+  }
+};
+
+// ===== Schedule and roster =====
+const assignmentsInRange = (where, from, to) =>
+  prisma.staffAssignment.findMany({
+    where: { ...where, start_time: { lt: to }, end_time: { gt: from }, event: { status: { not: "CANCELLED" } } },
+    include: assignmentInclude,
+    orderBy: { start_time: "asc" },
+  });
+
+const hoursOf = (assignments) =>
+  Math.round((assignments.reduce((sum, item) => sum + (item.end_time - item.start_time), 0) / HOUR_MS) * 100) / 100;
+
+// The caller's assignments, time off and weekly hours for a date range
+export const getMySchedule = async (user, query = {}) => {
+  try {
+    const range = parseRange(query);
+    if (range.error) return createValidationResult(false, [range.error]);
+    const { from, to } = range;
+
+    const [assignments, timeOff, windows] = await Promise.all([
+      assignmentsInRange({ staff_id: user.account_id }, from, to),
+      prisma.staffTimeOff.findMany({
+        where: { staff_id: user.account_id, start_time: { lt: to }, end_time: { gt: from } },
+        orderBy: { start_time: "asc" },
+      }),
+      prisma.staffAvailability.findMany({
+        where: { staff_id: user.account_id },
+        orderBy: [{ weekday: "asc" }, { start_minute: "asc" }],
+      }),
+    ]);
+
+    return createValidationResult(true, [], {
+      from,
+      to,
+      total_hours: hoursOf(assignments),
+      assignments,
+      time_off: timeOff,
+      availability: windows.map(formatWindow),
+    });
+  } catch (error) {
+    return handleError("getMySchedule", error);
+  }
+};
+
+/**
+ * Every active STAFF account with its assignments, time off and weekly hours in a date range
+ * @param {Object} query - from, to, staff_id
+ */
+export const getRoster = async (query = {}) => {
+  try {
+    const range = parseRange(query);
+    if (range.error) return createValidationResult(false, [range.error]);
+    const { from, to } = range;
+
+    const where = { role: "STAFF", is_active: true, erased_at: null };
+    if (query.staff_id) {
+      const staffId = parseAndValidateId(query.staff_id, "Staff ID");
+      if (!staffId) return createValidationResult(false, ["Invalid Staff ID"]);
+      where.account_id = staffId;
+    }
+
+    const staff = await prisma.account.findMany({
+      where,
+      select: {
+        ...staffSelect,
+        staff_time_off: { where: { start_time: { lt: to }, end_time: { gt: from } }, orderBy: { start_time: "asc" } },
+        staff_availability: { orderBy: [{ weekday: "asc" }, { start_minute: "asc" }] },
+      },
+      orderBy: { account_name: "asc" },
+    });
+    const assignments = await assignmentsInRange({ staff_id: { in: staff.map((member) => member.account_id) } }, from, to);
+
+    const roster = staff.map(({ staff_time_off: timeOff, staff_availability: windows, ...member }) => {
+      const own = assignments.filter((assignment) => assignment.staff_id === member.account_id);
+      return {
+        ...member,
+        total_hours: hoursOf(own),
+        assignments: own,
+        time_off: timeOff,
+        availability: windows.map(formatWindow),
+      };
+    });
+    return createValidationResult(true, [], { from, to, staff: roster });
+  } catch (error) {
+    return handleError("getRoster", error);
+  }
+};
+
+// ===== Assignments =====
+const loadEvent = async (eventId, user, ability) => {
+  const id = parseAndValidateId(eventId, "Event ID");
+  if (!id) return { error: "Invalid Event ID" };
+
+  const event = await prisma.event.findUnique({
+    where: { event_id: id },
+    select: { event_id: true, event_name: true, account_id: true, status: true, start_time: true, end_time: true },
+  });
+  if (!event) return { error: "Event not found" };
+  if (!(await canAccessEvent(event, user, ability))) return { error: "You do not have access to this event" };
+  return { event };
+};
+
+// Changing who works an event needs staff:manage, not just a view of the event
+const loadEventToStaff = async (eventId, user) => {
+  if (!hasPermission(user, PERMISSIONS.STAFF_MANAGE)) {
+    return { error: "You do not have access to manage staff on this event" };
+  }
+  return loadEvent(eventId, user, "view");
+};
+
+const loadStaffMember = async (staffId) => {
+  const id = parseAndValidateId(staffId, "Staff ID");
+  if (!id) return { error: "Invalid Staff ID" };
+  const staff = await prisma.account.findUnique({
+    where: { account_id: id },
+    select: { ...staffSelect, role: true, is_active: true, erased_at: true },
+  });
+  if (!staff || staff.role !== "STAFF" || !staff.is_active || staff.erased_at) {
+    return { error: "Staff member not found or not an active STAFF account" };
+  }
+  return { staff };
+};
+
+// A service slot runs from its scheduled time for its duration; anything else spans the event
+const defaultWindow = (event, booking) => {
+  if (booking?.scheduled_time) {
+    const start = new Date(booking.scheduled_time);
+    return { start, end: new Date(start.getTime() + (booking.duration_hours || 1) * HOUR_MS) };
+  }
+  return event.start_time && event.end_time ? { start: event.start_time, end: event.end_time } : null;
+};
+
+const resolveBooking = async (eventId, eventServiceId) => {
+  const id = parseAndValidateId(eventServiceId, "Event service ID");
+  const booking = id
+    ? await prisma.eventService.findUnique({
+        where: { event_service_id: id },
+        select: { event_service_id: true, event_id: true, status: true, scheduled_time: true, duration_hours: true },
+      })
+    : null;
+  if (!booking || booking.event_id !== eventId) return { error: "Event service not found on this event" };
+  if (INACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+    return { error: `A ${booking.status.toLowerCase()} service cannot be staffed` };
+  }
+  return { booking };
+};
+
+const conflictResult = (staff, conflicts) =>
+  createValidationResult(false, [`${staff.account_name} has ${conflicts.length} scheduling conflict(s) at that time`], {
+    conflicts,
+  });
+
+export const getEventStaff = async (eventId, user) => {
+  try {
+    const { event, error } = await loadEvent(eventId, user, "view");
+    if (error) return createValidationResult(false, [error]);
+
+    const assignments = await prisma.staffAssignment.findMany({
+      where: { event_id: event.event_id },
+      include: assignmentInclude,
+      orderBy: [{ start_time: "asc" }, { assignment_id: "asc" }],
+    });
+    return createValidationResult(true, [], assignments);
+  } catch (error) {
+    return handleError("getEventStaff", error);
+  }
+};
+
+/**
+ * Put a STAFF account on an event, or on one of its booked services (staff:manage)
+ * @param {number|string} eventId
+ * @param {Object} data - staff_id, event_service_id, role, notes, start_time/end_time (default: the
+ *   service slot or the event window), force (assign despite conflicts)
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} Validation result with the assignment; conflicts come back as data
+ */
+export const assignStaff = async (eventId, data, user) => {
+  try {
+    const { event, error } = await loadEventToStaff(eventId, user);
+    if (error) return createValidationResult(false, [error]);
+    if (CLOSED_EVENT_STATUSES.includes(event.status)) {
+      return createValidationResult(false, [`A ${event.status} event cannot be staffed`]);
+    }
+
+    const { staff, error: staffError } = await loadStaffMember(data.staff_id);
+    if (staffError) return createValidationResult(false, [staffError]);
+
+    let booking = null;
+    if (data.event_service_id !== undefined && data.event_service_id !== null) {
+      const resolved = await resolveBooking(event.event_id, data.event_service_id);
+      if (resolved.error) return createValidationResult(false, [resolved.error]);
+      booking = resolved.booking;
+    }
+
+    const fallback = defaultWindow(event, booking);
+    const start = data.start_time ? parseDate(data.start_time) : fallback?.start;
+    const end = data.end_time ? parseDate(data.end_time) : fallback?.end;
+    if (!start || !end) return createValidationResult(false, ["Valid start_time and end_time are required"]);
+    if (end <= start) return createValidationResult(false, ["End time must be after start time"]);
+
+    const duplicate = await prisma.staffAssignment.findFirst({
+      where: { staff_id: staff.account_id, event_id: event.event_id, event_service_id: booking?.event_service_id ?? null },
+      select: { assignment_id: true },
+    });
+    if (duplicate) {
+      return createValidationResult(false, [`${staff.account_name} is already assigned to this ${booking ? "service" : "event"}`]);
+    }
+
+    const conflicts = await findStaffConflicts(staff.account_id, start, end);
+    if (conflicts.length && !data.force) return conflictResult(staff, conflicts);
+
+    const assignment = await prisma.staffAssignment.create({
+      data: {
+        staff_id: staff.account_id,
+        event_id: event.event_id,
+        event_service_id: booking?.event_service_id ?? null,
+        role: data.role?.trim().slice(0, 100) || null,
+        notes: data.notes?.trim() || null,
+        start_time: start,
+        end_time: end,
+        assigned_by: user.account_id,
+      },
+      include: assignmentInclude,
+    });
+    await notifyStaff(staff.account_id, "New Assignment", `You have been assigned to ${describeAssignment(assignment)}.`);
+
+    return createValidationResult(true, [], { ...assignment, conflicts });
+  } catch (error) {
+    return handleError("assignStaff", error);
+  }
+};
+
+/**
+ * Change an assignment's staff member, times, role or notes (staff:manage)
+ * @param {Object} data - staff_id, start_time, end_time, role, notes, force
+ */
+export const updateAssignment = async (eventId, assignmentId, data, user) => {
+  try {
+    const { event, error } = await loadEventToStaff(eventId, user);
+    if (error) return createValidationResult(false, [error]);
+
+    const id = parseAndValidateId(assignmentId, "Assignment ID");
+    const existing = id
+      ? await prisma.staffAssignment.findUnique({ where: { assignment_id: id }, include: assignmentInclude })
+      : null;
+    if (!existing || existing.event_id !== event.event_id) return createValidationResult(false, ["Assignment not found"]);
+
+    let staff = existing.staff;
+    if (data.staff_id !== undefined && Number(data.staff_id) !== existing.staff_id) {
+      const loaded = await loadStaffMember(data.staff_id);
+      if (loaded.error) return createValidationResult(false, [loaded.error]);
+      staff = loaded.staff;
+    }
+
+    const start = data.start_time !== undefined ? parseDate(data.start_time) : existing.start_time;
+    const end = data.end_time !== undefined ? parseDate(data.end_time) : existing.end_time;
+    if (!start || !end) return createValidationResult(false, ["start_time and end_time must be valid dates"]);
+    if (end <= start) return createValidationResult(false, ["End time must be after start time"]);
+
+    const moved =
+      staff.account_id !== existing.staff_id ||
+      start.getTime() !== existing.start_time.getTime() ||
+      end.getTime() !== existing.end_time.getTime();
+    const conflicts = moved ? await findStaffConflicts(staff.account_id, start, end, existing.assignment_id) : [];
+    if (conflicts.length && !data.force) return conflictResult(staff, conflicts);
+
+    const updated = await prisma.staffAssignment.update({
+      where: { assignment_id: existing.assignment_id },
+      data: {
+        staff_id: staff.account_id,
+        start_time: start,
+        end_time: end,
+        role: data.role !== undefined ? data.role?.trim().slice(0, 100) || null : undefined,
+        notes: data.notes !== undefined ? data.notes?.trim() || null : undefined,
+      },
+      include: assignmentInclude,
+    });
+
+    if (staff.account_id !== existing.staff_id) {
+      await notifyStaff(existing.staff_id, "Assignment Removed", `You are no longer assigned to ${describeAssignment(existing)}.`, "WARNING");
+      await notifyStaff(staff.account_id, "New Assignment", `You have been assigned to ${describeAssignment(updated)}.`);
+    } else {
+      await notifyStaff(staff.account_id, "Assignment Changed", `Your assignment is now ${describeAssignment(updated)}.`);
+    }
+
+    return createValidationResult(true, [], { ...updated, conflicts });
+  } catch (error) {
+    return handleError("updateAssignment", error);
+  }
+};
+
+export const removeAssignment = async (eventId, assignmentId, user) => {
+  try {
+    const { event, error } = await loadEventToStaff(eventId, user);
+    if (error) return createValidationResult(false, [error]);
+
+    const id = parseAndValidateId(assignmentId, "Assignment ID");
+    const existing = id
+      ? await prisma.staffAssignment.findUnique({ where: { assignment_id: id }, include: assignmentInclude })
+      : null;
+    if (!existing || existing.event_id !== event.event_id) return createValidationResult(false, ["Assignment not found"]);
+
+    await prisma.staffAssignment.delete({ where: { assignment_id: id } });
+    await notifyStaff(existing.staff_id, "Assignment Removed", `You are no longer assigned to ${describeAssignment(existing)}.`, "WARNING");
+
+    return createValidationResult(true, [], { assignment_id: id });
+  } catch (error) {
+    return handleError("removeAssignment", error);
+  }
+};
+
+/**
+ * Tell everyone assigned to an event about a change to it (cancellation, new times)
+ * @param {number} eventId
+ * @param {Object} notice - title, message, type
+ * @param {Object} [tx] - Prisma client or transaction
+ */
+export const notifyEventStaff = async (eventId, { title, message, type = "REMINDER" }, tx = prisma) => {
+  try {
+    const assignments = await tx.staffAssignment.findMany({
+      where: { event_id: eventId },
+      select: { staff_id: true },
+      distinct: ["staff_id"],
+    });
+    for (const { staff_id: staffId } of assignments) {
+      await notifyStaff(staffId, title, message, type, tx);
+    }
+  } catch (error) {
+    console.error("Failed to notify event staff:", error);
+  }
+};
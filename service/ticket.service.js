@@ -0,0 +1,245 @@
+import { PrismaClient } from "@prisma/client";
+import jwt from "jsonwebtoken";
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import { createValidationResult, parseAndValidateId } from "../utils/validation.js";
+import { canAccessEvent } from "./collaborator.service.js";
+
+const prisma = new PrismaClient();
+
+// Tickets are signed with their own secret when one is configured
+const TICKET_SECRET = process.env.TICKET_SECRET || process.env.JWT_SECRET;
+// Doors are open while the event is confirmed or running
+const CHECK_IN_STATUSES = ["CONFIRMED", "IN_PROGRESS"];
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+// A ticket names the guest and the event; removing the guest or a changed RSVP voids it
+const signTicket = (guest) => jwt.sign({ typ: "ticket", gid: guest.guest_id, eid: guest.event_id }, TICKET_SECRET);
+
+const verifyTicket = (token) => {
+  try {
+    const payload = jwt.verify(String(token), TICKET_SECRET);
+    return payload?.typ === "ticket" ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+const formatWhen = (event) => {
+  const start = new Date(event.start_time || event.event_date);
+  return event.start_time ? start.toUTCString() : start.toISOString().slice(0, 10);
+};
+
+// ===== Tickets =====
+/**
+ * Signed tickets for an event's attending guests (owner, editors, or events:write:any)
+ * @param {number|string} eventId
+ * @param {Object} user - req.user
+ * @param {number|string} [guestId] - Only this guest's ticket
+ * @returns {Promise<Object>} Validation result with the event and its tickets
+ */
+export const getTickets = async (eventId, user, guestId = null) => {
+  try {
+    const id = parseAndValidateId(eventId, "Event ID");
+    if (!id) return createValidationResult(false, ["Invalid Event ID"]);
+
+    const event = await prisma.event.findUnique({
+      where: { event_id: id },
+      select: {
+        event_id: true,
+        event_name: true,
+        account_id: true,
+        status: true,
+        start_time: true,
+        event_date: true,
+        room: { select: { room_name: true } },
+      },
+    });
+    if (!event) return createValidationResult(false, ["Event not found"]);
+    if (!(await canAccessEvent(event, user, "edit"))) {
+      return createValidationResult(false, ["You do not have access to this event's tickets"]);
+    }
+    if (event.status === "CANCELLED") return createValidationResult(false, ["The event is cancelled"]);
+
+    const where = { event_id: id, rsvp_status: "ATTENDING" };
+    if (guestId !== null) {
+      const validGuestId = parseAndValidateId(guestId, "Guest ID");
+      if (!validGuestId) return createValidationResult(false, ["Invalid Guest ID"]);
+      const guest = await prisma.eventGuest.findFirst({ where: { guest_id: validGuestId, event_id: id } });
+      if (!guest) return createValidationResult(false, ["Guest not found"]);
+      if (guest.rsvp_status !== "ATTENDING") {
+        return createValidationResult(false, ["Tickets are only issued to attending guests"]);
+      }
+      where.guest_id = validGuestId;
+    }
+
+    const guests = await prisma.eventGuest.findMany({
+      where,
+      select: { guest_id: true, event_id: true, full_name: true, plus_ones: true },
+      orderBy: { full_name: "asc" },
+    });
+    if (!guests.length) return createValidationResult(false, ["No attending guests to issue tickets for"]);
+
+    return createValidationResult(true, [], {
+      event,
+      tickets: guests.map((guest) => ({ ...guest, token: signTicket(guest) })),
+    });
+  } catch (error) {
+    return handleError("getTickets", error);
+  }
+};
+
+/**
+ * Render tickets as a PDF, one page per guest with the token as a QR code
+ * @param {Object} data - Result data of getTickets
+ * @param {Object} output - Writable stream (e.g. Express response)
+ */
+export const writeTicketsPdf = async ({ event, tickets }, output) => {
+  const doc = new PDFDocument({ size: "A6", margin: 24, autoFirstPage: false });
+  doc.pipe(output);
+
+  for (const ticket of tickets) {
+    const qr = await QRCode.toBuffer(ticket.token, { type: "png", errorCorrectionLevel: "M", margin: 1, width: 360 });
+
+    doc.addPage();
+    const width = doc.page.width - 48;
+    doc.font("Helvetica-Bold").fontSize(14).text(event.event_name, { width, align: "center" });
+    doc.moveDown(0.3);
+    doc.font("Helvetica").fontSize(9).text(formatWhen(event), { width, align: "center" });
+    if (event.room) doc.text(event.room.room_name, { width, align: "center" });
+
+    doc.moveDown(0.6);
+    const size = 170;
+    doc.image(qr, (doc.page.width - size) / 2, doc.y, { fit: [size, size] });
+    doc.y += size + 8;
+
+    doc.font("Helvetica-Bold").fontSize(12).text(ticket.full_name, 24, doc.y, { width, align: "center" });
+    doc.font("Helvetica").fontSize(9).text(
+      ticket.plus_ones > 0 ? `Admits ${1 + ticket.plus_ones} (guest + ${ticket.plus_ones})` : "Admits 1",
+      { width, align: "center" }
+    );
+    doc.fontSize(7).fillColor("#666666").text(`Ticket #${event.event_id}-${ticket.guest_id}`, { width, align: "center" });
+    doc.fillColor("#000000");
+  }
+
+  doc.end();
+};
+
+// ===== Attendance =====
+/**
+ * Live attendance of an event: who is expected and who has arrived
+ * @param {number} eventId
+ * @returns {Promise<Object>}
+ */
+const buildAttendance = async (eventId) => {
+  const [expected, arrived, recent] = await Promise.all([
+    prisma.eventGuest.aggregate({
+      where: { event_id: eventId, rsvp_status: "ATTENDING" },
+      _count: { _all: true },
+      _sum: { plus_ones: true },
+    }),
+    prisma.eventGuest.aggregate({
+      where: { event_id: eventId, checked_in_at: { not: null } },
+      _count: { _all: true },
+      _sum: { plus_ones: true },
+    }),
+    prisma.eventGuest.findMany({
+      where: { event_id: eventId, checked_in_at: { not: null } },
+      select: { guest_id: true, full_name: true, plus_ones: true, checked_in_at: true },
+      orderBy: { checked_in_at: "desc" },
+      take: 10,
+    }),
+  ]);
+
+  const expectedHeadcount = expected._count._all + (expected._sum.plus_ones || 0);
+  const arrivedHeadcount = arrived._count._all + (arrived._sum.plus_ones || 0);
+  return {
+    expected_guests: expected._count._all,
+    expected_headcount: expectedHeadcount,
+    checked_in_guests: arrived._count._all,
+    checked_in_headcount: arrivedHeadcount,
+    still_expected: Math.max(0, expectedHeadcount - arrivedHeadcount),
+    recent_arrivals: recent,
+  };
+};
+
+export const getAttendance = async (eventId) => {
+  try {
+    const id = parseAndValidateId(eventId, "Event ID");
+    if (!id) return createValidationResult(false, ["Invalid Event ID"]);
+
+    const event = await prisma.event.findUnique({
+      where: { event_id: id },
+      select: { event_id: true, event_name: true, status: true },
+    });
+    if (!event) return createValidationResult(false, ["Event not found"]);
+
+    return createValidationResult(true, [], { ...event, ...(await buildAttendance(id)) });
+  } catch (error) {
+    return handleError("getAttendance", error);
+  }
+};
+
+// ===== Check-in =====
+/**
+ * Admit the guest a ticket was issued to. Each ticket works once.
+ * @param {number|string} eventId - The event at the door; tickets for other events are refused
+ * @param {string} token - Scanned from the ticket's QR code
+ * @param {Object} staff - req.user
+ * @returns {Promise<Object>} Validation result with the guest and the attendance after admitting them.
+ *   A repeat scan fails with data.checked_in_at set to the first arrival.
+ */
+export const checkInGuest = async (eventId, token, staff) => {
+  try {
+    const id = parseAndValidateId(eventId, "Event ID");
+    if (!id) return createValidationResult(false, ["Invalid Event ID"]);
+    if (!token) return createValidationResult(false, ["Ticket token is required"]);
+
+    const event = await prisma.event.findUnique({ where: { event_id: id }, select: { event_id: true, status: true } });
+    if (!event) return createValidationResult(false, ["Event not found"]);
+    if (!CHECK_IN_STATUSES.includes(event.status)) {
+      return createValidationResult(false, [`Check-in is closed for a ${event.status} event`]);
+    }
+
+    const ticket = verifyTicket(token);
+    if (!ticket) return createValidationResult(false, ["Invalid ticket"]);
+    if (ticket.eid !== id) return createValidationResult(false, ["This ticket is for a different event"]);
+
+    const guest = await prisma.eventGuest.findFirst({
+      where: { guest_id: ticket.gid, event_id: id },
+      select: { guest_id: true, full_name: true, rsvp_status: true, plus_ones: true, checked_in_at: true },
+    });
+    if (!guest || guest.rsvp_status !== "ATTENDING") {
+      return createValidationResult(false, ["This ticket is no longer valid"]);
+    }
+
+    // Only the first scan wins, even when two doors scan the same ticket at once
+    const arrivedAt = new Date();
+    const admitted = await prisma.eventGuest.updateMany({
+      where: { guest_id: guest.guest_id, checked_in_at: null },
+      data: { checked_in_at: arrivedAt, checked_in_by: staff.account_id },
+    });
+    if (admitted.count === 0) {
+      const first = await prisma.eventGuest.findUnique({
+        where: { guest_id: guest.guest_id },
+        select: { checked_in_at: true },
+      });
+      return createValidationResult(false, [`${guest.full_name} has already checked in`], {
+        guest_id: guest.guest_id,
+        full_name: guest.full_name,
+        checked_in_at: first.checked_in_at,
+      });
+    }
+
+    return createValidationResult(true, [], {
+      guest: { ...guest, checked_in_at: arrivedAt },
+      attendance: await buildAttendance(id),
+    });
+  } catch (error) {
+    return handleError("checkInGuest", error);
+  }
+};
@@ -0,0 +1,310 @@
+import { PrismaClient } from "@prisma/client";
+import PDFDocument from "pdfkit";
+import { createValidationResult, parseAndValidateId } from "../utils/validation.js";
+import { canAccessEvent } from "./collaborator.service.js";
+
+const prisma = new PrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+// Turned-down bookings are not part of the show
+const INACTIVE_BOOKING_STATUSES = ["CANCELLED", "DECLINED"];
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const timelineEventSelect = {
+  event_id: true,
+  event_name: true,
+  account_id: true,
+  status: true,
+  start_time: true,
+  end_time: true,
+  event_date: true,
+  room: { select: { room_name: true } },
+  event_services: {
+    select: {
+      event_service_id: true,
+      quantity: true,
+      notes: true,
+      status: true,
+      scheduled_time: true,
+      duration_hours: true,
+      depends_on_id: true,
+      service: {
+        select: {
+          service_id: true,
+          service_name: true,
+          setup_time: true,
+          provider: { select: { account_id: true, account_name: true } },
+        },
+      },
+      variation: { select: { variation_name: true, duration_hours: true } },
+    },
+  },
+};
+
+const loadEvent = async (eventId, user, ability) => {
+  const id = parseAndValidateId(eventId, "Event ID");
+  if (!id) return { error: "Invalid Event ID" };
+
+  const event = await prisma.event.findUnique({ where: { event_id: id }, select: timelineEventSelect });
+  if (!event) return { error: "Event not found" };
+  if (!(await canAccessEvent(event, user, ability))) {
+    return { error: "You do not have access to this event" };
+  }
+  return { event };
+};
+
+const overlaps = (a, b) => a.setup_start < b.end && b.setup_start < a.end;
+
+const issue = (severity, code, item, message, relatedId = null) => ({
+  severity,
+  code,
+  event_service_id: item.event_service_id,
+  related_event_service_id: relatedId,
+  message,
+});
+
+/**
+ * Order an event's services and check them against the event window, each other and their dependencies
+ * @param {Object} event - With event_services as selected by timelineEventSelect
+ * @returns {Object} window, ordered items (each with its issues), unscheduled items and a flat issue list
+ */
+const analyseTimeline = (event) => {
+  const window =
+    event.start_time && event.end_time ? { start: new Date(event.start_time), end: new Date(event.end_time) } : null;
+
+  const active = event.event_services.filter((booking) => !INACTIVE_BOOKING_STATUSES.includes(booking.status));
+  const byId = new Map(event.event_services.map((booking) => [booking.event_service_id, booking]));
+
+  const items = active.map((booking) => {
+    const setupMinutes = booking.service.setup_time || 0;
+    const hours = booking.duration_hours ?? booking.variation?.duration_hours ?? null;
+    const start = booking.scheduled_time ? new Date(booking.scheduled_time) : null;
+    return {
+      event_service_id: booking.event_service_id,
+      service_id: booking.service.service_id,
+      service_name: booking.service.service_name,
+      variation_name: booking.variation?.variation_name ?? null,
+      provider: booking.service.provider,
+      status: booking.status,
+      quantity: booking.quantity,
+      notes: booking.notes,
+      depends_on_id: booking.depends_on_id,
+      setup_minutes: setupMinutes,
+      duration_hours: hours,
+      setup_start: start ? new Date(start.getTime() - setupMinutes * MINUTE_MS) : null,
+      start,
+      end: start ? new Date(start.getTime() + (hours || 0) * HOUR_MS) : null,
+      issues: [],
+    };
+  });
+
+  const scheduled = items.filter((item) => item.start).sort((a, b) => a.start - b.start || a.setup_start - b.setup_start);
+  const unscheduled = items.filter((item) => !item.start);
+  const itemsById = new Map(items.map((item) => [item.event_service_id, item]));
+
+  for (const item of unscheduled) {
+    item.issues.push(issue("warning", "UNSCHEDULED", item, `${item.service_name} has no scheduled time`));
+  }
+
+  for (const item of scheduled) {
+    if (!item.duration_hours) {
+      item.issues.push(issue("warning", "NO_DURATION", item, `${item.service_name} has no duration`));
+    }
+    if (!window) continue;
+    if (item.setup_start < window.start) {
+      item.issues.push(
+        issue(
+          "error",
+          "STARTS_BEFORE_EVENT",
+          item,
+          item.start < window.start
+            ? `${item.service_name} starts before the event`
+            : `${item.service_name} needs ${item.setup_minutes} min of setup before the event starts`
+        )
+      );
+    }
+    if (item.end > window.end) {
+      item.issues.push(issue("error", "ENDS_AFTER_EVENT", item, `${item.service_name} runs past the end of the event`));
+    }
+  }
+
+  // The same provider or service cannot be in two places at once; other overlaps are only worth a look
+  for (let i = 0; i < scheduled.length; i++) {
+    for (let j = i + 1; j < scheduled.length; j++) {
+      const [a, b] = [scheduled[i], scheduled[j]];
+      if (!overlaps(a, b)) continue;
+      const sameProvider = a.provider && b.provider && a.provider.account_id === b.provider.account_id;
+      const sameService = a.service_id === b.service_id;
+      const severity = sameProvider || sameService ? "error" : "warning";
+      const reason = sameService ? "the same service" : sameProvider ? "the same provider" : "another service";
+      for (const [item, other] of [[a, b], [b, a]]) {
+        item.issues.push(
+          issue(severity, "OVERLAP", item, `${item.service_name} overlaps ${other.service_name} (${reason})`, other.event_service_id)
+        );
+      }
+    }
+  }
+
+  for (const item of items) {
+    if (!item.depends_on_id) continue;
+    const prerequisite = itemsById.get(item.depends_on_id);
+    if (!prerequisite) {
+      const booking = byId.get(item.depends_on_id);
+      item.issues.push(
+        issue(
+          "error",
+          "DEPENDENCY_INACTIVE",
+          item,
+          `${item.service_name} depends on ${booking ? `${booking.service.service_name}, which is ${booking.status}` : "a service that was removed"}`,
+          item.depends_on_id
+        )
+      );
+    } else if (!item.start || !prerequisite.start) {
+      item.issues.push(
+        issue("warning", "DEPENDENCY_UNSCHEDULED", item, `${item.service_name} and ${prerequisite.service_name} both need a time to check their order`, prerequisite.event_service_id)
+      );
+    } else if (item.start < prerequisite.end) {
+      item.issues.push(
+        issue("error", "DEPENDENCY_ORDER", item, `${item.service_name} starts before ${prerequisite.service_name} has finished`, prerequisite.event_service_id)
+      );
+    }
+  }
+
+  const issues = [...scheduled, ...unscheduled].flatMap((item) => item.issues);
+  return {
+    event_id: event.event_id,
+    event_name: event.event_name,
+    status: event.status,
+    room_name: event.room?.room_name ?? null,
+    window,
+    valid: !issues.some((entry) => entry.severity === "error"),
+    items: scheduled,
+    unscheduled,
+    issues: window
+      ? issues
+      : [{ severity: "warning", code: "NO_EVENT_WINDOW", event_service_id: null, related_event_service_id: null, message: "The event has no start and end time to check services against" }, ...issues],
+  };
+};
+
+// ===== Timeline =====
+export const getTimeline = async (eventId, user) => {
+  try {
+    const { event, error } = await loadEvent(eventId, user, "view");
+    if (error) return createValidationResult(false, [error]);
+    return createValidationResult(true, [], analyseTimeline(event));
+  } catch (error) {
+    return handleError("getTimeline", error);
+  }
+};
+
+/**
+ * Make one booked service wait for another (owner, editors, or events:write:any)
+ * @param {number|string} eventId
+ * @param {number|string} eventServiceId - The service that waits
+ * @param {number|string|null} dependsOnId - The service it waits for; null clears the dependency
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} Validation result with the updated timeline
+ */
+export const setDependency = async (eventId, eventServiceId, dependsOnId, user) => {
+  try {
+    const { event, error } = await loadEvent(eventId, user, "edit");
+    if (error) return createValidationResult(false, [error]);
+
+    const id = parseAndValidateId(eventServiceId, "Event service ID");
+    const bookings = new Map(event.event_services.map((booking) => [booking.event_service_id, booking]));
+    if (!id || !bookings.has(id)) return createValidationResult(false, ["Event service not found"]);
+
+    let prerequisiteId = null;
+    if (dependsOnId !== null && dependsOnId !== undefined) {
+      prerequisiteId = parseAndValidateId(dependsOnId, "Depends on ID");
+      if (!prerequisiteId || !bookings.has(prerequisiteId)) {
+        return createValidationResult(false, ["depends_on_id must be another service of this event"]);
+      }
+      if (prerequisiteId === id) return createValidationResult(false, ["A service cannot depend on itself"]);
+
+      // Walk up from the prerequisite; reaching this service again would close a loop
+      for (let cursor = bookings.get(prerequisiteId); cursor?.depends_on_id; cursor = bookings.get(cursor.depends_on_id)) {
+        if (cursor.depends_on_id === id) {
+          return createValidationResult(false, ["This dependency would create a cycle"]);
+        }
+      }
+    }
+
+    await prisma.eventService.update({ where: { event_service_id: id }, data: { depends_on_id: prerequisiteId } });
+    bookings.get(id).depends_on_id = prerequisiteId;
+    return createValidationResult(true, [], analyseTimeline(event));
+  } catch (error) {
+    return handleError("setDependency", error);
+  }
+};
+
+// ===== Run sheet =====
+const formatTime = (date) => (date ? new Date(date).toISOString().slice(11, 16) : "--:--");
+
+/**
+ * Render a printable run sheet of a timeline (result data of getTimeline). Times are UTC.
+ * @param {Object} timeline
+ * @param {Object} output - Writable stream (e.g. Express response)
+ */
+export const writeRunSheetPdf = (timeline, output) => {
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  doc.pipe(output);
+
+  const columns = [
+    { label: "Setup", width: 45 },
+    { label: "Start", width: 45 },
+    { label: "End", width: 45 },
+    { label: "Service", width: 150 },
+    { label: "Provider", width: 100 },
+    { label: "Notes", width: 130 },
+  ];
+  const left = doc.page.margins.left;
+
+  const row = (cells, font = "Helvetica") => {
+    doc.font(font).fontSize(9);
+    const heights = cells.map((cell, index) => doc.heightOfString(cell, { width: columns[index].width - 6 }));
+    const height = Math.max(...heights) + 6;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+    const top = doc.y;
+    let x = left;
+    cells.forEach((cell, index) => {
+      doc.text(cell, x + 3, top + 3, { width: columns[index].width - 6 });
+      x += columns[index].width;
+    });
+    doc.moveTo(left, top + height).lineTo(x, top + height).strokeColor("#cccccc").stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  doc.font("Helvetica-Bold").fontSize(16).text(`Run sheet: ${timeline.event_name}`);
+  doc.font("Helvetica").fontSize(10);
+  if (timeline.window) {
+    doc.text(
+      `${timeline.window.start.toISOString().slice(0, 10)}  ${formatTime(timeline.window.start)} - ${formatTime(timeline.window.end)} UTC`
+    );
+  }
+  if (timeline.room_name) doc.text(timeline.room_name);
+  doc.text(timeline.valid ? "No blocking problems." : "Has problems - see the flags below.");
+  doc.moveDown();
+
+  row(columns.map((column) => column.label), "Helvetica-Bold");
+  for (const item of [...timeline.items, ...timeline.unscheduled]) {
+    const flags = item.issues.map((entry) => `${entry.severity === "error" ? "!" : "?"} ${entry.message}`);
+    row([
+      item.setup_minutes ? formatTime(item.setup_start) : "",
+      formatTime(item.start),
+      formatTime(item.end),
+      [item.service_name, item.variation_name, item.quantity > 1 ? `x${item.quantity}` : null].filter(Boolean).join(" - "),
+      item.provider?.account_name || "",
+      [item.notes, ...flags].filter(Boolean).join("\n"),
+    ]);
+  }
+
+  doc.end();
+};
@@ -0,0 +1,348 @@
+import { PrismaClient } from "@prisma/client";
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+  encryptSecret,
+  decryptSecret,
+} from "../utils/totp.js";
+import { hashToken, verifyToken } from "../utils/tokenAndCookies.js";
+import { AUTH_ERROR_CODES } from "../utils/errorCodes.js";
+import { createNotification } from "../utils/notification.js";
+import { createSession } from "./session.service.js";
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "./loginProtection.service.js";
+
+const prisma = new PrismaClient();
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Event Planner";
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles that must complete a second factor before using privileged routes
+export const TWO_FACTOR_REQUIRED_ROLES = ["ADMIN", "STAFF"];
+
+export const isTwoFactorRequired = (role) =>
+  TWO_FACTOR_REQUIRED_ROLES.includes(String(role || "").toUpperCase());
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return { isValid: false, errors: [error.message] };
+};
+
+const invalidCode = () => ({
+  isValid: false,
+  errors: ["Invalid two-factor code."],
+  code: AUTH_ERROR_CODES.INVALID_TWO_FACTOR_CODE,
+});
+
+const normalizeRecoveryCode = (code) => String(code || "").replace(/[\s-]/g, "").toLowerCase();
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+const replaceRecoveryCodes = async (accountId, tx) => {
+  const codes = generateRecoveryCodes();
+  await tx.recoveryCode.deleteMany({ where: { account_id: accountId } });
+  await tx.recoveryCode.createMany({
+    data: codes.map((code) => ({
+      account_id: accountId,
+      code_hash: hashToken(normalizeRecoveryCode(code)),
+    })),
+  });
+  return codes;
+};
+
+// Checks a TOTP code and records the matched time step so a code cannot be replayed
+const consumeTotpCode = async (account, code, tx = prisma) => {
+  if (!account.two_factor_secret) return false;
+
+  const step = verifyTotp(decryptSecret(account.two_factor_secret), code);
+  if (step === null) return false;
+  if (account.two_factor_last_step !== null && step <= account.two_factor_last_step) return false;
+
+  const updated = await tx.account.updateMany({
+    where: {
+      account_id: account.account_id,
+      OR: [{ two_factor_last_step: null }, { two_factor_last_step: { lt: step } }],
+    },
+    data: { two_factor_last_step: step },
+  });
+  return updated.count === 1;
+};
+
+const consumeRecoveryCode = async (accountId, recoveryCode, tx = prisma) => {
+  const claimed = await tx.recoveryCode.updateMany({
+    where: {
+      account_id: accountId,
+      code_hash: hashToken(normalizeRecoveryCode(recoveryCode)),
+      used_at: null,
+    },
+    data: { used_at: new Date() },
+  });
+  return claimed.count === 1;
+};
+
+// ===== Status =====
+export const getTwoFactorStatus = async (accountId) => {
+  try {
+    const account = await prisma.account.findUnique({
+      where: { account_id: accountId },
+      select: { role: true, two_factor_enabled: true, two_factor_enabled_at: true },
+    });
+    if (!account) return { isValid: false, errors: ["Account not found."] };
+
+    const remainingRecoveryCodes = await prisma.recoveryCode.count({
+      where: { account_id: accountId, used_at: null },
+    });
+
+    return {
+      isValid: true,
+      data: {
+        enabled: account.two_factor_enabled,
+        enabled_at: account.two_factor_enabled_at,
+        required: isTwoFactorRequired(account.role),
+        remaining_recovery_codes: remainingRecoveryCodes,
+      },
+    };
+  } catch (error) {
+    return handleError("getTwoFactorStatus", error);
+  }
+};
+
+// ===== Enrolment step 1: generate a pending secret =====
+export const setupTwoFactor = async (accountId) => {
+  try {
+    const account = await prisma.account.findUnique({
+      where: { account_id: accountId },
+      select: { account_id: true, email: true, two_factor_enabled: true },
+    });
+    if (!account) return { isValid: false, errors: ["Account not found."] };
+    if (account.two_factor_enabled) {
+      return { isValid: false, errors: ["Two-factor authentication is already enabled."] };
+    }
+
+    const secret = generateTotpSecret();
+    await prisma.account.update({
+      where: { account_id: accountId },
+      data: { two_factor_secret: encryptSecret(secret), two_factor_last_step: null },
+    });
+
+    return {
+      isValid: true,
+      data: {
+        secret,
+        otpauth_uri: buildOtpAuthUri({ secret, accountName: account.email, issuer: TOTP_ISSUER }),
+      },
+    };
+  } catch (error) {
+    return handleError("setupTwoFactor", error);
+  }
+};
+
+// ===== Enrolment step 2: confirm the first code and issue recovery codes =====
+export const enableTwoFactor = async (accountId, code, currentSessionId = null) => {
+  try {
+    const account = await prisma.account.findUnique({
+      where: { account_id: accountId },
+      select: {
+        account_id: true,
+        two_factor_enabled: true,
+        two_factor_secret: true,
+        two_factor_last_step: true,
+      },
+    });
+    if (!account) return { isValid: false, errors: ["Account not found."] };
+    if (account.two_factor_enabled) {
+      return { isValid: false, errors: ["Two-factor authentication is already enabled."] };
+    }
+    if (!account.two_factor_secret) {
+      return { isValid: false, errors: ["Start two-factor setup first."] };
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      if (!(await consumeTotpCode(account, code, tx))) return null;
+
+      await tx.account.update({
+        where: { account_id: accountId },
+        data: { two_factor_enabled: true, two_factor_enabled_at: new Date() },
+      });
+
+      // The session that completed enrolment has proven both factors
+      if (currentSessionId) {
+        await tx.accountSession.update({
+          where: { session_id: currentSessionId },
+          data: { two_factor_verified: true },
+        });
+      }
+
+      return replaceRecoveryCodes(accountId, tx);
+    });
+
+    if (!recoveryCodes) return invalidCode();
+
+    await createNotification({
+      account_id: accountId,
+      title: "Two-Factor Authentication Enabled",
+      message: "Two-factor authentication is now active on your account. Store your recovery codes somewhere safe.",
+      type: "REMINDER",
+    });
+
+    return { isValid: true, data: { enabled: true, recovery_codes: recoveryCodes } };
+  } catch (error) {
+    return handleError("enableTwoFactor", error);
+  }
+};
+
+// ===== Disable =====
+export const disableTwoFactor = async (accountId, password, code) => {
+  try {
+    const account = await prisma.account.findUnique({
+      where: { account_id: accountId },
+      select: {
+        account_id: true,
+        role: true,
+        password_hash: true,
+        two_factor_enabled: true,
+        two_factor_secret: true,
+        two_factor_last_step: true,
+      },
+    });
+    if (!account) return { isValid: false, errors: ["Account not found."] };
+    if (!account.two_factor_enabled) {
+      return { isValid: false, errors: ["Two-factor authentication is not enabled."] };
+    }
+    if (isTwoFactorRequired(account.role)) {
+      return {
+        isValid: false,
+        errors: [`Two-factor authentication is mandatory for ${account.role} accounts.`],
+        code: AUTH_ERROR_CODES.TWO_FACTOR_REQUIRED,
+      };
+    }
+
+    const match = await bcrypt.compare(password || "", account.password_hash);
+    if (!match) return { isValid: false, errors: ["Incorrect password."] };
+
+    if (!(await consumeTotpCode(account, code))) return invalidCode();
+
+    await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({ where: { account_id: accountId } }),
+      prisma.account.update({
+        where: { account_id: accountId },
+        data: {
+          two_factor_enabled: false,
+          two_factor_secret: null,
+          two_factor_last_step: null,
+          two_factor_enabled_at: null,
+        },
+      }),
+    ]);
+
+    return { isValid: true, data: { enabled: false } };
+  } catch (error) {
+    return handleError("disableTwoFactor", error);
+  }
+};
+
+// ===== Regenerate recovery codes =====
+export const regenerateRecoveryCodes = async (accountId, code) => {
+  try {
+    const account = await prisma.account.findUnique({
+      where: { account_id: accountId },
+      select: {
+        account_id: true,
+        two_factor_enabled: true,
+        two_factor_secret: true,
+        two_factor_last_step: true,
+      },
+    });
+    if (!account) return { isValid: false, errors: ["Account not found."] };
+    if (!account.two_factor_enabled) {
+      return { isValid: false, errors: ["Two-factor authentication is not enabled."] };
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      if (!(await consumeTotpCode(account, code, tx))) return null;
+      return replaceRecoveryCodes(accountId, tx);
+    });
+    if (!recoveryCodes) return invalidCode();
+
+    return { isValid: true, data: { recovery_codes: recoveryCodes } };
+  } catch (error) {
+    return handleError("regenerateRecoveryCodes", error);
+  }
+};
+
+// ===== Login step 2: exchange the challenge token + OTP for a session =====
+export const completeTwoFactorLogin = async (challengeToken, { code, recoveryCode } = {}, deviceInfo = {}) => {
+  try {
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return { isValid: false, errors: ["Challenge token and a code are required."] };
+    }
+
+    let decoded;
+    try {
+      decoded = verifyToken(challengeToken);
+    } catch (err) {
+      return { isValid: false, errors: ["Invalid or expired challenge token."] };
+    }
+    if (decoded.purpose !== "2fa_challenge") {
+      return { isValid: false, errors: ["Invalid or expired challenge token."] };
+    }
+
+    const account = await prisma.account.findFirst({
+      where: { account_id: decoded.id, is_active: true },
+    });
+    if (!account || !account.two_factor_enabled) {
+      return { isValid: false, errors: ["Invalid or expired challenge token."] };
+    }
+
+    // OTP guesses count towards the same lockout as password guesses
+    const ip = deviceInfo.ip_address;
+    const gate = await checkLoginAllowed({ email: account.email, ip });
+    if (!gate.allowed) {
+      return {
+        isValid: false,
+        errors: ["Too many failed login attempts. Please try again later."],
+        code: gate.code,
+        retryAfterSeconds: gate.retryAfterSeconds,
+      };
+    }
+
+    const verified = recoveryCode
+      ? await consumeRecoveryCode(account.account_id, recoveryCode)
+      : await consumeTotpCode(account, code);
+    if (!verified) {
+      await recordLoginFailure({
+        accountId: account.account_id,
+        email: account.email,
+        ip,
+        reason: AUTH_ERROR_CODES.INVALID_TWO_FACTOR_CODE,
+      });
+      return invalidCode();
+    }
+
+    await recordLoginSuccess({ accountId: account.account_id, email: account.email, ip });
+
+    const { password_hash, two_factor_secret, two_factor_last_step, ...accountData } = account;
+    const { session, accessToken, refreshToken } = await createSession(account, deviceInfo, {
+      twoFactorVerified: true,
+    });
+
+    return {
+      isValid: true,
+      data: { ...accountData, session_id: session.session_id },
+      token: accessToken,
+      refreshToken,
+    };
+  } catch (error) {
+    return handleError("completeTwoFactorLogin", error);
+  }
+};
@@ -0,0 +1,570 @@
+import { PrismaClient } from "@prisma/client";
+import { createValidationResult, parseAndValidateId, validateString } from "../utils/validation.js";
+import { PERMISSIONS, hasPermission } from "../utils/permissions.js";
+import { createNotification } from "../utils/notification.js";
+import { sendMail, CLIENT_URL, escapeHtml } from "../utils/mailer.js";
+import { checkRoomAvailability } from "./room.service.js";
+import { checkVariationAvailability, createEventService } from "./event_service.service.js";
+import { createEvent } from "./event.service.js";
+import { canAccessEvent } from "./collaborator.service.js";
+
+const prisma = new PrismaClient();
+
+// How long the next person in line has to claim a freed slot
+export const WAITLIST_CLAIM_HOURS = Number(process.env.WAITLIST_CLAIM_HOURS) || 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+const WAITLIST_STATUSES = ["WAITING", "OFFERED", "CLAIMED", "EXPIRED", "CANCELLED"];
+const OPEN_STATUSES = ["WAITING", "OFFERED"];
+// Events that can no longer take a waitlisted service
+const CLOSED_EVENT_STATUSES = ["CANCELLED", "COMPLETED"];
+
+// Higher priority first (set by staff), then first come, first served
+const queueOrder = [{ priority: "desc" }, { created_at: "asc" }];
+
+const handleError = (context, error) => {
+  console.error(`Error in ${context}:`, error);
+  return createValidationResult(false, [error.message]);
+};
+
+const entryInclude = {
+  account: { select: { account_id: true, account_name: true, email: true } },
+  room: { select: { room_id: true, room_name: true } },
+  variation: {
+    select: {
+      variation_id: true,
+      variation_name: true,
+      service_id: true,
+      service: { select: { service_name: true } },
+    },
+  },
+  event: { select: { event_id: true, event_name: true, status: true } },
+};
+
+const resourceOf = (entry) => (entry.room_id ? { room_id: entry.room_id } : { variation_id: entry.variation_id });
+
+const resourceName = (entry) =>
+  entry.room ? entry.room.room_name : `${entry.variation.service.service_name} - ${entry.variation.variation_name}`;
+
+const formatSlot = (entry) => `${entry.start_time.toISOString()} - ${entry.end_time.toISOString()}`;
+
+const windowsOverlap = (a, b) => a.start_time < b.end_time && b.start_time < a.end_time;
+
+// Free for this customer: their own offers do not count against them
+const isSlotFree = async (entry) => {
+  const hours = (entry.end_time - entry.start_time) / HOUR_MS;
+  const options = { waitlistAccountId: entry.account_id };
+  if (entry.room_id) {
+    const check = await checkRoomAvailability(entry.room_id, entry.start_time, entry.end_time, hours, null, prisma, options);
+    return check.isValid && check.data.isAvailable;
+  }
+  const check = await checkVariationAvailability(entry.variation_id, entry.start_time, hours, prisma, null, options);
+  return check.isValid;
+};
+
+// 1 = next in line among waiting entries for the same resource and an overlapping window
+const queuePosition = async (entry) => {
+  const ahead = await prisma.waitlistEntry.count({
+    where: {
+      ...resourceOf(entry),
+      status: "WAITING",
+      entry_id: { not: entry.entry_id },
+      start_time: { lt: entry.end_time },
+      end_time: { gt: entry.start_time },
+      OR: [
+        { priority: { gt: entry.priority } },
+        { priority: entry.priority, created_at: { lt: entry.created_at } },
+      ],
+    },
+  });
+  return ahead + 1;
+};
+
+const withPosition = async (entry) => ({
+  ...entry,
+  position: entry.status === "WAITING" ? await queuePosition(entry) : null,
+});
+
+// ===== Offers =====
+const notifyOffer = async (entry, expiresAt) => {
+  const name = resourceName(entry);
+  const message = `${name} is now free for ${formatSlot(entry)}. Claim it before ${expiresAt.toUTCString()} or it goes to the next person in line.`;
+  await createNotification({ account_id: entry.account_id, title: "Waitlist Offer", message, type: "REMINDER" });
+
+  const claimLink = `${CLIENT_URL}/waitlist/${entry.entry_id}`;
+  try {
+    await sendMail({
+      to: entry.account.email,
+      subject: `${name} is available`,
+      text: `${message}\n\n${claimLink}`,
+      html: `<p>${escapeHtml(message)}</p><p><a href="${claimLink}">Claim it now</a></p>`,
+    });
+  } catch (mailError) {
+    console.error("Failed to send waitlist offer:", mailError);
+  }
+};
+
+// Offers nobody claimed in time, and entries whose slot has already started, drop out of the queue
+const lapseEntries = async (where, now) => {
+  const stale = await prisma.waitlistEntry.findMany({
+    where: {
+      ...where,
+      OR: [
+        { status: "OFFERED", offer_expires_at: { lte: now } },
+        { status: { in: OPEN_STATUSES }, start_time: { lte: now } },
+      ],
+    },
+    include: entryInclude,
+  });
+
+  for (const entry of stale) {
+    const lapsed = await prisma.waitlistEntry.updateMany({
+      where: { entry_id: entry.entry_id, status: entry.status },
+      data: { status: "EXPIRED" },
+    });
+    if (lapsed.count && entry.status === "OFFERED") {
+      await createNotification({
+        account_id: entry.account_id,
+        title: "Waitlist Offer Expired",
+        message: `Your offer for ${resourceName(entry)} (${formatSlot(entry)}) was not claimed in time and has been passed on.`,
+        type: "WARNING",
+      });
+    }
+  }
+  return stale;
+};
+
+// Offer every waiting entry of one room or variation whose slot is now free, in queue order.
+// Entries overlapping an outstanding offer wait until that offer is claimed or lapses.
+const offerNext = async (resource, now) => {
+  await lapseEntries(resource, now);
+
+  const queue = await prisma.waitlistEntry.findMany({
+    where: { ...resource, status: { in: OPEN_STATUSES } },
+    include: entryInclude,
+    orderBy: queueOrder,
+  });
+  const held = queue.filter((entry) => entry.status === "OFFERED");
+  const offered = [];
+
+  for (const entry of queue) {
+    if (entry.status !== "WAITING") continue;
+    if (held.some((offer) => windowsOverlap(offer, entry))) continue;
+    if (!(await isSlotFree(entry))) continue;
+
+    // Never beyond the start of the slot itself
+    const claimBy = new Date(now.getTime() + WAITLIST_CLAIM_HOURS * HOUR_MS);
+    const expiresAt = claimBy < entry.start_time ? claimBy : entry.start_time;
+    const taken = await prisma.waitlistEntry.updateMany({
+      where: { entry_id: entry.entry_id, status: "WAITING" },
+      data: { status: "OFFERED", offered_at: now, offer_expires_at: expiresAt },
+    });
+    if (taken.count === 0) continue;
+
+    held.push(entry);
+    offered.push(entry.entry_id);
+    await notifyOffer(entry, expiresAt);
+  }
+  return offered;
+};
+
+/**
+ * Offer freed slots to the next people in line. Call after anything that frees a room or a
+ * variation; it never throws, so a waitlist problem cannot fail the change that freed the slot.
+ * @param {Object} freed - room_ids and variation_ids whose queues to run (nulls are ignored)
+ * @param {Date} [now] - Current time; injectable for tests
+ * @returns {Promise<number[]>} Ids of the entries that received an offer
+ */
+export const processWaitlist = async ({ room_ids = [], variation_ids = [] } = {}, now = new Date()) => {
+  try {
+    const offered = [];
+    for (const roomId of new Set(room_ids.filter(Boolean))) {
+      offered.push(...(await offerNext({ room_id: roomId }, now)));
+    }
+    for (const variationId of new Set(variation_ids.filter(Boolean))) {
+      offered.push(...(await offerNext({ variation_id: variationId }, now)));
+    }
+    return offered;
+  } catch (error) {
+    console.error("Error in processWaitlist:", error);
+    return [];
+  }
+};
+
+// Run the queues of everything an event had booked (its room and its service variations)
+export const processWaitlistForEvent = async (eventId, now = new Date()) => {
+  try {
+    const event = await prisma.event.findUnique({
+      where: { event_id: eventId },
+      select: { room_id: true, event_services: { select: { variation_id: true } } },
+    });
+    if (!event) return [];
+    return processWaitlist(
+      { room_ids: [event.room_id], variation_ids: event.event_services.map((booking) => booking.variation_id) },
+      now
+    );
+  } catch (error) {
+    console.error("Error in processWaitlistForEvent:", error);
+    return [];
+  }
+};
+
+/**
+ * Lapse unclaimed offers everywhere and pass the slots on. Meant to run periodically.
+ * @param {Date} [now] - Current time; injectable for tests
+ * @returns {Promise<Object>} Validation result with the number of entries expired and offered
+ */
+export const expireWaitlistOffers = async (now = new Date()) => {
+  try {
+    const lapsed = await lapseEntries({}, now);
+    const offered = await processWaitlist(
+      {
+        room_ids: lapsed.map((entry) => entry.room_id),
+        variation_ids: lapsed.map((entry) => entry.variation_id),
+      },
+      now
+    );
+    return createValidationResult(true, [], { expired: lapsed.length, offered: offered.length });
+  } catch (error) {
+    return handleError("expireWaitlistOffers", error);
+  }
+};
+
+// ===== Customer =====
+/**
+ * Queue for a room or a service variation that is busy at the wanted time
+ * @param {Object} data - room_id (with event_name, optional event_type_id) or variation_id
+ *   (with the event_id the service is for, optional quantity), start_time, end_time, notes
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} Validation result with the entry and its position in line
+ */
+export const joinWaitlist = async (data, user) => {
+  try {
+    const roomId = data.room_id ? parseAndValidateId(data.room_id, "Room ID") : null;
+    const variationId = data.variation_id ? parseAndValidateId(data.variation_id, "Variation ID") : null;
+    if (Boolean(roomId) === Boolean(variationId)) {
+      return createValidationResult(false, ["Provide either a valid room_id or a valid variation_id"]);
+    }
+
+    const start = new Date(data.start_time);
+    const end = new Date(data.end_time);
+    if (!data.start_time || !data.end_time || isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return createValidationResult(false, ["Valid start_time and end_time are required"]);
+    }
+    if (end <= start) return createValidationResult(false, ["End time must be after start time"]);
+    if (start <= new Date()) return createValidationResult(false, ["start_time must be in the future"]);
+
+    const quantity = data.quantity === undefined ? 1 : Number(data.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return createValidationResult(false, ["quantity must be a positive integer"]);
+    }
+
+    const entry = {
+      account_id: user.account_id,
+      start_time: start,
+      end_time: end,
+      quantity,
+      notes: data.notes?.trim() || null,
+      room_id: roomId,
+      variation_id: variationId,
+    };
+
+    if (roomId) {
+      const room = await prisma.room.findUnique({ where: { room_id: roomId }, select: { is_active: true } });
+      if (!room || !room.is_active) return createValidationResult(false, ["Room not found or inactive"]);
+
+      // The event booked when the offer is claimed
+      const nameErrors = validateString(data.event_name, "Event name", { required: true, maxLength: 1024 }).errors;
+      if (nameErrors.length) return createValidationResult(false, nameErrors);
+      entry.event_name = data.event_name.trim();
+
+      if (data.event_type_id) {
+        const eventTypeId = parseAndValidateId(data.event_type_id, "Event type ID");
+        const eventType = eventTypeId
+          ? await prisma.eventType.findUnique({ where: { type_id: eventTypeId }, select: { is_active: true } })
+          : null;
+        if (!eventType?.is_active) return createValidationResult(false, ["Event type not found or inactive"]);
+        entry.event_type_id = eventTypeId;
+      }
+    } else {
+      const variation = await prisma.variation.findUnique({
+        where: { variation_id: variationId },
+        select: { is_active: true },
+      });
+      if (!variation || !variation.is_active) return createValidationResult(false, ["Variation not found or inactive"]);
+
+      // The event the service is added to when the offer is claimed
+      const eventId = parseAndValidateId(data.event_id, "Event ID");
+      if (!eventId) return createValidationResult(false, ["event_id of the event the service is for is required"]);
+      const event = await prisma.event.findUnique({ where: { event_id: eventId } });
+      if (!event || !(await canAccessEvent(event, user, "edit"))) {
+        return createValidationResult(false, ["Event not found"]);
+      }
+      if (CLOSED_EVENT_STATUSES.includes(event.status)) {
+        return createValidationResult(false, [`A ${event.status} event cannot take new services`]);
+      }
+      entry.event_id = eventId;
+    }
+
+    if (await isSlotFree(entry)) {
+      return createValidationResult(false, ["The slot is available; book it directly instead"]);
+    }
+
+    const duplicate = await prisma.waitlistEntry.findFirst({
+      where: {
+        ...resourceOf(entry),
+        account_id: user.account_id,
+        status: { in: OPEN_STATUSES },
+        start_time: { lt: end },
+        end_time: { gt: start },
+      },
+      select: { entry_id: true },
+    });
+    if (duplicate) return createValidationResult(false, ["You are already on the waitlist for this slot"]);
+
+    const created = await prisma.waitlistEntry.create({ data: entry, include: entryInclude });
+    return createValidationResult(true, [], await withPosition(created));
+  } catch (error) {
+    return handleError("joinWaitlist", error);
+  }
+};
+
+export const getMyWaitlist = async (user) => {
+  try {
+    const entries = await prisma.waitlistEntry.findMany({
+      where: { account_id: user.account_id },
+      include: entryInclude,
+      orderBy: { created_at: "desc" },
+    });
+    return createValidationResult(true, [], await Promise.all(entries.map(withPosition)));
+  } catch (error) {
+    return handleError("getMyWaitlist", error);
+  }
+};
+
+// The customer who queued, or staff with waitlist:manage
+const loadEntry = async (entryId, user) => {
+  const id = parseAndValidateId(entryId, "Waitlist entry ID");
+  if (!id) return { error: "Invalid Waitlist entry ID" };
+
+  const entry = await prisma.waitlistEntry.findUnique({ where: { entry_id: id }, include: entryInclude });
+  if (!entry || (entry.account_id !== user.account_id && !hasPermission(user, PERMISSIONS.WAITLIST_MANAGE))) {
+    return { error: "Waitlist entry not found" };
+  }
+  return { entry };
+};
+
+export const getWaitlistEntry = async (entryId, user) => {
+  try {
+    const { entry, error } = await loadEntry(entryId, user);
+    if (error) return createValidationResult(false, [error]);
+    return createValidationResult(true, [], await withPosition(entry));
+  } catch (error) {
+    return handleError("getWaitlistEntry", error);
+  }
+};
+
+// Leave the queue or pass on an offer; an offer passed on goes to the next in line
+export const leaveWaitlist = async (entryId, user) => {
+  try {
+    const { entry, error } = await loadEntry(entryId, user);
+    if (error) return createValidationResult(false, [error]);
+    if (!OPEN_STATUSES.includes(entry.status)) {
+      return createValidationResult(false, [`This waitlist entry is already ${entry.status.toLowerCase()}`]);
+    }
+
+    const left = await prisma.waitlistEntry.update({
+      where: { entry_id: entry.entry_id },
+      data: { status: "CANCELLED" },
+      include: entryInclude,
+    });
+    if (entry.status === "OFFERED") {
+      await processWaitlist({ room_ids: [entry.room_id], variation_ids: [entry.variation_id] });
+    }
+    return createValidationResult(true, [], left);
+  } catch (error) {
+    return handleError("leaveWaitlist", error);
+  }
+};
+
+/**
+ * Take up an offer: room entries book a new event, variation entries add the service to
+ * their event. If the slot was taken after all, the entry goes back in line.
+ * @param {number|string} entryId
+ * @param {Object} user - req.user; must be the customer who queued
+ * @returns {Promise<Object>} Validation result with the entry and the booking
+ */
+export const claimWaitlistOffer = async (entryId, user) => {
+  try {
+    const { entry, error } = await loadEntry(entryId, user);
+    if (error || entry.account_id !== user.account_id) {
+      return createValidationResult(false, [error || "Waitlist entry not found"]);
+    }
+    if (entry.status !== "OFFERED") return createValidationResult(false, ["There is no open offer to claim"]);
+    if (entry.offer_expires_at <= new Date()) {
+      await processWaitlist({ room_ids: [entry.room_id], variation_ids: [entry.variation_id] });
+      return createValidationResult(false, ["Your offer has expired"]);
+    }
+
+    // Only one claim per offer, even if it is sent twice
+    const taken = await prisma.waitlistEntry.updateMany({
+      where: { entry_id: entry.entry_id, status: "OFFERED" },
+      data: { status: "CLAIMED", claimed_at: new Date() },
+    });
+    if (taken.count === 0) return createValidationResult(false, ["There is no open offer to claim"]);
+
+    let booking;
+    if (entry.room_id) {
+      booking = await createEvent(
+        {
+          event_name: entry.event_name,
+          start_time: entry.start_time.toISOString(),
+          end_time: entry.end_time.toISOString(),
+          account_id: user.account_id,
+          room_id: entry.room_id,
+          event_type_id: entry.event_type_id,
+        },
+        null,
+        user
+      );
+    } else {
+      const event = entry.event_id ? await prisma.event.findUnique({ where: { event_id: entry.event_id } }) : null;
+      booking =
+        !event || CLOSED_EVENT_STATUSES.includes(event.status) || !(await canAccessEvent(event, user, "edit"))
+          ? createValidationResult(false, ["The event this service was for is no longer open"])
+          : await createEventService(
+              {
+                event_id: entry.event_id,
+                service_id: entry.variation.service_id,
+                variation_id: entry.variation_id,
+                quantity: entry.quantity,
+                notes: entry.notes,
+                scheduled_time: entry.start_time,
+                duration_hours: Math.ceil((entry.end_time - entry.start_time) / HOUR_MS),
+              },
+              user
+            );
+    }
+
+    if (!booking.isValid) {
+      await prisma.waitlistEntry.update({
+        where: { entry_id: entry.entry_id },
+        data: { status: "WAITING", claimed_at: null, offered_at: null, offer_expires_at: null },
+      });
+      return createValidationResult(false, booking.errors, { entry_id: entry.entry_id, status: "WAITING" });
+    }
+
+    const claimed = await prisma.waitlistEntry.update({
+      where: { entry_id: entry.entry_id },
+      data: { event_id: entry.room_id ? booking.data.event_id : entry.event_id },
+      include: entryInclude,
+    });
+    return createValidationResult(true, [], { entry: claimed, booking: booking.data });
+  } catch (error) {
+    return handleError("claimWaitlistOffer", error);
+  }
+};
+
+// ===== Staff (waitlist:manage) =====
+/**
+ * Waitlist queues, in queue order per room and variation
+ * @param {Object} filters - room_id, variation_id, account_id, status (default: open entries)
+ */
+export const getWaitlist = async (filters = {}) => {
+  try {
+    const where = {};
+    for (const [field, label] of [
+      ["room_id", "Room ID"],
+      ["variation_id", "Variation ID"],
+      ["account_id", "Account ID"],
+    ]) {
+      if (!filters[field]) continue;
+      const id = parseAndValidateId(filters[field], label);
+      if (!id) return createValidationResult(false, [`Invalid ${label}`]);
+      where[field] = id;
+    }
+    if (filters.status) {
+      const status = String(filters.status).toUpperCase();
+      if (!WAITLIST_STATUSES.includes(status)) {
+        return createValidationResult(false, [`status must be one of: ${WAITLIST_STATUSES.join(", ")}`]);
+      }
+      where.status = status;
+    } else {
+      where.status = { in: OPEN_STATUSES };
+    }
+
+    const entries = await prisma.waitlistEntry.findMany({
+      where,
+      include: entryInclude,
+      orderBy: [{ room_id: "asc" }, { variation_id: "asc" }, ...queueOrder],
+    });
+    return createValidationResult(true, [], await Promise.all(entries.map(withPosition)));
+  } catch (error) {
+    return handleError("getWaitlist", error);
+  }
+};
+
+// Move an entry up or down the queue, or annotate it
+export const updateWaitlistEntry = async (entryId, data) => {
+  try {
+    const id = parseAndValidateId(entryId, "Waitlist entry ID");
+    if (!id) return createValidationResult(false, ["Invalid Waitlist entry ID"]);
+
+    const update = {};
+    if (data.priority !== undefined) {
+      const priority = Number(data.priority);
+      if (!Number.isInteger(priority)) return createValidationResult(false, ["priority must be an integer"]);
+      update.priority = priority;
+    }
+    if (data.notes !== undefined) update.notes = data.notes?.trim() || null;
+    if (!Object.keys(update).length) return createValidationResult(false, ["Nothing to update"]);
+
+    const entry = await prisma.waitlistEntry.findUnique({ where: { entry_id: id }, select: { entry_id: true } });
+    if (!entry) return createValidationResult(false, ["Waitlist entry not found"]);
+
+    const updated = await prisma.waitlistEntry.update({ where: { entry_id: id }, data: update, include: entryInclude });
+    return createValidationResult(true, [], await withPosition(updated));
+  } catch (error) {
+    return handleError("updateWaitlistEntry", error);
+  }
+};
+
+// Offer a free slot to a specific waiting entry, out of queue order
+export const offerWaitlistEntry = async (entryId) => {
+  try {
+    const id = parseAndValidateId(entryId, "Waitlist entry ID");
+    if (!id) return createValidationResult(false, ["Invalid Waitlist entry ID"]);
+
+    const entry = await prisma.waitlistEntry.findUnique({ where: { entry_id: id }, include: entryInclude });
+    if (!entry) return createValidationResult(false, ["Waitlist entry not found"]);
+    if (entry.status !== "WAITING") return createValidationResult(false, ["Only waiting entries can be offered a slot"]);
+    if (entry.start_time <= new Date()) return createValidationResult(false, ["The slot has already started"]);
+    if (!(await isSlotFree(entry))) return createValidationResult(false, ["The slot is still taken"]);
+
+    const claimBy = new Date(Date.now() + WAITLIST_CLAIM_HOURS * HOUR_MS);
+    const expiresAt = claimBy < entry.start_time ? claimBy : entry.start_time;
+    const offered = await prisma.waitlistEntry.update({
+      where: { entry_id: id },
+      data: { status: "OFFERED", offered_at: new Date(), offer_expires_at: expiresAt },
+      include: entryInclude,
+    });
+    await notifyOffer(offered, expiresAt);
+    return createValidationResult(true, [], offered);
+  } catch (error) {
+    return handleError("offerWaitlistEntry", error);
+  }
+};
+
+// Run the queue of one room or variation now, e.g. after freeing a slot by hand
+export const runWaitlistQueue = async (data) => {
+  try {
+    const roomId = data.room_id ? parseAndValidateId(data.room_id, "Room ID") : null;
+    const variationId = data.variation_id ? parseAndValidateId(data.variation_id, "Variation ID") : null;
+    if (!roomId && !variationId) return createValidationResult(false, ["Provide a valid room_id or variation_id"]);
+
+    const offered = await processWaitlist({ room_ids: [roomId], variation_ids: [variationId] });
+    return createValidationResult(true, [], { offered });
+  } catch (error) {
+    return handleError("runWaitlistQueue", error);
+  }
+};
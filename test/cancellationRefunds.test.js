@@ -0,0 +1,152 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+
+// Pure refund and series arithmetic; no database needed
+let cancellation;
+before(async () => {
+  cancellation = await import('../service/eventCancellation.service.js');
+});
+
+const stripePayment = (payment_id, amount, refunded_amount = 0) => ({
+  payment_id, payment_method: 'STRIPE', amount, refunded_amount,
+});
+const cashPayment = (payment_id, amount, refunded_amount = 0) => ({
+  payment_id, payment_method: 'CASH', amount, refunded_amount,
+});
+
+// Stands in for refundPayment: refunds what it is asked unless the payment is listed as failing
+const refunder = (failing = []) => {
+  const calls = [];
+  const refundOne = async (payment, amount) => {
+    calls.push({ payment_id: payment.payment_id, amount });
+    if (failing.includes(payment.payment_id)) {
+      return { isValid: false, errors: ['Card declined'], data: null };
+    }
+    return { isValid: true, errors: [], data: { refund_amount: amount, manual: payment.payment_method !== 'STRIPE' } };
+  };
+  return { calls, refundOne };
+};
+
+describe('splitRefund', () => {
+  it('refunds the percentage of what was paid and retains the rest', () => {
+    assert.deepEqual(cancellation.splitRefund(1_000_000, 50), { refund_amount: 500_000, amount_retained: 500_000 });
+    assert.deepEqual(cancellation.splitRefund(100, 0), { refund_amount: 0, amount_retained: 100 });
+    assert.deepEqual(cancellation.splitRefund(0, 100), { refund_amount: 0, amount_retained: 0 });
+  });
+
+  it('rounds to the cent', () => {
+    assert.deepEqual(cancellation.splitRefund(100, 33), { refund_amount: 33, amount_retained: 67 });
+    assert.deepEqual(cancellation.splitRefund(10.01, 50), { refund_amount: 5.01, amount_retained: 5 });
+  });
+});
+
+describe('allocateRefund', () => {
+  it('converts a VND refund into the dollars a Stripe payment was taken in', async () => {
+    const { calls, refundOne } = refunder();
+    const refund = await cancellation.allocateRefund([stripePayment(1, 100)], 1_150_000, refundOne);
+
+    assert.deepEqual(calls, [{ payment_id: 1, amount: 50 }]);
+    assert.deepEqual(refund, { status: 'SUCCEEDED', refunded: 1_150_000, error: null });
+  });
+
+  it('counts what checkout rounding kept back as refunded', async () => {
+    // 2,300,000 VND was charged as $100; the refund of the whole invoice is $100 even though 2,310,000 was due
+    const { refundOne } = refunder();
+    const refund = await cancellation.allocateRefund([stripePayment(1, 100)], 2_310_000, refundOne);
+
+    assert.equal(refund.status, 'SUCCEEDED');
+    assert.equal(refund.refunded, 2_310_000);
+  });
+
+  it('spreads the refund over payments oldest first, skipping what was already refunded', async () => {
+    const { calls, refundOne } = refunder();
+    const payments = [cashPayment(1, 500_000, 500_000), cashPayment(2, 300_000), stripePayment(3, 100)];
+    const refund = await cancellation.allocateRefund(payments, 1_000_000, refundOne);
+
+    assert.deepEqual(calls, [
+      { payment_id: 2, amount: 300_000 },
+      { payment_id: 3, amount: 30.43 },
+    ]);
+    assert.equal(refund.status, 'MANUAL');
+    assert.equal(refund.refunded, 1_000_000);
+  });
+
+  it('reports a partial refund when a payment fails, and the retry covers what is outstanding', async () => {
+    const payments = [cashPayment(1, 400_000), stripePayment(2, 100)];
+    const first = await cancellation.allocateRefund(payments, 1_000_000, refunder([2]).refundOne);
+
+    assert.equal(first.status, 'PARTIAL');
+    assert.equal(first.refunded, 400_000);
+    assert.match(first.error, /Payment #2: Card declined/);
+
+    const afterFirst = cancellation.refundProgress(
+      { event_id: 7, refund_amount: 1_000_000, amount_refunded: 0 },
+      first
+    );
+    assert.equal(afterFirst.amount_refunded, 400_000);
+    assert.equal(afterFirst.outstanding, 600_000);
+    assert.equal(afterFirst.complete, false);
+    assert.match(afterFirst.note, /600000\.00 outstanding, PARTIAL/);
+
+    // The first payment is spent now; the retry only asks for the outstanding amount
+    const retried = [cashPayment(1, 400_000, 400_000), stripePayment(2, 100)];
+    const { calls, refundOne } = refunder();
+    const second = await cancellation.allocateRefund(retried, afterFirst.outstanding, refundOne);
+    assert.deepEqual(calls, [{ payment_id: 2, amount: 26.09 }]);
+    assert.equal(second.status, 'SUCCEEDED');
+
+    const afterRetry = cancellation.refundProgress(
+      { event_id: 7, refund_amount: 1_000_000, amount_refunded: afterFirst.amount_refunded },
+      second
+    );
+    assert.equal(afterRetry.amount_refunded, 1_000_000);
+    assert.equal(afterRetry.outstanding, 0);
+    assert.equal(afterRetry.complete, true);
+    assert.doesNotMatch(afterRetry.note, /outstanding/);
+  });
+
+  it('fails when nothing could be refunded and leaves it to staff without payments', async () => {
+    const failed = await cancellation.allocateRefund([cashPayment(1, 100)], 50, refunder([1]).refundOne);
+    assert.equal(failed.status, 'FAILED');
+    assert.equal(failed.refunded, 0);
+
+    const none = await cancellation.allocateRefund([], 50, refunder().refundOne);
+    assert.equal(none.status, 'MANUAL');
+    assert.equal(none.refunded, 0);
+  });
+
+  it('reports the part no payment covers', async () => {
+    const refund = await cancellation.allocateRefund([cashPayment(1, 100)], 150, refunder().refundOne);
+    assert.equal(refund.status, 'PARTIAL');
+    assert.equal(refund.refunded, 100);
+    assert.match(refund.error, /50\.00 is not covered/);
+  });
+});
+
+describe('series invoice share', () => {
+  it('is the occurrence lines in the proportion the invoice was paid', () => {
+    assert.equal(cancellation.seriesShareOf(100, 300, 300), 100);
+    assert.equal(cancellation.seriesShareOf(100, 150, 300), 50);
+    // Overpayment does not inflate the share
+    assert.equal(cancellation.seriesShareOf(100, 400, 300), 100);
+    assert.equal(cancellation.seriesShareOf(100, 0, 300), 0);
+    assert.equal(cancellation.seriesShareOf(100, 300, 0), 0);
+  });
+
+  it('leaves the invoice total matching what was paid once a cancelled occurrence is refunded', () => {
+    // Three occurrences of 100, all paid; one is cancelled with half refunded
+    const paid = 300;
+    const share = cancellation.seriesShareOf(100, paid, 300);
+    const { refund_amount, amount_retained } = cancellation.splitRefund(share, 50);
+    const total = cancellation.seriesTotalAfterCancellation(300, [60, 40], amount_retained);
+
+    assert.equal(total, 250);
+    assert.equal(paid - refund_amount, total);
+  });
+
+  it('never goes below zero', () => {
+    assert.equal(cancellation.seriesTotalAfterCancellation(100, [100], 0), 0);
+    assert.equal(cancellation.seriesTotalAfterCancellation(50, [100], 0), 0);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  skip, connect, captureMail, createTestAccount, createTestRoom, createTestEvent, cleanup, hoursFrom,
+} from './helpers.js';
+
+// The job is always run against this clock, never the real one
+const NOW = new Date('2030-03-01T09:00:00Z');
+
+describe('releaseExpiredHolds', { skip }, () => {
+  let prisma;
+  let holds;
+  let sent;
+  let account;
+  let room;
+  const eventIds = [];
+
+  before(async () => {
+    prisma = await connect();
+    holds = await import('../service/eventHold.service.js');
+    sent = await captureMail();
+    account = await createTestAccount(prisma);
+    room = await createTestRoom(prisma);
+  });
+
+  after(async () => {
+    await cleanup(prisma, { accountIds: [account.account_id], eventIds, roomIds: [room.room_id] });
+    await prisma.$disconnect();
+  });
+
+  const pendingEvent = async (holdExpiresAt, startHours) => {
+    const event = await createTestEvent(
+      prisma,
+      {
+        status: 'PENDING',
+        account_id: account.account_id,
+        room_id: room.room_id,
+        start_time: hoursFrom(NOW, startHours),
+        end_time: hoursFrom(NOW, startHours + 3),
+        hold_expires_at: holdExpiresAt,
+      },
+      1500000,
+    );
+    eventIds.push(event.event_id);
+    return event;
+  };
+
+  const snapshot = async (eventId) => {
+    const event = await prisma.event.findUnique({
+      where: { event_id: eventId },
+      select: { status: true, hold_expires_at: true, updated_at: true, invoice: { select: { status: true } } },
+    });
+    const history = await prisma.eventStatusHistory.count({ where: { event_id: eventId } });
+    return { ...event, history };
+  };
+
+  it('cancels an unpaid event once its hold has run out, and a second run at the same time changes nothing', async () => {
+    const expired = await pendingEvent(hoursFrom(NOW, -1), 24);
+    const running = await pendingEvent(hoursFrom(NOW, 5), 48);
+    sent.length = 0;
+
+    const first = await holds.releaseExpiredHolds(NOW);
+    assert.equal(first.isValid, true);
+    assert.ok(first.data.released.includes(expired.event_id));
+    assert.ok(!first.data.released.includes(running.event_id));
+    assert.deepEqual(first.data.failed, []);
+
+    const afterFirst = await snapshot(expired.event_id);
+    assert.equal(afterFirst.status, 'CANCELLED');
+    assert.equal(afterFirst.invoice.status, 'CANCELLED');
+    const mailsAfterFirst = sent.length;
+    assert.ok(sent.some((mail) => mail.to === account.email && /has expired/.test(mail.subject)));
+
+    const second = await holds.releaseExpiredHolds(NOW);
+    assert.equal(second.isValid, true);
+    assert.deepEqual(second.data.released, []);
+    assert.deepEqual(second.data.failed, []);
+    assert.deepEqual(await snapshot(expired.event_id), afterFirst);
+    assert.equal(sent.length, mailsAfterFirst);
+  });
+
+  it('leaves a hold that has not run out yet alone on every run', async () => {
+    const running = await pendingEvent(hoursFrom(NOW, 2), 48);
+    const initial = await snapshot(running.event_id);
+
+    for (let run = 0; run < 2; run += 1) {
+      const result = await holds.releaseExpiredHolds(NOW);
+      assert.equal(result.isValid, true);
+      assert.ok(!result.data.released.includes(running.event_id));
+      assert.deepEqual(await snapshot(running.event_id), initial);
+    }
+
+    // Once its time comes it is released, and only once
+    const later = hoursFrom(NOW, 3);
+    assert.ok((await holds.releaseExpiredHolds(later)).data.released.includes(running.event_id));
+    assert.deepEqual((await holds.releaseExpiredHolds(later)).data.released, []);
+    assert.equal((await snapshot(running.event_id)).status, 'CANCELLED');
+  });
+});
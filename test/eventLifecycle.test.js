@@ -0,0 +1,55 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { hoursFrom } from './helpers.js';
+
+// The transition guards, against a stand-in transaction; no database needed
+const NOW = new Date('2030-03-01T09:00:00Z');
+
+// Only what the CONFIRMED guard reads for an event without a room
+const txWithInvoice = (invoice) => ({ invoice: { findFirst: async () => invoice } });
+
+describe('checkTransitionGuard', () => {
+  let lifecycle;
+  before(async () => {
+    lifecycle = await import('../service/eventLifecycle.service.js');
+  });
+
+  const event = (startHours, endHours) => ({
+    event_id: 1,
+    start_time: hoursFrom(NOW, startHours),
+    end_time: hoursFrom(NOW, endHours),
+  });
+
+  it('does not start an event before its start time', async () => {
+    assert.match(await lifecycle.checkTransitionGuard(event(1, 3), 'IN_PROGRESS', null, NOW), /before its start time/);
+    assert.equal(await lifecycle.checkTransitionGuard(event(0, 3), 'IN_PROGRESS', null, NOW), null);
+  });
+
+  it('does not complete an event before its end time', async () => {
+    assert.match(await lifecycle.checkTransitionGuard(event(-2, 1), 'COMPLETED', null, NOW), /before its end time/);
+    assert.equal(await lifecycle.checkTransitionGuard(event(-3, 0), 'COMPLETED', null, NOW), null);
+  });
+
+  it('does not confirm an event whose invoice is unpaid', async () => {
+    const unpaid = txWithInvoice({ status: 'PENDING', total_amount: 100 });
+    assert.match(await lifecycle.checkTransitionGuard(event(24, 27), 'CONFIRMED', unpaid, NOW), /must be paid/);
+
+    const paid = txWithInvoice({ status: 'PAID', total_amount: 100 });
+    assert.equal(await lifecycle.checkTransitionGuard(event(24, 27), 'CONFIRMED', paid, NOW), null);
+  });
+
+  it('confirms an event with nothing to pay', async () => {
+    const free = txWithInvoice({ status: 'PENDING', total_amount: 0 });
+    assert.equal(await lifecycle.checkTransitionGuard(event(24, 27), 'CONFIRMED', free, NOW), null);
+    assert.equal(await lifecycle.checkTransitionGuard(event(24, 27), 'CONFIRMED', txWithInvoice(null), NOW), null);
+  });
+
+  it('has no guard for other statuses', async () => {
+    assert.equal(await lifecycle.checkTransitionGuard(event(1, 3), 'CANCELLED', null, NOW), null);
+  });
+
+  it('only allows the documented transitions', () => {
+    assert.deepEqual(lifecycle.getAllowedTransitions('UNKNOWN'), []);
+    assert.ok(!lifecycle.getAllowedTransitions('COMPLETED').includes('PENDING'));
+  });
+});
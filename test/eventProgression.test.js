@@ -0,0 +1,111 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  skip, connect, captureMail, createTestAccount, createTestRoom, createTestEvent, cleanup, hoursFrom,
+} from './helpers.js';
+
+// The job is always run against this clock, never the real one
+const NOW = new Date('2030-03-01T09:00:00Z');
+
+describe('advanceEventStatuses', { skip }, () => {
+  let prisma;
+  let progression;
+  let sent;
+  let account;
+  let room;
+  const eventIds = [];
+
+  before(async () => {
+    prisma = await connect();
+    progression = await import('../service/eventProgression.service.js');
+    sent = await captureMail();
+    account = await createTestAccount(prisma);
+    room = await createTestRoom(prisma);
+  });
+
+  after(async () => {
+    await cleanup(prisma, { accountIds: [account.account_id], eventIds, roomIds: [room.room_id] });
+    await prisma.$disconnect();
+  });
+
+  // Events in one room may not overlap, so each gets its own slot
+  const eventAt = async (status, startHours, durationHours) => {
+    const event = await createTestEvent(prisma, {
+      status,
+      account_id: account.account_id,
+      room_id: room.room_id,
+      start_time: hoursFrom(NOW, startHours),
+      end_time: hoursFrom(NOW, startHours + durationHours),
+    });
+    eventIds.push(event.event_id);
+    return event;
+  };
+
+  const snapshot = async () => {
+    const events = await prisma.event.findMany({
+      where: { event_id: { in: eventIds } },
+      select: { event_id: true, status: true, overdue_at: true, followed_up_at: true, updated_at: true },
+      orderBy: { event_id: 'asc' },
+    });
+    const history = await prisma.eventStatusHistory.count({ where: { event_id: { in: eventIds } } });
+    const notifications = await prisma.notification.count({ where: { account_id: account.account_id } });
+    return { events, history, notifications, mails: sent.length };
+  };
+
+  it('moves each event once, and a second run at the same time changes nothing', async () => {
+    const finished = await eventAt('CONFIRMED', -10, 2);
+    const running = await eventAt('CONFIRMED', -2, 4);
+    const pending = await eventAt('PENDING', -20, 2);
+    const rescheduled = await eventAt('RESCHEDULED', -30, 2);
+    const upcoming = await eventAt('CONFIRMED', 24, 2);
+    sent.length = 0;
+
+    const first = await progression.advanceEventStatuses(NOW);
+    assert.equal(first.isValid, true);
+    assert.ok(first.data.started.includes(finished.event_id));
+    assert.ok(first.data.started.includes(running.event_id));
+    assert.ok(first.data.completed.includes(finished.event_id));
+    assert.ok(!first.data.completed.includes(running.event_id));
+    assert.ok(first.data.overdue.includes(pending.event_id));
+    assert.ok(first.data.overdue.includes(rescheduled.event_id));
+    assert.ok(first.data.followed_up.includes(finished.event_id));
+    for (const step of ['started', 'completed', 'overdue', 'followed_up']) {
+      assert.ok(!first.data[step].includes(upcoming.event_id));
+    }
+
+    const afterFirst = await snapshot();
+    const status = Object.fromEntries(afterFirst.events.map((event) => [event.event_id, event.status]));
+    assert.equal(status[finished.event_id], 'COMPLETED');
+    assert.equal(status[running.event_id], 'IN_PROGRESS');
+    assert.equal(status[pending.event_id], 'PENDING');
+    assert.equal(status[rescheduled.event_id], 'RESCHEDULED');
+    assert.equal(status[upcoming.event_id], 'CONFIRMED');
+
+    const second = await progression.advanceEventStatuses(NOW);
+    assert.equal(second.isValid, true);
+    assert.deepEqual(second.data.started, []);
+    assert.deepEqual(second.data.completed, []);
+    assert.deepEqual(second.data.overdue, []);
+    assert.deepEqual(second.data.followed_up, []);
+    assert.deepEqual(await snapshot(), afterFirst);
+  });
+
+  it('picks up an event only when a later run reaches its time', async () => {
+    const later = hoursFrom(NOW, 3);
+    const event = await eventAt('CONFIRMED', 2, 2);
+
+    const first = await progression.advanceEventStatuses(later);
+    assert.ok(first.data.started.includes(event.event_id));
+    assert.ok(!first.data.completed.includes(event.event_id));
+
+    const afterFirst = await snapshot();
+    const second = await progression.advanceEventStatuses(later);
+    assert.deepEqual(second.data.started, []);
+    assert.deepEqual(second.data.completed, []);
+    assert.deepEqual(await snapshot(), afterFirst);
+
+    const end = hoursFrom(NOW, 4);
+    assert.ok((await progression.advanceEventStatuses(end)).data.completed.includes(event.event_id));
+    assert.deepEqual((await progression.advanceEventStatuses(end)).data.completed, []);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { hoursFrom } from './helpers.js';
+
+// Moving bookings and repricing a rescheduled event; no database needed
+const NOW = new Date('2030-03-01T09:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+let reschedule;
+let eventServices;
+before(async () => {
+  reschedule = await import('../service/eventReschedule.service.js');
+  eventServices = await import('../service/event_service.service.js');
+});
+
+describe('shiftBookings', () => {
+  it('keeps each booking offset and length as the event moves', () => {
+    const bookings = [
+      { id: 1, scheduled_time: hoursFrom(NOW, 1), duration_hours: 2 },
+      { id: 2, scheduled_time: hoursFrom(NOW, 3), duration_hours: 1 },
+    ];
+    const moved = eventServices.shiftBookings(bookings, 24 * HOUR_MS, hoursFrom(NOW, 24), 5);
+
+    assert.deepEqual(moved.map((booking) => booking.scheduled_time), [hoursFrom(NOW, 25), hoursFrom(NOW, 27)]);
+    assert.deepEqual(moved.map((booking) => booking.duration_hours), [2, 1]);
+  });
+
+  it('puts unscheduled bookings at the event start for the whole event', () => {
+    const [moved] = eventServices.shiftBookings([{ id: 1, scheduled_time: null }], HOUR_MS, hoursFrom(NOW, 1), 2.5);
+    assert.deepEqual(moved.scheduled_time, hoursFrom(NOW, 1));
+    assert.equal(moved.duration_hours, 3);
+  });
+});
+
+describe('repricing', () => {
+  it('applies the pricing tier to the base price, never below zero', () => {
+    assert.equal(reschedule.tieredUnitPrice(100, null), 100);
+    assert.equal(reschedule.tieredUnitPrice(100, { price_modifier: 20 }), 120);
+    assert.equal(reschedule.tieredUnitPrice(100, { price_modifier: -150 }), 0);
+  });
+
+  it('charges the hourly rate for the change in length', () => {
+    const longer = { hourlyRate: 50, previousHours: 2, newHours: 3 };
+    assert.equal(reschedule.rescheduledCost(400, longer), 450);
+    assert.equal(reschedule.rescheduledCost(400, { ...longer, newHours: 1 }), 350);
+    assert.equal(reschedule.rescheduledCost(400, { ...longer, newHours: 2 }), 400);
+  });
+
+  it('adds each booking change in unit price times its quantity', () => {
+    const cost = reschedule.rescheduledCost(1000, {
+      hourlyRate: 0,
+      previousHours: 3,
+      newHours: 3,
+      bookings: [
+        { quantity: 10, before: 20, after: 25 },
+        { quantity: 2, before: 100, after: 80 },
+        { quantity: null, before: 50, after: 70 },
+      ],
+    });
+    assert.equal(cost, 1000 + 50 - 40 + 20);
+  });
+
+  it('never prices the event below zero', () => {
+    assert.equal(reschedule.rescheduledCost(100, { hourlyRate: 100, previousHours: 3, newHours: 1 }), 0);
+  });
+});
@@ -0,0 +1,92 @@
+// Shared setup for the integration tests.
+// They run against a disposable, migrated database (`npx prisma migrate deploy`) named by
+// TEST_DATABASE_URL, and are skipped when it is not set so a dev database is never touched.
+import crypto from 'crypto';
+
+export const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+if (TEST_DATABASE_URL) process.env.DATABASE_URL = TEST_DATABASE_URL;
+process.env.JWT_SECRET ||= 'test-secret';
+// The Stripe client is built on import; unit tests never reach it
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_unused';
+// Background jobs are driven by the tests themselves
+process.env.JOBS_ENABLED = 'false';
+
+export const skip = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+const HOUR_MS = 60 * 60 * 1000;
+export const hoursFrom = (date, hours) => new Date(date.getTime() + hours * HOUR_MS);
+
+// Services build their PrismaClient on import, so they are only loaded once a database is known
+export const connect = async () => {
+  const { PrismaClient } = await import('@prisma/client');
+  return new PrismaClient();
+};
+
+/**
+ * Stand-in for the SMTP transport that keeps every message instead of sending it
+ * @returns {Promise<Array<Object>>} The messages sent from now on
+ */
+export const captureMail = async () => {
+  const { setMailTransport } = await import('../utils/mailer.js');
+  const sent = [];
+  setMailTransport({
+    sendMail: async (mail) => {
+      sent.push(mail);
+      return { messageId: `<${crypto.randomUUID()}@test>` };
+    },
+  });
+  return sent;
+};
+
+export const createTestAccount = (prisma, data = {}) => {
+  const suffix = crypto.randomBytes(6).toString('hex');
+  return prisma.account.create({
+    data: {
+      account_name: `test_${suffix}`,
+      email: `test_${suffix}@example.test`,
+      password_hash: 'not-a-real-hash',
+      email_verified: true,
+      ...data,
+    },
+  });
+};
+
+export const createTestRoom = (prisma, data = {}) =>
+  prisma.room.create({ data: { room_name: `Test room ${crypto.randomBytes(4).toString('hex')}`, ...data } });
+
+/**
+ * An event in the given room, with an open invoice when invoiceTotal is given
+ * @param {Object} prisma
+ * @param {Object} data - Event fields; start_time and end_time are required
+ * @param {number} [invoiceTotal]
+ */
+export const createTestEvent = async (prisma, data, invoiceTotal) => {
+  const event = await prisma.event.create({
+    data: { event_name: 'Test event', event_date: data.start_time, ...data },
+  });
+  if (invoiceTotal !== undefined) {
+    await prisma.invoice.create({
+      data: {
+        invoice_number: `TEST-${crypto.randomBytes(6).toString('hex')}`,
+        total_amount: invoiceTotal,
+        event_id: event.event_id,
+        account_id: event.account_id,
+      },
+    });
+  }
+  return event;
+};
+
+// Events, rooms and accounts a test created; dependent rows go with them
+export const cleanup = async (prisma, { accountIds = [], eventIds = [], roomIds = [] } = {}) => {
+  if (eventIds.length) {
+    await prisma.payment.deleteMany({ where: { event_id: { in: eventIds } } });
+    await prisma.invoice.deleteMany({ where: { event_id: { in: eventIds } } });
+    await prisma.event.deleteMany({ where: { event_id: { in: eventIds } } });
+  }
+  if (roomIds.length) await prisma.room.deleteMany({ where: { room_id: { in: roomIds } } });
+  if (accountIds.length) {
+    await prisma.notification.deleteMany({ where: { account_id: { in: accountIds } } });
+    await prisma.account.deleteMany({ where: { account_id: { in: accountIds } } });
+  }
+};
@@ -0,0 +1,90 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcrypt';
+import { skip, connect, captureMail, createTestAccount, cleanup } from './helpers.js';
+
+// The token travels only in the emailed link
+const tokenFromMail = (mail) => decodeURIComponent(mail.text.match(/token=([^\s"&]+)/)[1]);
+
+describe('forgot / reset password', { skip }, () => {
+  let prisma;
+  let accounts;
+  let sessions;
+  let sent;
+  const accountIds = [];
+
+  before(async () => {
+    prisma = await connect();
+    accounts = await import('../service/account.service.js');
+    sessions = await import('../service/session.service.js');
+    sent = await captureMail();
+  });
+
+  after(async () => {
+    await cleanup(prisma, { accountIds });
+    await prisma.$disconnect();
+  });
+
+  let account;
+  beforeEach(async () => {
+    sent.length = 0;
+    account = await createTestAccount(prisma);
+    accountIds.push(account.account_id);
+  });
+
+  const requestToken = async () => {
+    const result = await accounts.requestPasswordReset(account.email);
+    assert.equal(result.isValid, true);
+    assert.equal(sent.length, 1);
+    return tokenFromMail(sent.pop());
+  };
+
+  it('emails a link whose token resets the password once and signs out every session', async () => {
+    await sessions.createSession(account, { device_name: 'laptop' });
+    await sessions.createSession(account, { device_name: 'phone' });
+    const token = await requestToken();
+
+    const reset = await accounts.resetPassword(token, 'N3w-passw0rd!');
+    assert.equal(reset.isValid, true);
+
+    const updated = await prisma.account.findUnique({ where: { account_id: account.account_id } });
+    assert.equal(await bcrypt.compare('N3w-passw0rd!', updated.password_hash), true);
+
+    const active = await prisma.accountSession.count({ where: { account_id: account.account_id, revoked_at: null } });
+    assert.equal(active, 0);
+    const revoked = await prisma.accountSession.findMany({ where: { account_id: account.account_id } });
+    assert.equal(revoked.length, 2);
+    assert.ok(revoked.every((session) => session.revoked_reason === 'PASSWORD_RESET'));
+
+    const replay = await accounts.resetPassword(token, 'An0ther-passw0rd!');
+    assert.equal(replay.isValid, false);
+    const unchanged = await prisma.account.findUnique({ where: { account_id: account.account_id } });
+    assert.equal(unchanged.password_hash, updated.password_hash);
+  });
+
+  it('rejects a token whose stored expiry has passed', async () => {
+    const token = await requestToken();
+    await prisma.passwordResetToken.updateMany({
+      where: { account_id: account.account_id },
+      data: { expires_at: new Date(Date.now() - 1000) },
+    });
+
+    const reset = await accounts.resetPassword(token, 'N3w-passw0rd!');
+    assert.equal(reset.isValid, false);
+    assert.deepEqual(reset.errors, ['Invalid or expired reset token.']);
+  });
+
+  it('only honours the most recent link', async () => {
+    const first = await requestToken();
+    const second = await requestToken();
+
+    assert.equal((await accounts.resetPassword(first, 'N3w-passw0rd!')).isValid, false);
+    assert.equal((await accounts.resetPassword(second, 'N3w-passw0rd!')).isValid, true);
+  });
+
+  it('does not reveal or mail unknown addresses', async () => {
+    const result = await accounts.requestPasswordReset('nobody@example.test');
+    assert.equal(result.isValid, true);
+    assert.equal(sent.length, 0);
+  });
+});
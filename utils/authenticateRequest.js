@@ -1,14 +1,5 @@
 import jwt from 'jsonwebtoken';
-
-export function isAdmin(req) {
-  return req.user && req.user.role && req.user.role.toLowerCase() === "admin";
-}
-
-
-export const isStaffOrAdmin = (req) => {
-  return req.user && (req.user.role === "admin" || req.user.role === "staff");
-};
-
+import { hasPermission } from './permissions.js';
 
 export const extractAndVerifyToken = (req) => {
   try {
@@ -32,6 +23,7 @@ export const isAuthenticated = (req) => {
 };
 
 
-export const isResourceOwnerOrAdmin = (req, resourceUserId) => {
-  return (req.user && (req.user.id === resourceUserId || req.user.role === "admin"));
+// Owners pass; everyone else needs the ":any" variant of the permission
+export const isResourceOwnerOr = (req, resourceUserId, permission) => {
+  return Boolean(req.user) && (req.user.account_id === resourceUserId || hasPermission(req.user, permission));
 };
\ No newline at end of file
@@ -0,0 +1,69 @@
+// Minimal RFC 4180 reader: comma separated, double-quoted fields may hold commas,
+// line breaks and "" escapes. The first row is the header.
+
+/**
+ * Split CSV text into rows of raw fields
+ * @param {string} text
+ * @returns {string[][]}
+ */
+const splitRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+};
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @param {string} text
+ * @returns {{ headers: string[], rows: Object[] }} Header names are trimmed and lower-cased;
+ *   each row also carries its record number as `_line`, counting the header as 1
+ */
+export const parseCsv = (text) => {
+  const [header = [], ...records] = splitRows(String(text || "").replace(/^\uFEFF/, ""));
+  const headers = header.map((name) => name.trim().toLowerCase());
+
+  const rows = records.map((fields, index) => {
+    const row = { _line: index + 2 };
+    headers.forEach((name, column) => {
+      if (name) row[name] = (fields[column] ?? "").trim();
+    });
+    return row;
+  });
+
+  return { headers, rows };
+};
@@ -0,0 +1,22 @@
+// Invoices are priced in VND; Stripe takes payment in USD at a fixed rate
+export const VND_PER_USD = 23000;
+
+// Whole US dollars for a VND amount, as charged at checkout
+export const convertCurrency = (amount) => Math.round(amount / VND_PER_USD);
+
+// Stripe payments were taken in USD, every other method in the invoice's VND
+const isUsd = (payment) => payment.payment_method === 'STRIPE';
+
+/**
+ * An invoice (VND) amount in the currency a payment was taken in, to the cent
+ * @param {number} amount
+ * @param {Object} payment - Needs payment_method
+ */
+export const toPaymentCurrency = (amount, payment) =>
+  isUsd(payment) ? Math.round((amount / VND_PER_USD) * 100) / 100 : amount;
+
+// A payment's amount back in invoice currency
+export const fromPaymentCurrency = (amount, payment) => (isUsd(payment) ? amount * VND_PER_USD : amount);
+
+// Checkout rounds to whole dollars, so a Stripe payment can fall short of its invoice by up to half a dollar
+export const conversionTolerance = (payment) => (isUsd(payment) ? VND_PER_USD / 2 : 0);
@@ -0,0 +1,15 @@
+// Machine-readable codes returned alongside auth/account errors so clients can branch on them
+export const AUTH_ERROR_CODES = {
+  INVALID_CREDENTIALS: "INVALID_CREDENTIALS",
+  ACCOUNT_INACTIVE: "ACCOUNT_INACTIVE",
+  ACCOUNT_LOCKED: "ACCOUNT_LOCKED",
+  IP_BLOCKED: "IP_BLOCKED",
+  LOGIN_THROTTLED: "LOGIN_THROTTLED",
+  EMAIL_NOT_VERIFIED: "EMAIL_NOT_VERIFIED",
+  TWO_FACTOR_REQUIRED: "TWO_FACTOR_REQUIRED",
+  TWO_FACTOR_ENROLLMENT_REQUIRED: "TWO_FACTOR_ENROLLMENT_REQUIRED",
+  INVALID_TWO_FACTOR_CODE: "INVALID_TWO_FACTOR_CODE",
+  IMPERSONATION_READ_ONLY: "IMPERSONATION_READ_ONLY",
+};
+
+export default { AUTH_ERROR_CODES };
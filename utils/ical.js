@@ -0,0 +1,80 @@
+// iCalendar (RFC 5545) writer for subscribable feeds. Times are written in UTC.
+
+const PRODID = "-//Event Planner//Calendar Feed//EN";
+export const UID_DOMAIN = process.env.ICS_UID_DOMAIN || "eventplanner.local";
+
+// TEXT values escape backslashes, semicolons, commas and line breaks
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// 20250930T140000Z
+export const formatIcsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Lines longer than 75 octets continue on the next line after a single space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, "utf8");
+    // Continuation lines lose one octet to the leading space
+    if (size + charSize > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object} calendar
+ * @param {string} calendar.name - Shown by calendar apps as the subscription name
+ * @param {Object[]} calendar.events - { uid, start, end, summary, description, location, status, sequence, updatedAt }
+ *   status is CONFIRMED, TENTATIVE or CANCELLED; the same uid must be used every time an item is
+ *   published so clients update it instead of adding a copy
+ * @returns {string}
+ */
+export const buildCalendar = ({ name, events }) => {
+  const now = formatIcsDate(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    "X-PUBLISHED-TTL:PT1H",
+  ];
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${event.updatedAt ? formatIcsDate(event.updatedAt) : now}`,
+      `DTSTART:${formatIcsDate(event.start)}`,
+      `DTEND:${formatIcsDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.sequence !== undefined) lines.push(`SEQUENCE:${event.sequence}`);
+    if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatIcsDate(event.updatedAt)}`);
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
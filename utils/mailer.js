@@ -0,0 +1,76 @@
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Event Planner <no-reply@eventplanner.local>';
+
+/**
+ * Build the SMTP transport from environment variables.
+ * When SMTP_HOST is not set (local development, tests) a JSON transport is used,
+ * which renders the message without sending it.
+ * @returns {Object} Nodemailer transporter
+ */
+const createTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+};
+
+let transporter = createTransport();
+
+/**
+ * Replace the active transport (e.g. with a local SMTP stand-in in tests)
+ * @param {Object} customTransporter - Nodemailer transporter
+ */
+export const setMailTransport = (customTransporter) => {
+  transporter = customTransporter || createTransport();
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape user-entered text (names, event titles) before putting it into an HTML body
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Send an email
+ * @param {Object} mail - { to, subject, text, html }
+ * @returns {Promise<Object>} Nodemailer send result
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  try {
+    const info = await transporter.sendMail({
+      from: MAIL_FROM,
+      to,
+      subject,
+      text,
+      html,
+    });
+
+    if (!process.env.SMTP_HOST) {
+      console.log(`[mailer] ${subject} -> ${to}`);
+    }
+
+    return info;
+  } catch (error) {
+    console.error('Error sending email:', error);
+    throw new Error(`Email delivery failed: ${error.message}`);
+  }
+};
+
+export default { sendMail, setMailTransport, escapeHtml };
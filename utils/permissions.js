@@ -0,0 +1,133 @@
+// Permission catalogue. Keys follow resource:action[:scope], where ":own" limits the
+// action to records the caller owns and ":any" lifts that restriction.
+export const PERMISSIONS = {
+  ACCOUNTS_READ_ANY: "accounts:read:any",
+  ACCOUNTS_WRITE_ANY: "accounts:write:any",
+  ACCOUNTS_DELETE: "accounts:delete",
+  ACCOUNTS_BAN: "accounts:ban",
+  ACCOUNTS_SESSIONS_ANY: "accounts:sessions:any",
+  ACCOUNTS_LOCKOUTS_MANAGE: "accounts:lockouts:manage",
+  ACCOUNTS_ERASURE_MANAGE: "accounts:erasure:manage",
+  ACCOUNTS_IMPERSONATE: "accounts:impersonate",
+  PERMISSIONS_MANAGE: "permissions:manage",
+
+  EVENTS_READ_ANY: "events:read:any",
+  EVENTS_WRITE_ANY: "events:write:any",
+  EVENTS_DELETE: "events:delete",
+  EVENTS_STATUS_MANAGE: "events:status:manage",
+  EVENTS_CHECK_IN: "events:check-in",
+  EVENT_TYPES_WRITE: "event-types:write",
+  EVENT_TEMPLATES_MANAGE: "event-templates:manage",
+  EVENT_SERVICES_STATS: "event-services:stats",
+  WAITLIST_MANAGE: "waitlist:manage",
+  STAFF_MANAGE: "staff:manage",
+  STAFF_SELF: "staff:self",
+
+  ROOMS_WRITE: "rooms:write",
+  SERVICE_TYPES_WRITE: "service-types:write",
+  SERVICES_WRITE_ANY: "services:write:any",
+  SERVICES_WRITE_OWN: "services:write:own",
+  BOOKINGS_RESPOND_OWN: "bookings:respond:own",
+
+  INVOICES_READ_ANY: "invoices:read:any",
+  INVOICES_REFUND: "invoices:refund",
+  CANCELLATION_POLICIES_WRITE: "cancellation-policies:write",
+  QUOTES_WRITE: "quotes:write",
+  PAYMENTS_READ_ANY: "payments:read:any",
+
+  REVIEWS_READ_ANY: "reviews:read:any",
+  NOTIFICATIONS_READ_OWN: "notifications:read:own",
+  NOTIFICATIONS_READ_ANY: "notifications:read:any",
+
+  DASHBOARD_ADMIN: "dashboard:admin",
+  ANALYTICS_READ: "analytics:read",
+  JOBS_RUN: "jobs:run",
+};
+
+export const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.ACCOUNTS_READ_ANY]: "View any account",
+  [PERMISSIONS.ACCOUNTS_WRITE_ANY]: "Edit any account profile",
+  [PERMISSIONS.ACCOUNTS_DELETE]: "Delete or anonymise accounts",
+  [PERMISSIONS.ACCOUNTS_BAN]: "Ban and unban accounts",
+  [PERMISSIONS.ACCOUNTS_SESSIONS_ANY]: "View and revoke other accounts' sessions",
+  [PERMISSIONS.ACCOUNTS_LOCKOUTS_MANAGE]: "View and clear login lockouts",
+  [PERMISSIONS.ACCOUNTS_ERASURE_MANAGE]: "Review personal data erasure requests",
+  [PERMISSIONS.ACCOUNTS_IMPERSONATE]: "View the app as another account (read-only, audited)",
+  [PERMISSIONS.PERMISSIONS_MANAGE]: "Edit which permissions each role has",
+
+  [PERMISSIONS.EVENTS_READ_ANY]: "View any customer's event",
+  [PERMISSIONS.EVENTS_WRITE_ANY]: "Edit any customer's event",
+  [PERMISSIONS.EVENTS_DELETE]: "Delete events",
+  [PERMISSIONS.EVENTS_STATUS_MANAGE]: "Change event status",
+  [PERMISSIONS.EVENTS_CHECK_IN]: "Check guests in at the door and view live attendance",
+  [PERMISSIONS.EVENT_TYPES_WRITE]: "Create, edit and delete event types",
+  [PERMISSIONS.EVENT_TEMPLATES_MANAGE]: "Create, edit and delete global event templates",
+  [PERMISSIONS.EVENT_SERVICES_STATS]: "View event service statistics",
+  [PERMISSIONS.WAITLIST_MANAGE]: "View and manage room and service waitlists",
+  [PERMISSIONS.STAFF_MANAGE]: "Assign staff to events and view the staff roster",
+  [PERMISSIONS.STAFF_SELF]: "View own staff schedule and set own working hours and time off",
+
+  [PERMISSIONS.ROOMS_WRITE]: "Create, edit and delete rooms",
+  [PERMISSIONS.SERVICE_TYPES_WRITE]: "Create, edit and delete service types",
+  [PERMISSIONS.SERVICES_WRITE_ANY]: "Manage any service, its variations and pricing tiers",
+  [PERMISSIONS.SERVICES_WRITE_OWN]: "Manage own services, variations and pricing tiers",
+  [PERMISSIONS.BOOKINGS_RESPOND_OWN]: "View and accept or decline bookings of own services",
+
+  [PERMISSIONS.INVOICES_READ_ANY]: "View any invoice",
+  [PERMISSIONS.INVOICES_REFUND]: "Issue refunds against invoices",
+  [PERMISSIONS.CANCELLATION_POLICIES_WRITE]: "Create, edit and assign cancellation policies",
+  [PERMISSIONS.QUOTES_WRITE]: "Write, revise and send quotes",
+  [PERMISSIONS.PAYMENTS_READ_ANY]: "View any payment",
+
+  [PERMISSIONS.REVIEWS_READ_ANY]: "View any review in full",
+  [PERMISSIONS.NOTIFICATIONS_READ_OWN]: "Read own notifications",
+  [PERMISSIONS.NOTIFICATIONS_READ_ANY]: "Read any account's notifications",
+
+  [PERMISSIONS.DASHBOARD_ADMIN]: "View the admin dashboard",
+  [PERMISSIONS.ANALYTICS_READ]: "View analytics",
+  [PERMISSIONS.JOBS_RUN]: "View and run background jobs by hand",
+};
+
+// Grants applied when the catalogue is first installed; admins edit them afterwards
+export const DEFAULT_ROLE_PERMISSIONS = {
+  ADMIN: Object.values(PERMISSIONS),
+  STAFF: [
+    PERMISSIONS.ACCOUNTS_READ_ANY,
+    PERMISSIONS.EVENTS_READ_ANY,
+    PERMISSIONS.EVENTS_WRITE_ANY,
+    PERMISSIONS.EVENTS_STATUS_MANAGE,
+    PERMISSIONS.EVENTS_CHECK_IN,
+    PERMISSIONS.EVENT_SERVICES_STATS,
+    PERMISSIONS.WAITLIST_MANAGE,
+    PERMISSIONS.STAFF_SELF,
+    PERMISSIONS.INVOICES_READ_ANY,
+    PERMISSIONS.QUOTES_WRITE,
+    PERMISSIONS.PAYMENTS_READ_ANY,
+    PERMISSIONS.REVIEWS_READ_ANY,
+    PERMISSIONS.NOTIFICATIONS_READ_OWN,
+  ],
+  PROVIDER: [
+    PERMISSIONS.SERVICES_WRITE_OWN,
+    PERMISSIONS.BOOKINGS_RESPOND_OWN,
+    PERMISSIONS.NOTIFICATIONS_READ_OWN,
+  ],
+  CUSTOMER: [PERMISSIONS.NOTIFICATIONS_READ_OWN],
+};
+
+// Admins must not be able to remove their own ability to fix the permission table
+export const LOCKED_ROLE_PERMISSIONS = {
+  ADMIN: [PERMISSIONS.PERMISSIONS_MANAGE],
+};
+
+export const isKnownPermission = (key) => Object.values(PERMISSIONS).includes(key);
+
+/**
+ * Check a permission against the set attached to req.user by validateToken
+ * @param {Object} user - req.user
+ * @param {...string} keys - Permission keys; any one is sufficient
+ * @returns {boolean}
+ */
+export const hasPermission = (user, ...keys) =>
+  Boolean(user?.permissions) && keys.some((key) => user.permissions.includes(key));
+
+export default { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS, hasPermission };
@@ -0,0 +1,138 @@
+// RRULE subset for event series (RFC 5545 syntax). Supported parts:
+//   FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, COUNT, UNTIL, BYDAY (weekly), BYMONTHDAY (monthly)
+// Occurrences keep the UTC time of day of the first occurrence.
+
+export const MAX_OCCURRENCES = Number(process.env.SERIES_MAX_OCCURRENCES) || 100;
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 20250930T000000Z, 20250930 or an ISO string
+const parseUntil = (value) => {
+  const compact = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (compact) {
+    const [, y, m, d, hh = "23", mm = "59", ss = "59"] = compact;
+    return new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss));
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse an RRULE string into a rule object
+ * @param {string} rrule - e.g. "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+ * @returns {{ rule: Object|null, errors: string[] }}
+ */
+export const parseRRule = (rrule) => {
+  const errors = [];
+  if (!rrule || typeof rrule !== "string") {
+    return { rule: null, errors: ["Recurrence rule is required"] };
+  }
+
+  const parts = {};
+  for (const part of rrule.trim().replace(/^RRULE:/i, "").split(";").filter(Boolean)) {
+    const [key, value] = part.split("=");
+    if (!key || value === undefined) {
+      errors.push(`Invalid recurrence rule part: ${part}`);
+      continue;
+    }
+    parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+
+  const rule = { freq: parts.FREQ, interval: 1, count: null, until: null, byDay: [], byMonthDay: [] };
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    errors.push(`FREQ must be one of: ${FREQUENCIES.join(", ")}`);
+  }
+  if (parts.INTERVAL !== undefined) {
+    rule.interval = Number(parts.INTERVAL);
+    if (!Number.isInteger(rule.interval) || rule.interval < 1) errors.push("INTERVAL must be a positive integer");
+  }
+  if (parts.COUNT !== undefined) {
+    rule.count = Number(parts.COUNT);
+    if (!Number.isInteger(rule.count) || rule.count < 1) errors.push("COUNT must be a positive integer");
+  }
+  if (parts.UNTIL !== undefined) {
+    rule.until = parseUntil(parts.UNTIL);
+    if (!rule.until) errors.push("UNTIL must be a valid date");
+  }
+  if (rule.count === null && !rule.until) {
+    errors.push("Recurrence rule needs COUNT or UNTIL");
+  }
+  if (rule.count !== null && rule.until) {
+    errors.push("Recurrence rule cannot have both COUNT and UNTIL");
+  }
+  if (parts.BYDAY) {
+    rule.byDay = parts.BYDAY.split(",");
+    if (rule.freq !== "WEEKLY") errors.push("BYDAY is only supported with FREQ=WEEKLY");
+    if (rule.byDay.some((day) => !WEEKDAYS.includes(day))) errors.push("BYDAY must list days as MO,TU,WE,TH,FR,SA,SU");
+  }
+  if (parts.BYMONTHDAY) {
+    rule.byMonthDay = parts.BYMONTHDAY.split(",").map(Number);
+    if (rule.freq !== "MONTHLY") errors.push("BYMONTHDAY is only supported with FREQ=MONTHLY");
+    if (rule.byMonthDay.some((day) => !Number.isInteger(day) || day < 1 || day > 31)) {
+      errors.push("BYMONTHDAY must list days between 1 and 31");
+    }
+  }
+
+  const unsupported = Object.keys(parts).filter(
+    (key) => !["FREQ", "INTERVAL", "COUNT", "UNTIL", "BYDAY", "BYMONTHDAY"].includes(key)
+  );
+  if (unsupported.length) errors.push(`Unsupported recurrence rule part(s): ${unsupported.join(", ")}`);
+
+  return { rule: errors.length ? null : rule, errors };
+};
+
+// Candidate starts in one period (day, week or month), in chronological order
+const periodCandidates = (rule, dtstart, periodIndex) => {
+  const timeOfDay = dtstart.getTime() % DAY_MS;
+  const startDay = dtstart.getTime() - timeOfDay;
+
+  if (rule.freq === "DAILY") {
+    return [new Date(dtstart.getTime() + periodIndex * rule.interval * DAY_MS)];
+  }
+
+  if (rule.freq === "WEEKLY") {
+    const weekStart = startDay - dtstart.getUTCDay() * DAY_MS + periodIndex * rule.interval * 7 * DAY_MS;
+    const days = rule.byDay.length ? rule.byDay.map((day) => WEEKDAYS.indexOf(day)) : [dtstart.getUTCDay()];
+    return [...new Set(days)].sort((a, b) => a - b).map((day) => new Date(weekStart + day * DAY_MS + timeOfDay));
+  }
+
+  // MONTHLY: months without the requested day (e.g. the 31st) are skipped, as in RFC 5545
+  const monthIndex = dtstart.getUTCMonth() + periodIndex * rule.interval;
+  const year = dtstart.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = ((monthIndex % 12) + 12) % 12;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const days = rule.byMonthDay.length ? rule.byMonthDay : [dtstart.getUTCDate()];
+  return [...new Set(days)]
+    .filter((day) => day <= daysInMonth)
+    .sort((a, b) => a - b)
+    .map((day) => new Date(Date.UTC(year, month, day) + timeOfDay));
+};
+
+/**
+ * Expand a parsed rule into occurrence start times. The first occurrence is dtstart itself;
+ * candidates before it are dropped.
+ * @param {Object} rule - Result of parseRRule
+ * @param {Date} dtstart - Start of the first occurrence
+ * @param {number} limit - Hard cap on the number of occurrences
+ * @returns {{ starts: Date[], truncated: boolean }}
+ */
+export const expandRRule = (rule, dtstart, limit = MAX_OCCURRENCES) => {
+  const starts = [];
+  const maxCount = rule.count ?? Infinity;
+
+  // Safety net: a rule like BYMONTHDAY=31 with INTERVAL=2 can have long runs of empty periods
+  for (let period = 0; period < limit * 12 && starts.length < maxCount; period++) {
+    for (const candidate of periodCandidates(rule, dtstart, period)) {
+      if (candidate < dtstart) continue;
+      if (rule.until && candidate > rule.until) return { starts, truncated: false };
+      if (starts.length >= maxCount) break;
+      if (starts.length >= limit) return { starts, truncated: true };
+      starts.push(candidate);
+    }
+  }
+
+  return { starts, truncated: false };
+};
@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import { sendResponse} from "./response.js";
 
@@ -27,5 +28,40 @@ export const verifyToken = (token) => {
 export const generateResetToken = (id) => {
     const secret = process.env.JWT_SECRET;
 
-    return jwt.sign({ id }, secret, { expiresIn: "10m" }); // Expires in 10 minutes
-};
\ No newline at end of file
+    // jti keeps tokens issued in the same second distinct
+    return jwt.sign({ id, jti: crypto.randomUUID() }, secret, { expiresIn: "10m" }); // Expires in 10 minutes
+};
+
+export const generateEmailVerificationToken = (id) => {
+    const secret = process.env.JWT_SECRET;
+
+    return jwt.sign({ id, purpose: "verify_email", jti: crypto.randomUUID() }, secret, { expiresIn: "24h" });
+};
+
+// Short-lived proof that the password step of a two-factor login succeeded
+export const generateTwoFactorChallengeToken = (id) => {
+    const secret = process.env.JWT_SECRET;
+
+    return jwt.sign({ id, purpose: "2fa_challenge" }, secret, { expiresIn: "5m" });
+};
+
+// Tokens are only ever stored as SHA-256 hashes
+export const hashToken = (token) => {
+    return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+export const REFRESH_TOKEN_COOKIE = "refresh_token";
+
+export const setRefreshTokenCookie = (res, refreshToken, maxAgeDays = 30) => {
+    res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, {
+        httpOnly: true,
+        sameSite: "lax",
+        secure: process.env.NODE_ENV === "production",
+        path: "/api/accounts",
+        maxAge: maxAgeDays * 24 * 60 * 60 * 1000,
+    });
+};
+
+export const clearRefreshTokenCookie = (res) => {
+    res.clearCookie(REFRESH_TOKEN_COOKIE, { path: "/api/accounts" });
+};